@@ -3,17 +3,74 @@ class AsanaAPIExplorer {
         this.endpoints = [];
         this.filteredEndpoints = [];
         this.currentMethodFilter = 'all';
+        this.writeModeEnabled = false; // POST/PUT/PATCH/DELETE from endpoint cards need this switched on
         this.searchTerm = '';
         this.personalAccessToken = '';
         this.isTokenValid = false;
         this.baseUrl = 'https://app.asana.com/api/1.0';
         this.storageKey = 'asana-api-explorer-pat';
+        this.vaultStorageKey = 'asana-api-explorer-vault';
+        this.vaultAutoLockStorageKey = 'asana-api-explorer-vault-autolock';
+        this.vaultCheckValue = 'asana-api-explorer-vault';
+        this.vault = null; // { version, salt, iterations, check, entries: [{ name, iv, data }], activeName, secrets: { iv, data } }
+        this.vaultKey = null; // AES-GCM key, only while unlocked
+        this.vaultTokens = new Map(); // name -> decrypted token, only while unlocked
+        this.vaultAutoLockMinutes = 15;
+        this.vaultAutoLockTimer = null;
+        this.authProfilesStorageKey = 'asana-api-explorer-auth-profiles';
+        this.defaultAuthProfileId = 'asana-pat';
+        this.authProfiles = []; // [{ id, name, apiId, type: 'bearer'|'apiKey'|'basic'|'none', headerName, username, secret }]
+        this.oauthStorageKey = 'asana-api-explorer-oauth';
+        this.oauthClientIdStorageKey = 'asana-api-explorer-oauth-client';
+        this.oauthPendingStorageKey = 'asana-api-explorer-oauth-pending';
+        this.oauthAuthProfileId = 'asana-oauth';
+        this.defaultOAuthFlow = {
+            authorizationUrl: 'https://app.asana.com/-/oauth_authorize',
+            tokenUrl: 'https://app.asana.com/-/oauth_token'
+        };
+        this.oauthClientId = '';
+        this.oauthToken = null; // { accessToken, refreshToken, expiresAt, scope, userName }
+        this.oauthRefreshPromise = null;
+
+        // OpenAPI document model, one entry per loaded API (Asana is always 'asana')
+        this.remoteSpecUrl = 'https://raw.githubusercontent.com/Asana/openapi/master/defs/asana_oas.yaml';
+        this.specDatabaseName = 'asana-api-explorer-specs';
+        this.baseUrlStorageKey = 'asana-api-explorer-base-urls';
+        this.defaultApiId = 'asana';
+        this.apis = new Map(); // apiId -> { id, name, version, baseUrl, spec, securitySchemes, endpoints, source }
+        this.baseUrlOverrides = {}; // apiId -> user-configured base URL
+        this.currentApiFilter = 'all';
+        this.specDiff = null; // Result of comparing a loaded API's spec against another version
+        this.spec = null; // Spec of the default (Asana) API
+        this.securitySchemes = {};
+        this.bodyEditorValues = {}; // Structured request body values, keyed by endpoint card index
         
         // Sequence management
         this.apiSequence = [];
         this.sequenceResults = new Map(); // Store results from previous calls
         this.sequencePanelOpen = false;
         this.currentSequenceItem = null; // Current item being executed
+        this.sequencePlan = null; // Last dry-run request plan
+        this.sequenceRun = null; // Active "Execute All" run: { abortController, status: running|paused, nextStepIndex, finished }
+        this.sequenceTimeline = null; // Start and end of every step of the last run: { startedAt, entries: [{ itemId, start, end, outcome }] }
+        this.sequenceTimelineTimer = null;
+        this.parallelStepsStorageKey = 'asana-api-explorer-parallel-steps';
+        this.sequenceParallelSteps = 4; // Independent steps that may run at once, 1 keeps the old one-by-one order
+        this.sequenceInputs = []; // Sequence-level input variables: [{ name, description, defaultValue }]
+        this.sequenceInputValues = {}; // Values entered for {{input.name}}, prompted before execution
+        this.sequenceInsertIndex = null; // Where "Add to Sequence" inserts, null appends
+        this.draggedStepIndex = null;
+
+        // Request scheduler (rate limit budget, 429/5xx retries)
+        this.rateLimitStorageKey = 'asana-api-explorer-rate-limit';
+        this.rateLimit = { requestsPerMinute: 150, maxRetries: 5, baseDelayMs: 1000 };
+        this.requestQueue = []; // [{ url, options, resolve, reject, attempts, readyAt }]
+        this.requestTimestamps = []; // Start times of requests in the last minute
+        this.requestsInFlight = 0;
+        this.rateLimitBackoffUntil = 0;
+        this.schedulerBackoffReason = '';
+        this.requestQueueTimer = null;
+        this.schedulerStatusTimer = null;
         
         // Panel resize management
         this.panelWidthStorageKey = 'asana-api-explorer-panel-width';
@@ -30,7 +87,13 @@ class AsanaAPIExplorer {
         };
         this.transformedData = null;
         
+        this.loadVault();
         this.loadPATFromStorage();
+        this.loadAuthProfiles();
+        this.loadOAuthFromStorage();
+        this.loadBaseUrlOverrides();
+        this.loadRateLimitSettings();
+        this.loadParallelStepsSetting();
         this.loadPanelWidth();
         this.init();
     }
@@ -39,10 +102,18 @@ class AsanaAPIExplorer {
         try {
             await this.loadAsanaAPISpec();
             this.setupEventListeners();
+            this.setupSpecDropZone();
             this.setupPanelResize();
             this.restorePATToInput();
-            this.renderEndpoints();
-            this.updateStats();
+            this.renderVaultControls();
+            this.restoreOAuthToInput();
+            await this.completeOAuthSignIn();
+            this.renderAuthProfiles();
+            this.renderSchedulerStatus();
+            this.renderParallelStepsSetting();
+            this.renderSequenceTimeline();
+            this.updateSpecStatus();
+            this.filterAndRenderEndpoints();
             
             // Apply panel width after everything is set up
             setTimeout(() => {
@@ -54,21 +125,39 @@ class AsanaAPIExplorer {
     }
 
     async loadAsanaAPISpec() {
+        // Cached specs win over the network so every API stays pinned to its last loaded version
+        const cachedSpecs = await this.loadSpecsFromCache();
+        cachedSpecs.forEach(cachedSpec => {
+            try {
+                const api = this.loadOpenAPIDocument(this.parseSpecText(cachedSpec.text), cachedSpec.source);
+                console.log(`Loaded cached OpenAPI spec for ${api.name} from ${cachedSpec.source.label}`);
+            } catch (error) {
+                console.warn('Cached OpenAPI spec could not be parsed:', error);
+            }
+        });
+
+        if (this.apis.has(this.defaultApiId)) {
+            return;
+        }
+
         try {
             // Load the Asana OpenAPI specification
-            const response = await fetch('https://raw.githubusercontent.com/Asana/openapi/master/defs/asana_oas.yaml');
+            const response = await fetch(this.remoteSpecUrl);
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             const yamlText = await response.text();
             
             // Parse YAML to extract endpoints
-            this.parseYAMLSpec(yamlText);
+            const source = { type: 'remote', label: 'GitHub (Asana/openapi master)', loadedAt: new Date().toISOString() };
+            const api = this.loadOpenAPIDocument(this.parseSpecText(yamlText), source, this.defaultApiId);
             
             // If we didn't get enough endpoints, add comprehensive sample data
-            if (this.endpoints.length < 50) {
-                console.log(`Only found ${this.endpoints.length} endpoints from parsing, adding comprehensive sample data`);
+            if (api.endpoints.length < 50) {
+                console.log(`Only found ${api.endpoints.length} endpoints from parsing, adding comprehensive sample data`);
                 this.createComprehensiveEndpoints();
+            } else {
+                await this.saveSpecToCache(api.id, yamlText, source);
             }
         } catch (error) {
             console.warn('Failed to load OpenAPI spec:', error);
@@ -77,3587 +166,6959 @@ class AsanaAPIExplorer {
         }
     }
 
-    parseYAMLSpec(yamlText) {
-        // Enhanced YAML parser for paths section
-        const lines = yamlText.split('\n');
-        let inPaths = false;
-        let currentPath = '';
-        let currentMethod = '';
-        let currentEndpoint = null;
-        let pathIndent = 0;
-        let methodIndent = 0;
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            const trimmed = line.trim();
-            const lineIndent = line.length - line.trimLeft().length;
-            
-            // Find the paths section
-            if (trimmed === 'paths:') {
-                inPaths = true;
-                continue;
-            }
-            
-            if (!inPaths) continue;
-            
-            // Stop if we hit another top-level section (no indentation)
-            if (lineIndent === 0 && trimmed && !trimmed.startsWith('/')) {
-                inPaths = false;
-                break;
+    async loadSpecFromText(specText, source) {
+        let api;
+        try {
+            api = this.loadOpenAPIDocument(this.parseSpecText(specText), { ...source, loadedAt: new Date().toISOString() });
+        } catch (error) {
+            this.updateSpecStatus(`❌ Failed to load spec from ${source.label}: ${error.message}`, 'error');
+            return false;
+        }
+
+        await this.saveSpecToCache(api.id, specText, api.source);
+
+        this.filterAndRenderEndpoints();
+        this.updateSpecStatus();
+        return true;
+    }
+
+    async reloadRemoteSpec() {
+        this.updateSpecStatus('Fetching spec from GitHub...', 'info');
+
+        try {
+            const response = await fetch(this.remoteSpecUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
             }
-            
-            // Path definition (starts with / and ends with :)
-            if (trimmed.startsWith('/') && trimmed.endsWith(':') && lineIndent >= 2) {
-                // Save previous endpoint if exists
-                if (currentEndpoint && currentEndpoint.path && currentEndpoint.method) {
-                    this.endpoints.push({ ...currentEndpoint });
+            await this.loadSpecFromText(await response.text(), { type: 'remote', label: 'GitHub (Asana/openapi master)', apiId: this.defaultApiId });
+        } catch (error) {
+            this.updateSpecStatus(`❌ Failed to fetch spec from GitHub: ${error.message}`, 'error');
+        }
+    }
+
+    openSpecFilePicker() {
+        document.getElementById('specFileInput').click();
+    }
+
+    handleSpecFile(event) {
+        const file = event.target.files[0];
+        if (file) {
+            this.readDroppedFile(file);
+        }
+
+        // Clear the file input for next use
+        event.target.value = '';
+    }
+
+    readDroppedFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const text = e.target.result;
+
+            // Sequence exports are JSON too, route them to the sequence importer
+            if (file.name.endsWith('.json')) {
+                try {
+                    const data = JSON.parse(text);
+                    if (Array.isArray(data.sequence)) {
+                        this.loadSequenceFromData(data);
+                        return;
+                    }
+                } catch (error) {
+                    this.updateSpecStatus(`❌ ${file.name} is not valid JSON: ${error.message}`, 'error');
+                    return;
                 }
-                
-                currentPath = trimmed.slice(0, -1);
-                pathIndent = lineIndent;
-                currentEndpoint = null;
-                continue;
             }
-            
-            // HTTP method (must be under a path)
-            if (currentPath && ['get:', 'post:', 'put:', 'patch:', 'delete:', 'head:', 'options:'].includes(trimmed) && lineIndent > pathIndent) {
-                // Save previous endpoint if exists
-                if (currentEndpoint && currentEndpoint.path && currentEndpoint.method) {
-                    this.endpoints.push({ ...currentEndpoint });
-                }
-                
-                currentMethod = trimmed.slice(0, -1).toUpperCase();
-                methodIndent = lineIndent;
-                currentEndpoint = {
-                    path: currentPath,
-                    method: currentMethod,
-                    summary: '',
-                    description: '',
-                    tags: [],
-                    operationId: '',
-                    security: []
-                };
-                continue;
+
+            this.loadSpecFromText(text, { type: 'file', label: `file ${file.name}` });
+        };
+        reader.onerror = () => {
+            this.updateSpecStatus(`❌ Could not read ${file.name}`, 'error');
+        };
+        reader.readAsText(file);
+    }
+
+    setupSpecDropZone() {
+        let dragDepth = 0;
+
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+
+        document.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            dragDepth++;
+            document.body.classList.add('spec-drop-active');
+        });
+
+        document.addEventListener('dragleave', (e) => {
+            if (!hasFiles(e)) return;
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) {
+                document.body.classList.remove('spec-drop-active');
             }
-            
-            // Extract endpoint details (must be under a method)
-            if (currentEndpoint && lineIndent > methodIndent) {
-                if (trimmed.startsWith('summary:')) {
-                    const summary = trimmed.replace('summary:', '').trim();
-                    if (summary.startsWith('"') && summary.endsWith('"')) {
-                        currentEndpoint.summary = summary.slice(1, -1);
-                    } else if (summary.startsWith("'") && summary.endsWith("'")) {
-                        currentEndpoint.summary = summary.slice(1, -1);
-                    } else {
-                        currentEndpoint.summary = summary;
-                    }
-                } else if (trimmed.startsWith('description:')) {
-                    let desc = trimmed.replace('description:', '').trim();
-                    
-                    // Handle quoted descriptions
-                    if (desc.startsWith('"') || desc.startsWith("'")) {
-                        const quote = desc[0];
-                        desc = desc.slice(1);
-                        if (desc.endsWith(quote)) {
-                            desc = desc.slice(0, -1);
-                        }
-                    }
-                    
-                    // Handle multi-line descriptions
-                    if (desc === '|-' || desc === '|' || desc === '>-' || desc === '>') {
-                        desc = '';
-                        let j = i + 1;
-                        while (j < lines.length && lines[j] && lines[j].length - lines[j].trimLeft().length > lineIndent) {
-                            const descLine = lines[j].trim();
-                            if (descLine) {
-                                desc += (desc ? ' ' : '') + descLine;
-                            }
-                            j++;
-                        }
-                        i = j - 1; // Skip processed lines
-                    }
-                    
-                    currentEndpoint.description = desc;
-                } else if (trimmed.startsWith('operationId:')) {
-                    currentEndpoint.operationId = trimmed.replace('operationId:', '').trim();
-                } else if (trimmed === 'tags:') {
-                    // Handle tags array
-                    let j = i + 1;
-                    while (j < lines.length && lines[j] && lines[j].length - lines[j].trimLeft().length > lineIndent) {
-                        const tagLine = lines[j].trim();
-                        if (tagLine.startsWith('- ')) {
-                            currentEndpoint.tags.push(tagLine.substring(2).trim());
-                        }
-                        j++;
-                    }
-                    i = j - 1; // Skip processed lines
-                }
+        });
+
+        document.addEventListener('dragover', (e) => {
+            if (hasFiles(e)) {
+                e.preventDefault();
+            }
+        });
+
+        document.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dragDepth = 0;
+            document.body.classList.remove('spec-drop-active');
+
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                this.readDroppedFile(file);
             }
+        });
+    }
+
+    showSpecPasteDialog() {
+        document.getElementById('specPasteDialog').style.display = 'flex';
+        document.getElementById('specPasteInput').focus();
+    }
+
+    closeSpecPasteDialog() {
+        document.getElementById('specPasteDialog').style.display = 'none';
+    }
+
+    async loadSpecFromPaste() {
+        const input = document.getElementById('specPasteInput');
+        if (!input.value.trim()) {
+            alert('Paste an OpenAPI document first.');
+            return;
         }
-        
-        // Add the last endpoint if exists
-        if (currentEndpoint && currentEndpoint.path && currentEndpoint.method) {
-            this.endpoints.push(currentEndpoint);
+
+        const loaded = await this.loadSpecFromText(input.value, { type: 'paste', label: 'pasted text' });
+        if (loaded) {
+            input.value = '';
+            this.closeSpecPasteDialog();
         }
-        
-        console.log(`Parsed ${this.endpoints.length} endpoints from OpenAPI spec`);
     }
 
-    createComprehensiveEndpoints() {
-        // Create comprehensive sample endpoints based on the Asana API
-        this.endpoints = [
-            // Access Requests
-            {
-                path: '/access_requests',
-                method: 'GET',
-                summary: 'Get access requests',
-                description: 'Returns the pending access requests for a target object or a target object filtered by user.',
-                tags: ['Access requests'],
-                operationId: 'getAccessRequests',
-                security: ['oauth2']
-            },
-            {
-                path: '/access_requests',
-                method: 'POST',
-                summary: 'Create an access request',
-                description: 'Creates an access request for the specified target object.',
-                tags: ['Access requests'],
-                operationId: 'createAccessRequest',
-                security: ['oauth2']
-            },
-            {
-                path: '/access_requests/{access_request_gid}/approve',
-                method: 'POST',
-                summary: 'Approve an access request',
-                description: 'Approves the specified access request.',
-                tags: ['Access requests'],
-                operationId: 'approveAccessRequest',
-                security: ['oauth2']
-            },
-            {
-                path: '/access_requests/{access_request_gid}/reject',
-                method: 'POST',
-                summary: 'Reject an access request',
-                description: 'Rejects the specified access request.',
-                tags: ['Access requests'],
-                operationId: 'rejectAccessRequest',
-                security: ['oauth2']
-            },
+    updateSpecStatus(message, type) {
+        const statusElement = document.getElementById('specStatus');
+        if (statusElement) {
+            if (!message) {
+                const apis = Array.from(this.apis.values());
+                const usesFallback = apis.some(api => api.source.type === 'fallback');
+                message = apis.length === 0 ? 'No spec loaded' : apis.map(api => {
+                    if (api.source.type === 'fallback') {
+                        return `⚠️ ${api.name}: using built-in sample endpoints (spec could not be loaded)`;
+                    }
+                    const loadedAt = api.source.loadedAt
+                        ? ` on ${new Date(api.source.loadedAt).toLocaleString()}`
+                        : '';
+                    return `📄 ${api.name} ${api.version ? `v${api.version}` : ''} - ${api.endpoints.length} endpoints from ${api.source.label}${loadedAt}`;
+                }).join('\n');
+                type = usesFallback ? 'error' : 'info';
+            }
 
-            // Allocations
-            {
-                path: '/allocations/{allocation_gid}',
-                method: 'GET',
-                summary: 'Get an allocation',
-                description: 'Returns the complete allocation record for a single allocation.',
-                tags: ['Allocations'],
-                operationId: 'getAllocation',
-                security: ['oauth2']
-            },
-            {
-                path: '/allocations/{allocation_gid}',
-                method: 'PUT',
-                summary: 'Update an allocation',
-                description: 'Updates the allocation and returns the updated allocation record.',
-                tags: ['Allocations'],
-                operationId: 'updateAllocation',
-                security: ['oauth2']
-            },
-            {
-                path: '/allocations/{allocation_gid}',
-                method: 'DELETE',
-                summary: 'Delete an allocation',
-                description: 'Deletes the allocation.',
-                tags: ['Allocations'],
-                operationId: 'deleteAllocation',
-                security: ['oauth2']
-            },
-            {
-                path: '/allocations',
-                method: 'GET',
-                summary: 'Get multiple allocations',
-                description: 'Returns the compact allocation records for some filtered set of allocations.',
-                tags: ['Allocations'],
-                operationId: 'getAllocations',
-                security: ['oauth2']
-            },
-            {
-                path: '/allocations',
-                method: 'POST',
-                summary: 'Create an allocation',
-                description: 'Creates a new allocation and returns the created allocation record.',
-                tags: ['Allocations'],
-                operationId: 'createAllocation',
-                security: ['oauth2']
-            },
+            statusElement.textContent = message;
+            statusElement.className = `pat-status ${type}`;
+        }
 
-            // Attachments
-            {
-                path: '/attachments/{attachment_gid}',
-                method: 'GET',
-                summary: 'Get an attachment',
-                description: 'Returns the full record for a single attachment.',
-                tags: ['Attachments'],
-                operationId: 'getAttachment',
-                security: ['oauth2']
-            },
-            {
-                path: '/attachments/{attachment_gid}',
-                method: 'DELETE',
-                summary: 'Delete an attachment',
-                description: 'Deletes a specific, existing attachment.',
-                tags: ['Attachments'],
-                operationId: 'deleteAttachment',
-                security: ['oauth2']
-            },
-            {
-                path: '/attachments',
-                method: 'GET',
-                summary: 'Get attachments from an object',
-                description: 'Returns the compact records for attachments on an object.',
-                tags: ['Attachments'],
-                operationId: 'getAttachmentsForObject',
-                security: ['oauth2']
-            },
-            {
-                path: '/attachments',
-                method: 'POST',
-                summary: 'Create an attachment',
-                description: 'Creates an attachment by uploading a file and attaching it to the specified parent.',
-                tags: ['Attachments'],
-                operationId: 'createAttachmentForObject',
-                security: ['oauth2']
-            },
+        this.renderApiList();
+    }
 
-            // Audit Log API
-            {
-                path: '/workspaces/{workspace_gid}/audit_log_events',
-                method: 'GET',
-                summary: 'Get audit log events',
-                description: 'Retrieve the audit log events that have been captured in your domain.',
-                tags: ['Audit log API'],
-                operationId: 'getAuditLogEvents',
-                security: ['oauth2']
-            },
+    // Multi-API management
+    getApiIdForSpec(spec) {
+        const title = spec?.info?.title || 'api';
+        if (/asana/i.test(title)) {
+            return this.defaultApiId;
+        }
+        return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'api';
+    }
 
-            // Batch API
-            {
-                path: '/batch',
-                method: 'POST',
-                summary: 'Submit parallel requests',
-                description: 'Make multiple API requests in parallel.',
-                tags: ['Batch API'],
-                operationId: 'createBatchRequest',
-                security: ['oauth2']
-            },
+    getBaseUrlFromServers(spec) {
+        const server = spec?.servers?.[0];
+        if (!server || !server.url) {
+            return '';
+        }
 
-            // Custom Fields
-            {
-                path: '/custom_fields/{custom_field_gid}',
-                method: 'GET',
-                summary: 'Get a custom field',
+        // Substitute server variables ({region}, {version}, ...) with their defaults
+        const url = server.url.replace(/\{([^}]+)\}/g, (match, name) => 
+            server.variables?.[name]?.default !== undefined ? server.variables[name].default : match
+        );
+
+        if (!/^https?:\/\//.test(url)) {
+            console.warn(`Server URL "${url}" is relative, configure a base URL for this API`);
+        }
+        return url.replace(/\/$/, '');
+    }
+
+    registerApi(apiId, model, source) {
+        const info = model.spec?.info || {};
+        const api = {
+            id: apiId,
+            name: apiId === this.defaultApiId ? (info.title || 'Asana') : (info.title || apiId),
+            version: info.version || '',
+            baseUrl: this.getBaseUrlFromServers(model.spec) || (apiId === this.defaultApiId ? this.baseUrl : ''),
+            spec: model.spec,
+            securitySchemes: model.securitySchemes,
+            endpoints: model.endpoints.map(endpoint => ({ ...endpoint, apiId: apiId })),
+            source: source
+        };
+
+        this.apis.set(apiId, api);
+        this.rebuildEndpointList();
+        return api;
+    }
+
+    removeApi(apiId) {
+        const api = this.apis.get(apiId);
+        if (!api) return;
+
+        const usedBySteps = this.apiSequence.filter(item => item.endpoint.apiId === apiId).length;
+        const warning = usedBySteps > 0 ? `\n\n${usedBySteps} sequence step(s) target this API and will keep their endpoint details.` : '';
+        if (!confirm(`Remove ${api.name} from the explorer?${warning}`)) {
+            return;
+        }
+
+        this.apis.delete(apiId);
+        this.deleteSpecFromCache(apiId);
+        if (this.currentApiFilter === apiId) {
+            this.currentApiFilter = 'all';
+        }
+
+        this.rebuildEndpointList();
+        this.filterAndRenderEndpoints();
+        this.updateSpecStatus();
+    }
+
+    rebuildEndpointList() {
+        this.endpoints = Array.from(this.apis.values()).flatMap(api => api.endpoints);
+
+        const defaultApi = this.apis.get(this.defaultApiId);
+        this.spec = defaultApi ? defaultApi.spec : null;
+        this.securitySchemes = defaultApi ? defaultApi.securitySchemes : {};
+
+        this.updateBranding();
+    }
+
+    getApi(apiId) {
+        return this.apis.get(apiId || this.defaultApiId) || null;
+    }
+
+    getBaseUrlForEndpoint(endpoint) {
+        const apiId = endpoint.apiId || this.defaultApiId;
+        if (this.baseUrlOverrides[apiId]) {
+            return this.baseUrlOverrides[apiId];
+        }
+
+        const api = this.getApi(apiId);
+        return api && api.baseUrl ? api.baseUrl : (apiId === this.defaultApiId ? this.baseUrl : '');
+    }
+
+    renderApiBadge(endpoint) {
+        // Only worth showing once endpoints from several APIs are mixed together
+        if (this.apis.size < 2) return '';
+        const api = this.getApi(endpoint.apiId);
+        return `<span class="api-badge">${this.escapeHTML(api ? api.name : endpoint.apiId)}</span>`;
+    }
+
+    isAsanaEndpoint(endpoint) {
+        return !endpoint.apiId || endpoint.apiId === this.defaultApiId;
+    }
+
+    updateApiBaseUrl(apiId, value) {
+        const url = value.trim().replace(/\/$/, '');
+        if (url) {
+            this.baseUrlOverrides[apiId] = url;
+        } else {
+            delete this.baseUrlOverrides[apiId];
+        }
+        this.saveBaseUrlOverrides();
+        this.renderApiList();
+    }
+
+    loadBaseUrlOverrides() {
+        try {
+            const saved = localStorage.getItem(this.baseUrlStorageKey);
+            this.baseUrlOverrides = saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.warn('Failed to load base URLs from localStorage:', error);
+            this.baseUrlOverrides = {};
+        }
+    }
+
+    saveBaseUrlOverrides() {
+        try {
+            localStorage.setItem(this.baseUrlStorageKey, JSON.stringify(this.baseUrlOverrides));
+        } catch (error) {
+            console.warn('Failed to save base URLs to localStorage:', error);
+        }
+    }
+
+    renderApiList() {
+        const container = document.getElementById('apiList');
+        if (!container) return;
+
+        container.innerHTML = Array.from(this.apis.values()).map(api => `
+            <div class="api-list-item">
+                <span class="api-badge">${this.escapeHTML(api.name)}</span>
+                <input type="text" 
+                       value="${this.escapeHTML(this.baseUrlOverrides[api.id] || api.baseUrl)}" 
+                       placeholder="Base URL (no servers block in spec)"
+                       title="Base URL for ${this.escapeHTML(api.name)}${this.baseUrlOverrides[api.id] ? ' (custom)' : ' (from spec servers)'}"
+                       onchange="explorer.updateApiBaseUrl('${api.id}', this.value)">
+                ${api.id !== this.defaultApiId ? `
+                    <button class="clear-btn" onclick="explorer.removeApi('${api.id}')" title="Remove this API">🗑️</button>
+                ` : ''}
+            </div>
+        `).join('');
+
+        // API filter options follow the loaded APIs
+        const apiFilter = document.getElementById('apiFilter');
+        if (apiFilter) {
+            apiFilter.style.display = this.apis.size > 1 ? '' : 'none';
+            apiFilter.innerHTML = `
+                <option value="all">All APIs</option>
+                ${Array.from(this.apis.values()).map(api => `
+                    <option value="${api.id}" ${this.currentApiFilter === api.id ? 'selected' : ''}>${this.escapeHTML(api.name)}</option>
+                `).join('')}
+            `;
+        }
+    }
+
+    updateBranding() {
+        const title = document.getElementById('appTitle');
+        const subtitle = document.getElementById('appSubtitle');
+        if (!title || !subtitle) return;
+
+        if (this.apis.size > 1) {
+            title.textContent = 'API Endpoints Explorer';
+            subtitle.textContent = `Explore endpoints from ${Array.from(this.apis.values()).map(api => api.name).join(', ')}`;
+        } else {
+            title.textContent = 'Asana API Endpoints';
+            subtitle.textContent = 'Explore all available endpoints from the Asana OpenAPI specification';
+        }
+    }
+
+    // Spec diffing
+    showSpecDiffDialog() {
+        document.getElementById('specDiffDialog').style.display = 'flex';
+        if (this.specDiff) {
+            this.renderSpecDiffResults(this.specDiff);
+        }
+    }
+
+    closeSpecDiffDialog() {
+        document.getElementById('specDiffDialog').style.display = 'none';
+    }
+
+    handleSpecDiffFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => this.runSpecDiff(e.target.result, file.name);
+        reader.readAsText(file);
+
+        // Clear the file input for next use
+        event.target.value = '';
+    }
+
+    compareSpecFromPaste() {
+        const input = document.getElementById('specDiffPasteInput');
+        if (!input.value.trim()) {
+            alert('Paste a spec or choose a file to compare against.');
+            return;
+        }
+        this.runSpecDiff(input.value, 'pasted spec');
+    }
+
+    runSpecDiff(specText, label) {
+        const resultsContainer = document.getElementById('specDiffResults');
+
+        let otherModel;
+        try {
+            otherModel = this.buildSpecModel(this.parseSpecText(specText));
+        } catch (error) {
+            resultsContainer.innerHTML = `<div class="error">Failed to parse ${this.escapeHTML(label)}: ${this.escapeHTML(error.message)}</div>`;
+            return;
+        }
+
+        // Compare against the loaded API with the same identity, else the API currently filtered on
+        const matchingApiId = this.getApiIdForSpec(otherModel.spec);
+        const apiId = this.apis.has(matchingApiId)
+            ? matchingApiId
+            : (this.currentApiFilter !== 'all' ? this.currentApiFilter : this.defaultApiId);
+        const api = this.getApi(apiId);
+
+        this.specDiff = this.diffSpecEndpoints(api ? api.endpoints : [], otherModel.endpoints);
+        this.specDiff.apiId = apiId;
+        this.specDiff.label = label;
+        this.specDiff.otherVersion = otherModel.spec.info?.version || '';
+
+        console.log('🔀 Spec diff:', this.specDiff);
+        this.renderSpecDiffResults(this.specDiff);
+
+        // Re-render so sequence steps pick up their removed/changed badges
+        this.renderSequence();
+    }
+
+    clearSpecDiff() {
+        this.specDiff = null;
+        document.getElementById('specDiffResults').innerHTML = '';
+        this.renderSequence();
+    }
+
+    diffSpecEndpoints(currentEndpoints, otherEndpoints) {
+        const endpointKey = endpoint => `${endpoint.method} ${endpoint.path}`;
+        const otherByKey = new Map(otherEndpoints.map(endpoint => [endpointKey(endpoint), endpoint]));
+        const currentKeys = new Set(currentEndpoints.map(endpointKey));
+
+        const diff = {
+            added: otherEndpoints.filter(endpoint => !currentKeys.has(endpointKey(endpoint))),
+            removed: [],
+            changed: [],
+            unchangedCount: 0,
+            statusByKey: new Map()
+        };
+
+        currentEndpoints.forEach(endpoint => {
+            const key = endpointKey(endpoint);
+            const otherEndpoint = otherByKey.get(key);
+
+            if (!otherEndpoint) {
+                diff.removed.push(endpoint);
+                diff.statusByKey.set(key, 'removed');
+                return;
+            }
+
+            const changes = [
+                ...this.diffEndpointParameters(endpoint.parameters || [], otherEndpoint.parameters || []),
+                ...this.diffSchemaFields('request body', endpoint.requestBody?.schema, otherEndpoint.requestBody?.schema),
+                ...this.diffSchemaFields('response', this.getSuccessResponseSchema(endpoint), this.getSuccessResponseSchema(otherEndpoint))
+            ];
+
+            if (changes.length > 0) {
+                diff.changed.push({ endpoint, changes });
+                diff.statusByKey.set(key, 'changed');
+            } else {
+                diff.unchangedCount++;
+            }
+        });
+
+        return diff;
+    }
+
+    diffEndpointParameters(currentParams, otherParams) {
+        const paramKey = param => `${param.in}:${param.name}`;
+        const otherByKey = new Map(otherParams.map(param => [paramKey(param), param]));
+        const currentKeys = new Set(currentParams.map(paramKey));
+        const changes = [];
+
+        currentParams.forEach(param => {
+            const otherParam = otherByKey.get(paramKey(param));
+            if (!otherParam) {
+                changes.push({ area: 'parameter', change: 'removed', name: `${param.in} ${param.name}` });
+                return;
+            }
+
+            const details = [];
+            if (param.required !== otherParam.required) {
+                details.push(otherParam.required ? 'now required' : 'no longer required');
+            }
+            const currentType = this.describeSchemaType(param.schema);
+            const otherType = this.describeSchemaType(otherParam.schema);
+            if (currentType !== otherType) {
+                details.push(`type ${currentType} → ${otherType}`);
+            }
+            if (details.length > 0) {
+                changes.push({ area: 'parameter', change: 'changed', name: `${param.in} ${param.name}`, detail: details.join(', ') });
+            }
+        });
+
+        otherParams
+            .filter(param => !currentKeys.has(paramKey(param)))
+            .forEach(param => {
+                changes.push({
+                    area: 'parameter',
+                    change: 'added',
+                    name: `${param.in} ${param.name}`,
+                    detail: param.required ? 'required' : ''
+                });
+            });
+
+        return changes;
+    }
+
+    diffSchemaFields(area, currentSchema, otherSchema) {
+        const currentFields = this.flattenSchemaFields(currentSchema);
+        const otherFields = this.flattenSchemaFields(otherSchema);
+        const changes = [];
+
+        currentFields.forEach((field, path) => {
+            const otherField = otherFields.get(path);
+            if (!otherField) {
+                changes.push({ area, change: 'removed', name: path });
+            } else if (field.type !== otherField.type || field.required !== otherField.required) {
+                const details = [];
+                if (field.type !== otherField.type) details.push(`type ${field.type} → ${otherField.type}`);
+                if (field.required !== otherField.required) details.push(otherField.required ? 'now required' : 'no longer required');
+                changes.push({ area, change: 'changed', name: path, detail: details.join(', ') });
+            }
+        });
+
+        otherFields.forEach((field, path) => {
+            if (!currentFields.has(path)) {
+                changes.push({ area, change: 'added', name: path, detail: field.required ? 'required' : '' });
+            }
+        });
+
+        return changes;
+    }
+
+    flattenSchemaFields(schema, prefix = '', fields = new Map(), depth = 0) {
+        if (!schema || depth > 6 || schema['x-circular-ref']) {
+            return fields;
+        }
+
+        if (schema.type === 'array' && schema.items) {
+            return this.flattenSchemaFields(schema.items, `${prefix}[]`, fields, depth + 1);
+        }
+
+        const required = schema.required || [];
+        Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+            const path = prefix ? `${prefix}.${name}` : name;
+            fields.set(path, {
+                type: this.describeSchemaType(propertySchema),
+                required: required.includes(name)
+            });
+            this.flattenSchemaFields(propertySchema, path, fields, depth + 1);
+        });
+
+        return fields;
+    }
+
+    describeSchemaType(schema) {
+        if (!schema) return 'any';
+
+        let type = schema.type || (schema.properties ? 'object' : 'any');
+        if (type === 'array') {
+            type = `array<${schema.items?.type || 'any'}>`;
+        }
+        if (schema.format) {
+            type += ` (${schema.format})`;
+        }
+        if (Array.isArray(schema.enum)) {
+            type += ` enum[${schema.enum.join('|')}]`;
+        }
+        return type;
+    }
+
+    getSpecDiffStatus(endpoint) {
+        if (!this.specDiff || (endpoint.apiId || this.defaultApiId) !== this.specDiff.apiId) return null;
+        return this.specDiff.statusByKey.get(`${endpoint.method} ${endpoint.path}`) || null;
+    }
+
+    renderSpecDiffBadge(item) {
+        const status = this.getSpecDiffStatus(item.endpoint);
+        if (!status) return '';
+
+        const color = status === 'removed' ? '#dc3545' : '#fd7e14';
+        const label = status === 'removed' ? 'REMOVED IN NEW SPEC' : 'CHANGED IN NEW SPEC';
+        return `<span style="background: ${color}; color: white; font-size: 10px; padding: 2px 6px; border-radius: 3px;" title="Compared against ${this.escapeHTML(this.specDiff.label)}">${label}</span>`;
+    }
+
+    renderSpecDiffResults(diff) {
+        const container = document.getElementById('specDiffResults');
+        const endpointLabel = endpoint => `<span class="spec-diff-endpoint">${endpoint.method} ${this.escapeHTML(endpoint.path)}</span>`;
+        const changeLabel = change => `
+            <li class="spec-diff-${change.change}">
+                ${change.change} ${change.area} <code>${this.escapeHTML(change.name)}</code>${change.detail ? ` - ${this.escapeHTML(change.detail)}` : ''}
+            </li>
+        `;
+
+        const affectedSteps = this.apiSequence
+            .map((item, index) => ({ item, index, status: this.getSpecDiffStatus(item.endpoint) }))
+            .filter(step => step.status);
+
+        container.innerHTML = `
+            <div>
+                <strong>${this.escapeHTML(this.getApi(diff.apiId)?.name || 'Current spec')}</strong> (${this.escapeHTML(this.getApi(diff.apiId)?.version || 'loaded')}) vs
+                <strong>${this.escapeHTML(diff.label)}</strong> ${diff.otherVersion ? `(${this.escapeHTML(diff.otherVersion)})` : ''}:
+                <span class="spec-diff-added">${diff.added.length} added</span>,
+                <span class="spec-diff-removed">${diff.removed.length} removed</span>,
+                <span class="spec-diff-changed">${diff.changed.length} changed</span>,
+                ${diff.unchangedCount} unchanged
+            </div>
+
+            <h4>Affected Sequence Steps</h4>
+            ${affectedSteps.length === 0 ? '<p>No steps in the current sequence are affected.</p>' : `
+                <ul>
+                    ${affectedSteps.map(step => `
+                        <li class="spec-diff-${step.status}">
+                            Step ${step.index + 1}: ${endpointLabel(step.item.endpoint)} - ${step.status}
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+
+            <h4 class="spec-diff-added">Added Endpoints (${diff.added.length})</h4>
+            <ul>${diff.added.map(endpoint => `<li>${endpointLabel(endpoint)} ${this.escapeHTML(endpoint.summary)}</li>`).join('')}</ul>
+
+            <h4 class="spec-diff-removed">Removed Endpoints (${diff.removed.length})</h4>
+            <ul>${diff.removed.map(endpoint => `<li>${endpointLabel(endpoint)} ${this.escapeHTML(endpoint.summary)}</li>`).join('')}</ul>
+
+            <h4 class="spec-diff-changed">Changed Endpoints (${diff.changed.length})</h4>
+            ${diff.changed.map(entry => `
+                <details>
+                    <summary>${endpointLabel(entry.endpoint)} - ${entry.changes.length} change${entry.changes.length !== 1 ? 's' : ''}</summary>
+                    <ul>${entry.changes.map(changeLabel).join('')}</ul>
+                </details>
+            `).join('')}
+        `;
+    }
+
+    // Spec cache (IndexedDB, specs are too large for localStorage)
+    openSpecDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.specDatabaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('specs');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async runSpecStoreRequest(mode, operation) {
+        const db = await this.openSpecDatabase();
+        try {
+            return await new Promise((resolve, reject) => {
+                const request = operation(db.transaction('specs', mode).objectStore('specs'));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    async saveSpecToCache(apiId, specText, source) {
+        try {
+            await this.runSpecStoreRequest('readwrite', store => store.put({
+                text: specText,
+                source: { ...source, loadedAt: source.loadedAt || new Date().toISOString() }
+            }, apiId));
+        } catch (error) {
+            console.warn('Failed to cache OpenAPI spec in IndexedDB:', error);
+        }
+    }
+
+    async loadSpecsFromCache() {
+        try {
+            return await this.runSpecStoreRequest('readonly', store => store.getAll()) || [];
+        } catch (error) {
+            console.warn('Failed to read cached OpenAPI specs from IndexedDB:', error);
+            return [];
+        }
+    }
+
+    async deleteSpecFromCache(apiId) {
+        try {
+            await this.runSpecStoreRequest('readwrite', store => store.delete(apiId));
+        } catch (error) {
+            console.warn('Failed to remove cached OpenAPI spec from IndexedDB:', error);
+        }
+    }
+
+    async clearCachedSpec() {
+        if (!confirm('Remove all cached OpenAPI specs? The next page load will fetch the Asana spec from GitHub again.')) {
+            return;
+        }
+
+        try {
+            await this.runSpecStoreRequest('readwrite', store => store.clear());
+            this.updateSpecStatus('Cached specs removed - reload the page or load a new spec', 'info');
+        } catch (error) {
+            this.updateSpecStatus(`❌ Failed to clear cached spec: ${error.message}`, 'error');
+        }
+    }
+
+    parseYAMLSpec(yamlText, source = { type: 'remote', label: 'GitHub (Asana/openapi master)' }) {
+        return this.loadOpenAPIDocument(this.parseSpecText(yamlText), source);
+    }
+
+    parseSpecText(specText) {
+        // Parse the document as JSON first (cheap), then fall back to YAML via js-yaml
+        const trimmed = specText.trim();
+        if (trimmed.startsWith('{')) {
+            return JSON.parse(trimmed);
+        }
+
+        if (typeof jsyaml === 'undefined') {
+            throw new Error('YAML parser (js-yaml) is not available');
+        }
+        return jsyaml.load(specText);
+    }
+
+    loadOpenAPIDocument(spec, source, apiId = source.apiId || this.getApiIdForSpec(spec)) {
+        // Loading a spec with the same API id replaces that API, anything else is added side by side
+        const api = this.registerApi(apiId, this.buildSpecModel(spec), source);
+        console.log(`Parsed ${api.endpoints.length} endpoints from OpenAPI spec for ${api.name}`);
+        return api;
+    }
+
+    buildSpecModel(spec) {
+        if (!spec || typeof spec !== 'object' || !spec.paths) {
+            throw new Error('Invalid OpenAPI document: missing paths section');
+        }
+
+        if (spec.openapi && !String(spec.openapi).startsWith('3.')) {
+            console.warn(`OpenAPI version ${spec.openapi} is not 3.x, parsing may be incomplete`);
+        }
+
+        // Resolved $ref targets are cached per document, keyed by JSON pointer
+        const context = { spec: spec, refCache: new Map() };
+        const httpMethods = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+        const endpoints = [];
+
+        Object.entries(spec.paths).forEach(([path, rawPathItem]) => {
+            const pathItem = this.dereference(rawPathItem, context);
+            const pathLevelParameters = pathItem.parameters || [];
+
+            httpMethods.forEach(method => {
+                const operation = pathItem[method];
+                if (!operation) return;
+
+                endpoints.push({
+                    path: path,
+                    method: method.toUpperCase(),
+                    summary: operation.summary || '',
+                    description: operation.description || '',
+                    tags: operation.tags || [],
+                    operationId: operation.operationId || '',
+                    security: this.getSecuritySchemeNames(operation.security || spec.security || []),
+                    securityScopes: this.getSecurityScopes(operation.security || spec.security || []),
+                    parameters: this.mergeParameters(pathLevelParameters, operation.parameters || []),
+                    requestBody: this.extractRequestBody(operation.requestBody),
+                    responses: this.extractResponses(operation.responses || {})
+                });
+            });
+        });
+
+        return {
+            spec: spec,
+            securitySchemes: this.dereference(spec.components?.securitySchemes || {}, context),
+            endpoints: endpoints
+        };
+    }
+
+    resolveRef(ref, document) {
+        // Only local JSON pointers (#/components/...) are supported
+        if (!ref.startsWith('#/')) {
+            console.warn(`Unsupported external $ref: ${ref}`);
+            return null;
+        }
+
+        return ref.slice(2).split('/').reduce((node, segment) => {
+            const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+            return node ? node[key] : undefined;
+        }, document);
+    }
+
+    dereference(node, context, refStack = []) {
+        if (Array.isArray(node)) {
+            return node.map(child => this.dereference(child, context, refStack));
+        }
+
+        if (!node || typeof node !== 'object') {
+            return node;
+        }
+
+        if (typeof node.$ref === 'string') {
+            const ref = node.$ref;
+
+            if (context.refCache.has(ref)) {
+                return context.refCache.get(ref);
+            }
+
+            // Recursive schemas (e.g. a task's parent task) are cut off with a marker
+            if (refStack.includes(ref)) {
+                return { type: 'object', 'x-circular-ref': ref };
+            }
+
+            const target = this.resolveRef(ref, context.spec);
+            if (target === undefined || target === null) {
+                console.warn(`Unresolved $ref: ${ref}`);
+                return { 'x-unresolved-ref': ref };
+            }
+
+            const resolved = this.dereference(target, context, [...refStack, ref]);
+            if (resolved && typeof resolved === 'object' && !Array.isArray(resolved)) {
+                resolved['x-ref-name'] = resolved['x-ref-name'] || ref.split('/').pop();
+            }
+
+            context.refCache.set(ref, resolved);
+            return resolved;
+        }
+
+        const result = {};
+        Object.entries(node).forEach(([key, value]) => {
+            result[key] = this.dereference(value, context, refStack);
+        });
+
+        return result.allOf ? this.mergeAllOf(result) : result;
+    }
+
+    mergeAllOf(schema) {
+        // Flatten allOf compositions into a single object schema so forms and validators see all properties
+        const { allOf, ...rest } = schema;
+        const merged = { ...rest };
+
+        allOf.forEach(part => {
+            const flattened = part.allOf ? this.mergeAllOf(part) : part;
+            Object.entries(flattened).forEach(([key, value]) => {
+                if (key === 'properties') {
+                    merged.properties = { ...(merged.properties || {}), ...value };
+                } else if (key === 'required') {
+                    merged.required = [...new Set([...(merged.required || []), ...value])];
+                } else if (merged[key] === undefined && key !== 'x-ref-name') {
+                    merged[key] = value;
+                }
+            });
+        });
+
+        if (merged.properties && !merged.type) {
+            merged.type = 'object';
+        }
+
+        return merged;
+    }
+
+    mergeParameters(pathLevelParameters, operationParameters) {
+        // Operation-level parameters override path-level ones with the same name and location
+        const parameters = new Map();
+
+        [...pathLevelParameters, ...operationParameters].forEach(param => {
+            if (!param || !param.name) return;
+            parameters.set(`${param.in}:${param.name}`, {
+                name: param.name,
+                in: param.in,
+                required: param.in === 'path' ? true : !!param.required,
+                description: param.description || '',
+                schema: param.schema || {},
+                example: param.example
+            });
+        });
+
+        return Array.from(parameters.values());
+    }
+
+    extractRequestBody(requestBody) {
+        if (!requestBody || !requestBody.content) {
+            return null;
+        }
+
+        const contentType = requestBody.content['application/json']
+            ? 'application/json'
+            : Object.keys(requestBody.content)[0];
+
+        return {
+            required: !!requestBody.required,
+            description: requestBody.description || '',
+            contentType: contentType,
+            schema: requestBody.content[contentType]?.schema || null
+        };
+    }
+
+    extractResponses(responses) {
+        const extracted = {};
+
+        Object.entries(responses).forEach(([status, response]) => {
+            const content = response.content || {};
+            const contentType = content['application/json']
+                ? 'application/json'
+                : Object.keys(content)[0];
+
+            extracted[status] = {
+                description: response.description || '',
+                contentType: contentType || null,
+                schema: contentType ? content[contentType].schema || null : null
+            };
+        });
+
+        return extracted;
+    }
+
+    getSecuritySchemeNames(securityRequirements) {
+        // Security requirements are [{ schemeName: [scopes] }], flatten to scheme names
+        return [...new Set(securityRequirements.flatMap(requirement => Object.keys(requirement)))];
+    }
+
+    getSecurityScopes(securityRequirements) {
+        // Scopes per scheme name, used to request only the OAuth grants a sequence needs
+        const scopes = {};
+        securityRequirements.forEach(requirement => {
+            Object.entries(requirement).forEach(([schemeName, schemeScopes]) => {
+                scopes[schemeName] = [...new Set([...(scopes[schemeName] || []), ...(schemeScopes || [])])];
+            });
+        });
+        return scopes;
+    }
+
+    createComprehensiveEndpoints() {
+        // Create comprehensive sample endpoints based on the Asana API
+        this.endpoints = [
+            // Access Requests
+            {
+                path: '/access_requests',
+                method: 'GET',
+                summary: 'Get access requests',
+                description: 'Returns the pending access requests for a target object or a target object filtered by user.',
+                tags: ['Access requests'],
+                operationId: 'getAccessRequests',
+                security: ['oauth2']
+            },
+            {
+                path: '/access_requests',
+                method: 'POST',
+                summary: 'Create an access request',
+                description: 'Creates an access request for the specified target object.',
+                tags: ['Access requests'],
+                operationId: 'createAccessRequest',
+                security: ['oauth2']
+            },
+            {
+                path: '/access_requests/{access_request_gid}/approve',
+                method: 'POST',
+                summary: 'Approve an access request',
+                description: 'Approves the specified access request.',
+                tags: ['Access requests'],
+                operationId: 'approveAccessRequest',
+                security: ['oauth2']
+            },
+            {
+                path: '/access_requests/{access_request_gid}/reject',
+                method: 'POST',
+                summary: 'Reject an access request',
+                description: 'Rejects the specified access request.',
+                tags: ['Access requests'],
+                operationId: 'rejectAccessRequest',
+                security: ['oauth2']
+            },
+
+            // Allocations
+            {
+                path: '/allocations/{allocation_gid}',
+                method: 'GET',
+                summary: 'Get an allocation',
+                description: 'Returns the complete allocation record for a single allocation.',
+                tags: ['Allocations'],
+                operationId: 'getAllocation',
+                security: ['oauth2']
+            },
+            {
+                path: '/allocations/{allocation_gid}',
+                method: 'PUT',
+                summary: 'Update an allocation',
+                description: 'Updates the allocation and returns the updated allocation record.',
+                tags: ['Allocations'],
+                operationId: 'updateAllocation',
+                security: ['oauth2']
+            },
+            {
+                path: '/allocations/{allocation_gid}',
+                method: 'DELETE',
+                summary: 'Delete an allocation',
+                description: 'Deletes the allocation.',
+                tags: ['Allocations'],
+                operationId: 'deleteAllocation',
+                security: ['oauth2']
+            },
+            {
+                path: '/allocations',
+                method: 'GET',
+                summary: 'Get multiple allocations',
+                description: 'Returns the compact allocation records for some filtered set of allocations.',
+                tags: ['Allocations'],
+                operationId: 'getAllocations',
+                security: ['oauth2']
+            },
+            {
+                path: '/allocations',
+                method: 'POST',
+                summary: 'Create an allocation',
+                description: 'Creates a new allocation and returns the created allocation record.',
+                tags: ['Allocations'],
+                operationId: 'createAllocation',
+                security: ['oauth2']
+            },
+
+            // Attachments
+            {
+                path: '/attachments/{attachment_gid}',
+                method: 'GET',
+                summary: 'Get an attachment',
+                description: 'Returns the full record for a single attachment.',
+                tags: ['Attachments'],
+                operationId: 'getAttachment',
+                security: ['oauth2']
+            },
+            {
+                path: '/attachments/{attachment_gid}',
+                method: 'DELETE',
+                summary: 'Delete an attachment',
+                description: 'Deletes a specific, existing attachment.',
+                tags: ['Attachments'],
+                operationId: 'deleteAttachment',
+                security: ['oauth2']
+            },
+            {
+                path: '/attachments',
+                method: 'GET',
+                summary: 'Get attachments from an object',
+                description: 'Returns the compact records for attachments on an object.',
+                tags: ['Attachments'],
+                operationId: 'getAttachmentsForObject',
+                security: ['oauth2']
+            },
+            {
+                path: '/attachments',
+                method: 'POST',
+                summary: 'Create an attachment',
+                description: 'Creates an attachment by uploading a file and attaching it to the specified parent.',
+                tags: ['Attachments'],
+                operationId: 'createAttachmentForObject',
+                security: ['oauth2']
+            },
+
+            // Audit Log API
+            {
+                path: '/workspaces/{workspace_gid}/audit_log_events',
+                method: 'GET',
+                summary: 'Get audit log events',
+                description: 'Retrieve the audit log events that have been captured in your domain.',
+                tags: ['Audit log API'],
+                operationId: 'getAuditLogEvents',
+                security: ['oauth2']
+            },
+
+            // Batch API
+            {
+                path: '/batch',
+                method: 'POST',
+                summary: 'Submit parallel requests',
+                description: 'Make multiple API requests in parallel.',
+                tags: ['Batch API'],
+                operationId: 'createBatchRequest',
+                security: ['oauth2']
+            },
+
+            // Custom Fields
+            {
+                path: '/custom_fields/{custom_field_gid}',
+                method: 'GET',
+                summary: 'Get a custom field',
                 description: 'Returns the complete definition of a custom field\'s metadata.',
                 tags: ['Custom fields'],
                 operationId: 'getCustomField',
                 security: ['oauth2']
             },
             {
-                path: '/custom_fields/{custom_field_gid}',
-                method: 'PUT',
-                summary: 'Update a custom field',
-                description: 'Updates a custom field\'s metadata and returns the updated custom field.',
-                tags: ['Custom fields'],
-                operationId: 'updateCustomField',
+                path: '/custom_fields/{custom_field_gid}',
+                method: 'PUT',
+                summary: 'Update a custom field',
+                description: 'Updates a custom field\'s metadata and returns the updated custom field.',
+                tags: ['Custom fields'],
+                operationId: 'updateCustomField',
+                security: ['oauth2']
+            },
+            {
+                path: '/custom_fields/{custom_field_gid}',
+                method: 'DELETE',
+                summary: 'Delete a custom field',
+                description: 'A specific, existing custom field can be deleted by making a DELETE request.',
+                tags: ['Custom fields'],
+                operationId: 'deleteCustomField',
+                security: ['oauth2']
+            },
+            {
+                path: '/custom_fields',
+                method: 'GET',
+                summary: 'Get multiple custom fields',
+                description: 'Returns a list of the compact representation of all of the custom fields in a workspace.',
+                tags: ['Custom fields'],
+                operationId: 'getCustomFields',
+                security: ['oauth2']
+            },
+            {
+                path: '/custom_fields',
+                method: 'POST',
+                summary: 'Create a custom field',
+                description: 'Creates a new custom field in a workspace.',
+                tags: ['Custom fields'],
+                operationId: 'createCustomField',
+                security: ['oauth2']
+            },
+
+            // Events
+            {
+                path: '/events',
+                method: 'GET',
+                summary: 'Get events on a resource',
+                description: 'Returns the full record for all events that have occurred since the sync token was created.',
+                tags: ['Events'],
+                operationId: 'getEvents',
+                security: ['oauth2']
+            },
+
+            // Goals
+            {
+                path: '/goals/{goal_gid}',
+                method: 'GET',
+                summary: 'Get a goal',
+                description: 'Returns the complete goal record for a single goal.',
+                tags: ['Goals'],
+                operationId: 'getGoal',
+                security: ['oauth2']
+            },
+            {
+                path: '/goals/{goal_gid}',
+                method: 'PUT',
+                summary: 'Update a goal',
+                description: 'Updates the goal and returns the updated goal record.',
+                tags: ['Goals'],
+                operationId: 'updateGoal',
+                security: ['oauth2']
+            },
+            {
+                path: '/goals/{goal_gid}',
+                method: 'DELETE',
+                summary: 'Delete a goal',
+                description: 'Deletes the goal.',
+                tags: ['Goals'],
+                operationId: 'deleteGoal',
+                security: ['oauth2']
+            },
+
+            // Jobs
+            {
+                path: '/jobs/{job_gid}',
+                method: 'GET',
+                summary: 'Get a job by id',
+                description: 'Returns the full record for a job.',
+                tags: ['Jobs'],
+                operationId: 'getJob',
+                security: ['oauth2']
+            },
+
+            // Memberships
+            {
+                path: '/memberships',
+                method: 'GET',
+                summary: 'Get multiple memberships',
+                description: 'Returns the compact membership records for the project or team.',
+                tags: ['Memberships'],
+                operationId: 'getMemberships',
+                security: ['oauth2']
+            },
+            {
+                path: '/memberships',
+                method: 'POST',
+                summary: 'Create a membership',
+                description: 'Creates a new membership and returns the membership record.',
+                tags: ['Memberships'],
+                operationId: 'createMembership',
+                security: ['oauth2']
+            },
+            {
+                path: '/memberships/{membership_gid}',
+                method: 'GET',
+                summary: 'Get a membership',
+                description: 'Returns the complete membership record for a single membership.',
+                tags: ['Memberships'],
+                operationId: 'getMembership',
+                security: ['oauth2']
+            },
+            {
+                path: '/memberships/{membership_gid}',
+                method: 'PUT',
+                summary: 'Update a membership',
+                description: 'Updates the membership and returns the updated membership record.',
+                tags: ['Memberships'],
+                operationId: 'updateMembership',
+                security: ['oauth2']
+            },
+            {
+                path: '/memberships/{membership_gid}',
+                method: 'DELETE',
+                summary: 'Delete a membership',
+                description: 'Deletes the membership.',
+                tags: ['Memberships'],
+                operationId: 'deleteMembership',
+                security: ['oauth2']
+            },
+
+            // Portfolios
+            {
+                path: '/portfolios',
+                method: 'GET',
+                summary: 'Get multiple portfolios',
+                description: 'Returns a list of the portfolios in compact representation that are owned by the current API user.',
+                tags: ['Portfolios'],
+                operationId: 'getPortfolios',
+                security: ['oauth2']
+            },
+            {
+                path: '/portfolios',
+                method: 'POST',
+                summary: 'Create a portfolio',
+                description: 'Creates a new portfolio and returns the created portfolio record.',
+                tags: ['Portfolios'],
+                operationId: 'createPortfolio',
+                security: ['oauth2']
+            },
+            {
+                path: '/portfolios/{portfolio_gid}',
+                method: 'GET',
+                summary: 'Get a portfolio',
+                description: 'Returns the complete portfolio record for a single portfolio.',
+                tags: ['Portfolios'],
+                operationId: 'getPortfolio',
+                security: ['oauth2']
+            },
+            {
+                path: '/portfolios/{portfolio_gid}',
+                method: 'PUT',
+                summary: 'Update a portfolio',
+                description: 'Updates the portfolio and returns the updated portfolio record.',
+                tags: ['Portfolios'],
+                operationId: 'updatePortfolio',
+                security: ['oauth2']
+            },
+            {
+                path: '/portfolios/{portfolio_gid}',
+                method: 'DELETE',
+                summary: 'Delete a portfolio',
+                description: 'Deletes the portfolio.',
+                tags: ['Portfolios'],
+                operationId: 'deletePortfolio',
+                security: ['oauth2']
+            },
+
+            // Projects
+            {
+                path: '/projects',
+                method: 'GET',
+                summary: 'Get multiple projects',
+                description: 'Returns the compact project records for some filtered set of projects.',
+                tags: ['Projects'],
+                operationId: 'getProjects',
+                security: ['oauth2']
+            },
+            {
+                path: '/projects',
+                method: 'POST',
+                summary: 'Create a project',
+                description: 'Creates a new project and returns the created project record.',
+                tags: ['Projects'],
+                operationId: 'createProject',
+                security: ['oauth2']
+            },
+            {
+                path: '/projects/{project_gid}',
+                method: 'GET',
+                summary: 'Get a project',
+                description: 'Returns the complete project record for a single project.',
+                tags: ['Projects'],
+                operationId: 'getProject',
+                security: ['oauth2']
+            },
+            {
+                path: '/projects/{project_gid}',
+                method: 'PUT',
+                summary: 'Update a project',
+                description: 'Updates the project and returns the updated project record.',
+                tags: ['Projects'],
+                operationId: 'updateProject',
+                security: ['oauth2']
+            },
+            {
+                path: '/projects/{project_gid}',
+                method: 'DELETE',
+                summary: 'Delete a project',
+                description: 'Deletes the project.',
+                tags: ['Projects'],
+                operationId: 'deleteProject',
+                security: ['oauth2']
+            },
+
+            // Tasks
+            {
+                path: '/tasks',
+                method: 'GET',
+                summary: 'Get multiple tasks',
+                description: 'Returns the compact task records for some filtered set of tasks.',
+                tags: ['Tasks'],
+                operationId: 'getTasks',
+                security: ['oauth2']
+            },
+            {
+                path: '/tasks',
+                method: 'POST',
+                summary: 'Create a task',
+                description: 'Creates a new task and returns the created task record.',
+                tags: ['Tasks'],
+                operationId: 'createTask',
+                security: ['oauth2']
+            },
+            {
+                path: '/tasks/{task_gid}',
+                method: 'GET',
+                summary: 'Get a task',
+                description: 'Returns the complete task record for a single task.',
+                tags: ['Tasks'],
+                operationId: 'getTask',
+                security: ['oauth2']
+            },
+            {
+                path: '/tasks/{task_gid}',
+                method: 'PUT',
+                summary: 'Update a task',
+                description: 'Updates the task and returns the updated task record.',
+                tags: ['Tasks'],
+                operationId: 'updateTask',
+                security: ['oauth2']
+            },
+            {
+                path: '/tasks/{task_gid}',
+                method: 'DELETE',
+                summary: 'Delete a task',
+                description: 'Deletes the task.',
+                tags: ['Tasks'],
+                operationId: 'deleteTask',
+                security: ['oauth2']
+            },
+
+            // Teams
+            {
+                path: '/teams',
+                method: 'GET',
+                summary: 'Get teams in an organization',
+                description: 'Returns the compact records for all teams in the organization visible to the requesting user.',
+                tags: ['Teams'],
+                operationId: 'getTeams',
+                security: ['oauth2']
+            },
+            {
+                path: '/teams/{team_gid}',
+                method: 'GET',
+                summary: 'Get a team',
+                description: 'Returns the complete team record for a single team.',
+                tags: ['Teams'],
+                operationId: 'getTeam',
+                security: ['oauth2']
+            },
+
+            // Users
+            {
+                path: '/users',
+                method: 'GET',
+                summary: 'Get multiple users',
+                description: 'Returns the user records for all users in all workspaces and organizations accessible to the authenticated user.',
+                tags: ['Users'],
+                operationId: 'getUsers',
+                security: ['oauth2']
+            },
+            {
+                path: '/users/{user_gid}',
+                method: 'GET',
+                summary: 'Get a user',
+                description: 'Returns the complete user record for a single user.',
+                tags: ['Users'],
+                operationId: 'getUser',
+                security: ['oauth2']
+            },
+            {
+                path: '/users/me',
+                method: 'GET',
+                summary: 'Get current user',
+                description: 'Returns the complete user record for the currently authenticated user.',
+                tags: ['Users'],
+                operationId: 'getMe',
+                security: ['oauth2']
+            },
+
+            // Workspaces
+            {
+                path: '/workspaces',
+                method: 'GET',
+                summary: 'Get multiple workspaces',
+                description: 'Returns the compact records for all workspaces visible to the authenticated user.',
+                tags: ['Workspaces'],
+                operationId: 'getWorkspaces',
+                security: ['oauth2']
+            },
+            {
+                path: '/workspaces/{workspace_gid}',
+                method: 'GET',
+                summary: 'Get a workspace',
+                description: 'Returns the complete workspace record for a single workspace.',
+                tags: ['Workspaces'],
+                operationId: 'getWorkspace',
+                security: ['oauth2']
+            },
+            {
+                path: '/workspaces/{workspace_gid}',
+                method: 'PUT',
+                summary: 'Update a workspace',
+                description: 'Updates the workspace and returns the updated workspace record.',
+                tags: ['Workspaces'],
+                operationId: 'updateWorkspace',
+                security: ['oauth2']
+            },
+
+            // Webhooks
+            {
+                path: '/webhooks',
+                method: 'GET',
+                summary: 'Get multiple webhooks',
+                description: 'Returns the compact representation of all webhooks your app has registered for the authenticated user.',
+                tags: ['Webhooks'],
+                operationId: 'getWebhooks',
+                security: ['oauth2']
+            },
+            {
+                path: '/webhooks',
+                method: 'POST',
+                summary: 'Establish a webhook',
+                description: 'Establishing a webhook is a two-part process.',
+                tags: ['Webhooks'],
+                operationId: 'createWebhook',
+                security: ['oauth2']
+            },
+            {
+                path: '/webhooks/{webhook_gid}',
+                method: 'GET',
+                summary: 'Get a webhook',
+                description: 'Returns the full record for the given webhook.',
+                tags: ['Webhooks'],
+                operationId: 'getWebhook',
+                security: ['oauth2']
+            },
+            {
+                path: '/webhooks/{webhook_gid}',
+                method: 'PUT',
+                summary: 'Update a webhook',
+                description: 'Updates the webhook and returns the updated webhook record.',
+                tags: ['Webhooks'],
+                operationId: 'updateWebhook',
+                security: ['oauth2']
+            },
+            {
+                path: '/webhooks/{webhook_gid}',
+                method: 'DELETE',
+                summary: 'Delete a webhook',
+                description: 'Deletes the webhook.',
+                tags: ['Webhooks'],
+                operationId: 'deleteWebhook',
+                security: ['oauth2']
+            },
+
+            // Additional comprehensive endpoints
+            
+            // Stories
+            {
+                path: '/stories/{story_gid}',
+                method: 'GET',
+                summary: 'Get a story',
+                description: 'Returns the full record for a single story.',
+                tags: ['Stories'],
+                operationId: 'getStory',
+                security: ['oauth2']
+            },
+            {
+                path: '/stories/{story_gid}',
+                method: 'PUT',
+                summary: 'Update a story',
+                description: 'Updates the story and returns the complete updated story record.',
+                tags: ['Stories'],
+                operationId: 'updateStory',
+                security: ['oauth2']
+            },
+            {
+                path: '/stories/{story_gid}',
+                method: 'DELETE',
+                summary: 'Delete a story',
+                description: 'Deletes the story.',
+                tags: ['Stories'],
+                operationId: 'deleteStory',
+                security: ['oauth2']
+            },
+
+            // Sections
+            {
+                path: '/sections',
+                method: 'POST',
+                summary: 'Create a section',
+                description: 'Creates a new section and returns the created section record.',
+                tags: ['Sections'],
+                operationId: 'createSection',
+                security: ['oauth2']
+            },
+            {
+                path: '/sections/{section_gid}',
+                method: 'GET',
+                summary: 'Get a section',
+                description: 'Returns the complete section record for a single section.',
+                tags: ['Sections'],
+                operationId: 'getSection',
+                security: ['oauth2']
+            },
+            {
+                path: '/sections/{section_gid}',
+                method: 'PUT',
+                summary: 'Update a section',
+                description: 'Updates the section and returns the updated section record.',
+                tags: ['Sections'],
+                operationId: 'updateSection',
+                security: ['oauth2']
+            },
+            {
+                path: '/sections/{section_gid}',
+                method: 'DELETE',
+                summary: 'Delete a section',
+                description: 'Deletes the section.',
+                tags: ['Sections'],
+                operationId: 'deleteSection',
+                security: ['oauth2']
+            },
+            {
+                path: '/projects/{project_gid}/sections',
+                method: 'GET',
+                summary: 'Get sections in a project',
+                description: 'Returns the compact records for all sections in the specified project.',
+                tags: ['Sections'],
+                operationId: 'getSectionsForProject',
+                security: ['oauth2']
+            },
+
+            // Task Dependencies
+            {
+                path: '/tasks/{task_gid}/dependencies',
+                method: 'GET',
+                summary: 'Get dependencies from a task',
+                description: 'Returns the dependencies of a task.',
+                tags: ['Tasks', 'Dependencies'],
+                operationId: 'getDependenciesForTask',
+                security: ['oauth2']
+            },
+            {
+                path: '/tasks/{task_gid}/dependents',
+                method: 'GET',
+                summary: 'Get dependents from a task',
+                description: 'Returns the dependents of a task.',
+                tags: ['Tasks', 'Dependencies'],
+                operationId: 'getDependentsForTask',
+                security: ['oauth2']
+            },
+            {
+                path: '/tasks/{task_gid}/addDependencies',
+                method: 'POST',
+                summary: 'Set dependencies for a task',
+                description: 'Marks a set of tasks as dependencies of this task.',
+                tags: ['Tasks', 'Dependencies'],
+                operationId: 'addDependenciesForTask',
+                security: ['oauth2']
+            },
+            {
+                path: '/tasks/{task_gid}/removeDependencies',
+                method: 'POST',
+                summary: 'Unlink dependencies from a task',
+                description: 'Unlinks a set of dependencies from this task.',
+                tags: ['Tasks', 'Dependencies'],
+                operationId: 'removeDependenciesForTask',
+                security: ['oauth2']
+            },
+
+            // Task Followers
+            {
+                path: '/tasks/{task_gid}/addFollowers',
+                method: 'POST',
+                summary: 'Add followers to a task',
+                description: 'Adds followers to a task.',
+                tags: ['Tasks', 'Followers'],
+                operationId: 'addFollowersForTask',
+                security: ['oauth2']
+            },
+            {
+                path: '/tasks/{task_gid}/removeFollowers',
+                method: 'POST',
+                summary: 'Remove followers from a task',
+                description: 'Removes followers from a task.',
+                tags: ['Tasks', 'Followers'],
+                operationId: 'removeFollowersForTask',
+                security: ['oauth2']
+            },
+
+            // Task Projects
+            {
+                path: '/tasks/{task_gid}/addProject',
+                method: 'POST',
+                summary: 'Add a project to a task',
+                description: 'Adds the task to the specified project.',
+                tags: ['Tasks', 'Projects'],
+                operationId: 'addProjectForTask',
+                security: ['oauth2']
+            },
+            {
+                path: '/tasks/{task_gid}/removeProject',
+                method: 'POST',
+                summary: 'Remove a project from a task',
+                description: 'Removes the task from the specified project.',
+                tags: ['Tasks', 'Projects'],
+                operationId: 'removeProjectForTask',
+                security: ['oauth2']
+            },
+
+            // Subtasks
+            {
+                path: '/tasks/{task_gid}/subtasks',
+                method: 'GET',
+                summary: 'Get subtasks from a task',
+                description: 'Returns a compact representation of all the subtasks of a task.',
+                tags: ['Tasks', 'Subtasks'],
+                operationId: 'getSubtasksForTask',
+                security: ['oauth2']
+            },
+            {
+                path: '/tasks/{task_gid}/subtasks',
+                method: 'POST',
+                summary: 'Create a subtask',
+                description: 'Creates a new subtask and adds it to the parent task.',
+                tags: ['Tasks', 'Subtasks'],
+                operationId: 'createSubtaskForTask',
+                security: ['oauth2']
+            },
+
+            // Time Tracking
+            {
+                path: '/tasks/{task_gid}/time_tracking_entries',
+                method: 'GET',
+                summary: 'Get time tracking entries from a task',
+                description: 'Returns time tracking entries from a task.',
+                tags: ['Time tracking entries'],
+                operationId: 'getTimeTrackingEntriesForTask',
+                security: ['oauth2']
+            },
+            {
+                path: '/tasks/{task_gid}/time_tracking_entries',
+                method: 'POST',
+                summary: 'Create a time tracking entry',
+                description: 'Creates a time tracking entry on a task.',
+                tags: ['Time tracking entries'],
+                operationId: 'createTimeTrackingEntry',
+                security: ['oauth2']
+            },
+            {
+                path: '/time_tracking_entries/{time_tracking_entry_gid}',
+                method: 'GET',
+                summary: 'Get a time tracking entry',
+                description: 'Returns the complete time tracking entry record for a single time tracking entry.',
+                tags: ['Time tracking entries'],
+                operationId: 'getTimeTrackingEntry',
+                security: ['oauth2']
+            },
+            {
+                path: '/time_tracking_entries/{time_tracking_entry_gid}',
+                method: 'PUT',
+                summary: 'Update a time tracking entry',
+                description: 'Updates the time tracking entry and returns the updated record.',
+                tags: ['Time tracking entries'],
+                operationId: 'updateTimeTrackingEntry',
+                security: ['oauth2']
+            },
+            {
+                path: '/time_tracking_entries/{time_tracking_entry_gid}',
+                method: 'DELETE',
+                summary: 'Delete a time tracking entry',
+                description: 'Deletes the time tracking entry.',
+                tags: ['Time tracking entries'],
+                operationId: 'deleteTimeTrackingEntry',
+                security: ['oauth2']
+            },
+
+            // Status Updates
+            {
+                path: '/status_updates',
+                method: 'POST',
+                summary: 'Create a status update',
+                description: 'Creates a new status update and returns the created status update record.',
+                tags: ['Status updates'],
+                operationId: 'createStatusUpdate',
+                security: ['oauth2']
+            },
+            {
+                path: '/status_updates/{status_update_gid}',
+                method: 'GET',
+                summary: 'Get a status update',
+                description: 'Returns the complete status update record for a single status update.',
+                tags: ['Status updates'],
+                operationId: 'getStatusUpdate',
+                security: ['oauth2']
+            },
+            {
+                path: '/status_updates/{status_update_gid}',
+                method: 'PUT',
+                summary: 'Update a status update',
+                description: 'Updates the status update and returns the updated status update record.',
+                tags: ['Status updates'],
+                operationId: 'updateStatusUpdate',
+                security: ['oauth2']
+            },
+            {
+                path: '/status_updates/{status_update_gid}',
+                method: 'DELETE',
+                summary: 'Delete a status update',
+                description: 'Deletes the status update.',
+                tags: ['Status updates'],
+                operationId: 'deleteStatusUpdate',
+                security: ['oauth2']
+            },
+
+            // Tags
+            {
+                path: '/tags',
+                method: 'GET',
+                summary: 'Get multiple tags',
+                description: 'Returns the compact tag records for some filtered set of tags.',
+                tags: ['Tags'],
+                operationId: 'getTags',
+                security: ['oauth2']
+            },
+            {
+                path: '/tags',
+                method: 'POST',
+                summary: 'Create a tag',
+                description: 'Creates a new tag and returns the created tag record.',
+                tags: ['Tags'],
+                operationId: 'createTag',
+                security: ['oauth2']
+            },
+            {
+                path: '/tags/{tag_gid}',
+                method: 'GET',
+                summary: 'Get a tag',
+                description: 'Returns the complete tag record for a single tag.',
+                tags: ['Tags'],
+                operationId: 'getTag',
+                security: ['oauth2']
+            },
+            {
+                path: '/tags/{tag_gid}',
+                method: 'PUT',
+                summary: 'Update a tag',
+                description: 'Updates the tag and returns the updated tag record.',
+                tags: ['Tags'],
+                operationId: 'updateTag',
+                security: ['oauth2']
+            },
+            {
+                path: '/tags/{tag_gid}',
+                method: 'DELETE',
+                summary: 'Delete a tag',
+                description: 'Deletes the tag.',
+                tags: ['Tags'],
+                operationId: 'deleteTag',
+                security: ['oauth2']
+            },
+
+            // Typeahead
+            {
+                path: '/workspaces/{workspace_gid}/typeahead',
+                method: 'GET',
+                summary: 'Get objects via typeahead',
+                description: 'Retrieves objects in the workspace based on an auto-completion/typeahead search algorithm.',
+                tags: ['Typeahead'],
+                operationId: 'typeaheadForWorkspace',
+                security: ['oauth2']
+            },
+
+            // Organization Exports
+            {
+                path: '/organization_exports',
+                method: 'POST',
+                summary: 'Create an organization export',
+                description: 'Creates an organization export request and returns the created organization export record.',
+                tags: ['Organization exports'],
+                operationId: 'createOrganizationExport',
+                security: ['oauth2']
+            },
+            {
+                path: '/organization_exports/{organization_export_gid}',
+                method: 'GET',
+                summary: 'Get details on an organization export',
+                description: 'Returns details of a previously-requested organization export.',
+                tags: ['Organization exports'],
+                operationId: 'getOrganizationExport',
+                security: ['oauth2']
+            },
+
+            // Project Templates
+            {
+                path: '/project_templates/{project_template_gid}/instantiateProject',
+                method: 'POST',
+                summary: 'Instantiate a project from a project template',
+                description: 'Creates and returns a job that will asynchronously handle the project instantiation.',
+                tags: ['Project templates'],
+                operationId: 'instantiateProject',
                 security: ['oauth2']
             },
             {
-                path: '/custom_fields/{custom_field_gid}',
-                method: 'DELETE',
-                summary: 'Delete a custom field',
-                description: 'A specific, existing custom field can be deleted by making a DELETE request.',
-                tags: ['Custom fields'],
-                operationId: 'deleteCustomField',
+                path: '/teams/{team_gid}/project_templates',
+                method: 'GET',
+                summary: 'Get a team\'s project templates',
+                description: 'Returns the compact project template records for all project templates in the team.',
+                tags: ['Project templates'],
+                operationId: 'getProjectTemplatesForTeam',
                 security: ['oauth2']
             },
+
+            // Project Status Updates
             {
-                path: '/custom_fields',
+                path: '/projects/{project_gid}/project_statuses',
                 method: 'GET',
-                summary: 'Get multiple custom fields',
-                description: 'Returns a list of the compact representation of all of the custom fields in a workspace.',
-                tags: ['Custom fields'],
-                operationId: 'getCustomFields',
+                summary: 'Get statuses from a project',
+                description: 'Returns the compact project status update records for all updates on the project.',
+                tags: ['Project status updates'],
+                operationId: 'getProjectStatusesForProject',
                 security: ['oauth2']
             },
             {
-                path: '/custom_fields',
+                path: '/projects/{project_gid}/project_statuses',
                 method: 'POST',
-                summary: 'Create a custom field',
-                description: 'Creates a new custom field in a workspace.',
-                tags: ['Custom fields'],
-                operationId: 'createCustomField',
+                summary: 'Create a project status',
+                description: 'Creates a new status update and returns the created status update record.',
+                tags: ['Project status updates'],
+                operationId: 'createProjectStatusForProject',
+                security: ['oauth2']
+            },
+
+            // Rules
+            {
+                path: '/rules/{rule_gid}/trigger',
+                method: 'POST',
+                summary: 'Trigger a rule',
+                description: 'Triggers a rule which uses an "inbox" trigger.',
+                tags: ['Rules'],
+                operationId: 'triggerRule',
+                security: ['oauth2']
+            },
+
+            // Search
+            {
+                path: '/workspaces/{workspace_gid}/search',
+                method: 'GET',
+                summary: 'Search in a workspace',
+                description: 'Searches for objects in a workspace.',
+                tags: ['Search'],
+                operationId: 'searchInWorkspace',
+                security: ['oauth2']
+            },
+
+            // User Task Lists
+            {
+                path: '/user_task_lists/{user_task_list_gid}',
+                method: 'GET',
+                summary: 'Get a user task list',
+                description: 'Returns the complete user task list record for a single user task list.',
+                tags: ['User task lists'],
+                operationId: 'getUserTaskList',
+                security: ['oauth2']
+            },
+            {
+                path: '/users/{user_gid}/user_task_list',
+                method: 'GET',
+                summary: 'Get a user\'s task list',
+                description: 'Returns the complete user task list record for a user\'s My Tasks.',
+                tags: ['User task lists'],
+                operationId: 'getUserTaskListForUser',
+                security: ['oauth2']
+            },
+
+            // Workspace Memberships
+            {
+                path: '/workspace_memberships',
+                method: 'GET',
+                summary: 'Get multiple workspace memberships',
+                description: 'Returns the compact workspace membership records.',
+                tags: ['Workspace memberships'],
+                operationId: 'getWorkspaceMemberships',
                 security: ['oauth2']
             },
+            {
+                path: '/workspace_memberships/{workspace_membership_gid}',
+                method: 'GET',
+                summary: 'Get a workspace membership',
+                description: 'Returns the complete workspace membership record for a single workspace membership.',
+                tags: ['Workspace memberships'],
+                operationId: 'getWorkspaceMembership',
+                security: ['oauth2']
+            }
+        ];
+        
+        // Give fallback endpoints the same shape as spec-derived ones (path parameters only)
+        const fallbackEndpoints = this.endpoints.map(endpoint => ({
+            ...endpoint,
+            parameters: this.extractPathParameters(endpoint.path).map(name => ({
+                name: name,
+                in: 'path',
+                required: true,
+                description: '',
+                schema: { type: 'string' }
+            })),
+            requestBody: null,
+            responses: {}
+        }));
+
+        this.registerApi(this.defaultApiId, {
+            spec: { info: { title: 'Asana' } },
+            securitySchemes: {},
+            endpoints: fallbackEndpoints
+        }, { type: 'fallback', label: 'built-in sample endpoints' });
+        
+        console.log(`Created ${fallbackEndpoints.length} comprehensive sample endpoints`);
+    }
+
+    setupEventListeners() {
+        // Search input
+        const searchInput = document.getElementById('searchInput');
+        searchInput.addEventListener('input', (e) => {
+            this.searchTerm = e.target.value.toLowerCase();
+            this.filterAndRenderEndpoints();
+        });
+
+        // Method filter buttons
+        const filterButtons = document.querySelectorAll('.method-filter');
+        filterButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                // Update active state
+                filterButtons.forEach(btn => btn.classList.remove('active'));
+                e.target.classList.add('active');
+                
+                // Update filter
+                this.currentMethodFilter = e.target.dataset.method;
+                this.filterAndRenderEndpoints();
+            });
+        });
+
+        // API filter (only visible when more than one API is loaded)
+        const apiFilter = document.getElementById('apiFilter');
+        if (apiFilter) {
+            apiFilter.addEventListener('change', (e) => {
+                this.currentApiFilter = e.target.value;
+                this.filterAndRenderEndpoints();
+            });
+        }
+
+        // PAT input and controls
+        const patInput = document.getElementById('patInput');
+        const togglePat = document.getElementById('togglePat');
+        const testConnection = document.getElementById('testConnection');
+        const clearPat = document.getElementById('clearPat');
+
+        // PAT input change
+        patInput.addEventListener('input', (e) => {
+            this.personalAccessToken = e.target.value.trim();
+            this.isTokenValid = false;
+            this.updatePatStatus('', '');
+            this.savePATToStorage();
+            this.renderEndpoints(); // Re-render to update execute buttons
+            this.updateExecuteButtonStatus(); // Update sequence execute button
+        });
+
+        // Toggle PAT visibility
+        togglePat.addEventListener('click', () => {
+            if (patInput.type === 'password') {
+                patInput.type = 'text';
+                togglePat.textContent = '🙈';
+            } else {
+                patInput.type = 'password';
+                togglePat.textContent = '👁️';
+            }
+        });
+
+        // Test connection
+        testConnection.addEventListener('click', () => {
+            this.testConnection();
+        });
+
+        // Clear PAT
+        clearPat.addEventListener('click', () => {
+            const message = this.vault
+                ? 'Are you sure you want to clear the stored PAT? This also deletes every token in the encrypted vault, the OAuth session and all auth profile secrets.'
+                : 'Are you sure you want to clear the stored PAT? This also clears the OAuth session and all auth profile secrets.';
+            if (confirm(message)) {
+                this.clearStoredPAT();
+            }
+        });
+
+        // Any user activity postpones the vault auto-lock
+        ['click', 'keydown'].forEach(eventName => {
+            document.addEventListener(eventName, () => this.resetVaultAutoLock(), { passive: true });
+        });
+    }
+
+    filterAndRenderEndpoints() {
+        this.filteredEndpoints = this.endpoints.filter(endpoint => {
+            // API filter
+            if (this.currentApiFilter !== 'all' && endpoint.apiId !== this.currentApiFilter) {
+                return false;
+            }
+
+            // Method filter
+            const methodMatch = this.currentMethodFilter === 'all' || 
+                               endpoint.method.toLowerCase() === this.currentMethodFilter;
+            
+            // Search filter
+            const searchMatch = !this.searchTerm || 
+                              endpoint.path.toLowerCase().includes(this.searchTerm) ||
+                              endpoint.method.toLowerCase().includes(this.searchTerm) ||
+                              endpoint.summary.toLowerCase().includes(this.searchTerm) ||
+                              endpoint.description.toLowerCase().includes(this.searchTerm) ||
+                              endpoint.tags.some(tag => tag.toLowerCase().includes(this.searchTerm));
+            
+            return methodMatch && searchMatch;
+        });
+
+        this.renderEndpoints();
+        this.updateStats();
+    }
+
+    renderEndpoints() {
+        const container = document.getElementById('endpointsContainer');
+        
+        if (this.filteredEndpoints.length === 0) {
+            container.innerHTML = `
+                <div style="text-align: center; padding: 3rem; color: #6c757d;">
+                    <h3>No endpoints found</h3>
+                    <p>Try adjusting your search terms or filters.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const endpointsHTML = this.filteredEndpoints.map((endpoint, index) => `
+            <div class="endpoint-card">
+                <div class="endpoint-header">
+                    <div class="endpoint-method method-${endpoint.method.toLowerCase()}">${endpoint.method}</div>
+                    ${this.renderApiBadge(endpoint)}
+                    <div class="endpoint-path">${endpoint.path}</div>
+                    <div class="endpoint-summary">${endpoint.summary}</div>
+                    ${endpoint.description ? `<div class="endpoint-description">${endpoint.description}</div>` : ''}
+                </div>
+                <div class="endpoint-details">
+                    <button class="collapsible-toggle" onclick="explorer.toggleEndpointDetails(${index})">
+                        Show Parameters & Execute
+                    </button>
+                    <div id="details-${index}" class="collapsible-content">
+                        ${this.generateParametersForm(endpoint, index)}
+                        <div class="execute-section">
+                            <button class="execute-btn" onclick="explorer.executeEndpoint(${index})" 
+                                    ${!this.hasStepCredentials({ endpoint }) || !this.canExecuteEndpoint(endpoint) ? 'disabled' : ''} id="execute-btn-${index}">
+                                ${this.getExecuteButtonLabel(endpoint)}
+                            </button>
+                            <button class="dry-run-btn" onclick="explorer.dryRunEndpoint(${index})" title="Show the exact request without sending it">
+                                🧪 Dry Run
+                            </button>
+                            <button class="add-to-sequence-btn" onclick="explorer.addToSequence(${index})">
+                                + Add to Sequence
+                            </button>
+                        </div>
+                        <div id="response-${index}" class="response-section"></div>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+
+        container.innerHTML = `<div class="endpoints-grid">${endpointsHTML}</div>`;
+    }
+
+    toggleEndpointDetails(index) {
+        const detailsElement = document.getElementById(`details-${index}`);
+        const toggleButton = detailsElement.previousElementSibling;
+        
+        if (detailsElement.classList.contains('show')) {
+            detailsElement.classList.remove('show');
+            toggleButton.textContent = 'Show Parameters & Execute';
+        } else {
+            detailsElement.classList.add('show');
+            toggleButton.textContent = 'Hide Parameters & Execute';
+
+            // Build the structured body editor lazily, request schemas can be large
+            const bodyFields = document.getElementById(`body-fields-${index}`);
+            if (bodyFields && !bodyFields.dataset.rendered) {
+                this.renderBodyEditorFields(index);
+            }
+        }
+    }
+
+    generateParametersForm(endpoint, index) {
+        const declaredParams = this.getEndpointParameters(endpoint);
+        const bodyParams = this.getBodyParameters(endpoint);
+
+        const sections = [
+            { location: 'path', title: 'Path Parameters' },
+            { location: 'query', title: 'Query Parameters' },
+            { location: 'header', title: 'Header Parameters' }
+        ];
+
+        let html = '';
+
+        // Path, query and header parameters as declared in the spec
+        sections.forEach(section => {
+            const params = declaredParams.filter(param => param.in === section.location);
+            if (params.length === 0) return;
+
+            html += `
+                <div class="parameters-section">
+                    <div class="parameters-title">${section.title}</div>
+                    ${params.map(param => `
+                        <div class="parameter-group">
+                            <label>
+                                ${param.name}
+                                ${param.required ? '<span class="parameter-required">*</span>' : ''}
+                                <span class="parameter-type">${this.formatParameterType(param.schema)}</span>
+                            </label>
+                            ${this.renderParameterInput(param, `${section.location}-${param.name}-${index}`)}
+                            <div class="parameter-description">
+                                ${this.escapeHTML(param.description) || (param.required ? `Required ${section.location} parameter` : '')}
+                                ${param.schema && param.schema.default !== undefined ? `<br><small>Default: <code>${this.escapeHTML(String(param.schema.default))}</code></small>` : ''}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        });
+
+        // Request body for POST/PUT/PATCH methods
+        if (['POST', 'PUT', 'PATCH'].includes(endpoint.method)) {
+            const bodySchema = this.getRequestBodySchema(endpoint);
+            this.bodyEditorValues[index] = JSON.parse(bodyParams);
+
+            html += `
+                <div class="parameters-section">
+                    <div class="parameters-title">
+                        Request Body (JSON)
+                        ${endpoint.requestBody?.required ? '<span class="parameter-required">*</span>' : ''}
+                    </div>
+                    ${bodySchema ? `
+                        <div id="body-fields-${index}" class="body-editor-fields"></div>
+                    ` : ''}
+                    <details class="body-editor-raw" ${bodySchema ? '' : 'open'}>
+                        <summary>Raw JSON</summary>
+                        <div class="parameter-group">
+                            <textarea id="body-${index}" 
+                                      placeholder="Enter JSON request body"
+                                      oninput="explorer.syncBodyFromRaw(${index})">${this.escapeHTML(bodyParams)}</textarea>
+                            <div class="parameter-description" id="body-raw-status-${index}">
+                                ${bodySchema ? 'Kept in sync with the fields above' : 'No request body schema documented for this endpoint'}
+                            </div>
+                        </div>
+                    </details>
+                </div>
+            `;
+        }
+
+        return html;
+    }
+
+    getEndpointParameters(endpoint) {
+        // Spec-derived endpoints carry declared parameters; anything else only has its path template
+        if (Array.isArray(endpoint.parameters)) {
+            return endpoint.parameters;
+        }
+
+        return this.extractPathParameters(endpoint.path).map(name => ({
+            name: name,
+            in: 'path',
+            required: true,
+            description: '',
+            schema: { type: 'string' }
+        }));
+    }
+
+    renderParameterInput(param, inputId) {
+        const schema = param.schema || {};
+        const itemSchema = schema.type === 'array' ? (schema.items || {}) : schema;
+        const placeholder = this.escapeHTML(schema.default !== undefined
+            ? `Default: ${schema.default}`
+            : (param.description || `Enter ${param.name}`).split('\n')[0].substring(0, 80));
+
+        // Enums and booleans become dropdowns so only documented values can be sent
+        if (schema.type !== 'array' && (Array.isArray(schema.enum) || schema.type === 'boolean')) {
+            const options = Array.isArray(schema.enum) ? schema.enum : [true, false];
+            return `
+                <select id="${inputId}" data-param-type="${schema.type || 'string'}" ${param.required ? 'required' : ''}>
+                    <option value="">${param.required ? 'Select a value' : 'Not set'}</option>
+                    ${options.map(option => `
+                        <option value="${this.escapeHTML(String(option))}">${this.escapeHTML(String(option))}${option === schema.default ? ' (default)' : ''}</option>
+                    `).join('')}
+                </select>
+            `;
+        }
+
+        let inputType = 'text';
+        if (schema.type === 'integer' || schema.type === 'number') {
+            inputType = 'number';
+        } else if (schema.format === 'date') {
+            inputType = 'date';
+        }
+
+        const constraints = [
+            schema.minimum !== undefined ? `min="${schema.minimum}"` : '',
+            schema.maximum !== undefined ? `max="${schema.maximum}"` : '',
+            schema.type === 'integer' ? 'step="1"' : ''
+        ].join(' ');
+
+        const allowedValues = Array.isArray(itemSchema.enum)
+            ? `title="Allowed values: ${this.escapeHTML(itemSchema.enum.join(', '))}"`
+            : '';
+
+        return `
+            <input type="${inputType}" 
+                   id="${inputId}" 
+                   data-param-type="${schema.type || 'string'}"
+                   placeholder="${schema.type === 'array' ? 'Comma-separated values' : placeholder}"
+                   ${constraints} ${allowedValues}
+                   ${param.required ? 'required' : ''}>
+        `;
+    }
+
+    formatParameterType(schema) {
+        if (!schema || !schema.type) {
+            return '';
+        }
+
+        if (schema.type === 'array') {
+            return `array&lt;${schema.items?.type || 'any'}&gt;`;
+        }
+
+        return schema.format ? `${schema.type} (${schema.format})` : schema.type;
+    }
+
+    escapeHTML(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    extractPathParameters(path) {
+        const matches = path.match(/{([^}]+)}/g);
+        return matches ? matches.map(match => match.slice(1, -1)) : [];
+    }
+
+    getRequestBodySchema(endpoint) {
+        const schema = endpoint.requestBody?.schema;
+        return schema && (schema.type || schema.properties) ? schema : null;
+    }
+
+    getBodyParameters(endpoint) {
+        // Start from the required (writable) fields of the documented request body
+        const schema = this.getRequestBodySchema(endpoint);
+        const sample = schema ? this.buildSampleFromSchema(schema) : { data: {} };
+        return JSON.stringify(sample, null, 2);
+    }
+
+    buildSampleFromSchema(schema, depth = 0) {
+        if (!schema || depth > 5) {
+            return null;
+        }
+
+        if (schema.default !== undefined) return schema.default;
+        if (schema.example !== undefined && schema.type !== 'object') return schema.example;
+        if (Array.isArray(schema.enum)) return schema.enum[0];
+
+        switch (schema.type) {
+            case 'object': {
+                const sample = {};
+                const properties = Object.entries(schema.properties || {})
+                    .filter(([, propertySchema]) => !propertySchema.readOnly);
+                const required = schema.required || [];
+
+                // Wrapper objects such as { data: {...} } have no required list but only one property
+                properties
+                    .filter(([name]) => required.includes(name) || properties.length === 1)
+                    .forEach(([name, propertySchema]) => {
+                        sample[name] = this.buildSampleFromSchema(propertySchema, depth + 1);
+                    });
+                return sample;
+            }
+            case 'array':
+                return [];
+            case 'integer':
+            case 'number':
+                return 0;
+            case 'boolean':
+                return false;
+            default:
+                return '';
+        }
+    }
+
+    renderBodyEditorFields(index) {
+        const container = document.getElementById(`body-fields-${index}`);
+        const endpoint = this.filteredEndpoints[index];
+        if (!container || !endpoint) return;
+
+        const schema = this.getRequestBodySchema(endpoint);
+        container.innerHTML = this.renderSchemaFields(schema, this.bodyEditorValues[index], [], index, 0);
+        container.dataset.rendered = 'true';
+    }
+
+    renderSchemaFields(schema, value, path, index, depth) {
+        const properties = Object.entries(schema.properties || {})
+            .filter(([, propertySchema]) => !propertySchema.readOnly);
+
+        if (properties.length === 0) {
+            return this.renderSchemaField('value', schema, value, path, index, depth, false);
+        }
+
+        const required = schema.required || [];
+        return properties
+            .map(([name, propertySchema]) => this.renderSchemaField(
+                name, propertySchema, value ? value[name] : undefined, [...path, name], index, depth, required.includes(name)
+            ))
+            .join('');
+    }
+
+    renderSchemaField(name, schema, value, path, index, depth, isRequired) {
+        // Property names come from the spec, so the path is JSON-quoted and escaped before it goes into a handler
+        const pathArgument = this.escapeHTML(JSON.stringify(path.join('.')));
+        const inputId = this.escapeHTML(`body-field-${index}-${path.join('-')}`);
+        const label = `
+            <label for="${inputId}">
+                ${this.escapeHTML(name)}
+                ${isRequired ? '<span class="parameter-required">*</span>' : ''}
+                <span class="parameter-type">${this.formatParameterType(schema)}</span>
+            </label>
+        `;
+        const description = schema.description
+            ? `<div class="parameter-description">${this.escapeHTML(schema.description.split('\n')[0].substring(0, 160))}</div>`
+            : '';
+
+        // Nested objects render their own properties in a collapsible group
+        if (schema.type === 'object' && schema.properties && !schema['x-circular-ref'] && depth < 4) {
+            return `
+                <details class="body-editor-object" ${depth === 0 || isRequired ? 'open' : ''}>
+                    <summary>${this.escapeHTML(name)} ${isRequired ? '<span class="parameter-required">*</span>' : ''}</summary>
+                    ${description}
+                    ${this.renderSchemaFields(schema, value, path, index, depth + 1)}
+                </details>
+            `;
+        }
+
+        if (schema.type === 'array' && schema.items && depth < 4) {
+            const items = Array.isArray(value) ? value : [];
+            const itemSchema = schema.items;
+            const isObjectItem = itemSchema.type === 'object' && itemSchema.properties;
+
+            return `
+                <div class="parameter-group body-editor-array">
+                    ${label}
+                    ${description}
+                    ${items.map((itemValue, itemIndex) => `
+                        <div class="body-editor-array-item">
+                            <div style="flex: 1;">
+                                ${isObjectItem
+                                    ? this.renderSchemaFields(itemSchema, itemValue, [...path, itemIndex], index, depth + 1)
+                                    : this.renderSchemaInput(itemSchema, itemValue, [...path, itemIndex], index, `${inputId}-${itemIndex}`)}
+                            </div>
+                            <button type="button" class="remove-mapping-btn" title="Remove item"
+                                    onclick="explorer.removeBodyArrayItem(${index}, ${pathArgument}, ${itemIndex})">×</button>
+                        </div>
+                    `).join('')}
+                    <button type="button" class="add-mapping-btn" onclick="explorer.addBodyArrayItem(${index}, ${pathArgument})">
+                        + Add ${this.escapeHTML(name)} item
+                    </button>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="parameter-group">
+                ${label}
+                ${this.renderSchemaInput(schema, value, path, index, inputId)}
+                ${description}
+            </div>
+        `;
+    }
+
+    renderSchemaInput(schema, value, path, index, inputId) {
+        const pathArgument = this.escapeHTML(JSON.stringify(path.join('.')));
+        const fieldType = this.getBodyFieldType(schema);
+        const onchange = `onchange="explorer.updateBodyField(${index}, ${pathArgument}, this.value, '${fieldType}')"`;
+        const currentValue = value === undefined || value === null ? '' : value;
+
+        if (Array.isArray(schema.enum) || fieldType === 'boolean') {
+            const options = Array.isArray(schema.enum) ? schema.enum : [true, false];
+            return `
+                <select id="${inputId}" ${onchange}>
+                    <option value="">Not set</option>
+                    ${options.map(option => `
+                        <option value="${this.escapeHTML(String(option))}" ${String(option) === String(currentValue) ? 'selected' : ''}>
+                            ${this.escapeHTML(String(option))}
+                        </option>
+                    `).join('')}
+                </select>
+            `;
+        }
+
+        if (fieldType === 'json') {
+            return `
+                <textarea id="${inputId}" rows="3" placeholder="JSON value" ${onchange}>${
+                    currentValue === '' ? '' : this.escapeHTML(JSON.stringify(currentValue, null, 2))
+                }</textarea>
+            `;
+        }
+
+        const inputType = fieldType === 'integer' || fieldType === 'number'
+            ? 'number'
+            : schema.format === 'date' ? 'date' : 'text';
+
+        return `
+            <input type="${inputType}" id="${inputId}" value="${this.escapeHTML(String(currentValue))}"
+                   placeholder="${this.escapeHTML(schema.example !== undefined ? `e.g. ${schema.example}` : '')}"
+                   ${onchange}>
+        `;
+    }
+
+    getBodyFieldType(schema) {
+        // Anything that cannot be expressed as a single input is edited as a JSON snippet
+        if (['string', 'integer', 'number', 'boolean'].includes(schema.type)) {
+            return schema.type;
+        }
+        return Array.isArray(schema.enum) ? 'string' : 'json';
+    }
+
+    getSchemaAtPath(schema, pathParts) {
+        return pathParts.reduce((current, part) => {
+            if (!current) return null;
+            if (current.type === 'array') return current.items || null;
+            return current.properties ? current.properties[part] || null : null;
+        }, schema);
+    }
+
+    parseBodyPath(pathKey) {
+        return pathKey === '' ? [] : pathKey.split('.').map(part => /^\d+$/.test(part) ? parseInt(part) : part);
+    }
+
+    setValueAtPath(target, pathParts, value) {
+        let current = target;
+        pathParts.slice(0, -1).forEach((part, partIndex) => {
+            if (current[part] === undefined || current[part] === null || typeof current[part] !== 'object') {
+                current[part] = typeof pathParts[partIndex + 1] === 'number' ? [] : {};
+            }
+            current = current[part];
+        });
+
+        const lastPart = pathParts[pathParts.length - 1];
+        if (value === undefined) {
+            if (Array.isArray(current)) {
+                current[lastPart] = null;
+            } else {
+                delete current[lastPart];
+            }
+        } else {
+            current[lastPart] = value;
+        }
+    }
+
+    getValueAtPath(source, pathParts) {
+        return pathParts.reduce((current, part) => 
+            current === undefined || current === null ? undefined : current[part], source);
+    }
+
+    updateBodyField(index, pathKey, rawValue, fieldType) {
+        const pathParts = this.parseBodyPath(pathKey);
+        let value;
+
+        if (rawValue === '') {
+            value = undefined;
+        } else if (typeof rawValue === 'string' && rawValue.includes('{{')) {
+            value = rawValue; // Keep variable placeholders verbatim
+        } else if (fieldType === 'integer') {
+            value = parseInt(rawValue, 10);
+        } else if (fieldType === 'number') {
+            value = parseFloat(rawValue);
+        } else if (fieldType === 'boolean') {
+            value = rawValue === 'true';
+        } else if (fieldType === 'json') {
+            try {
+                value = JSON.parse(rawValue);
+            } catch (error) {
+                this.setBodyRawStatus(index, `❌ Invalid JSON for ${pathKey}: ${error.message}`, true);
+                return;
+            }
+        } else {
+            value = rawValue;
+        }
+
+        if (pathParts.length === 0) {
+            this.bodyEditorValues[index] = value;
+        } else {
+            if (!this.bodyEditorValues[index] || typeof this.bodyEditorValues[index] !== 'object') {
+                this.bodyEditorValues[index] = {};
+            }
+            this.setValueAtPath(this.bodyEditorValues[index], pathParts, value);
+        }
+        this.writeBodyToRaw(index);
+    }
+
+    addBodyArrayItem(index, pathKey) {
+        const endpoint = this.filteredEndpoints[index];
+        const pathParts = this.parseBodyPath(pathKey);
+        const arraySchema = this.getSchemaAtPath(this.getRequestBodySchema(endpoint), pathParts);
+        const items = this.getValueAtPath(this.bodyEditorValues[index], pathParts);
+        const newItem = this.buildSampleFromSchema(arraySchema?.items || {});
+
+        this.setValueAtPath(this.bodyEditorValues[index], pathParts, [...(Array.isArray(items) ? items : []), newItem]);
+        this.writeBodyToRaw(index);
+        this.renderBodyEditorFields(index);
+    }
+
+    removeBodyArrayItem(index, pathKey, itemIndex) {
+        const pathParts = this.parseBodyPath(pathKey);
+        const items = this.getValueAtPath(this.bodyEditorValues[index], pathParts);
+        if (!Array.isArray(items)) return;
+
+        items.splice(itemIndex, 1);
+        this.writeBodyToRaw(index);
+        this.renderBodyEditorFields(index);
+    }
+
+    writeBodyToRaw(index) {
+        const textarea = document.getElementById(`body-${index}`);
+        if (textarea) {
+            textarea.value = JSON.stringify(this.bodyEditorValues[index], null, 2);
+        }
+        this.setBodyRawStatus(index, 'Kept in sync with the fields above', false);
+    }
+
+    syncBodyFromRaw(index) {
+        const textarea = document.getElementById(`body-${index}`);
+        if (!textarea) return;
+
+        try {
+            this.bodyEditorValues[index] = textarea.value.trim() ? JSON.parse(textarea.value) : {};
+            this.setBodyRawStatus(index, 'Kept in sync with the fields above', false);
+
+            const bodyFields = document.getElementById(`body-fields-${index}`);
+            if (bodyFields && bodyFields.dataset.rendered) {
+                this.renderBodyEditorFields(index);
+            }
+        } catch (error) {
+            // Leave the structured fields untouched until the raw JSON parses again
+            this.setBodyRawStatus(index, `❌ Invalid JSON: ${error.message}`, true);
+        }
+    }
+
+    setBodyRawStatus(index, message, isError) {
+        const status = document.getElementById(`body-raw-status-${index}`);
+        if (status) {
+            status.textContent = message;
+            status.style.color = isError ? '#dc3545' : '';
+        }
+    }
+
+    updateStats() {
+        const statsContainer = document.getElementById('stats');
+        const totalEndpoints = this.endpoints.length;
+        const filteredCount = this.filteredEndpoints.length;
+        
+        // Count by method
+        const methodCounts = {};
+        this.filteredEndpoints.forEach(endpoint => {
+            methodCounts[endpoint.method] = (methodCounts[endpoint.method] || 0) + 1;
+        });
+
+        const methodStats = Object.entries(methodCounts)
+            .map(([method, count]) => `${method}: ${count}`)
+            .join(' | ');
+
+        statsContainer.innerHTML = `
+            <div>
+                <strong>Showing ${filteredCount} of ${totalEndpoints} endpoints</strong>
+                ${methodStats ? `<br><small>${methodStats}</small>` : ''}
+            </div>
+        `;
+    }
+
+    loadPATFromStorage() {
+        // With a vault the PAT only comes from unlocking it
+        if (this.vault) return;
+
+        try {
+            const savedPAT = localStorage.getItem(this.storageKey);
+            if (savedPAT) {
+                this.personalAccessToken = savedPAT;
+            }
+        } catch (error) {
+            console.warn('Failed to load PAT from localStorage:', error);
+        }
+    }
+
+    savePATToStorage() {
+        if (this.vault) {
+            // Never fall back to plaintext; keep the active vault entry in sync while unlocked
+            if (this.isVaultUnlocked() && this.vault.activeName && this.personalAccessToken) {
+                this.storeVaultToken(this.vault.activeName, this.personalAccessToken)
+                    .catch(error => console.warn('Failed to update vault token:', error));
+            }
+            return;
+        }
+
+        try {
+            if (this.personalAccessToken) {
+                localStorage.setItem(this.storageKey, this.personalAccessToken);
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('Failed to save PAT to localStorage:', error);
+        }
+    }
+
+    restorePATToInput() {
+        if (this.vault && !this.isVaultUnlocked()) {
+            this.updatePatStatus('🔒 Tokens are in the encrypted vault - enter the passphrase to unlock', 'info');
+            return;
+        }
+
+        const patInput = document.getElementById('patInput');
+        if (patInput && this.personalAccessToken) {
+            patInput.value = this.personalAccessToken;
+            // Show a message that the PAT was restored
+            if (this.personalAccessToken) {
+                this.updatePatStatus('📁 PAT loaded from storage - click "Test Connection" to verify', 'info');
+            }
+        }
+    }
 
-            // Events
-            {
-                path: '/events',
-                method: 'GET',
-                summary: 'Get events on a resource',
-                description: 'Returns the full record for all events that have occurred since the sync token was created.',
-                tags: ['Events'],
-                operationId: 'getEvents',
-                security: ['oauth2']
-            },
+    clearStoredPAT() {
+        try {
+            localStorage.removeItem(this.storageKey);
+            // Wipe every vault entry, not just the active token
+            clearTimeout(this.vaultAutoLockTimer);
+            this.vault = null;
+            this.vaultKey = null;
+            this.vaultTokens = new Map();
+            this.saveVault();
+            this.renderVaultControls();
+
+            // Every other stored credential goes too: the OAuth session and auth profile secrets
+            this.oauthToken = null;
+            this.saveOAuthToStorage();
+            this.updateOAuthStatus('OAuth session cleared from storage', 'info');
+            this.authProfiles.forEach(profile => {
+                profile.secret = '';
+            });
+            this.saveAuthProfiles();
+            this.renderAuthProfiles();
 
-            // Goals
-            {
-                path: '/goals/{goal_gid}',
-                method: 'GET',
-                summary: 'Get a goal',
-                description: 'Returns the complete goal record for a single goal.',
-                tags: ['Goals'],
-                operationId: 'getGoal',
-                security: ['oauth2']
-            },
-            {
-                path: '/goals/{goal_gid}',
-                method: 'PUT',
-                summary: 'Update a goal',
-                description: 'Updates the goal and returns the updated goal record.',
-                tags: ['Goals'],
-                operationId: 'updateGoal',
-                security: ['oauth2']
-            },
-            {
-                path: '/goals/{goal_gid}',
-                method: 'DELETE',
-                summary: 'Delete a goal',
-                description: 'Deletes the goal.',
-                tags: ['Goals'],
-                operationId: 'deleteGoal',
-                security: ['oauth2']
-            },
+            this.personalAccessToken = '';
+            this.isTokenValid = false;
+            const patInput = document.getElementById('patInput');
+            if (patInput) {
+                patInput.value = '';
+            }
+            this.updatePatStatus('PAT cleared from storage', 'info');
+            this.renderEndpoints();
+            this.updateExecuteButtonStatus(); // Update sequence execute button
+        } catch (error) {
+            console.warn('Failed to clear PAT from localStorage:', error);
+        }
+    }
 
-            // Jobs
-            {
-                path: '/jobs/{job_gid}',
-                method: 'GET',
-                summary: 'Get a job by id',
-                description: 'Returns the full record for a job.',
-                tags: ['Jobs'],
-                operationId: 'getJob',
-                security: ['oauth2']
-            },
+    // OAuth 2.0 authorization code flow with PKCE, for users who can't create a PAT.
+    // The flow is read from the Asana spec's oauth2 security scheme.
+    getOAuthFlow() {
+        const schemeEntry = Object.entries(this.securitySchemes || {})
+            .find(([, scheme]) => scheme.type === 'oauth2' && scheme.flows?.authorizationCode);
 
-            // Memberships
-            {
-                path: '/memberships',
-                method: 'GET',
-                summary: 'Get multiple memberships',
-                description: 'Returns the compact membership records for the project or team.',
-                tags: ['Memberships'],
-                operationId: 'getMemberships',
-                security: ['oauth2']
-            },
-            {
-                path: '/memberships',
-                method: 'POST',
-                summary: 'Create a membership',
-                description: 'Creates a new membership and returns the membership record.',
-                tags: ['Memberships'],
-                operationId: 'createMembership',
-                security: ['oauth2']
-            },
-            {
-                path: '/memberships/{membership_gid}',
-                method: 'GET',
-                summary: 'Get a membership',
-                description: 'Returns the complete membership record for a single membership.',
-                tags: ['Memberships'],
-                operationId: 'getMembership',
-                security: ['oauth2']
-            },
-            {
-                path: '/memberships/{membership_gid}',
-                method: 'PUT',
-                summary: 'Update a membership',
-                description: 'Updates the membership and returns the updated membership record.',
-                tags: ['Memberships'],
-                operationId: 'updateMembership',
-                security: ['oauth2']
-            },
-            {
-                path: '/memberships/{membership_gid}',
-                method: 'DELETE',
-                summary: 'Delete a membership',
-                description: 'Deletes the membership.',
-                tags: ['Memberships'],
-                operationId: 'deleteMembership',
-                security: ['oauth2']
-            },
+        if (schemeEntry) {
+            const [schemeName, scheme] = schemeEntry;
+            return { schemeName, ...scheme.flows.authorizationCode };
+        }
 
-            // Portfolios
-            {
-                path: '/portfolios',
-                method: 'GET',
-                summary: 'Get multiple portfolios',
-                description: 'Returns a list of the portfolios in compact representation that are owned by the current API user.',
-                tags: ['Portfolios'],
-                operationId: 'getPortfolios',
-                security: ['oauth2']
-            },
-            {
-                path: '/portfolios',
-                method: 'POST',
-                summary: 'Create a portfolio',
-                description: 'Creates a new portfolio and returns the created portfolio record.',
-                tags: ['Portfolios'],
-                operationId: 'createPortfolio',
-                security: ['oauth2']
-            },
-            {
-                path: '/portfolios/{portfolio_gid}',
-                method: 'GET',
-                summary: 'Get a portfolio',
-                description: 'Returns the complete portfolio record for a single portfolio.',
-                tags: ['Portfolios'],
-                operationId: 'getPortfolio',
-                security: ['oauth2']
-            },
-            {
-                path: '/portfolios/{portfolio_gid}',
-                method: 'PUT',
-                summary: 'Update a portfolio',
-                description: 'Updates the portfolio and returns the updated portfolio record.',
-                tags: ['Portfolios'],
-                operationId: 'updatePortfolio',
-                security: ['oauth2']
-            },
-            {
-                path: '/portfolios/{portfolio_gid}',
-                method: 'DELETE',
-                summary: 'Delete a portfolio',
-                description: 'Deletes the portfolio.',
-                tags: ['Portfolios'],
-                operationId: 'deletePortfolio',
-                security: ['oauth2']
-            },
+        // The built-in fallback endpoints carry no security schemes
+        return { schemeName: 'oauth2', ...this.defaultOAuthFlow };
+    }
 
-            // Projects
-            {
-                path: '/projects',
-                method: 'GET',
-                summary: 'Get multiple projects',
-                description: 'Returns the compact project records for some filtered set of projects.',
-                tags: ['Projects'],
-                operationId: 'getProjects',
-                security: ['oauth2']
-            },
-            {
-                path: '/projects',
-                method: 'POST',
-                summary: 'Create a project',
-                description: 'Creates a new project and returns the created project record.',
-                tags: ['Projects'],
-                operationId: 'createProject',
-                security: ['oauth2']
-            },
-            {
-                path: '/projects/{project_gid}',
-                method: 'GET',
-                summary: 'Get a project',
-                description: 'Returns the complete project record for a single project.',
-                tags: ['Projects'],
-                operationId: 'getProject',
-                security: ['oauth2']
-            },
-            {
-                path: '/projects/{project_gid}',
-                method: 'PUT',
-                summary: 'Update a project',
-                description: 'Updates the project and returns the updated project record.',
-                tags: ['Projects'],
-                operationId: 'updateProject',
-                security: ['oauth2']
-            },
-            {
-                path: '/projects/{project_gid}',
-                method: 'DELETE',
-                summary: 'Delete a project',
-                description: 'Deletes the project.',
-                tags: ['Projects'],
-                operationId: 'deleteProject',
-                security: ['oauth2']
-            },
+    getOAuthRedirectUri() {
+        return `${window.location.origin}${window.location.pathname}`;
+    }
+
+    getRequiredOAuthScopes() {
+        // Union of the scopes declared on the Asana operations used by the sequence
+        const { schemeName, scopes: declaredScopes = {} } = this.getOAuthFlow();
+        const scopes = new Set();
+
+        this.apiSequence
+            .filter(item => this.isAsanaEndpoint(item.endpoint))
+            .forEach(item => {
+                (item.endpoint.securityScopes?.[schemeName] || []).forEach(scope => scopes.add(scope));
+            });
+
+        // Nothing declared per operation: let the app's default scope apply
+        if (scopes.size === 0) {
+            return 'default' in declaredScopes ? ['default'] : [];
+        }
+        return Array.from(scopes).sort();
+    }
+
+    loadOAuthFromStorage() {
+        try {
+            // With a vault the OAuth session only comes from unlocking it
+            const savedToken = this.vault ? null : localStorage.getItem(this.oauthStorageKey);
+            this.oauthToken = savedToken ? JSON.parse(savedToken) : null;
+            this.oauthClientId = localStorage.getItem(this.oauthClientIdStorageKey) || '';
+        } catch (error) {
+            console.warn('Failed to load OAuth session from localStorage:', error);
+            this.oauthToken = null;
+        }
+    }
+
+    saveOAuthToStorage() {
+        if (this.vault) {
+            this.saveVaultSecrets().catch(error => console.warn('Failed to update vault secrets:', error));
+        }
+
+        try {
+            if (this.oauthToken && !this.vault) {
+                localStorage.setItem(this.oauthStorageKey, JSON.stringify(this.oauthToken));
+            } else {
+                localStorage.removeItem(this.oauthStorageKey);
+            }
+            localStorage.setItem(this.oauthClientIdStorageKey, this.oauthClientId);
+        } catch (error) {
+            console.warn('Failed to save OAuth session to localStorage:', error);
+        }
+    }
+
+    restoreOAuthToInput() {
+        const clientIdInput = document.getElementById('oauthClientId');
+        if (clientIdInput) {
+            clientIdInput.value = this.oauthClientId;
+        }
+
+        if (this.oauthToken) {
+            const who = this.oauthToken.userName ? ` as ${this.oauthToken.userName}` : '';
+            this.updateOAuthStatus(`📁 OAuth session restored${who}`, 'info');
+        } else {
+            this.updateOAuthStatus(`Register ${this.getOAuthRedirectUri()} as the redirect URL of your OAuth app`, 'info');
+        }
+    }
+
+    updateOAuthStatus(message, type) {
+        const statusElement = document.getElementById('oauthStatus');
+        if (!statusElement) return;
+        statusElement.textContent = message;
+        statusElement.className = `pat-status ${type}`;
+    }
+
+    base64UrlEncode(bytes) {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    async startOAuthSignIn() {
+        const clientIdInput = document.getElementById('oauthClientId');
+        this.oauthClientId = (clientIdInput ? clientIdInput.value : this.oauthClientId).trim();
+        if (!this.oauthClientId) {
+            this.updateOAuthStatus('Please enter the client ID of your OAuth app', 'error');
+            return;
+        }
+        this.saveOAuthToStorage();
+
+        const flow = this.getOAuthFlow();
+        const scopes = this.getRequiredOAuthScopes();
+        const codeVerifier = this.base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+        const codeChallenge = this.base64UrlEncode(
+            await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier))
+        );
+        const state = this.base64UrlEncode(crypto.getRandomValues(new Uint8Array(16)));
+
+        // The verifier must survive the redirect but not outlive the tab
+        sessionStorage.setItem(this.oauthPendingStorageKey, JSON.stringify({
+            state, codeVerifier, redirectUri: this.getOAuthRedirectUri(), scopes
+        }));
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.oauthClientId,
+            redirect_uri: this.getOAuthRedirectUri(),
+            state: state,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+        if (scopes.length > 0) {
+            params.set('scope', scopes.join(' '));
+        }
+
+        console.log(`🔐 Redirecting to OAuth authorization with scopes: ${scopes.join(' ') || '(app default)'}`);
+        window.location.assign(`${flow.authorizationUrl}?${params.toString()}`);
+    }
+
+    async completeOAuthSignIn() {
+        const params = new URLSearchParams(window.location.search);
+        const code = params.get('code');
+        const returnedState = params.get('state');
+        const oauthError = params.get('error');
+        if (!code && !oauthError) return;
+
+        const pending = JSON.parse(sessionStorage.getItem(this.oauthPendingStorageKey) || 'null');
+        sessionStorage.removeItem(this.oauthPendingStorageKey);
+        // Drop code/state from the address bar so a reload doesn't replay them
+        window.history.replaceState({}, document.title, this.getOAuthRedirectUri());
+
+        if (oauthError) {
+            this.updateOAuthStatus(`❌ OAuth sign-in failed: ${params.get('error_description') || oauthError}`, 'error');
+            return;
+        }
+        if (!pending || pending.state !== returnedState) {
+            this.updateOAuthStatus('❌ OAuth sign-in failed: state mismatch, please try again', 'error');
+            return;
+        }
 
-            // Tasks
-            {
-                path: '/tasks',
-                method: 'GET',
-                summary: 'Get multiple tasks',
-                description: 'Returns the compact task records for some filtered set of tasks.',
-                tags: ['Tasks'],
-                operationId: 'getTasks',
-                security: ['oauth2']
-            },
-            {
-                path: '/tasks',
+        this.updateOAuthStatus('Completing OAuth sign-in...', 'info');
+
+        try {
+            const flow = this.getOAuthFlow();
+            const response = await this.scheduledFetch(flow.tokenUrl, {
                 method: 'POST',
-                summary: 'Create a task',
-                description: 'Creates a new task and returns the created task record.',
-                tags: ['Tasks'],
-                operationId: 'createTask',
-                security: ['oauth2']
-            },
-            {
-                path: '/tasks/{task_gid}',
-                method: 'GET',
-                summary: 'Get a task',
-                description: 'Returns the complete task record for a single task.',
-                tags: ['Tasks'],
-                operationId: 'getTask',
-                security: ['oauth2']
-            },
-            {
-                path: '/tasks/{task_gid}',
-                method: 'PUT',
-                summary: 'Update a task',
-                description: 'Updates the task and returns the updated task record.',
-                tags: ['Tasks'],
-                operationId: 'updateTask',
-                security: ['oauth2']
-            },
-            {
-                path: '/tasks/{task_gid}',
-                method: 'DELETE',
-                summary: 'Delete a task',
-                description: 'Deletes the task.',
-                tags: ['Tasks'],
-                operationId: 'deleteTask',
-                security: ['oauth2']
-            },
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({
+                    grant_type: 'authorization_code',
+                    client_id: this.oauthClientId,
+                    redirect_uri: pending.redirectUri,
+                    code: code,
+                    code_verifier: pending.codeVerifier
+                }).toString()
+            });
+            const tokenData = await response.json();
 
-            // Teams
-            {
-                path: '/teams',
-                method: 'GET',
-                summary: 'Get teams in an organization',
-                description: 'Returns the compact records for all teams in the organization visible to the requesting user.',
-                tags: ['Teams'],
-                operationId: 'getTeams',
-                security: ['oauth2']
-            },
-            {
-                path: '/teams/{team_gid}',
-                method: 'GET',
-                summary: 'Get a team',
-                description: 'Returns the complete team record for a single team.',
-                tags: ['Teams'],
-                operationId: 'getTeam',
-                security: ['oauth2']
-            },
+            if (!response.ok) {
+                throw new Error(tokenData.error_description || tokenData.error || `HTTP ${response.status}`);
+            }
 
-            // Users
-            {
-                path: '/users',
-                method: 'GET',
-                summary: 'Get multiple users',
-                description: 'Returns the user records for all users in all workspaces and organizations accessible to the authenticated user.',
-                tags: ['Users'],
-                operationId: 'getUsers',
-                security: ['oauth2']
-            },
-            {
-                path: '/users/{user_gid}',
-                method: 'GET',
-                summary: 'Get a user',
-                description: 'Returns the complete user record for a single user.',
-                tags: ['Users'],
-                operationId: 'getUser',
-                security: ['oauth2']
-            },
-            {
-                path: '/users/me',
-                method: 'GET',
-                summary: 'Get current user',
-                description: 'Returns the complete user record for the currently authenticated user.',
-                tags: ['Users'],
-                operationId: 'getMe',
-                security: ['oauth2']
-            },
+            this.storeOAuthToken(tokenData, pending.scopes);
+            await this.verifyOAuthUser();
+        } catch (error) {
+            this.oauthToken = null;
+            this.saveOAuthToStorage();
+            this.updateOAuthStatus(`❌ OAuth sign-in failed: ${error.message}`, 'error');
+        }
+    }
 
-            // Workspaces
-            {
-                path: '/workspaces',
-                method: 'GET',
-                summary: 'Get multiple workspaces',
-                description: 'Returns the compact records for all workspaces visible to the authenticated user.',
-                tags: ['Workspaces'],
-                operationId: 'getWorkspaces',
-                security: ['oauth2']
-            },
-            {
-                path: '/workspaces/{workspace_gid}',
-                method: 'GET',
-                summary: 'Get a workspace',
-                description: 'Returns the complete workspace record for a single workspace.',
-                tags: ['Workspaces'],
-                operationId: 'getWorkspace',
-                security: ['oauth2']
-            },
-            {
-                path: '/workspaces/{workspace_gid}',
-                method: 'PUT',
-                summary: 'Update a workspace',
-                description: 'Updates the workspace and returns the updated workspace record.',
-                tags: ['Workspaces'],
-                operationId: 'updateWorkspace',
-                security: ['oauth2']
-            },
+    storeOAuthToken(tokenData, requestedScopes = []) {
+        this.oauthToken = {
+            accessToken: tokenData.access_token,
+            // Refresh responses may omit the refresh token, keep the one we have
+            refreshToken: tokenData.refresh_token || this.oauthToken?.refreshToken || '',
+            expiresAt: tokenData.expires_in ? Date.now() + tokenData.expires_in * 1000 : null,
+            scope: tokenData.scope || requestedScopes.join(' ') || this.oauthToken?.scope || '',
+            userName: tokenData.data?.name || this.oauthToken?.userName || ''
+        };
+        this.saveOAuthToStorage();
+        this.renderEndpoints();
+        this.renderSequence();
+    }
 
-            // Webhooks
-            {
-                path: '/webhooks',
-                method: 'GET',
-                summary: 'Get multiple webhooks',
-                description: 'Returns the compact representation of all webhooks your app has registered for the authenticated user.',
-                tags: ['Webhooks'],
-                operationId: 'getWebhooks',
-                security: ['oauth2']
-            },
-            {
-                path: '/webhooks',
-                method: 'POST',
-                summary: 'Establish a webhook',
-                description: 'Establishing a webhook is a two-part process.',
-                tags: ['Webhooks'],
-                operationId: 'createWebhook',
-                security: ['oauth2']
-            },
-            {
-                path: '/webhooks/{webhook_gid}',
-                method: 'GET',
-                summary: 'Get a webhook',
-                description: 'Returns the full record for the given webhook.',
-                tags: ['Webhooks'],
-                operationId: 'getWebhook',
-                security: ['oauth2']
-            },
-            {
-                path: '/webhooks/{webhook_gid}',
-                method: 'PUT',
-                summary: 'Update a webhook',
-                description: 'Updates the webhook and returns the updated webhook record.',
-                tags: ['Webhooks'],
-                operationId: 'updateWebhook',
-                security: ['oauth2']
-            },
-            {
-                path: '/webhooks/{webhook_gid}',
-                method: 'DELETE',
-                summary: 'Delete a webhook',
-                description: 'Deletes the webhook.',
-                tags: ['Webhooks'],
-                operationId: 'deleteWebhook',
-                security: ['oauth2']
-            },
+    async refreshOAuthToken() {
+        if (!this.oauthToken?.refreshToken) return null;
+
+        // Concurrent 401s share one refresh request
+        if (!this.oauthRefreshPromise) {
+            this.oauthRefreshPromise = (async () => {
+                const flow = this.getOAuthFlow();
+                const response = await this.scheduledFetch(flow.refreshUrl || flow.tokenUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body: new URLSearchParams({
+                        grant_type: 'refresh_token',
+                        client_id: this.oauthClientId,
+                        refresh_token: this.oauthToken.refreshToken
+                    }).toString()
+                });
+                const tokenData = await response.json();
 
-            // Additional comprehensive endpoints
-            
-            // Stories
-            {
-                path: '/stories/{story_gid}',
-                method: 'GET',
-                summary: 'Get a story',
-                description: 'Returns the full record for a single story.',
-                tags: ['Stories'],
-                operationId: 'getStory',
-                security: ['oauth2']
-            },
-            {
-                path: '/stories/{story_gid}',
-                method: 'PUT',
-                summary: 'Update a story',
-                description: 'Updates the story and returns the complete updated story record.',
-                tags: ['Stories'],
-                operationId: 'updateStory',
-                security: ['oauth2']
-            },
-            {
-                path: '/stories/{story_gid}',
-                method: 'DELETE',
-                summary: 'Delete a story',
-                description: 'Deletes the story.',
-                tags: ['Stories'],
-                operationId: 'deleteStory',
-                security: ['oauth2']
-            },
+                if (!response.ok) {
+                    console.warn('OAuth token refresh failed:', tokenData);
+                    this.updateOAuthStatus('❌ OAuth session expired, please sign in again', 'error');
+                    return null;
+                }
+
+                this.storeOAuthToken(tokenData);
+                console.log('🔐 OAuth access token refreshed');
+                return this.oauthToken.accessToken;
+            })().finally(() => {
+                this.oauthRefreshPromise = null;
+            });
+        }
+
+        return this.oauthRefreshPromise;
+    }
+
+    async authorizedFetch(url, fetchOptions, profile) {
+        // OAuth requests always carry the current access token; it may have been refreshed since the headers were built
+        const withToken = accessToken => ({
+            ...fetchOptions,
+            headers: { ...fetchOptions.headers, 'Authorization': `Bearer ${accessToken}` }
+        });
+        const sentToken = profile?.oauth ? this.oauthToken?.accessToken : null;
+        const response = await this.scheduledFetch(url, sentToken ? withToken(sentToken) : fetchOptions);
+        if (response.status !== 401 || !profile?.oauth) {
+            return response;
+        }
+
+        // Access token expired: refresh once, unless a concurrent request already did, and replay the request
+        const currentToken = this.oauthToken?.accessToken;
+        const accessToken = currentToken && currentToken !== sentToken ? currentToken : await this.refreshOAuthToken();
+        if (!accessToken) {
+            return response;
+        }
+        return this.scheduledFetch(url, withToken(accessToken));
+    }
+
+    // Request scheduler: every API call goes through one queue that keeps to the
+    // requests-per-minute budget, honours 429 Retry-After and backs off on 5xx/network errors.
+    loadRateLimitSettings() {
+        try {
+            const saved = localStorage.getItem(this.rateLimitStorageKey);
+            if (saved) {
+                this.rateLimit = { ...this.rateLimit, ...JSON.parse(saved) };
+            }
+        } catch (error) {
+            console.warn('Failed to load rate limit settings from localStorage:', error);
+        }
+    }
+
+    setRequestsPerMinute(value) {
+        this.rateLimit.requestsPerMinute = Math.max(1, parseInt(value, 10) || this.rateLimit.requestsPerMinute);
+        try {
+            localStorage.setItem(this.rateLimitStorageKey, JSON.stringify(this.rateLimit));
+        } catch (error) {
+            console.warn('Failed to save rate limit settings to localStorage:', error);
+        }
+        this.pumpRequestQueue();
+    }
+
+    scheduledFetch(url, options = {}) {
+        return new Promise((resolve, reject) => {
+            const entry = { url, options, resolve, reject, attempts: 0, readyAt: 0 };
+            // queueSignal only drops the request while it waits, once sent it runs to completion
+            const signal = options.signal || options.queueSignal;
+
+            if (signal) {
+                if (signal.aborted) {
+                    reject(new DOMException('The request was aborted', 'AbortError'));
+                    return;
+                }
+                // Requests still waiting in the queue are dropped, in-flight ones are aborted by fetch itself
+                signal.addEventListener('abort', () => {
+                    const index = this.requestQueue.indexOf(entry);
+                    if (index !== -1) {
+                        this.requestQueue.splice(index, 1);
+                        reject(new DOMException('The request was aborted', 'AbortError'));
+                        this.renderSchedulerStatus();
+                    }
+                }, { once: true });
+            }
+
+            this.requestQueue.push(entry);
+            this.pumpRequestQueue();
+        });
+    }
+
+    pumpRequestQueue() {
+        clearTimeout(this.requestQueueTimer);
+        this.requestQueueTimer = null;
+
+        while (this.requestQueue.length > 0) {
+            const now = Date.now();
+
+            // A 429 pauses everything, not just the request that got it
+            if (now < this.rateLimitBackoffUntil) {
+                this.scheduleQueuePump(this.rateLimitBackoffUntil - now);
+                break;
+            }
+
+            this.requestTimestamps = this.requestTimestamps.filter(timestamp => now - timestamp < 60000);
+            if (this.requestTimestamps.length >= this.rateLimit.requestsPerMinute) {
+                this.scheduleQueuePump(this.requestTimestamps[0] + 60000 - now);
+                break;
+            }
+
+            const readyIndex = this.requestQueue.findIndex(entry => entry.readyAt <= now);
+            if (readyIndex === -1) {
+                this.scheduleQueuePump(Math.min(...this.requestQueue.map(entry => entry.readyAt)) - now);
+                break;
+            }
+
+            const [entry] = this.requestQueue.splice(readyIndex, 1);
+            this.requestTimestamps.push(now);
+            this.runScheduledRequest(entry);
+        }
 
-            // Sections
-            {
-                path: '/sections',
-                method: 'POST',
-                summary: 'Create a section',
-                description: 'Creates a new section and returns the created section record.',
-                tags: ['Sections'],
-                operationId: 'createSection',
-                security: ['oauth2']
-            },
-            {
-                path: '/sections/{section_gid}',
-                method: 'GET',
-                summary: 'Get a section',
-                description: 'Returns the complete section record for a single section.',
-                tags: ['Sections'],
-                operationId: 'getSection',
-                security: ['oauth2']
-            },
-            {
-                path: '/sections/{section_gid}',
-                method: 'PUT',
-                summary: 'Update a section',
-                description: 'Updates the section and returns the updated section record.',
-                tags: ['Sections'],
-                operationId: 'updateSection',
-                security: ['oauth2']
-            },
-            {
-                path: '/sections/{section_gid}',
-                method: 'DELETE',
-                summary: 'Delete a section',
-                description: 'Deletes the section.',
-                tags: ['Sections'],
-                operationId: 'deleteSection',
-                security: ['oauth2']
-            },
-            {
-                path: '/projects/{project_gid}/sections',
-                method: 'GET',
-                summary: 'Get sections in a project',
-                description: 'Returns the compact records for all sections in the specified project.',
-                tags: ['Sections'],
-                operationId: 'getSectionsForProject',
-                security: ['oauth2']
-            },
+        this.renderSchedulerStatus();
+    }
 
-            // Task Dependencies
-            {
-                path: '/tasks/{task_gid}/dependencies',
-                method: 'GET',
-                summary: 'Get dependencies from a task',
-                description: 'Returns the dependencies of a task.',
-                tags: ['Tasks', 'Dependencies'],
-                operationId: 'getDependenciesForTask',
-                security: ['oauth2']
-            },
-            {
-                path: '/tasks/{task_gid}/dependents',
-                method: 'GET',
-                summary: 'Get dependents from a task',
-                description: 'Returns the dependents of a task.',
-                tags: ['Tasks', 'Dependencies'],
-                operationId: 'getDependentsForTask',
-                security: ['oauth2']
-            },
-            {
-                path: '/tasks/{task_gid}/addDependencies',
-                method: 'POST',
-                summary: 'Set dependencies for a task',
-                description: 'Marks a set of tasks as dependencies of this task.',
-                tags: ['Tasks', 'Dependencies'],
-                operationId: 'addDependenciesForTask',
-                security: ['oauth2']
-            },
-            {
-                path: '/tasks/{task_gid}/removeDependencies',
-                method: 'POST',
-                summary: 'Unlink dependencies from a task',
-                description: 'Unlinks a set of dependencies from this task.',
-                tags: ['Tasks', 'Dependencies'],
-                operationId: 'removeDependenciesForTask',
-                security: ['oauth2']
-            },
+    scheduleQueuePump(delay) {
+        this.requestQueueTimer = setTimeout(() => this.pumpRequestQueue(), Math.max(delay, 10));
+    }
 
-            // Task Followers
-            {
-                path: '/tasks/{task_gid}/addFollowers',
-                method: 'POST',
-                summary: 'Add followers to a task',
-                description: 'Adds followers to a task.',
-                tags: ['Tasks', 'Followers'],
-                operationId: 'addFollowersForTask',
-                security: ['oauth2']
-            },
-            {
-                path: '/tasks/{task_gid}/removeFollowers',
-                method: 'POST',
-                summary: 'Remove followers from a task',
-                description: 'Removes followers from a task.',
-                tags: ['Tasks', 'Followers'],
-                operationId: 'removeFollowersForTask',
-                security: ['oauth2']
-            },
+    async runScheduledRequest(entry) {
+        this.requestsInFlight++;
+        this.renderSchedulerStatus();
 
-            // Task Projects
-            {
-                path: '/tasks/{task_gid}/addProject',
-                method: 'POST',
-                summary: 'Add a project to a task',
-                description: 'Adds the task to the specified project.',
-                tags: ['Tasks', 'Projects'],
-                operationId: 'addProjectForTask',
-                security: ['oauth2']
-            },
-            {
-                path: '/tasks/{task_gid}/removeProject',
-                method: 'POST',
-                summary: 'Remove a project from a task',
-                description: 'Removes the task from the specified project.',
-                tags: ['Tasks', 'Projects'],
-                operationId: 'removeProjectForTask',
-                security: ['oauth2']
-            },
+        try {
+            const { queueSignal, ...fetchOptions } = entry.options;
+            const response = await fetch(entry.url, fetchOptions);
+            const canRetry = entry.attempts < this.rateLimit.maxRetries;
+
+            if (response.status === 429 && canRetry) {
+                const retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+                const delay = retryAfter !== null ? retryAfter : this.getBackoffDelay(entry.attempts);
+                this.rateLimitBackoffUntil = Math.max(this.rateLimitBackoffUntil, Date.now() + delay);
+                this.schedulerBackoffReason = `429 rate limited${retryAfter !== null ? ' (Retry-After)' : ''}`;
+                console.warn(`⏳ 429 from ${entry.url}, pausing all requests for ${Math.round(delay / 1000)}s`);
+                this.retryScheduledRequest(entry, 0);
+                return;
+            }
 
-            // Subtasks
-            {
-                path: '/tasks/{task_gid}/subtasks',
-                method: 'GET',
-                summary: 'Get subtasks from a task',
-                description: 'Returns a compact representation of all the subtasks of a task.',
-                tags: ['Tasks', 'Subtasks'],
-                operationId: 'getSubtasksForTask',
-                security: ['oauth2']
-            },
-            {
-                path: '/tasks/{task_gid}/subtasks',
-                method: 'POST',
-                summary: 'Create a subtask',
-                description: 'Creates a new subtask and adds it to the parent task.',
-                tags: ['Tasks', 'Subtasks'],
-                operationId: 'createSubtaskForTask',
-                security: ['oauth2']
-            },
+            // Writes may already have been applied when a 5xx comes back, so only reads are replayed
+            if (response.status >= 500 && canRetry && this.isRetrySafeRequest(entry.options)) {
+                const delay = this.getBackoffDelay(entry.attempts);
+                this.schedulerBackoffReason = `${response.status} server error`;
+                console.warn(`⏳ ${response.status} from ${entry.url}, retry ${entry.attempts + 1} in ${Math.round(delay / 1000)}s`);
+                this.retryScheduledRequest(entry, delay);
+                return;
+            }
 
-            // Time Tracking
-            {
-                path: '/tasks/{task_gid}/time_tracking_entries',
-                method: 'GET',
-                summary: 'Get time tracking entries from a task',
-                description: 'Returns time tracking entries from a task.',
-                tags: ['Time tracking entries'],
-                operationId: 'getTimeTrackingEntriesForTask',
-                security: ['oauth2']
-            },
-            {
-                path: '/tasks/{task_gid}/time_tracking_entries',
-                method: 'POST',
-                summary: 'Create a time tracking entry',
-                description: 'Creates a time tracking entry on a task.',
-                tags: ['Time tracking entries'],
-                operationId: 'createTimeTrackingEntry',
-                security: ['oauth2']
-            },
-            {
-                path: '/time_tracking_entries/{time_tracking_entry_gid}',
-                method: 'GET',
-                summary: 'Get a time tracking entry',
-                description: 'Returns the complete time tracking entry record for a single time tracking entry.',
-                tags: ['Time tracking entries'],
-                operationId: 'getTimeTrackingEntry',
-                security: ['oauth2']
-            },
-            {
-                path: '/time_tracking_entries/{time_tracking_entry_gid}',
-                method: 'PUT',
-                summary: 'Update a time tracking entry',
-                description: 'Updates the time tracking entry and returns the updated record.',
-                tags: ['Time tracking entries'],
-                operationId: 'updateTimeTrackingEntry',
-                security: ['oauth2']
-            },
-            {
-                path: '/time_tracking_entries/{time_tracking_entry_gid}',
-                method: 'DELETE',
-                summary: 'Delete a time tracking entry',
-                description: 'Deletes the time tracking entry.',
-                tags: ['Time tracking entries'],
-                operationId: 'deleteTimeTrackingEntry',
-                security: ['oauth2']
-            },
+            entry.resolve(response);
+        } catch (error) {
+            // Cancelled requests are never retried, writes only when the browser was offline and never sent them
+            const neverSent = navigator.onLine === false;
+            if (error.name !== 'AbortError' && entry.attempts < this.rateLimit.maxRetries &&
+                (neverSent || this.isRetrySafeRequest(entry.options))) {
+                const delay = this.getBackoffDelay(entry.attempts);
+                this.schedulerBackoffReason = `network error: ${error.message}`;
+                console.warn(`⏳ Network error for ${entry.url}, retry ${entry.attempts + 1} in ${Math.round(delay / 1000)}s`);
+                this.retryScheduledRequest(entry, delay);
+                return;
+            }
+            entry.reject(error);
+        } finally {
+            this.requestsInFlight--;
+            this.renderSchedulerStatus();
+        }
+    }
 
-            // Status Updates
-            {
-                path: '/status_updates',
-                method: 'POST',
-                summary: 'Create a status update',
-                description: 'Creates a new status update and returns the created status update record.',
-                tags: ['Status updates'],
-                operationId: 'createStatusUpdate',
-                security: ['oauth2']
-            },
-            {
-                path: '/status_updates/{status_update_gid}',
-                method: 'GET',
-                summary: 'Get a status update',
-                description: 'Returns the complete status update record for a single status update.',
-                tags: ['Status updates'],
-                operationId: 'getStatusUpdate',
-                security: ['oauth2']
-            },
-            {
-                path: '/status_updates/{status_update_gid}',
-                method: 'PUT',
-                summary: 'Update a status update',
-                description: 'Updates the status update and returns the updated status update record.',
-                tags: ['Status updates'],
-                operationId: 'updateStatusUpdate',
-                security: ['oauth2']
-            },
-            {
-                path: '/status_updates/{status_update_gid}',
-                method: 'DELETE',
-                summary: 'Delete a status update',
-                description: 'Deletes the status update.',
-                tags: ['Status updates'],
-                operationId: 'deleteStatusUpdate',
-                security: ['oauth2']
-            },
+    isRetrySafeRequest(options) {
+        return ['GET', 'HEAD', 'OPTIONS'].includes((options.method || 'GET').toUpperCase());
+    }
+
+    retryScheduledRequest(entry, delay) {
+        if ((entry.options.signal || entry.options.queueSignal)?.aborted) {
+            entry.reject(new DOMException('The request was aborted', 'AbortError'));
+            return;
+        }
+        entry.attempts++;
+        entry.readyAt = Date.now() + delay;
+        // Retries go first so a long queue doesn't starve them
+        this.requestQueue.unshift(entry);
+        this.pumpRequestQueue();
+    }
+
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        // Either delay-seconds or an HTTP date
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    getBackoffDelay(attempts) {
+        // 1s, 2s, 4s, 8s... with jitter, capped at 60s
+        const delay = Math.min(this.rateLimit.baseDelayMs * 2 ** attempts, 60000);
+        return delay + Math.random() * delay * 0.2;
+    }
+
+    renderSchedulerStatus() {
+        const container = document.getElementById('schedulerStatus');
+        if (!container) return;
+
+        const now = Date.now();
+        const usedBudget = this.requestTimestamps.filter(timestamp => now - timestamp < 60000).length;
+        const backoffSeconds = Math.ceil((this.rateLimitBackoffUntil - now) / 1000);
+        const retrying = this.requestQueue.filter(entry => entry.attempts > 0);
+        const nextRetrySeconds = retrying.length > 0
+            ? Math.ceil((Math.min(...retrying.map(entry => entry.readyAt)) - now) / 1000)
+            : 0;
+
+        let state = '🟢 Idle';
+        if (backoffSeconds > 0) {
+            state = `⏸ Paused ${backoffSeconds}s - ${this.schedulerBackoffReason}`;
+        } else if (nextRetrySeconds > 0) {
+            state = `🔁 Retrying ${retrying.length} request${retrying.length !== 1 ? 's' : ''} in ${nextRetrySeconds}s - ${this.schedulerBackoffReason}`;
+        } else if (this.requestQueue.length > 0 && usedBudget >= this.rateLimit.requestsPerMinute) {
+            state = '⏳ Waiting for rate budget';
+        } else if (this.requestsInFlight > 0 || this.requestQueue.length > 0) {
+            state = '📡 Sending';
+        }
+
+        // Built once; later refreshes only touch the counters so the budget stays editable while requests run
+        if (!container.querySelector('[data-status="state"]')) {
+            container.innerHTML = `
+                <span data-status="state"></span>
+                <span>Queue: <strong data-status="queue"></strong></span>
+                <span>In flight: <strong data-status="inFlight"></strong></span>
+                <span>Budget: <strong data-status="budget"></strong>/
+                    <input type="number" min="1" value="${this.rateLimit.requestsPerMinute}" title="Requests per minute"
+                           onchange="explorer.setRequestsPerMinute(this.value)"> per min</span>
+            `;
+        }
+        container.querySelector('[data-status="state"]').textContent = state;
+        container.querySelector('[data-status="queue"]').textContent = this.requestQueue.length;
+        container.querySelector('[data-status="inFlight"]').textContent = this.requestsInFlight;
+        container.querySelector('[data-status="budget"]').textContent = usedBudget;
+
+        // Keep countdowns ticking while anything is pending
+        const busy = this.requestQueue.length > 0 || this.requestsInFlight > 0 || backoffSeconds > 0;
+        if (busy && !this.schedulerStatusTimer) {
+            this.schedulerStatusTimer = setInterval(() => this.renderSchedulerStatus(), 1000);
+        } else if (!busy && this.schedulerStatusTimer) {
+            clearInterval(this.schedulerStatusTimer);
+            this.schedulerStatusTimer = null;
+        }
+    }
+
+    async verifyOAuthUser() {
+        const profile = this.getAuthProfile(this.oauthAuthProfileId);
+        if (!this.oauthToken) {
+            this.updateOAuthStatus('Not signed in', 'error');
+            return;
+        }
 
-            // Tags
-            {
-                path: '/tags',
-                method: 'GET',
-                summary: 'Get multiple tags',
-                description: 'Returns the compact tag records for some filtered set of tags.',
-                tags: ['Tags'],
-                operationId: 'getTags',
-                security: ['oauth2']
-            },
-            {
-                path: '/tags',
-                method: 'POST',
-                summary: 'Create a tag',
-                description: 'Creates a new tag and returns the created tag record.',
-                tags: ['Tags'],
-                operationId: 'createTag',
-                security: ['oauth2']
-            },
-            {
-                path: '/tags/{tag_gid}',
+        try {
+            const response = await this.authorizedFetch(`${this.baseUrl}/users/me`, {
                 method: 'GET',
-                summary: 'Get a tag',
-                description: 'Returns the complete tag record for a single tag.',
-                tags: ['Tags'],
-                operationId: 'getTag',
-                security: ['oauth2']
-            },
-            {
-                path: '/tags/{tag_gid}',
-                method: 'PUT',
-                summary: 'Update a tag',
-                description: 'Updates the tag and returns the updated tag record.',
-                tags: ['Tags'],
-                operationId: 'updateTag',
-                security: ['oauth2']
-            },
-            {
-                path: '/tags/{tag_gid}',
-                method: 'DELETE',
-                summary: 'Delete a tag',
-                description: 'Deletes the tag.',
-                tags: ['Tags'],
-                operationId: 'deleteTag',
-                security: ['oauth2']
-            },
+                headers: {
+                    'Authorization': `Bearer ${this.oauthToken.accessToken}`,
+                    'Accept': 'application/json'
+                }
+            }, profile);
 
-            // Typeahead
-            {
-                path: '/workspaces/{workspace_gid}/typeahead',
-                method: 'GET',
-                summary: 'Get objects via typeahead',
-                description: 'Retrieves objects in the workspace based on an auto-completion/typeahead search algorithm.',
-                tags: ['Typeahead'],
-                operationId: 'typeaheadForWorkspace',
-                security: ['oauth2']
-            },
+            if (response.ok) {
+                const userData = await response.json();
+                this.oauthToken.userName = userData.data.name;
+                this.saveOAuthToStorage();
+                const scopeInfo = this.oauthToken.scope ? ` (scopes: ${this.oauthToken.scope})` : '';
+                this.updateOAuthStatus(`✅ Signed in with OAuth as ${userData.data.name}${scopeInfo}`, 'success');
+            } else {
+                const errorData = await response.json();
+                this.updateOAuthStatus(`❌ OAuth connection failed: ${errorData.errors?.[0]?.message || 'Invalid token'}`, 'error');
+            }
+        } catch (error) {
+            this.updateOAuthStatus(`❌ OAuth connection failed: ${error.message}`, 'error');
+        }
+    }
 
-            // Organization Exports
-            {
-                path: '/organization_exports',
-                method: 'POST',
-                summary: 'Create an organization export',
-                description: 'Creates an organization export request and returns the created organization export record.',
-                tags: ['Organization exports'],
-                operationId: 'createOrganizationExport',
-                security: ['oauth2']
-            },
-            {
-                path: '/organization_exports/{organization_export_gid}',
-                method: 'GET',
-                summary: 'Get details on an organization export',
-                description: 'Returns details of a previously-requested organization export.',
-                tags: ['Organization exports'],
-                operationId: 'getOrganizationExport',
-                security: ['oauth2']
-            },
+    signOutOAuth() {
+        this.oauthToken = null;
+        this.saveOAuthToStorage();
+        this.updateOAuthStatus('Signed out of OAuth', 'info');
+        this.renderEndpoints();
+        this.renderSequence();
+    }
 
-            // Project Templates
-            {
-                path: '/project_templates/{project_template_gid}/instantiateProject',
-                method: 'POST',
-                summary: 'Instantiate a project from a project template',
-                description: 'Creates and returns a job that will asynchronously handle the project instantiation.',
-                tags: ['Project templates'],
-                operationId: 'instantiateProject',
-                security: ['oauth2']
-            },
-            {
-                path: '/teams/{team_gid}/project_templates',
-                method: 'GET',
-                summary: 'Get a team\'s project templates',
-                description: 'Returns the compact project template records for all project templates in the team.',
-                tags: ['Project templates'],
-                operationId: 'getProjectTemplatesForTeam',
-                security: ['oauth2']
-            },
+    // Auth profiles: named credentials per API, referenced by sequence steps.
+    // The Asana PAT above is always available as the built-in 'asana-pat' profile.
+    loadAuthProfiles() {
+        try {
+            const saved = localStorage.getItem(this.authProfilesStorageKey);
+            this.authProfiles = saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.warn('Failed to load auth profiles from localStorage:', error);
+            this.authProfiles = [];
+        }
+    }
 
-            // Project Status Updates
-            {
-                path: '/projects/{project_gid}/project_statuses',
-                method: 'GET',
-                summary: 'Get statuses from a project',
-                description: 'Returns the compact project status update records for all updates on the project.',
-                tags: ['Project status updates'],
-                operationId: 'getProjectStatusesForProject',
-                security: ['oauth2']
-            },
-            {
-                path: '/projects/{project_gid}/project_statuses',
-                method: 'POST',
-                summary: 'Create a project status',
-                description: 'Creates a new status update and returns the created status update record.',
-                tags: ['Project status updates'],
-                operationId: 'createProjectStatusForProject',
-                security: ['oauth2']
-            },
+    saveAuthProfiles() {
+        if (this.vault) {
+            this.saveVaultSecrets().catch(error => console.warn('Failed to update vault secrets:', error));
+        }
 
-            // Rules
-            {
-                path: '/rules/{rule_gid}/trigger',
-                method: 'POST',
-                summary: 'Trigger a rule',
-                description: 'Triggers a rule which uses an "inbox" trigger.',
-                tags: ['Rules'],
-                operationId: 'triggerRule',
-                security: ['oauth2']
-            },
+        try {
+            // With a vault, secrets are only stored encrypted in it
+            const profiles = this.vault ? this.authProfiles.map(({ secret, ...profile }) => profile) : this.authProfiles;
+            localStorage.setItem(this.authProfilesStorageKey, JSON.stringify(profiles));
+        } catch (error) {
+            console.warn('Failed to save auth profiles to localStorage:', error);
+        }
+    }
 
-            // Search
-            {
-                path: '/workspaces/{workspace_gid}/search',
-                method: 'GET',
-                summary: 'Search in a workspace',
-                description: 'Searches for objects in a workspace.',
-                tags: ['Search'],
-                operationId: 'searchInWorkspace',
-                security: ['oauth2']
-            },
+    getAuthProfiles() {
+        return [
+            { id: this.defaultAuthProfileId, name: 'Asana PAT', apiId: this.defaultApiId, type: 'bearer', builtIn: true },
+            { id: this.oauthAuthProfileId, name: 'Asana OAuth', apiId: this.defaultApiId, type: 'bearer', builtIn: true, oauth: true },
+            ...this.authProfiles
+        ];
+    }
 
-            // User Task Lists
-            {
-                path: '/user_task_lists/{user_task_list_gid}',
-                method: 'GET',
-                summary: 'Get a user task list',
-                description: 'Returns the complete user task list record for a single user task list.',
-                tags: ['User task lists'],
-                operationId: 'getUserTaskList',
-                security: ['oauth2']
-            },
-            {
-                path: '/users/{user_gid}/user_task_list',
-                method: 'GET',
-                summary: 'Get a user\'s task list',
-                description: 'Returns the complete user task list record for a user\'s My Tasks.',
-                tags: ['User task lists'],
-                operationId: 'getUserTaskListForUser',
-                security: ['oauth2']
-            },
+    getAuthProfile(profileId) {
+        return this.getAuthProfiles().find(profile => profile.id === profileId) || null;
+    }
 
-            // Workspace Memberships
-            {
-                path: '/workspace_memberships',
-                method: 'GET',
-                summary: 'Get multiple workspace memberships',
-                description: 'Returns the compact workspace membership records.',
-                tags: ['Workspace memberships'],
-                operationId: 'getWorkspaceMemberships',
-                security: ['oauth2']
-            },
-            {
-                path: '/workspace_memberships/{workspace_membership_gid}',
-                method: 'GET',
-                summary: 'Get a workspace membership',
-                description: 'Returns the complete workspace membership record for a single workspace membership.',
-                tags: ['Workspace memberships'],
-                operationId: 'getWorkspaceMembership',
-                security: ['oauth2']
+    getAuthProfileSecret(profile) {
+        if (profile.oauth) {
+            return this.oauthToken?.accessToken || '';
+        }
+        return profile.builtIn ? this.personalAccessToken : (profile.secret || '');
+    }
+
+    getDefaultAuthProfileId(apiId = this.defaultApiId) {
+        // Prefer a profile that can actually authenticate (e.g. OAuth when no PAT is set)
+        const candidates = this.getAuthProfiles().filter(p => p.apiId === apiId);
+        const profile = candidates.find(p => p.type === 'none' || this.getAuthProfileSecret(p)) || candidates[0];
+        return profile ? profile.id : '';
+    }
+
+    getStepAuthProfile(item) {
+        const apiId = item.endpoint.apiId || this.defaultApiId;
+        return this.getAuthProfile(item.authProfileId) || this.getAuthProfile(this.getDefaultAuthProfileId(apiId));
+    }
+
+    hasStepCredentials(item) {
+        const profile = this.getStepAuthProfile(item);
+        return !!profile && (profile.type === 'none' || !!this.getAuthProfileSecret(profile));
+    }
+
+    getStepAuthHeaders(item) {
+        const profile = this.getStepAuthProfile(item);
+        if (!profile) {
+            throw new Error(`No auth profile configured for ${item.endpoint.method} ${item.endpoint.path}`);
+        }
+
+        const secret = this.getAuthProfileSecret(profile);
+        if (profile.type !== 'none' && !secret) {
+            throw new Error(`Auth profile "${profile.name}" has no credentials`);
+        }
+
+        switch (profile.type) {
+            case 'none':
+                return {};
+            case 'apiKey':
+                return { [profile.headerName || 'X-API-Key']: secret };
+            case 'basic':
+                return { 'Authorization': `Basic ${btoa(`${profile.username || ''}:${secret}`)}` };
+            default:
+                return { 'Authorization': `Bearer ${secret}` };
+        }
+    }
+
+    addAuthProfile() {
+        const apiId = this.currentApiFilter !== 'all' ? this.currentApiFilter :
+            (Array.from(this.apis.keys()).find(id => id !== this.defaultApiId) || this.defaultApiId);
+        const api = this.getApi(apiId);
+
+        this.authProfiles.push({
+            id: `auth_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: `${api ? api.name : apiId} token`,
+            apiId: apiId,
+            type: 'bearer',
+            headerName: '',
+            username: '',
+            secret: ''
+        });
+        this.saveAuthProfiles();
+        this.renderAuthProfiles();
+    }
+
+    updateAuthProfile(profileId, field, value) {
+        const profile = this.authProfiles.find(p => p.id === profileId);
+        if (!profile) return;
+
+        profile[field] = field === 'secret' ? value.trim() : value;
+        this.saveAuthProfiles();
+
+        if (field === 'type') {
+            this.renderAuthProfiles();
+        }
+        this.renderSequence();
+        this.updateEndpointExecuteButtons();
+    }
+
+    removeAuthProfile(profileId) {
+        const profile = this.authProfiles.find(p => p.id === profileId);
+        if (!profile) return;
+
+        const usedBy = this.apiSequence.filter(item => item.authProfileId === profileId).length;
+        if (usedBy > 0 && !confirm(`"${profile.name}" is used by ${usedBy} sequence step${usedBy !== 1 ? 's' : ''}. Those steps will fall back to their API's default profile. Remove it?`)) {
+            return;
+        }
+
+        this.authProfiles = this.authProfiles.filter(p => p.id !== profileId);
+        this.apiSequence.forEach(item => {
+            if (item.authProfileId === profileId) {
+                item.authProfileId = this.getDefaultAuthProfileId(item.endpoint.apiId || this.defaultApiId);
             }
+        });
+        this.saveAuthProfiles();
+        this.renderAuthProfiles();
+        this.renderSequence();
+        this.updateEndpointExecuteButtons();
+    }
+
+    renderAuthProfiles() {
+        const container = document.getElementById('authProfileList');
+        if (!container) return;
+
+        if (this.authProfiles.length === 0) {
+            container.innerHTML = '<div class="spec-drop-hint">No extra profiles. Sequence steps for Asana use the PAT above.</div>';
+            return;
+        }
+
+        const apiOptions = (selectedId) => Array.from(this.apis.values()).map(api => `
+            <option value="${api.id}" ${api.id === selectedId ? 'selected' : ''}>${this.escapeHTML(api.name)}</option>
+        `).join('');
+
+        container.innerHTML = this.authProfiles.map(profile => `
+            <div class="auth-profile-item">
+                <input type="text" value="${this.escapeHTML(profile.name)}" placeholder="Profile name"
+                       onchange="explorer.updateAuthProfile('${profile.id}', 'name', this.value)">
+                <select onchange="explorer.updateAuthProfile('${profile.id}', 'apiId', this.value)">
+                    ${apiOptions(profile.apiId)}
+                    ${this.apis.has(profile.apiId) ? '' : `<option value="${this.escapeHTML(profile.apiId)}" selected>${this.escapeHTML(profile.apiId)} (not loaded)</option>`}
+                </select>
+                <select onchange="explorer.updateAuthProfile('${profile.id}', 'type', this.value)">
+                    <option value="bearer" ${profile.type === 'bearer' ? 'selected' : ''}>Bearer token</option>
+                    <option value="apiKey" ${profile.type === 'apiKey' ? 'selected' : ''}>API key header</option>
+                    <option value="basic" ${profile.type === 'basic' ? 'selected' : ''}>Basic auth</option>
+                    <option value="none" ${profile.type === 'none' ? 'selected' : ''}>No auth</option>
+                </select>
+                ${profile.type === 'apiKey' ? `
+                    <input type="text" value="${this.escapeHTML(profile.headerName || '')}" placeholder="Header (X-API-Key)"
+                           onchange="explorer.updateAuthProfile('${profile.id}', 'headerName', this.value)">
+                ` : ''}
+                ${profile.type === 'basic' ? `
+                    <input type="text" value="${this.escapeHTML(profile.username || '')}" placeholder="Username"
+                           onchange="explorer.updateAuthProfile('${profile.id}', 'username', this.value)">
+                ` : ''}
+                ${profile.type !== 'none' ? `
+                    <input type="password" value="${this.escapeHTML(profile.secret || '')}" placeholder="${profile.type === 'basic' ? 'Password' : 'Token'}"
+                           onchange="explorer.updateAuthProfile('${profile.id}', 'secret', this.value)">
+                ` : ''}
+                <button class="clear-btn" onclick="explorer.removeAuthProfile('${profile.id}')" title="Remove this profile">🗑️</button>
+            </div>
+        `).join('');
+    }
+
+    setStepAuthProfile(itemId, profileId) {
+        const item = this.apiSequence.find(item => item.id === itemId);
+        if (!item) return;
+
+        item.authProfileId = profileId;
+        this.renderSequence();
+        console.log(`Step ${itemId} now uses auth profile ${profileId}`);
+    }
+
+    renderStepAuthProfileSelect(item) {
+        const apiId = item.endpoint.apiId || this.defaultApiId;
+        const current = this.getStepAuthProfile(item);
+        const profiles = this.getAuthProfiles();
+        // Profiles for this step's API first, the rest are still selectable (e.g. a shared gateway token)
+        const sorted = [
+            ...profiles.filter(p => p.apiId === apiId),
+            ...profiles.filter(p => p.apiId !== apiId)
         ];
-        
-        console.log(`Created ${this.endpoints.length} comprehensive sample endpoints`);
+
+        return `
+            <div style="margin-top: 8px; font-size: 12px; display: flex; align-items: center; gap: 6px;">
+                <label style="font-weight: 600;">🔑 Auth:</label>
+                <select onchange="explorer.setStepAuthProfile('${item.id}', this.value)" style="font-size: 12px; padding: 2px 4px;">
+                    ${current ? '' : '<option value="" selected>No profile for this API</option>'}
+                    ${sorted.map(profile => `
+                        <option value="${profile.id}" ${current && current.id === profile.id ? 'selected' : ''}>
+                            ${this.escapeHTML(profile.name)}${profile.apiId !== apiId ? ` (${this.escapeHTML(profile.apiId)})` : ''}
+                        </option>
+                    `).join('')}
+                </select>
+                ${!this.hasStepCredentials(item) ? '<span style="color: #dc3545;">missing credentials</span>' : ''}
+            </div>
+        `;
     }
 
-    setupEventListeners() {
-        // Search input
-        const searchInput = document.getElementById('searchInput');
-        searchInput.addEventListener('input', (e) => {
-            this.searchTerm = e.target.value.toLowerCase();
-            this.filterAndRenderEndpoints();
-        });
+    getAuthProfileReference(item) {
+        // Exported sequences carry the profile identity only, never the secret
+        const profile = this.getStepAuthProfile(item);
+        if (!profile) return undefined;
+
+        return {
+            id: profile.id,
+            name: profile.name,
+            api: profile.apiId,
+            type: profile.type,
+            ...(profile.type === 'apiKey' ? { headerName: profile.headerName } : {})
+        };
+    }
 
-        // Method filter buttons
-        const filterButtons = document.querySelectorAll('.method-filter');
-        filterButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                // Update active state
-                filterButtons.forEach(btn => btn.classList.remove('active'));
-                e.target.classList.add('active');
-                
-                // Update filter
-                this.currentMethodFilter = e.target.dataset.method;
-                this.filterAndRenderEndpoints();
-            });
-        });
+    resolveImportedAuthProfile(reference, apiId) {
+        if (!reference || !reference.id) {
+            return { profileId: this.getDefaultAuthProfileId(apiId), created: false };
+        }
 
-        // PAT input and controls
-        const patInput = document.getElementById('patInput');
-        const togglePat = document.getElementById('togglePat');
-        const testConnection = document.getElementById('testConnection');
-        const clearPat = document.getElementById('clearPat');
+        if (this.getAuthProfile(reference.id)) {
+            return { profileId: reference.id, created: false };
+        }
 
-        // PAT input change
-        patInput.addEventListener('input', (e) => {
-            this.personalAccessToken = e.target.value.trim();
-            this.isTokenValid = false;
-            this.updatePatStatus('', '');
-            this.savePATToStorage();
-            this.renderEndpoints(); // Re-render to update execute buttons
-            this.updateExecuteButtonStatus(); // Update sequence execute button
+        // Unknown profile: recreate it without a secret so the user only has to fill in the token
+        this.authProfiles.push({
+            id: reference.id,
+            name: reference.name || reference.id,
+            apiId: reference.api || apiId,
+            type: ['bearer', 'apiKey', 'basic', 'none'].includes(reference.type) ? reference.type : 'bearer',
+            headerName: reference.headerName || '',
+            username: '',
+            secret: ''
         });
+        this.saveAuthProfiles();
+        return { profileId: reference.id, created: true };
+    }
 
-        // Toggle PAT visibility
-        togglePat.addEventListener('click', () => {
-            if (patInput.type === 'password') {
-                patInput.type = 'text';
-                togglePat.textContent = '🙈';
+    // Credential vault: optional passphrase-encrypted store for named PATs (e.g. sandbox, production),
+    // the OAuth session and auth profile secrets. Only ciphertext is written to localStorage; decrypted tokens live in memory until the vault locks.
+    loadVault() {
+        try {
+            const saved = localStorage.getItem(this.vaultStorageKey);
+            this.vault = saved ? JSON.parse(saved) : null;
+            const autoLock = localStorage.getItem(this.vaultAutoLockStorageKey);
+            if (autoLock !== null) {
+                this.vaultAutoLockMinutes = parseInt(autoLock, 10) || 0;
+            }
+        } catch (error) {
+            console.warn('Failed to load credential vault from localStorage:', error);
+            this.vault = null;
+        }
+    }
+
+    saveVault() {
+        try {
+            if (this.vault) {
+                localStorage.setItem(this.vaultStorageKey, JSON.stringify(this.vault));
             } else {
-                patInput.type = 'password';
-                togglePat.textContent = '👁️';
+                localStorage.removeItem(this.vaultStorageKey);
             }
-        });
+        } catch (error) {
+            console.warn('Failed to save credential vault to localStorage:', error);
+        }
+    }
 
-        // Test connection
-        testConnection.addEventListener('click', () => {
-            this.testConnection();
-        });
+    isVaultUnlocked() {
+        return !!this.vault && !!this.vaultKey;
+    }
 
-        // Clear PAT
-        clearPat.addEventListener('click', () => {
-            if (confirm('Are you sure you want to clear the stored PAT?')) {
-                this.clearStoredPAT();
+    bytesToBase64(bytes) {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    }
+
+    base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    async deriveVaultKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encryptVaultValue(value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv }, this.vaultKey, new TextEncoder().encode(value)
+        );
+        return { iv: this.bytesToBase64(iv), data: this.bytesToBase64(data) };
+    }
+
+    async decryptVaultValue(encrypted, key = this.vaultKey) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBytes(encrypted.iv) }, key, this.base64ToBytes(encrypted.data)
+        );
+        return new TextDecoder().decode(data);
+    }
+
+    async createVault() {
+        const passphrase = document.getElementById('vaultPassphrase')?.value || '';
+        if (passphrase.length < 8) {
+            this.updatePatStatus('Vault passphrase must be at least 8 characters', 'error');
+            return;
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iterations = 250000;
+        this.vaultKey = await this.deriveVaultKey(passphrase, salt, iterations);
+        this.vault = {
+            version: 1,
+            salt: this.bytesToBase64(salt),
+            iterations: iterations,
+            check: await this.encryptVaultValue(this.vaultCheckValue),
+            entries: [],
+            activeName: ''
+        };
+        this.vaultTokens = new Map();
+
+        // Move the plaintext PAT and OAuth session into the vault
+        if (this.personalAccessToken) {
+            await this.storeVaultToken('default', this.personalAccessToken);
+            this.vault.activeName = 'default';
+        }
+        localStorage.removeItem(this.storageKey);
+        await this.saveVaultSecrets();
+        this.saveOAuthToStorage();
+        this.saveAuthProfiles();
+        this.resetVaultAutoLock();
+
+        this.updatePatStatus('🔐 Vault created - tokens are now stored encrypted', 'success');
+        this.renderVaultControls();
+    }
+
+    async unlockVault() {
+        const passphraseInput = document.getElementById('vaultPassphrase');
+        const passphrase = passphraseInput?.value || '';
+        if (!this.vault || !passphrase) return;
+
+        try {
+            const key = await this.deriveVaultKey(passphrase, this.base64ToBytes(this.vault.salt), this.vault.iterations);
+            if (await this.decryptVaultValue(this.vault.check, key) !== this.vaultCheckValue) {
+                throw new Error('check value mismatch');
+            }
+
+            this.vaultKey = key;
+            this.vaultTokens = new Map();
+            for (const entry of this.vault.entries) {
+                this.vaultTokens.set(entry.name, await this.decryptVaultValue(entry));
             }
+            await this.loadVaultSecrets();
+        } catch (error) {
+            // AES-GCM decryption throws on a wrong key
+            this.vaultKey = null;
+            this.updatePatStatus('❌ Wrong vault passphrase', 'error');
+            return;
+        }
+
+        this.applyVaultToken(this.vault.activeName);
+        this.restoreOAuthToInput();
+        this.renderAuthProfiles();
+        // A session signed in while locked only lived in memory until now
+        this.saveVaultSecrets().catch(error => console.warn('Failed to update vault secrets:', error));
+        this.resetVaultAutoLock();
+        this.updatePatStatus(`🔓 Vault unlocked${this.vault.activeName ? ` - using "${this.vault.activeName}"` : ''}`, 'success');
+        this.renderVaultControls();
+    }
+
+    lockVault(reason = 'Vault locked') {
+        if (!this.vault) return;
+
+        clearTimeout(this.vaultAutoLockTimer);
+        this.vaultKey = null;
+        this.vaultTokens = new Map();
+        this.oauthToken = null;
+        this.authProfiles.forEach(profile => {
+            profile.secret = '';
         });
+        this.restoreOAuthToInput();
+        this.renderAuthProfiles();
+        this.applyVaultToken('');
+        this.updatePatStatus(`🔒 ${reason} - enter the passphrase to unlock`, 'info');
+        this.renderVaultControls();
     }
 
-    filterAndRenderEndpoints() {
-        this.filteredEndpoints = this.endpoints.filter(endpoint => {
-            // Method filter
-            const methodMatch = this.currentMethodFilter === 'all' || 
-                               endpoint.method.toLowerCase() === this.currentMethodFilter;
-            
-            // Search filter
-            const searchMatch = !this.searchTerm || 
-                              endpoint.path.toLowerCase().includes(this.searchTerm) ||
-                              endpoint.method.toLowerCase().includes(this.searchTerm) ||
-                              endpoint.summary.toLowerCase().includes(this.searchTerm) ||
-                              endpoint.description.toLowerCase().includes(this.searchTerm) ||
-                              endpoint.tags.some(tag => tag.toLowerCase().includes(this.searchTerm));
-            
-            return methodMatch && searchMatch;
+    resetVaultAutoLock() {
+        clearTimeout(this.vaultAutoLockTimer);
+        if (!this.isVaultUnlocked() || !this.vaultAutoLockMinutes) return;
+
+        this.vaultAutoLockTimer = setTimeout(() => {
+            this.lockVault(`Vault auto-locked after ${this.vaultAutoLockMinutes} minutes of inactivity`);
+        }, this.vaultAutoLockMinutes * 60 * 1000);
+    }
+
+    setVaultAutoLock(minutes) {
+        this.vaultAutoLockMinutes = parseInt(minutes, 10) || 0;
+        try {
+            localStorage.setItem(this.vaultAutoLockStorageKey, String(this.vaultAutoLockMinutes));
+        } catch (error) {
+            console.warn('Failed to save vault auto-lock setting:', error);
+        }
+        this.resetVaultAutoLock();
+    }
+
+    async storeVaultToken(name, token) {
+        const encrypted = await this.encryptVaultValue(token);
+        this.vault.entries = [
+            ...this.vault.entries.filter(entry => entry.name !== name),
+            { name: name, ...encrypted }
+        ];
+        this.vaultTokens.set(name, token);
+        this.saveVault();
+    }
+
+    async saveVaultSecrets() {
+        // Credentials other than named PATs, encrypted together as one value keyed by profile ID
+        if (!this.isVaultUnlocked()) return;
+
+        const secrets = {
+            oauth: this.oauthToken,
+            profiles: Object.fromEntries(this.authProfiles.filter(profile => profile.secret).map(profile => [profile.id, profile.secret]))
+        };
+        this.vault.secrets = await this.encryptVaultValue(JSON.stringify(secrets));
+        this.saveVault();
+    }
+
+    async loadVaultSecrets() {
+        if (!this.vault.secrets) return;
+
+        const secrets = JSON.parse(await this.decryptVaultValue(this.vault.secrets));
+        this.oauthToken = this.oauthToken || secrets.oauth || null;
+        this.authProfiles.forEach(profile => {
+            profile.secret = profile.secret || secrets.profiles?.[profile.id] || '';
         });
+    }
+
+    async saveCurrentTokenToVault() {
+        const nameInput = document.getElementById('vaultTokenName');
+        const name = (nameInput?.value || '').trim();
+        if (!this.isVaultUnlocked() || !name) {
+            this.updatePatStatus('Enter a name for the token (e.g. sandbox, production)', 'error');
+            return;
+        }
+        if (!this.personalAccessToken) {
+            this.updatePatStatus('Enter the PAT above before saving it to the vault', 'error');
+            return;
+        }
+
+        await this.storeVaultToken(name, this.personalAccessToken);
+        this.vault.activeName = name;
+        this.saveVault();
+        this.updatePatStatus(`🔐 Saved "${name}" to the vault`, 'success');
+        this.renderVaultControls();
+    }
+
+    selectVaultToken(name) {
+        if (!this.isVaultUnlocked()) return;
+
+        this.vault.activeName = name;
+        this.saveVault();
+        this.applyVaultToken(name);
+        this.updatePatStatus(`Using vault token "${name}" - click "Test Connection" to verify`, 'info');
+    }
+
+    deleteVaultToken(name) {
+        if (!this.isVaultUnlocked() || !confirm(`Delete "${name}" from the vault?`)) return;
+
+        this.vault.entries = this.vault.entries.filter(entry => entry.name !== name);
+        this.vaultTokens.delete(name);
+        if (this.vault.activeName === name) {
+            this.vault.activeName = '';
+            this.applyVaultToken('');
+        }
+        this.saveVault();
+        this.renderVaultControls();
+    }
 
+    applyVaultToken(name) {
+        this.personalAccessToken = (name && this.vaultTokens.get(name)) || '';
+        this.isTokenValid = false;
+        const patInput = document.getElementById('patInput');
+        if (patInput) {
+            patInput.value = this.personalAccessToken;
+        }
         this.renderEndpoints();
-        this.updateStats();
+        this.renderSequence();
     }
 
-    renderEndpoints() {
-        const container = document.getElementById('endpointsContainer');
-        
-        if (this.filteredEndpoints.length === 0) {
+    renderVaultControls() {
+        const container = document.getElementById('vaultSection');
+        if (!container) return;
+
+        if (!this.vault) {
             container.innerHTML = `
-                <div style="text-align: center; padding: 3rem; color: #6c757d;">
-                    <h3>No endpoints found</h3>
-                    <p>Try adjusting your search terms or filters.</p>
+                <div class="pat-input-group">
+                    <input type="password" id="vaultPassphrase" placeholder="Passphrase to encrypt stored tokens (optional)">
+                    <button class="toggle-btn" onclick="explorer.createVault()" title="Encrypt stored tokens with a passphrase">🔐 Create Vault</button>
                 </div>
             `;
             return;
         }
 
-        const endpointsHTML = this.filteredEndpoints.map((endpoint, index) => `
-            <div class="endpoint-card">
-                <div class="endpoint-header">
-                    <div class="endpoint-method method-${endpoint.method.toLowerCase()}">${endpoint.method}</div>
-                    <div class="endpoint-path">${endpoint.path}</div>
-                    <div class="endpoint-summary">${endpoint.summary}</div>
-                    ${endpoint.description ? `<div class="endpoint-description">${endpoint.description}</div>` : ''}
-                </div>
-                <div class="endpoint-details">
-                    <button class="collapsible-toggle" onclick="explorer.toggleEndpointDetails(${index})">
-                        Show Parameters & Execute
-                    </button>
-                    <div id="details-${index}" class="collapsible-content">
-                        ${this.generateParametersForm(endpoint, index)}
-                        <div class="execute-section">
-                            <button class="execute-btn" onclick="explorer.executeEndpoint(${index})" 
-                                    ${!this.personalAccessToken ? 'disabled' : ''} id="execute-btn-${index}">
-                                ${this.personalAccessToken ? 'Execute API Call' : 'Enter PAT to Execute'}
-                            </button>
-                            <button class="add-to-sequence-btn" onclick="explorer.addToSequence(${index})">
-                                + Add to Sequence
-                            </button>
-                        </div>
-                        <div id="response-${index}" class="response-section"></div>
-                    </div>
+        if (!this.isVaultUnlocked()) {
+            container.innerHTML = `
+                <div class="pat-input-group">
+                    <input type="password" id="vaultPassphrase" placeholder="Vault passphrase"
+                           onkeydown="if (event.key === 'Enter') explorer.unlockVault()">
+                    <button class="test-btn" onclick="explorer.unlockVault()">🔓 Unlock Vault</button>
                 </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="pat-input-group">
+                <select onchange="explorer.selectVaultToken(this.value)" title="Stored tokens">
+                    <option value="" ${!this.vault.activeName ? 'selected' : ''}>Select stored token...</option>
+                    ${this.vault.entries.map(entry => `
+                        <option value="${this.escapeHTML(entry.name)}" ${entry.name === this.vault.activeName ? 'selected' : ''}>${this.escapeHTML(entry.name)}</option>
+                    `).join('')}
+                </select>
+                ${this.vault.activeName ? `
+                    <button class="clear-btn" onclick="explorer.deleteVaultToken(${this.escapeHTML(JSON.stringify(this.vault.activeName))})" title="Delete this token from the vault">🗑️</button>
+                ` : ''}
+                <input type="text" id="vaultTokenName" placeholder="Name (e.g. sandbox)">
+                <button class="toggle-btn" onclick="explorer.saveCurrentTokenToVault()" title="Encrypt the PAT above under this name">💾 Save PAT</button>
+                <select onchange="explorer.setVaultAutoLock(this.value)" title="Auto-lock after inactivity">
+                    ${[5, 15, 30, 60, 0].map(minutes => `
+                        <option value="${minutes}" ${minutes === this.vaultAutoLockMinutes ? 'selected' : ''}>${minutes ? `Lock after ${minutes} min` : 'Never auto-lock'}</option>
+                    `).join('')}
+                </select>
+                <button class="toggle-btn" onclick="explorer.lockVault()" title="Lock the vault now">🔒 Lock</button>
             </div>
-        `).join('');
+        `;
+    }
 
-        container.innerHTML = `<div class="endpoints-grid">${endpointsHTML}</div>`;
+    showError(message) {
+        const container = document.getElementById('endpointsContainer');
+        container.innerHTML = `<div class="error">${message}</div>`;
+        
+        const statsContainer = document.getElementById('stats');
+        statsContainer.innerHTML = '<div class="error">Failed to load API data</div>';
     }
 
-    toggleEndpointDetails(index) {
-        const detailsElement = document.getElementById(`details-${index}`);
-        const toggleButton = detailsElement.previousElementSibling;
+    updatePatStatus(message, type) {
+        const statusElement = document.getElementById('patStatus');
+        statusElement.textContent = message;
+        statusElement.className = `pat-status ${type}`;
+    }
+
+    async testConnection() {
+        if (!this.personalAccessToken) {
+            this.updatePatStatus('Please enter your Personal Access Token', 'error');
+            return;
+        }
+
+        const testButton = document.getElementById('testConnection');
+        testButton.disabled = true;
+        testButton.textContent = 'Testing...';
         
-        if (detailsElement.classList.contains('show')) {
-            detailsElement.classList.remove('show');
-            toggleButton.textContent = 'Show Parameters & Execute';
-        } else {
-            detailsElement.classList.add('show');
-            toggleButton.textContent = 'Hide Parameters & Execute';
+        this.updatePatStatus('Testing connection...', 'info');
+
+        try {
+            const response = await this.scheduledFetch(`${this.baseUrl}/users/me`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.personalAccessToken}`,
+                    'Accept': 'application/json'
+                }
+            });
+
+            if (response.ok) {
+                const userData = await response.json();
+                this.isTokenValid = true;
+                this.updatePatStatus(`✅ Connected successfully as ${userData.data.name}`, 'success');
+            } else {
+                this.isTokenValid = false;
+                const errorData = await response.json();
+                this.updatePatStatus(`❌ Connection failed: ${errorData.errors?.[0]?.message || 'Invalid token'}`, 'error');
+            }
+        } catch (error) {
+            this.isTokenValid = false;
+            this.updatePatStatus(`❌ Connection failed: ${error.message}`, 'error');
+        } finally {
+            testButton.disabled = false;
+            testButton.textContent = 'Test Connection';
+            this.renderEndpoints(); // Re-render to update execute buttons
         }
     }
 
-    generateParametersForm(endpoint, index) {
-        const pathParams = this.extractPathParameters(endpoint.path);
-        const queryParams = this.getCommonQueryParameters(endpoint);
-        const bodyParams = this.getBodyParameters(endpoint);
+    isWriteMethod(method) {
+        return !['GET', 'HEAD', 'OPTIONS'].includes(method.toUpperCase());
+    }
+
+    canExecuteEndpoint(endpoint) {
+        // Reads always run; writes need write mode switched on
+        return !this.isWriteMethod(endpoint.method) || this.writeModeEnabled;
+    }
+
+    setWriteMode(enabled) {
+        this.writeModeEnabled = enabled;
+        console.log(enabled ? '✏️ Write mode enabled' : '🔒 Write mode disabled');
+        this.updateEndpointExecuteButtons();
+    }
 
-        let html = '';
+    updateEndpointExecuteButtons() {
+        // Only the buttons change, re-rendering the cards would discard typed parameters
+        this.filteredEndpoints.forEach((endpoint, index) => {
+            const executeButton = document.getElementById(`execute-btn-${index}`);
+            if (!executeButton) return;
 
-        // Path parameters
-        if (pathParams.length > 0) {
-            html += `
-                <div class="parameters-section">
-                    <div class="parameters-title">Path Parameters</div>
-                    ${pathParams.map(param => `
-                        <div class="parameter-group">
-                            <label>
-                                ${param} <span class="parameter-required">*</span>
-                            </label>
-                            <input type="text" 
-                                   id="path-${param}-${index}" 
-                                   placeholder="Enter ${param}"
-                                   required>
-                            <div class="parameter-description">Required path parameter</div>
-                        </div>
-                    `).join('')}
-                </div>
-            `;
+            executeButton.disabled = !this.hasStepCredentials({ endpoint }) || !this.canExecuteEndpoint(endpoint);
+            executeButton.textContent = this.getExecuteButtonLabel(endpoint);
+        });
+    }
+
+    getExecuteButtonLabel(endpoint) {
+        if (!this.hasStepCredentials({ endpoint })) {
+            return this.isAsanaEndpoint(endpoint) ? 'Enter PAT to Execute' : 'Add Auth Profile to Execute';
         }
+        if (!this.canExecuteEndpoint(endpoint)) {
+            return 'Enable Write Mode to Execute';
+        }
+        return 'Execute API Call';
+    }
 
-        // Query parameters
-        if (queryParams.length > 0) {
-            html += `
-                <div class="parameters-section">
-                    <div class="parameters-title">Query Parameters</div>
-                    ${queryParams.map(param => `
-                        <div class="parameter-group">
-                            <label>${param.name}</label>
-                            <input type="${param.type}" 
-                                   id="query-${param.name}-${index}" 
-                                   placeholder="${param.description}">
-                            <div class="parameter-description">${param.description}</div>
-                        </div>
-                    `).join('')}
-                </div>
-            `;
+    buildEndpointRequest(endpoint, endpointIndex) {
+        // Build URL with path parameters
+        let url = this.buildUrlWithParameters(endpoint, endpointIndex);
+        const missingPathParams = this.extractPathParameters(endpoint.path)
+            .filter(param => url.includes(`{${param}}`));
+
+        // Build query parameters
+        const queryParams = this.buildQueryParameters(endpointIndex);
+        if (queryParams.size > 0) {
+            url += `?${queryParams.toString()}`;
         }
 
-        // Request body for POST/PUT/PATCH methods
+        const fetchOptions = {
+            method: endpoint.method,
+            headers: {
+                ...this.buildHeaderParameters(endpointIndex),
+                'Accept': 'application/json'
+            }
+        };
+
+        // Build request body for POST/PUT/PATCH
         if (['POST', 'PUT', 'PATCH'].includes(endpoint.method)) {
-            html += `
-                <div class="parameters-section">
-                    <div class="parameters-title">Request Body (JSON)</div>
-                    <div class="parameter-group">
-                        <label>Body</label>
-                        <textarea id="body-${index}" 
-                                  placeholder="Enter JSON request body">${bodyParams}</textarea>
-                        <div class="parameter-description">JSON request body</div>
-                    </div>
-                </div>
-            `;
+            const requestBody = this.buildRequestBody(endpointIndex);
+            if (requestBody) {
+                fetchOptions.headers['Content-Type'] = 'application/json';
+                fetchOptions.body = requestBody;
+            }
         }
 
-        return html;
+        return { url, fetchOptions, missingPathParams };
     }
 
-    extractPathParameters(path) {
-        const matches = path.match(/{([^}]+)}/g);
-        return matches ? matches.map(match => match.slice(1, -1)) : [];
+    renderRequestPreview(request, authHeaderNames = []) {
+        // Credentials are masked; everything else is exactly what would be sent
+        const headers = Object.entries(request.fetchOptions.headers)
+            .map(([key, value]) => `${key}: ${authHeaderNames.includes(key) ? '•••••••• (hidden)' : value}`)
+            .join('\n');
+        const body = request.fetchOptions.body
+            ? JSON.stringify(JSON.parse(request.fetchOptions.body), null, 2)
+            : '(no body)';
+
+        return `
+            <div class="response-headers">${request.fetchOptions.method} ${this.escapeHTML(request.url)}
+${this.escapeHTML(headers)}</div>
+            <div class="response-body">${this.escapeHTML(body)}</div>
+        `;
     }
 
-    getCommonQueryParameters(endpoint) {
-        const commonParams = [
-            { name: 'limit', type: 'number', description: 'Results per page (1-100)' },
-            { name: 'offset', type: 'text', description: 'Pagination offset' },
-            { name: 'opt_fields', type: 'text', description: 'Comma-separated list of fields to return' },
-            { name: 'opt_expand', type: 'text', description: 'Comma-separated list of fields to expand' }
-        ];
+    dryRunEndpoint(endpointIndex) {
+        const endpoint = this.filteredEndpoints[endpointIndex];
+        const responseContainer = document.getElementById(`response-${endpointIndex}`);
+        responseContainer.style.display = 'block';
 
-        // Add endpoint-specific parameters based on path
-        if (endpoint.path.includes('/projects')) {
-            commonParams.push(
-                { name: 'archived', type: 'checkbox', description: 'Include archived projects' },
-                { name: 'team', type: 'text', description: 'Filter by team GID' }
-            );
-        }
+        try {
+            const request = this.buildEndpointRequest(endpoint, endpointIndex);
+            let authHeaderNames = [];
+            try {
+                const authHeaders = this.getStepAuthHeaders({ endpoint });
+                Object.assign(request.fetchOptions.headers, authHeaders);
+                authHeaderNames = Object.keys(authHeaders);
+            } catch (error) {
+                // A dry run doesn't need credentials, just note that they are missing
+                request.fetchOptions.headers['Authorization'] = `(missing: ${error.message})`;
+            }
 
-        if (endpoint.path.includes('/tasks')) {
-            commonParams.push(
-                { name: 'assignee', type: 'text', description: 'Filter by assignee GID' },
-                { name: 'project', type: 'text', description: 'Filter by project GID' },
-                { name: 'completed_since', type: 'date', description: 'Filter tasks completed after this date' }
-            );
+            const warnings = request.missingPathParams.length > 0
+                ? `<div style="color: #dc3545; margin-bottom: 8px;">⚠️ Missing path parameters: ${request.missingPathParams.join(', ')}</div>`
+                : '';
+            this.showApiResponse(responseContainer, warnings + this.renderRequestPreview(request, authHeaderNames), 'dry-run');
+        } catch (error) {
+            this.showApiResponse(responseContainer, `Request Error: ${this.escapeHTML(error.message)}`, 'error');
         }
-
-        return commonParams.slice(0, 4); // Limit to first 4 for UI simplicity
     }
 
-    getBodyParameters(endpoint) {
-        // Return sample JSON for different endpoint types
-        const path = endpoint.path.toLowerCase();
+    async executeEndpoint(endpointIndex) {
+        const endpoint = this.filteredEndpoints[endpointIndex];
+        const responseContainer = document.getElementById(`response-${endpointIndex}`);
+        const executeButton = document.getElementById(`execute-btn-${endpointIndex}`);
         
-        if (path.includes('/task') && endpoint.method === 'POST') {
-            return JSON.stringify({
-                "data": {
-                    "name": "New task name",
-                    "notes": "Task description",
-                    "projects": ["project_gid_here"]
-                }
-            }, null, 2);
+        if (!this.hasStepCredentials({ endpoint })) {
+            this.showApiResponse(responseContainer, 'Please enter and test your PAT first (or add an auth profile for this API)', 'error');
+            return;
         }
-        
-        if (path.includes('/project') && endpoint.method === 'POST') {
-            return JSON.stringify({
-                "data": {
-                    "name": "New project name",
-                    "notes": "Project description",
-                    "team": "team_gid_here"
-                }
-            }, null, 2);
+
+        if (!this.canExecuteEndpoint(endpoint)) {
+            responseContainer.style.display = 'block';
+            this.showApiResponse(responseContainer, `${endpoint.method} requests modify data. Turn on write mode to execute them, or use Dry Run to preview the request.`, 'error');
+            return;
+        }
+
+        let request;
+        try {
+            request = this.buildEndpointRequest(endpoint, endpointIndex);
+        } catch (error) {
+            responseContainer.style.display = 'block';
+            this.showApiResponse(responseContainer, `Request Error: ${this.escapeHTML(error.message)}`, 'error');
+            return;
         }
 
-        return JSON.stringify({
-            "data": {
-                "name": "Example name",
-                "notes": "Example description"
+        if (request.missingPathParams.length > 0) {
+            responseContainer.style.display = 'block';
+            this.showApiResponse(responseContainer, `Missing required path parameters: ${request.missingPathParams.join(', ')}`, 'error');
+            return;
+        }
+
+        if (this.isWriteMethod(endpoint.method)) {
+            const bodyPreview = request.fetchOptions.body
+                ? JSON.stringify(JSON.parse(request.fetchOptions.body), null, 2)
+                : '(no body)';
+            if (!confirm(`This ${endpoint.method} request will modify data:\n\n${endpoint.method} ${request.url}\n\nBody:\n${bodyPreview}\n\nSend it?`)) {
+                return;
+            }
+        }
+
+        // Show loading state
+        executeButton.innerHTML = '<span class="loading"></span> Executing...';
+        executeButton.disabled = true;
+        responseContainer.style.display = 'block';
+        this.showApiResponse(responseContainer, 'Executing API call...', 'loading');
+
+        try {
+            const apiUrl = request.url;
+            const fetchOptions = request.fetchOptions;
+            Object.assign(fetchOptions.headers, this.getStepAuthHeaders({ endpoint }));
+
+            const response = await this.authorizedFetch(apiUrl, fetchOptions, this.getStepAuthProfile({ endpoint }));
+            // DELETE and some writes answer 204 without a body
+            const responseText = await response.text();
+            const responseData = responseText ? JSON.parse(responseText) : {};
+            
+            // Display response
+            const responseHeaders = Array.from(response.headers.entries())
+                .map(([key, value]) => `${key}: ${value}`)
+                .join('\n');
+
+            const responseContent = `
+                <div class="response-headers">Status: ${response.status} ${response.statusText}
+URL: ${apiUrl}
+${responseHeaders}</div>
+                <div class="response-body">${JSON.stringify(responseData, null, 2)}</div>
+            `;
+            
+            if (response.ok) {
+                this.showApiResponse(responseContainer, responseContent, 'success');
+            } else {
+                this.showApiResponse(responseContainer, responseContent, 'error');
             }
-        }, null, 2);
+        } catch (error) {
+            this.showApiResponse(responseContainer, 
+                `Network Error: ${error.message}`, 'error');
+        } finally {
+            // Reset button state
+            executeButton.innerHTML = 'Execute API Call';
+            executeButton.disabled = false;
+        }
     }
 
-    updateStats() {
-        const statsContainer = document.getElementById('stats');
-        const totalEndpoints = this.endpoints.length;
-        const filteredCount = this.filteredEndpoints.length;
+    buildUrlWithParameters(endpoint, index) {
+        let url = `${this.getBaseUrlForEndpoint(endpoint)}${endpoint.path}`;
         
-        // Count by method
-        const methodCounts = {};
-        this.filteredEndpoints.forEach(endpoint => {
-            methodCounts[endpoint.method] = (methodCounts[endpoint.method] || 0) + 1;
+        // Replace path parameters
+        const pathParams = this.extractPathParameters(endpoint.path);
+        pathParams.forEach(param => {
+            const input = document.getElementById(`path-${param}-${index}`);
+            if (input && input.value.trim()) {
+                url = url.replace(`{${param}}`, encodeURIComponent(input.value.trim()));
+            }
         });
+        
+        return url;
+    }
 
-        const methodStats = Object.entries(methodCounts)
-            .map(([method, count]) => `${method}: ${count}`)
-            .join(' | ');
+    buildQueryParameters(endpointIndex, issues = null) {
+        const params = new URLSearchParams();
+        
+        // For sequence execution, get parameters from sequence item
+        const sequenceItem = this.currentSequenceItem;
+        
+        if (sequenceItem) {
+            // Use parameters from sequence item with variable substitution
+            Object.entries(sequenceItem.parameters.query).forEach(([key, value]) => {
+                if (value && value !== '') {
+                    // Check if value contains variable placeholder
+                    if (typeof value === 'string' && value.includes('{{') && value.includes('}}')) {
+                        const resolvedValue = this.resolveVariablePlaceholder(value);
+                        if (resolvedValue !== null) {
+                            params.append(key, resolvedValue);
+                        } else if (issues) {
+                            issues.push(`Query parameter "${key}": ${value} could not be resolved, the parameter is dropped`);
+                        }
+                    } else {
+                        params.append(key, value);
+                    }
+                }
+            });
+        } else {
+            // Normal endpoint execution - use the spec-declared query parameter inputs
+            const endpoint = this.filteredEndpoints[endpointIndex];
+            const queryParams = this.getEndpointParameters(endpoint).filter(param => param.in === 'query');
 
-        statsContainer.innerHTML = `
-            <div>
-                <strong>Showing ${filteredCount} of ${totalEndpoints} endpoints</strong>
-                ${methodStats ? `<br><small>${methodStats}</small>` : ''}
+            queryParams.forEach(param => {
+                const input = document.getElementById(`query-${param.name}-${endpointIndex}`);
+                const value = input ? input.value.trim() : '';
+                if (value) {
+                    params.append(param.name, value);
+                }
+            });
+
+            if (queryParams.some(param => param.name === 'limit') && !params.has('limit')) {
+                params.append('limit', '10'); // Default limit
+            }
+        }
+
+        params.append('opt_pretty', 'true');
+        return params;
+    }
+
+    buildHeaderParameters(endpointIndex) {
+        const headers = {};
+        const endpoint = this.filteredEndpoints[endpointIndex];
+
+        this.getEndpointParameters(endpoint)
+            .filter(param => param.in === 'header')
+            .forEach(param => {
+                const input = document.getElementById(`header-${param.name}-${endpointIndex}`);
+                if (input && input.value.trim()) {
+                    headers[param.name] = input.value.trim();
+                }
+            });
+
+        return headers;
+    }
+
+    resolveVariablePlaceholder(value) {
+        const resolvedValue = this.resolveTemplate(value);
+        console.log(`Resolving variable: ${value} → ${resolvedValue}`);
+        return resolvedValue;
+    }
+
+    buildRequestBody(index) {
+        const bodyTextarea = document.getElementById(`body-${index}`);
+        if (bodyTextarea && bodyTextarea.value.trim()) {
+            try {
+                // Validate JSON
+                JSON.parse(bodyTextarea.value.trim());
+                return bodyTextarea.value.trim();
+            } catch (error) {
+                throw new Error(`Invalid JSON in request body: ${error.message}`);
+            }
+        }
+        return null;
+    }
+
+    showApiResponse(container, content, type) {
+        const icon = type === 'loading' ? '⏳' : type === 'success' ? '✅' : type === 'dry-run' ? '🧪' : '❌';
+        const title = type === 'loading' ? 'Loading...' : type === 'success' ? 'Success' : type === 'dry-run' ? 'Dry Run - request not sent' : 'Error';
+        
+        container.innerHTML = `
+            <div class="response-content">
+                <div style="font-weight: bold; margin-bottom: 10px; color: ${type === 'success' ? '#28a745' : type === 'error' ? '#dc3545' : type === 'dry-run' ? '#17a2b8' : '#6c757d'}">
+                    ${icon} ${title}
+                </div>
+                ${content}
             </div>
         `;
     }
 
-    loadPATFromStorage() {
-        try {
-            const savedPAT = localStorage.getItem(this.storageKey);
-            if (savedPAT) {
-                this.personalAccessToken = savedPAT;
+    // Sequence Management Methods
+    toggleSequencePanel() {
+        console.log('Toggling sequence panel, current state:', this.sequencePanelOpen);
+        const panel = document.getElementById('sequencePanel');
+        
+        if (!panel) {
+            console.error('Sequence panel element not found');
+            return;
+        }
+        
+        console.log('Current panel width:', this.currentPanelWidth);
+        console.log('Panel current style:', {
+            width: panel.style.width,
+            right: panel.style.right
+        });
+        
+        this.sequencePanelOpen = !this.sequencePanelOpen;
+        
+        if (this.sequencePanelOpen) {
+            // Ensure panel dimensions are set
+            if (!this.currentPanelWidth) {
+                this.currentPanelWidth = this.defaultPanelWidth;
+                console.warn('Panel width not set, using default:', this.defaultPanelWidth);
             }
-        } catch (error) {
-            console.warn('Failed to load PAT from localStorage:', error);
+            
+            // Apply width and positioning
+            panel.style.width = this.currentPanelWidth + 'px';
+            panel.style.right = `-${this.currentPanelWidth}px`;
+            
+            // Force a reflow to ensure styles are applied
+            panel.offsetHeight;
+            
+            // Then open the panel
+            panel.classList.add('open');
+            document.body.style.marginRight = this.currentPanelWidth + 'px';
+            console.log('Panel opened with width:', this.currentPanelWidth);
+        } else {
+            panel.classList.remove('open');
+            document.body.style.marginRight = '0';
+            console.log('Panel closed');
         }
     }
 
-    savePATToStorage() {
+    loadPanelWidth() {
         try {
-            if (this.personalAccessToken) {
-                localStorage.setItem(this.storageKey, this.personalAccessToken);
-            } else {
-                localStorage.removeItem(this.storageKey);
-            }
+            const savedWidth = localStorage.getItem(this.panelWidthStorageKey);
+            this.currentPanelWidth = savedWidth ? parseInt(savedWidth) : this.defaultPanelWidth;
+            
+            // Ensure width is within bounds
+            this.currentPanelWidth = Math.max(this.minPanelWidth, 
+                Math.min(this.currentPanelWidth, this.maxPanelWidth));
+            
+            console.log('Loaded panel width:', this.currentPanelWidth);
+            
+            // Apply the width to the panel if it exists
+            this.applyPanelWidth();
         } catch (error) {
-            console.warn('Failed to save PAT to localStorage:', error);
+            console.warn('Failed to load panel width from storage:', error);
+            this.currentPanelWidth = this.defaultPanelWidth;
         }
     }
 
-    restorePATToInput() {
-        const patInput = document.getElementById('patInput');
-        if (patInput && this.personalAccessToken) {
-            patInput.value = this.personalAccessToken;
-            // Show a message that the PAT was restored
-            if (this.personalAccessToken) {
-                this.updatePatStatus('📁 PAT loaded from storage - click "Test Connection" to verify', 'info');
-            }
+    applyPanelWidth() {
+        const panel = document.getElementById('sequencePanel');
+        if (panel && this.currentPanelWidth) {
+            panel.style.width = this.currentPanelWidth + 'px';
+            panel.style.right = `-${this.currentPanelWidth}px`;
+            console.log('Applied panel width:', this.currentPanelWidth);
+        } else {
+            console.warn('Cannot apply panel width - panel element not found or width not set');
         }
     }
 
-    clearStoredPAT() {
+    savePanelWidth() {
         try {
-            localStorage.removeItem(this.storageKey);
-            this.personalAccessToken = '';
-            this.isTokenValid = false;
-            const patInput = document.getElementById('patInput');
-            if (patInput) {
-                patInput.value = '';
-            }
-            this.updatePatStatus('PAT cleared from storage', 'info');
-            this.renderEndpoints();
-            this.updateExecuteButtonStatus(); // Update sequence execute button
+            localStorage.setItem(this.panelWidthStorageKey, this.currentPanelWidth.toString());
         } catch (error) {
-            console.warn('Failed to clear PAT from localStorage:', error);
+            console.warn('Failed to save panel width to storage:', error);
         }
     }
 
-    showError(message) {
-        const container = document.getElementById('endpointsContainer');
-        container.innerHTML = `<div class="error">${message}</div>`;
+    setupPanelResize() {
+        const panel = document.getElementById('sequencePanel');
+        if (!panel) {
+            console.error('Cannot setup panel resize - panel element not found');
+            return;
+        }
         
-        const statsContainer = document.getElementById('stats');
-        statsContainer.innerHTML = '<div class="error">Failed to load API data</div>';
+        const resizeHandle = panel.querySelector('.resize-handle');
+        if (!resizeHandle) {
+            console.error('Cannot setup panel resize - resize handle not found');
+            return;
+        }
+        
+        // Ensure panel width is applied
+        this.applyPanelWidth();
+        
+        let startX, startWidth;
+
+        const startResize = (e) => {
+            this.isResizing = true;
+            startX = e.clientX;
+            startWidth = parseInt(window.getComputedStyle(panel).width, 10);
+            
+            panel.classList.add('resizing');
+            resizeHandle.classList.add('active');
+            document.body.classList.add('resizing');
+            
+            document.addEventListener('mousemove', doResize);
+            document.addEventListener('mouseup', stopResize);
+            e.preventDefault();
+        };
+
+        const doResize = (e) => {
+            if (!this.isResizing) return;
+            
+            // Calculate new width (resize from left edge, so subtract the difference)
+            const newWidth = startWidth - (e.clientX - startX);
+            
+            // Enforce min/max constraints
+            const constrainedWidth = Math.max(this.minPanelWidth, 
+                Math.min(newWidth, this.maxPanelWidth));
+            
+            // Apply the new width
+            panel.style.width = constrainedWidth + 'px';
+            panel.style.right = this.sequencePanelOpen ? '0' : `-${constrainedWidth}px`;
+            
+            // Update body margin if panel is open
+            if (this.sequencePanelOpen) {
+                document.body.style.marginRight = constrainedWidth + 'px';
+            }
+            
+            this.currentPanelWidth = constrainedWidth;
+        };
+
+        const stopResize = () => {
+            this.isResizing = false;
+            panel.classList.remove('resizing');
+            resizeHandle.classList.remove('active');
+            document.body.classList.remove('resizing');
+            
+            document.removeEventListener('mousemove', doResize);
+            document.removeEventListener('mouseup', stopResize);
+            
+            // Save the new width to localStorage
+            this.savePanelWidth();
+        };
+
+        resizeHandle.addEventListener('mousedown', startResize);
+        
+        // Update max width on window resize
+        window.addEventListener('resize', () => {
+            this.maxPanelWidth = window.innerWidth * 0.8;
+            if (this.currentPanelWidth > this.maxPanelWidth) {
+                this.currentPanelWidth = this.maxPanelWidth;
+                panel.style.width = this.currentPanelWidth + 'px';
+                if (this.sequencePanelOpen) {
+                    document.body.style.marginRight = this.currentPanelWidth + 'px';
+                }
+                this.savePanelWidth();
+            }
+        });
     }
 
-    updatePatStatus(message, type) {
-        const statusElement = document.getElementById('patStatus');
-        statusElement.textContent = message;
-        statusElement.className = `pat-status ${type}`;
+    addToSequence(endpointIndex) {
+        const endpoint = this.filteredEndpoints[endpointIndex];
+        const sequenceItem = {
+            id: `seq_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            endpoint: endpoint,
+            endpointIndex: endpointIndex,
+            parameters: this.captureCurrentParameters(endpointIndex),
+            authProfileId: this.getDefaultAuthProfileId(endpoint.apiId || this.defaultApiId),
+            variableMappings: {},
+            iteration: {
+                enabled: false,
+                sourceField: '',
+                iterationVariable: 'item',
+                unifyResults: true
+            },
+            executed: false,
+            result: null,
+            error: null
+        };
+
+        if (this.sequenceInsertIndex !== null && this.sequenceInsertIndex < this.apiSequence.length) {
+            const newOrder = [...this.apiSequence];
+            newOrder.splice(this.sequenceInsertIndex, 0, sequenceItem);
+            this.sequenceInsertIndex = null;
+            this.applySequenceOrder(newOrder);
+        } else {
+            this.sequenceInsertIndex = null;
+            this.apiSequence.push(sequenceItem);
+            this.renderSequence();
+        }
+        
+        // Open sequence panel if not already open
+        if (!this.sequencePanelOpen) {
+            this.toggleSequencePanel();
+        }
     }
 
-    async testConnection() {
-        if (!this.personalAccessToken) {
-            this.updatePatStatus('Please enter your Personal Access Token', 'error');
+    removeFromSequence(itemId) {
+        const itemIndex = this.apiSequence.findIndex(item => item.id === itemId);
+        if (itemIndex === -1) {
+            console.warn(`Cannot remove sequence item: ${itemId} not found`);
             return;
         }
 
-        const testButton = document.getElementById('testConnection');
-        testButton.disabled = true;
-        testButton.textContent = 'Testing...';
+        const item = this.apiSequence[itemIndex];
         
-        this.updatePatStatus('Testing connection...', 'info');
+        // Confirm deletion if the step has been executed or has configuration
+        const hasExecution = item.executed;
+        const hasConfiguration = Object.values(item.parameters.path).some(v => v) || 
+                                Object.values(item.parameters.query).some(v => v) || 
+                                item.parameters.body ||
+                                Object.keys(item.variableMappings).length > 0 ||
+                                (item.iteration && item.iteration.enabled);
+
+        if (hasExecution || hasConfiguration) {
+            const stepName = `Step ${itemIndex + 1}: ${item.endpoint.method} ${item.endpoint.path}`;
+            const details = [];
+            
+            if (hasExecution) {
+                details.push(item.error ? 'executed with errors' : 'executed successfully');
+            }
+            if (hasConfiguration) {
+                details.push('has custom configuration');
+            }
+            
+            const confirmMessage = `Delete ${stepName}?\n\nThis step ${details.join(' and ')}.`;
+            
+            if (!confirm(confirmMessage)) {
+                return;
+            }
+        }
+
+        // Remove the item
+        this.apiSequence.splice(itemIndex, 1);
+        
+        // Update any dependent iteration configurations that reference this step
+        this.updateDependentIterations(itemIndex);
+        
+        // Re-render the sequence
+        this.renderSequence();
+        
+        console.log(`Removed sequence item ${itemId} at index ${itemIndex}`);
+        
+        // Show feedback message
+        this.showSequenceMessage(`✅ Removed step from sequence`, 'success');
+    }
+
+    updateDependentIterations(removedIndex) {
+        // Update iteration configurations that might reference steps after the removed one
+        this.apiSequence.forEach((item, index) => {
+            if (item.iteration && item.iteration.sourceField) {
+                // Parse the source field to get the step reference
+                const stepMatch = item.iteration.sourceField.match(/^step(\d+)\./);
+                if (stepMatch) {
+                    const referencedStepIndex = parseInt(stepMatch[1]);
+                    
+                    // If the referenced step is after the removed step, decrement the index
+                    if (referencedStepIndex > removedIndex) {
+                        const newStepIndex = referencedStepIndex - 1;
+                        item.iteration.sourceField = item.iteration.sourceField.replace(
+                            /^step\d+\./, 
+                            `step${newStepIndex}.`
+                        );
+                        console.log(`Updated iteration source reference from step${referencedStepIndex} to step${newStepIndex} for item ${item.id}`);
+                    }
+                    // If the referenced step was the removed step, clear the iteration config
+                    else if (referencedStepIndex === removedIndex) {
+                        item.iteration.sourceField = '';
+                        console.log(`Cleared iteration source reference for item ${item.id} (referenced deleted step)`);
+                    }
+                }
+            }
+        });
+    }
+
+    captureCurrentParameters(endpointIndex) {
+        const endpoint = this.filteredEndpoints[endpointIndex];
+        const parameters = {
+            path: {},
+            query: {},
+            header: {},
+            body: null
+        };
 
-        try {
-            const response = await fetch(`${this.baseUrl}/users/me`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${this.personalAccessToken}`,
-                    'Accept': 'application/json'
+        // Capture path parameters
+        const pathParams = this.extractPathParameters(endpoint.path);
+        pathParams.forEach(param => {
+            const input = document.getElementById(`path-${param}-${endpointIndex}`);
+            if (input) {
+                parameters.path[param] = input.value;
+            }
+        });
+
+        // Capture declared query and header parameters
+        this.getEndpointParameters(endpoint)
+            .filter(param => param.in === 'query' || param.in === 'header')
+            .forEach(param => {
+                const input = document.getElementById(`${param.in}-${param.name}-${endpointIndex}`);
+                if (input && input.value) {
+                    parameters[param.in][param.name] = input.value;
                 }
             });
 
-            if (response.ok) {
-                const userData = await response.json();
-                this.isTokenValid = true;
-                this.updatePatStatus(`✅ Connected successfully as ${userData.data.name}`, 'success');
-            } else {
-                this.isTokenValid = false;
-                const errorData = await response.json();
-                this.updatePatStatus(`❌ Connection failed: ${errorData.errors?.[0]?.message || 'Invalid token'}`, 'error');
+        // Capture body
+        if (['POST', 'PUT', 'PATCH'].includes(endpoint.method)) {
+            const bodyInput = document.getElementById(`body-${endpointIndex}`);
+            if (bodyInput) {
+                parameters.body = bodyInput.value;
             }
-        } catch (error) {
-            this.isTokenValid = false;
-            this.updatePatStatus(`❌ Connection failed: ${error.message}`, 'error');
-        } finally {
-            testButton.disabled = false;
-            testButton.textContent = 'Test Connection';
-            this.renderEndpoints(); // Re-render to update execute buttons
         }
-    }
 
-    canExecuteEndpoint(endpoint) {
-        // Only allow execution for safe GET endpoints that don't require parameters
-        const safeEndpoints = [
-            '/users/me',
-            '/workspaces',
-            '/users',
-            '/teams',
-            '/tags',
-            '/custom_fields',
-            '/projects',
-            '/portfolios',
-            '/goals'
-        ];
-        
-        // Safe patterns that don't require path parameters
-        const safePatterns = [
-            /^\/users$/,
-            /^\/workspaces$/,
-            /^\/teams$/,
-            /^\/tags$/,
-            /^\/custom_fields$/,
-            /^\/projects$/,
-            /^\/portfolios$/,
-            /^\/goals$/,
-            /^\/users\/me$/
-        ];
-        
-        return endpoint.method === 'GET' && 
-               (safeEndpoints.includes(endpoint.path) || 
-                safePatterns.some(pattern => pattern.test(endpoint.path)));
+        return parameters;
     }
 
-    async executeEndpoint(endpointIndex) {
-        const endpoint = this.filteredEndpoints[endpointIndex];
-        const responseContainer = document.getElementById(`response-${endpointIndex}`);
-        const executeButton = document.getElementById(`execute-btn-${endpointIndex}`);
+    renderSequence() {
+        const container = document.getElementById('sequenceItems');
+        this.renderSequenceInputs();
         
-        if (!this.personalAccessToken) {
-            this.showApiResponse(responseContainer, 'Please enter and test your PAT first', 'error');
+        if (this.apiSequence.length === 0) {
+            container.innerHTML = `
+                <div style="text-align: center; color: #6c757d; padding: 2rem;">
+                    <p>No endpoints in sequence yet.</p>
+                    <p><small>Click the "Add to Sequence" button on any endpoint to start building your API call chain.</small></p>
+                </div>
+            `;
             return;
         }
 
-        // Show loading state
-        executeButton.innerHTML = '<span class="loading"></span> Executing...';
-        executeButton.disabled = true;
-        responseContainer.style.display = 'block';
-        this.showApiResponse(responseContainer, 'Executing API call...', 'loading');
+        const forwardReferences = this.findForwardReferences();
+        const insertMarker = index => this.sequenceInsertIndex === index ? `
+            <div class="sequence-insert-marker">
+                ➕ New endpoints will be inserted here
+                <button class="copy-btn" onclick="explorer.setSequenceInsertIndex(null)">Cancel</button>
+            </div>
+        ` : '';
 
-        try {
-            // Build URL with path parameters
-            let apiUrl = this.buildUrlWithParameters(endpoint, endpointIndex);
+        const sequenceHTML = this.apiSequence.map((item, index) => {
+            const availableVariables = this.getAvailableVariables(index);
             
-            // Build query parameters
-            const queryParams = this.buildQueryParameters(endpointIndex);
-            if (queryParams.size > 0) {
-                apiUrl += `?${queryParams.toString()}`;
-            }
+            return `
+                ${insertMarker(index)}
+                <div ondragover="explorer.handleStepDragOver(event)" ondragleave="explorer.handleStepDragLeave(event)" ondrop="explorer.handleStepDrop(event, ${index})"
+                     class="sequence-item ${item.skipped ? 'skipped' : ''} ${item.interrupted ? 'interrupted' : (item.executed ? (item.error ? 'error' : 'executed') : '')} ${item.isImported ? 'imported' : ''} ${item.iteration && item.iteration.enabled ? 'iteration-enabled' : ''}" id="seq-item-${item.id}">
+                    <div class="sequence-item-header">
+                        <span><span class="step-drag-handle" draggable="true" ondragstart="explorer.handleStepDragStart(event, ${index})" ondragend="explorer.handleStepDragEnd()" title="Drag to reorder">⠿</span> ${index + 1}. ${item.name ? `<code class="step-name">${this.escapeHTML(item.name)}</code> ` : ''}${item.endpoint.method} ${item.endpoint.path} ${item.iteration && item.iteration.enabled ? '🔄' : ''}</span>
+                        <div style="display: flex; align-items: center; gap: 8px;">
+                            ${item.iteration && item.iteration.enabled ? '<span style="background: #fd7e14; color: white; font-size: 10px; padding: 2px 6px; border-radius: 3px;">ITERATION</span>' : ''}
+                            ${item.isImported ? '<span style="background: #17a2b8; color: white; font-size: 10px; padding: 2px 6px; border-radius: 3px;">IMPORTED</span>' : ''}
+                            ${this.renderSpecDiffBadge(item)}
+                            ${this.renderApiBadge(item.endpoint)}
+                            <button class="step-action-btn" onclick="explorer.setSequenceInsertIndex(${index})" title="Insert a new step before this one">➕</button>
+                            <button class="step-action-btn" onclick="explorer.duplicateSequenceStep('${item.id}')" title="Duplicate this step">⧉</button>
+                            <button onclick="explorer.removeFromSequence('${item.id}')" 
+                                    style="background: none; border: none; color: #dc3545; cursor: pointer; font-size: 16px; padding: 4px 8px; border-radius: 3px; transition: all 0.2s;"
+                                    onmouseover="this.style.backgroundColor='#dc3545'; this.style.color='white';"
+                                    onmouseout="this.style.backgroundColor='transparent'; this.style.color='#dc3545';"
+                                    title="Delete this step">🗑️</button>
+                        </div>
+                    </div>
+                    <div class="sequence-item-content">
+                        <div style="font-size: 12px; color: #6c757d; margin-bottom: 10px;">
+                            ${item.endpoint.summary}
+                            ${item.iteration && item.iteration.enabled ? `<br><strong style="color: #fd7e14;">🔄 Iteration Mode:</strong> Will execute for each item from ${item.iteration.sourceField || 'configured source'}` : ''}
+                            ${item.isImported ? '<br><em>⚠️ This endpoint was imported and may not match current API spec</em>' : ''}
+                        </div>
+                        
+                        <div class="step-name-field">
+                            <label for="step-name-${item.id}">🏷 Name:</label>
+                            <input type="text" id="step-name-${item.id}" value="${this.escapeHTML(item.name || '')}" placeholder="e.g. workspaces"
+                                   onchange="explorer.setStepName('${item.id}', this.value)">
+                            <small>${item.name ? `Reference as <code>{{${this.escapeHTML(item.name)}.data}}</code>` : 'Named steps keep their references when steps move'}</small>
+                        </div>
+                        
+                        ${this.renderForwardReferenceWarning(item, forwardReferences)}
+                        
+                        ${this.renderParameterSummary(item)}
+                        
+                        ${this.renderVariableMappings(item, index, availableVariables)}
+                        
+                        ${this.renderIterationConfig(item, index, availableVariables)}
+                        
+                        ${this.renderPaginationConfig(item)}
+                        
+                        ${this.renderErrorPolicyConfig(item)}
+                        
+                        ${this.renderConditionConfig(item, index)}
+                        
+                        ${this.renderSequenceParameterEditor(item, index)}
+                        
+                        ${this.renderStepAuthProfileSelect(item)}
+                        
+                        <div style="margin-top: 10px;">
+                            <button class="sequence-btn sequence-btn-primary" onclick="explorer.executeSequenceItem('${item.id}')" style="font-size: 12px;" ${!this.hasStepCredentials(item) ? 'disabled' : ''}>
+                                ${this.hasStepCredentials(item) ? 
+                                    (item.iteration && item.iteration.enabled ? '🔄 Execute Iteration' : 'Execute This Step') 
+                                    : 'Set Credentials to Execute'}
+                            </button>
+                            <button class="sequence-btn sequence-btn-secondary" onclick="explorer.toggleParameterEditor('${item.id}')" style="font-size: 12px; margin-left: 8px;">
+                                ⚙️ Edit Parameters
+                            </button>
+                        </div>
+                        
+                        <div id="iteration-progress-${item.id}" class="iteration-progress" style="display: none;"></div>
+                        
+                        ${this.renderInterruptedNotice(item)}
+                        
+                        ${this.renderSkippedNotice(item, index)}
+                        
+                        ${item.executed ? `
+                            <div class="sequence-results">
+                                ${item.error ? 
+                                    `<div class="results-header">
+                                        <span style="color: #dc3545;">❌ Error: ${item.error}</span>
+                                        <div class="results-actions">
+                                            <button class="copy-btn" onclick="explorer.copySequenceResult('${item.id}', 'error')">
+                                                📋 Copy Error
+                                            </button>
+                                        </div>
+                                    </div>
+                                    ${this.renderErrorPolicyOutcome(item)}` :
+                                    `<div class="results-header">
+                                        <span style="color: #28a745;">✅ Success ${item.iteration && item.iteration.enabled ? '🔄' : ''} (${
+                                            item.result?.iteration_summary ? 
+                                                `${item.result.iteration_summary.successful_iterations}/${item.result.iteration_summary.total_iterations} iterations, ${item.result?.data ? Array.isArray(item.result.data) ? item.result.data.length + ' total items' : '1 item' : 'No data'}${item.result.iteration_summary.filtered_out ? `, ${item.result.iteration_summary.filtered_out} filtered out` : ''}${item.result.iteration_summary.limited_out ? `, ${item.result.iteration_summary.limited_out} over limit` : ''}` :
+                                                (item.result?.data ? Array.isArray(item.result.data) ? item.result.data.length + ' items' : '1 item' : 'No data')
+                                        })</span>
+                                        <div class="results-actions">
+                                            <button class="copy-btn" onclick="explorer.copySequenceResult('${item.id}', 'json')">
+                                                📋 Copy JSON
+                                            </button>
+                                            <button class="copy-btn" onclick="explorer.copySequenceResult('${item.id}', 'formatted')">
+                                                📄 Copy Formatted
+                                            </button>
+                                            ${item.result?.data && Array.isArray(item.result.data) ? `
+                                                <button class="copy-btn" onclick="explorer.copySequenceResult('${item.id}', 'csv')">
+                                                    📊 Copy CSV
+                                                </button>
+                                            ` : ''}
+                                            <button class="copy-btn" onclick="explorer.showItemInGrid('${item.id}')" style="background: #17a2b8;">
+                                                🏗️ Show in Grid
+                                            </button>
+                                        </div>
+                                    </div>
+                                     ${this.renderValidationSummary(item)}
+                                     ${this.renderPaginationSummary(item)}
+                                     <div style="font-family: 'Courier New', monospace; font-size: 11px; margin-top: 5px; background: #f8f9fa; padding: 8px; border-radius: 4px; max-height: 200px; overflow-y: auto;">
+                                         ${JSON.stringify(item.result, null, 2).substring(0, 500)}${JSON.stringify(item.result).length > 500 ? '...\n\n[Truncated - use Copy buttons for full content]' : ''}
+                                     </div>`
+                                }
+                            </div>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
 
-            // Build request body for POST/PUT/PATCH
-            let requestBody = null;
-            if (['POST', 'PUT', 'PATCH'].includes(endpoint.method)) {
-                requestBody = this.buildRequestBody(endpointIndex);
-            }
+        container.innerHTML = sequenceHTML;
 
-            const fetchOptions = {
-                method: endpoint.method,
-                headers: {
-                    'Authorization': `Bearer ${this.personalAccessToken}`,
-                    'Accept': 'application/json'
-                }
-            };
+        // Add transform section after sequence items if there's a final result
+        this.renderTransformSection();
 
-            if (requestBody) {
-                fetchOptions.headers['Content-Type'] = 'application/json';
-                fetchOptions.body = requestBody;
-            }
+        // Update execute button status
+        this.updateExecuteButtonStatus();
 
-            const response = await fetch(apiUrl, fetchOptions);
-            const responseData = await response.json();
-            
-            // Display response
-            const responseHeaders = Array.from(response.headers.entries())
-                .map(([key, value]) => `${key}: ${value}`)
-                .join('\n');
+        // Restore parameter values to form fields after rendering
+        setTimeout(() => {
+            this.restoreParametersToForms();
+        }, 50);
+    }
 
-            const responseContent = `
-                <div class="response-headers">Status: ${response.status} ${response.statusText}
-URL: ${apiUrl}
-${responseHeaders}</div>
-                <div class="response-body">${JSON.stringify(responseData, null, 2)}</div>
+    renderTransformSection() {
+        // Check if we have a final result that can be transformed
+        const lastExecutedItem = [...this.apiSequence].reverse().find(item => 
+            item.executed && item.result && item.result.data
+        );
+
+        const container = document.getElementById('sequenceItems');
+        
+        if (lastExecutedItem) {
+            const stepIndex = this.apiSequence.indexOf(lastExecutedItem);
+            const recordCount = Array.isArray(lastExecutedItem.result.data) 
+                ? lastExecutedItem.result.data.length 
+                : 1;
+
+            // Add transform section HTML
+            const transformSectionHTML = `
+                <div id="transformTrigger" style="margin-top: 1rem; padding: 1rem; background: #f8f9fa; border: 1px solid #dee2e6; border-radius: 6px;">
+                    <div style="display: flex; justify-content: space-between; align-items: center;">
+                        <div>
+                            <h4 style="margin: 0; color: #333; font-size: 14px;">
+                                🔄 Transform Final Result
+                            </h4>
+                            <p style="margin: 0.25rem 0 0 0; font-size: 12px; color: #666;">
+                                Step ${stepIndex + 1}: ${lastExecutedItem.endpoint.method} ${lastExecutedItem.endpoint.path} 
+                                (${recordCount} record${recordCount !== 1 ? 's' : ''})
+                            </p>
+                        </div>
+                        <button class="sequence-btn sequence-btn-info" onclick="explorer.showTransformation()" style="font-size: 12px; background: #17a2b8;">
+                            🔄 Transform Data
+                        </button>
+                    </div>
+                </div>
             `;
             
-            if (response.ok) {
-                this.showApiResponse(responseContainer, responseContent, 'success');
-            } else {
-                this.showApiResponse(responseContainer, responseContent, 'error');
+            container.insertAdjacentHTML('beforeend', transformSectionHTML);
+        } else {
+            // Remove transform section if no final result
+            const existingSection = document.getElementById('transformTrigger');
+            if (existingSection) {
+                existingSection.remove();
             }
-        } catch (error) {
-            this.showApiResponse(responseContainer, 
-                `Network Error: ${error.message}`, 'error');
-        } finally {
-            // Reset button state
-            executeButton.innerHTML = 'Execute API Call';
-            executeButton.disabled = false;
         }
     }
 
-    buildUrlWithParameters(endpoint, index) {
-        let url = `${this.baseUrl}${endpoint.path}`;
-        
-        // Replace path parameters
-        const pathParams = this.extractPathParameters(endpoint.path);
-        pathParams.forEach(param => {
-            const input = document.getElementById(`path-${param}-${index}`);
-            if (input && input.value.trim()) {
-                url = url.replace(`{${param}}`, encodeURIComponent(input.value.trim()));
+    updateExecuteButtonStatus() {
+        const executeBtn = document.querySelector('button[onclick="explorer.executeSequence()"]');
+        if (!executeBtn) return;
+
+        const hasVariableMappings = this.apiSequence.some(item => 
+            item.variableMappings && Object.keys(item.variableMappings).length > 0
+        );
+
+        const hasToken = this.apiSequence.every(item => this.hasStepCredentials(item));
+        const hasSequence = this.apiSequence.length > 0;
+
+        if (hasSequence && hasToken) {
+            executeBtn.disabled = false;
+            if (hasVariableMappings) {
+                executeBtn.innerHTML = '🚀 Execute All (Ready)';
+                executeBtn.className = 'sequence-btn sequence-btn-success';
+                executeBtn.style.background = '#28a745';
+                executeBtn.style.borderColor = '#28a745';
+            } else {
+                executeBtn.innerHTML = '▶ Execute All';
+                executeBtn.className = 'sequence-btn sequence-btn-success';
+                executeBtn.style.background = '';
+                executeBtn.style.borderColor = '';
             }
-        });
-        
-        return url;
+        } else {
+            executeBtn.disabled = true;
+            if (!hasToken) {
+                executeBtn.innerHTML = '🔑 Set Credentials to Execute';
+                executeBtn.className = 'sequence-btn sequence-btn-warning';
+            } else {
+                executeBtn.innerHTML = '▶ Execute All';
+                executeBtn.className = 'sequence-btn sequence-btn-success';
+            }
+        }
     }
 
-    buildQueryParameters(endpointIndex) {
-        const params = new URLSearchParams();
-        
-        // For sequence execution, get parameters from sequence item
-        const sequenceItem = this.currentSequenceItem;
+    getAvailableVariables(currentIndex) {
+        const variables = this.sequenceInputs.map(input => ({
+            path: `input.${input.name}`,
+            description: `Sequence input${input.description ? ` (${input.description})` : ''}`,
+            example: this.sequenceInputValues[input.name] ?? (input.defaultValue || 'prompted')
+        }));
         
-        if (sequenceItem) {
-            // Use parameters from sequence item with variable substitution
-            Object.entries(sequenceItem.parameters.query).forEach(([key, value]) => {
-                if (value && value !== '') {
-                    // Check if value contains variable placeholder
-                    if (typeof value === 'string' && value.includes('{{') && value.includes('}}')) {
-                        const resolvedValue = this.resolveVariablePlaceholder(value);
-                        if (resolvedValue !== null) {
-                            params.append(key, resolvedValue);
-                        }
+        for (let i = 0; i < currentIndex; i++) {
+            const prevItem = this.apiSequence[i];
+            // Named steps are referenced by name so the references survive reordering
+            const root = prevItem.name || prevItem.id;
+            if (prevItem.executed && prevItem.result) {
+                // Extract common variable paths from the result
+                const result = prevItem.result;
+                
+                if (result.data) {
+                    if (Array.isArray(result.data)) {
+                        // Add the array itself for iteration
+                        variables.push({
+                            path: `${root}.data`,
+                            description: `Array data from step ${i + 1} (${result.data.length} items)`,
+                            example: `[${result.data.slice(0, 2).map(item => item.gid || item.name || 'item').join(', ')}${result.data.length > 2 ? ', ...' : ''}]`
+                        });
+                        
+                        // Add individual field paths for reference
+                        variables.push({
+                            path: `${root}.data[0].gid`,
+                            description: `First item GID from step ${i + 1}`,
+                            example: result.data[0]?.gid
+                        });
+                        variables.push({
+                            path: `${root}.data[0].name`,
+                            description: `First item name from step ${i + 1}`,
+                            example: result.data[0]?.name
+                        });
                     } else {
-                        params.append(key, value);
+                        variables.push({
+                            path: `${root}.data.gid`,
+                            description: `GID from step ${i + 1}`,
+                            example: result.data.gid
+                        });
+                        variables.push({
+                            path: `${root}.data.name`,
+                            description: `Name from step ${i + 1}`,
+                            example: result.data.name
+                        });
                     }
                 }
-            });
-        } else {
-            // Normal endpoint execution - use form inputs
-            const limitInput = document.getElementById(`query-limit-${endpointIndex}`);
-            if (limitInput && limitInput.value) {
-                params.append('limit', limitInput.value);
-            } else {
-                params.append('limit', '10'); // Default limit
-            }
-
-            const offsetInput = document.getElementById(`query-offset-${endpointIndex}`);
-            if (offsetInput && offsetInput.value) {
-                params.append('offset', offsetInput.value);
             }
+        }
+        
+        return variables;
+    }
 
-            const fieldsInput = document.getElementById(`query-opt_fields-${endpointIndex}`);
-            if (fieldsInput && fieldsInput.value) {
-                params.append('opt_fields', fieldsInput.value);
-            }
+    renderParameterSummary(item) {
+        const pathParams = Object.entries(item.parameters.path).filter(([key, value]) => value);
+        const queryParams = Object.entries(item.parameters.query).filter(([key, value]) => value && value !== '');
+        const hasBody = item.parameters.body;
 
-            const expandInput = document.getElementById(`query-opt_expand-${endpointIndex}`);
-            if (expandInput && expandInput.value) {
-                params.append('opt_expand', expandInput.value);
-            }
+        if (pathParams.length === 0 && queryParams.length === 0 && !hasBody) {
+            return '';
+        }
 
-            // Additional endpoint-specific parameters
-            ['archived', 'team', 'assignee', 'project', 'workspace', 'completed_since'].forEach(paramName => {
-                const input = document.getElementById(`query-${paramName}-${endpointIndex}`);
-                if (input && input.value) {
-                    if (input.type === 'checkbox') {
-                        if (input.checked) {
-                            params.append(paramName, 'true');
-                        }
-                    } else {
-                        params.append(paramName, input.value);
-                    }
-                }
-            });
+        let html = '<div class="parameter-summary">';
+        
+        if (pathParams.length > 0) {
+            html += '<div class="param-group"><span class="param-label">Path:</span> ';
+            html += pathParams.map(([key, value]) => {
+                const displayValue = this.formatParameterValue(value);
+                return `{${key}}: <span class="param-value">${displayValue}</span>`;
+            }).join(', ');
+            html += '</div>';
         }
 
-        params.append('opt_pretty', 'true');
-        return params;
-    }
+        if (queryParams.length > 0) {
+            html += '<div class="param-group"><span class="param-label">Query:</span> ';
+            html += queryParams.map(([key, value]) => {
+                const displayValue = this.formatParameterValue(value);
+                return `${key}: <span class="param-value">${displayValue}</span>`;
+            }).join(', ');
+            html += '</div>';
+        }
 
-    resolveVariablePlaceholder(value) {
-        // Extract variable path from {{variable.path}} format
-        const match = value.match(/\{\{([^}]+)\}\}/);
-        if (match) {
-            const variablePath = match[1];
-            const resolvedValue = this.resolveVariable(variablePath);
-            console.log(`Resolving variable: ${value} → ${resolvedValue}`);
-            return resolvedValue;
+        if (hasBody) {
+            const bodyPreview = item.parameters.body.length > 50 
+                ? item.parameters.body.substring(0, 50) + '...' 
+                : item.parameters.body;
+            html += `<div class="param-group"><span class="param-label">Body:</span> <span class="param-value">${bodyPreview}</span></div>`;
         }
-        return value;
+
+        html += '</div>';
+        return html;
     }
 
-    buildRequestBody(index) {
-        const bodyTextarea = document.getElementById(`body-${index}`);
-        if (bodyTextarea && bodyTextarea.value.trim()) {
-            try {
-                // Validate JSON
-                JSON.parse(bodyTextarea.value.trim());
-                return bodyTextarea.value.trim();
-            } catch (error) {
-                throw new Error(`Invalid JSON in request body: ${error.message}`);
-            }
+    formatParameterValue(value) {
+        if (typeof value === 'string' && value.includes('{{') && value.includes('}}')) {
+            return `<em style="color: #007bff;">${value}</em> (variable)`;
         }
-        return null;
+        return value;
     }
 
-    showApiResponse(container, content, type) {
-        const icon = type === 'loading' ? '⏳' : type === 'success' ? '✅' : '❌';
-        const title = type === 'loading' ? 'Loading...' : type === 'success' ? 'Success' : 'Error';
+    renderSequenceParameterEditor(item, index) {
+        const pathParams = this.extractPathParameters(item.endpoint.path);
         
-        container.innerHTML = `
-            <div class="response-content">
-                <div style="font-weight: bold; margin-bottom: 10px; color: ${type === 'success' ? '#28a745' : type === 'error' ? '#dc3545' : '#6c757d'}">
-                    ${icon} ${title}
-                </div>
-                ${content}
-            </div>
-        `;
-    }
+        return `
+            <div id="param-editor-${item.id}" class="sequence-parameter-editor">
+                <div class="param-editor-title">Configure Parameters</div>
+                
+                ${pathParams.length > 0 ? `
+                    <div class="param-editor-section">
+                        <div class="param-editor-title">Path Parameters</div>
+                        ${pathParams.map(param => `
+                            <div style="margin-bottom: 8px;">
+                                <label style="display: block; font-weight: 600; font-size: 12px; margin-bottom: 4px;">
+                                    {${param}} <span style="color: #dc3545;">*</span>
+                                </label>
+                                <div style="display: flex; gap: 5px;">
+                                    <input type="text" 
+                                           class="param-editor-input" 
+                                           id="seq-path-${param}-${item.id}"
+                                           value="${item.parameters.path[param] || ''}"
+                                           placeholder="Enter ${param} or use {{variable}}"
+                                           style="flex: 1;"
+                                           onchange="explorer.updateSequenceParameter('${item.id}', 'path', '${param}', this.value)">
+                                    <button onclick="explorer.showVariableHelper('seq-path-${param}-${item.id}', ${index})"
+                                            style="background: #17a2b8; color: white; border: none; padding: 4px 8px; border-radius: 3px; font-size: 10px;">
+                                        📋 Vars
+                                    </button>
+                                </div>
+                                <div class="param-hint">Use {{stepId.data[0].gid}} for variables${item.iteration && item.iteration.enabled ? ` or {{${item.iteration.iterationVariable || 'item'}.gid}} for iteration` : ''}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
 
-    // Sequence Management Methods
-    toggleSequencePanel() {
-        console.log('Toggling sequence panel, current state:', this.sequencePanelOpen);
-        const panel = document.getElementById('sequencePanel');
-        
-        if (!panel) {
-            console.error('Sequence panel element not found');
-            return;
-        }
-        
-        console.log('Current panel width:', this.currentPanelWidth);
-        console.log('Panel current style:', {
-            width: panel.style.width,
-            right: panel.style.right
-        });
-        
-        this.sequencePanelOpen = !this.sequencePanelOpen;
-        
-        if (this.sequencePanelOpen) {
-            // Ensure panel dimensions are set
-            if (!this.currentPanelWidth) {
-                this.currentPanelWidth = this.defaultPanelWidth;
-                console.warn('Panel width not set, using default:', this.defaultPanelWidth);
-            }
-            
-            // Apply width and positioning
-            panel.style.width = this.currentPanelWidth + 'px';
-            panel.style.right = `-${this.currentPanelWidth}px`;
-            
-            // Force a reflow to ensure styles are applied
-            panel.offsetHeight;
-            
-            // Then open the panel
-            panel.classList.add('open');
-            document.body.style.marginRight = this.currentPanelWidth + 'px';
-            console.log('Panel opened with width:', this.currentPanelWidth);
-        } else {
-            panel.classList.remove('open');
-            document.body.style.marginRight = '0';
-            console.log('Panel closed');
-        }
+                <div class="param-editor-section">
+                    <div class="param-editor-title">Query Parameters</div>
+                    ${this.isAsanaEndpoint(item.endpoint) ? `
+                    <div style="margin-bottom: 10px;">
+                        <button onclick="explorer.applyParameterPreset('${item.id}', 'minimal')" 
+                                style="background: #6c757d; color: white; border: none; padding: 4px 8px; border-radius: 3px; font-size: 11px; margin-right: 5px;">
+                            Minimal
+                        </button>
+                        <button onclick="explorer.applyParameterPreset('${item.id}', 'detailed')" 
+                                style="background: #17a2b8; color: white; border: none; padding: 4px 8px; border-radius: 3px; font-size: 11px; margin-right: 5px;">
+                            Detailed
+                        </button>
+                        <button onclick="explorer.applyParameterPreset('${item.id}', 'full')" 
+                                style="background: #28a745; color: white; border: none; padding: 4px 8px; border-radius: 3px; font-size: 11px;">
+                            Full Fields
+                        </button>
+                    </div>
+                    <div class="param-editor-grid">
+                        <input type="text" 
+                               class="param-editor-input" 
+                               id="seq-query-limit-${item.id}"
+                               value="${item.parameters.query.limit || ''}"
+                               placeholder="limit (e.g., 10)"
+                               onchange="explorer.updateSequenceParameter('${item.id}', 'query', 'limit', this.value)">
+                        <input type="text" 
+                               class="param-editor-input" 
+                               id="seq-query-offset-${item.id}"
+                               value="${item.parameters.query.offset || ''}"
+                               placeholder="offset"
+                               onchange="explorer.updateSequenceParameter('${item.id}', 'query', 'offset', this.value)">
+                        <input type="text" 
+                               class="param-editor-input" 
+                               id="seq-query-opt_fields-${item.id}"
+                               value="${item.parameters.query.opt_fields || ''}"
+                               placeholder="opt_fields (e.g., name,gid)"
+                               onchange="explorer.updateSequenceParameter('${item.id}', 'query', 'opt_fields', this.value)">
+                        <input type="text" 
+                               class="param-editor-input" 
+                               id="seq-query-opt_expand-${item.id}"
+                               value="${item.parameters.query.opt_expand || ''}"
+                               placeholder="opt_expand"
+                               onchange="explorer.updateSequenceParameter('${item.id}', 'query', 'opt_expand', this.value)">
+                    </div>
+                    ` : ''}
+                    
+                        ${this.renderEndpointSpecificQueryParams(item)}
+                        
+                        ${this.renderQueryParameterVariableMappings(item, index)}
+                </div>                ${['POST', 'PUT', 'PATCH'].includes(item.endpoint.method) ? `
+                    <div class="param-editor-section">
+                        <div class="param-editor-title">Request Body (JSON)</div>
+                        <textarea class="param-editor-textarea"
+                                  id="seq-body-${item.id}"
+                                  placeholder="Enter JSON request body"
+                                  onchange="explorer.updateSequenceParameter('${item.id}', 'body', null, this.value)">${item.parameters.body || ''}</textarea>
+                        <div class="param-hint">Use {{variable}} placeholders for dynamic values</div>
+                    </div>
+                ` : ''}
+            </div>
+        `;
     }
 
-    loadPanelWidth() {
-        try {
-            const savedWidth = localStorage.getItem(this.panelWidthStorageKey);
-            this.currentPanelWidth = savedWidth ? parseInt(savedWidth) : this.defaultPanelWidth;
-            
-            // Ensure width is within bounds
-            this.currentPanelWidth = Math.max(this.minPanelWidth, 
-                Math.min(this.currentPanelWidth, this.maxPanelWidth));
-            
-            console.log('Loaded panel width:', this.currentPanelWidth);
-            
-            // Apply the width to the panel if it exists
-            this.applyPanelWidth();
-        } catch (error) {
-            console.warn('Failed to load panel width from storage:', error);
-            this.currentPanelWidth = this.defaultPanelWidth;
-        }
-    }
+    renderEndpointSpecificQueryParams(item) {
+        const path = item.endpoint.path.toLowerCase();
+        let specificParams = [];
 
-    applyPanelWidth() {
-        const panel = document.getElementById('sequencePanel');
-        if (panel && this.currentPanelWidth) {
-            panel.style.width = this.currentPanelWidth + 'px';
-            panel.style.right = `-${this.currentPanelWidth}px`;
-            console.log('Applied panel width:', this.currentPanelWidth);
-        } else {
-            console.warn('Cannot apply panel width - panel element not found or width not set');
+        if (!this.isAsanaEndpoint(item.endpoint)) {
+            // Other APIs get their declared query parameters instead of the Asana presets
+            specificParams = this.getEndpointParameters(item.endpoint)
+                .filter(param => param.in === 'query')
+                .map(param => ({ name: param.name, placeholder: `${param.name}${param.required ? ' (required)' : ''} or {{variable}}` }));
+        } else if (path.includes('/projects')) {
+            specificParams = [
+                { name: 'workspace', placeholder: 'workspace GID or {{variable}}' },
+                { name: 'team', placeholder: 'team GID' },
+                { name: 'archived', placeholder: 'true/false' }
+            ];
+        } else if (path.includes('/tasks')) {
+            specificParams = [
+                { name: 'project', placeholder: 'project GID or {{variable}}' },
+                { name: 'assignee', placeholder: 'assignee GID' },
+                { name: 'workspace', placeholder: 'workspace GID or {{variable}}' },
+                { name: 'completed_since', placeholder: 'YYYY-MM-DD' }
+            ];
+        } else if (path.includes('/users')) {
+            specificParams = [
+                { name: 'workspace', placeholder: 'workspace GID or {{variable}}' },
+                { name: 'team', placeholder: 'team GID' }
+            ];
         }
-    }
 
-    savePanelWidth() {
-        try {
-            localStorage.setItem(this.panelWidthStorageKey, this.currentPanelWidth.toString());
-        } catch (error) {
-            console.warn('Failed to save panel width to storage:', error);
+        if (specificParams.length === 0) {
+            return '';
         }
+
+        return `
+            <div style="margin-top: 12px;">
+                <div style="font-weight: 600; font-size: 12px; margin-bottom: 8px; color: #6c757d;">
+                    Endpoint-Specific Parameters
+                </div>
+                <div class="param-editor-grid">
+                    ${specificParams.map(param => `
+                        <input type="text" 
+                               class="param-editor-input" 
+                               id="seq-query-${param.name}-${item.id}"
+                               value="${item.parameters.query[param.name] || ''}"
+                               placeholder="${param.placeholder}"
+                               onchange="explorer.updateSequenceParameter('${item.id}', 'query', '${param.name}', this.value)">
+                    `).join('')}
+                </div>
+            </div>
+        `;
     }
 
-    setupPanelResize() {
-        const panel = document.getElementById('sequencePanel');
-        if (!panel) {
-            console.error('Cannot setup panel resize - panel element not found');
-            return;
-        }
-        
-        const resizeHandle = panel.querySelector('.resize-handle');
-        if (!resizeHandle) {
-            console.error('Cannot setup panel resize - resize handle not found');
-            return;
-        }
-        
-        // Ensure panel width is applied
-        this.applyPanelWidth();
+    renderQueryParameterVariableMappings(item, itemIndex) {
+        const availableVariables = this.getAvailableVariables(itemIndex);
         
-        let startX, startWidth;
-
-        const startResize = (e) => {
-            this.isResizing = true;
-            startX = e.clientX;
-            startWidth = parseInt(window.getComputedStyle(panel).width, 10);
-            
-            panel.classList.add('resizing');
-            resizeHandle.classList.add('active');
-            document.body.classList.add('resizing');
-            
-            document.addEventListener('mousemove', doResize);
-            document.addEventListener('mouseup', stopResize);
-            e.preventDefault();
-        };
+        // Find query parameters that could use variable mapping
+        const path = item.endpoint.path.toLowerCase();
+        let mappableParams = [];
 
-        const doResize = (e) => {
-            if (!this.isResizing) return;
-            
-            // Calculate new width (resize from left edge, so subtract the difference)
-            const newWidth = startWidth - (e.clientX - startX);
-            
-            // Enforce min/max constraints
-            const constrainedWidth = Math.max(this.minPanelWidth, 
-                Math.min(newWidth, this.maxPanelWidth));
-            
-            // Apply the new width
-            panel.style.width = constrainedWidth + 'px';
-            panel.style.right = this.sequencePanelOpen ? '0' : `-${constrainedWidth}px`;
-            
-            // Update body margin if panel is open
-            if (this.sequencePanelOpen) {
-                document.body.style.marginRight = constrainedWidth + 'px';
-            }
-            
-            this.currentPanelWidth = constrainedWidth;
-        };
+        if (path.includes('/projects')) {
+            mappableParams = ['workspace', 'team'];
+        } else if (path.includes('/tasks')) {
+            mappableParams = ['project', 'assignee', 'workspace'];
+        } else if (path.includes('/users')) {
+            mappableParams = ['workspace', 'team'];
+        }
 
-        const stopResize = () => {
-            this.isResizing = false;
-            panel.classList.remove('resizing');
-            resizeHandle.classList.remove('active');
-            document.body.classList.remove('resizing');
-            
-            document.removeEventListener('mousemove', doResize);
-            document.removeEventListener('mouseup', stopResize);
-            
-            // Save the new width to localStorage
-            this.savePanelWidth();
-        };
+        if (mappableParams.length === 0 && availableVariables.length === 0) {
+            return '';
+        }
 
-        resizeHandle.addEventListener('mousedown', startResize);
+        // Include any existing query parameter variable mappings from imported sequences
+        const allVariableOptions = [...availableVariables];
         
-        // Update max width on window resize
-        window.addEventListener('resize', () => {
-            this.maxPanelWidth = window.innerWidth * 0.8;
-            if (this.currentPanelWidth > this.maxPanelWidth) {
-                this.currentPanelWidth = this.maxPanelWidth;
-                panel.style.width = this.currentPanelWidth + 'px';
-                if (this.sequencePanelOpen) {
-                    document.body.style.marginRight = this.currentPanelWidth + 'px';
+        mappableParams.forEach(param => {
+            const currentValue = item.parameters.query[param];
+            if (currentValue && currentValue.includes('{{') && currentValue.includes('}}')) {
+                const match = currentValue.match(/\{\{([^}]+)\}\}/);
+                if (match && !allVariableOptions.find(v => v.path === match[1])) {
+                    allVariableOptions.push({
+                        path: match[1],
+                        description: `Imported mapping for ${param}`,
+                        example: 'Not executed yet'
+                    });
                 }
-                this.savePanelWidth();
             }
         });
-    }
-
-    addToSequence(endpointIndex) {
-        const endpoint = this.filteredEndpoints[endpointIndex];
-        const sequenceItem = {
-            id: `seq_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            endpoint: endpoint,
-            endpointIndex: endpointIndex,
-            parameters: this.captureCurrentParameters(endpointIndex),
-            variableMappings: {},
-            iteration: {
-                enabled: false,
-                sourceField: '',
-                iterationVariable: 'item',
-                unifyResults: true
-            },
-            executed: false,
-            result: null,
-            error: null
-        };
 
-        this.apiSequence.push(sequenceItem);
-        this.renderSequence();
-        
-        // Open sequence panel if not already open
-        if (!this.sequencePanelOpen) {
-            this.toggleSequencePanel();
+        if (allVariableOptions.length === 0) {
+            return '';
         }
-    }
 
-    removeFromSequence(itemId) {
-        const itemIndex = this.apiSequence.findIndex(item => item.id === itemId);
-        if (itemIndex === -1) {
-            console.warn(`Cannot remove sequence item: ${itemId} not found`);
-            return;
-        }
+        return `
+            <div style="margin-top: 12px;">
+                <div style="font-weight: 600; font-size: 12px; margin-bottom: 8px; color: #6c757d;">
+                    Query Parameter Variable Mappings
+                </div>
+                ${mappableParams.map(param => `
+                    <div style="margin-bottom: 8px;">
+                        <label style="display: block; font-weight: 600; font-size: 11px; margin-bottom: 4px;">
+                            ${param} variable source:
+                        </label>
+                        <select id="query-mapping-${item.id}-${param}" 
+                                onchange="explorer.updateQueryVariableMapping('${item.id}', '${param}', this.value)"
+                                style="width: 100%; padding: 4px; font-size: 11px;">
+                            <option value="">Manual input (use text field above)</option>
+                            ${allVariableOptions.map(variable => {
+                                const currentValue = item.parameters.query[param];
+                                const isSelected = currentValue && currentValue === `{{${variable.path}}}`;
+                                return `<option value="${variable.path}" ${isSelected ? 'selected' : ''}>
+                                    ${variable.description} (${variable.example})
+                                </option>`;
+                            }).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
 
-        const item = this.apiSequence[itemIndex];
-        
-        // Confirm deletion if the step has been executed or has configuration
-        const hasExecution = item.executed;
-        const hasConfiguration = Object.values(item.parameters.path).some(v => v) || 
-                                Object.values(item.parameters.query).some(v => v) || 
-                                item.parameters.body ||
-                                Object.keys(item.variableMappings).length > 0 ||
-                                (item.iteration && item.iteration.enabled);
+    updateQueryVariableMapping(itemId, paramName, variablePath) {
+        const item = this.apiSequence.find(item => item.id === itemId);
+        if (!item) return;
 
-        if (hasExecution || hasConfiguration) {
-            const stepName = `Step ${itemIndex + 1}: ${item.endpoint.method} ${item.endpoint.path}`;
-            const details = [];
+        if (variablePath) {
+            // Set the query parameter to use the variable
+            item.parameters.query[paramName] = `{{${variablePath}}}`;
             
-            if (hasExecution) {
-                details.push(item.error ? 'executed with errors' : 'executed successfully');
-            }
-            if (hasConfiguration) {
-                details.push('has custom configuration');
+            // Update the corresponding text input field
+            const input = document.getElementById(`seq-query-${paramName}-${itemId}`);
+            if (input) {
+                input.value = `{{${variablePath}}}`;
             }
-            
-            const confirmMessage = `Delete ${stepName}?\n\nThis step ${details.join(' and ')}.`;
-            
-            if (!confirm(confirmMessage)) {
-                return;
+        } else {
+            // Clear the variable mapping, keep any manual value
+            const currentValue = item.parameters.query[paramName];
+            if (currentValue && currentValue.includes('{{') && currentValue.includes('}}')) {
+                delete item.parameters.query[paramName];
+                
+                // Clear the text input field
+                const input = document.getElementById(`seq-query-${paramName}-${itemId}`);
+                if (input) {
+                    input.value = '';
+                }
             }
         }
 
-        // Remove the item
-        this.apiSequence.splice(itemIndex, 1);
-        
-        // Update any dependent iteration configurations that reference this step
-        this.updateDependentIterations(itemIndex);
-        
-        // Re-render the sequence
-        this.renderSequence();
-        
-        console.log(`Removed sequence item ${itemId} at index ${itemIndex}`);
+        console.log(`Updated query variable mapping: ${paramName} = ${variablePath || 'manual'}`);
         
-        // Show feedback message
-        this.showSequenceMessage(`✅ Removed step from sequence`, 'success');
+        // Update the parameter summary
+        this.updateParameterSummaryOnly(item);
     }
 
-    updateDependentIterations(removedIndex) {
-        // Update iteration configurations that might reference steps after the removed one
-        this.apiSequence.forEach((item, index) => {
-            if (item.iteration && item.iteration.sourceField) {
-                // Parse the source field to get the step reference
-                const stepMatch = item.iteration.sourceField.match(/^step(\d+)\./);
-                if (stepMatch) {
-                    const referencedStepIndex = parseInt(stepMatch[1]);
-                    
-                    // If the referenced step is after the removed step, decrement the index
-                    if (referencedStepIndex > removedIndex) {
-                        const newStepIndex = referencedStepIndex - 1;
-                        item.iteration.sourceField = item.iteration.sourceField.replace(
-                            /^step\d+\./, 
-                            `step${newStepIndex}.`
-                        );
-                        console.log(`Updated iteration source reference from step${referencedStepIndex} to step${newStepIndex} for item ${item.id}`);
-                    }
-                    // If the referenced step was the removed step, clear the iteration config
-                    else if (referencedStepIndex === removedIndex) {
-                        item.iteration.sourceField = '';
-                        console.log(`Cleared iteration source reference for item ${item.id} (referenced deleted step)`);
-                    }
-                }
-            }
-        });
+    toggleParameterEditor(itemId) {
+        const editor = document.getElementById(`param-editor-${itemId}`);
+        if (editor) {
+            editor.classList.toggle('show');
+        }
     }
 
-    captureCurrentParameters(endpointIndex) {
-        const endpoint = this.filteredEndpoints[endpointIndex];
-        const parameters = {
-            path: {},
-            query: {},
-            body: null
-        };
-
-        // Capture path parameters
-        const pathParams = this.extractPathParameters(endpoint.path);
-        pathParams.forEach(param => {
-            const input = document.getElementById(`path-${param}-${endpointIndex}`);
-            if (input) {
-                parameters.path[param] = input.value;
-            }
-        });
+    updateSequenceParameter(itemId, paramType, paramName, value) {
+        const item = this.apiSequence.find(item => item.id === itemId);
+        if (!item) return;
 
-        // Capture query parameters
-        const queryParams = ['limit', 'offset', 'opt_fields', 'opt_expand', 'archived', 'team', 'assignee', 'project', 'completed_since'];
-        queryParams.forEach(param => {
-            const input = document.getElementById(`query-${param}-${endpointIndex}`);
-            if (input) {
-                if (input.type === 'checkbox') {
-                    parameters.query[param] = input.checked;
-                } else {
-                    parameters.query[param] = input.value;
-                }
-            }
-        });
+        console.log(`Updating parameter: ${itemId}.${paramType}.${paramName} = ${value}`);
 
-        // Capture body
-        if (['POST', 'PUT', 'PATCH'].includes(endpoint.method)) {
-            const bodyInput = document.getElementById(`body-${endpointIndex}`);
-            if (bodyInput) {
-                parameters.body = bodyInput.value;
+        if (paramType === 'path') {
+            item.parameters.path[paramName] = value;
+        } else if (paramType === 'query') {
+            if (value && value.trim()) {
+                item.parameters.query[paramName] = value.trim();
+            } else {
+                delete item.parameters.query[paramName];
             }
+        } else if (paramType === 'body') {
+            item.parameters.body = value;
         }
 
-        return parameters;
+        // Don't re-render to avoid losing focus, just update the parameter summary
+        this.updateParameterSummaryOnly(item);
     }
 
-    renderSequence() {
-        const container = document.getElementById('sequenceItems');
-        
-        if (this.apiSequence.length === 0) {
-            container.innerHTML = `
-                <div style="text-align: center; color: #6c757d; padding: 2rem;">
-                    <p>No endpoints in sequence yet.</p>
-                    <p><small>Click the "Add to Sequence" button on any endpoint to start building your API call chain.</small></p>
-                </div>
-            `;
-            return;
+    updateParameterSummaryOnly(item) {
+        // Find and update just the parameter summary for this item
+        const summaryElement = document.querySelector(`#seq-item-${item.id} .parameter-summary`);
+        if (summaryElement) {
+            summaryElement.innerHTML = this.renderParameterSummary(item).replace('<div class="parameter-summary">', '').replace('</div>', '');
         }
+    }
 
-        const sequenceHTML = this.apiSequence.map((item, index) => {
-            const availableVariables = this.getAvailableVariables(index);
-            
-            return `
-                <div class="sequence-item ${item.executed ? (item.error ? 'error' : 'executed') : ''} ${item.isImported ? 'imported' : ''} ${item.iteration && item.iteration.enabled ? 'iteration-enabled' : ''}" id="seq-item-${item.id}">
-                    <div class="sequence-item-header">
-                        <span>${index + 1}. ${item.endpoint.method} ${item.endpoint.path} ${item.iteration && item.iteration.enabled ? '🔄' : ''}</span>
-                        <div style="display: flex; align-items: center; gap: 8px;">
-                            ${item.iteration && item.iteration.enabled ? '<span style="background: #fd7e14; color: white; font-size: 10px; padding: 2px 6px; border-radius: 3px;">ITERATION</span>' : ''}
-                            ${item.isImported ? '<span style="background: #17a2b8; color: white; font-size: 10px; padding: 2px 6px; border-radius: 3px;">IMPORTED</span>' : ''}
-                            <button onclick="explorer.removeFromSequence('${item.id}')" 
-                                    style="background: none; border: none; color: #dc3545; cursor: pointer; font-size: 16px; padding: 4px 8px; border-radius: 3px; transition: all 0.2s;"
-                                    onmouseover="this.style.backgroundColor='#dc3545'; this.style.color='white';"
-                                    onmouseout="this.style.backgroundColor='transparent'; this.style.color='#dc3545';"
-                                    title="Delete this step">🗑️</button>
-                        </div>
-                    </div>
-                    <div class="sequence-item-content">
-                        <div style="font-size: 12px; color: #6c757d; margin-bottom: 10px;">
-                            ${item.endpoint.summary}
-                            ${item.iteration && item.iteration.enabled ? `<br><strong style="color: #fd7e14;">🔄 Iteration Mode:</strong> Will execute for each item from ${item.iteration.sourceField || 'configured source'}` : ''}
-                            ${item.isImported ? '<br><em>⚠️ This endpoint was imported and may not match current API spec</em>' : ''}
-                        </div>
-                        
-                        ${this.renderParameterSummary(item)}
-                        
-                        ${this.renderVariableMappings(item, index, availableVariables)}
-                        
-                        ${this.renderIterationConfig(item, index, availableVariables)}
-                        
-                        ${this.renderSequenceParameterEditor(item, index)}
-                        
-                        <div style="margin-top: 10px;">
-                            <button class="sequence-btn sequence-btn-primary" onclick="explorer.executeSequenceItem('${item.id}')" style="font-size: 12px;" ${!this.personalAccessToken ? 'disabled' : ''}>
-                                ${this.personalAccessToken ? 
-                                    (item.iteration && item.iteration.enabled ? '🔄 Execute Iteration' : 'Execute This Step') 
-                                    : 'Enter PAT to Execute'}
-                            </button>
-                            <button class="sequence-btn sequence-btn-secondary" onclick="explorer.toggleParameterEditor('${item.id}')" style="font-size: 12px; margin-left: 8px;">
-                                ⚙️ Edit Parameters
-                            </button>
-                        </div>
-                        
-                        ${item.executed ? `
-                            <div class="sequence-results">
-                                ${item.error ? 
-                                    `<div class="results-header">
-                                        <span style="color: #dc3545;">❌ Error: ${item.error}</span>
-                                        <div class="results-actions">
-                                            <button class="copy-btn" onclick="explorer.copySequenceResult('${item.id}', 'error')">
-                                                📋 Copy Error
-                                            </button>
-                                        </div>
-                                    </div>` :
-                                    `<div class="results-header">
-                                        <span style="color: #28a745;">✅ Success ${item.iteration && item.iteration.enabled ? '🔄' : ''} (${
-                                            item.result?.iteration_summary ? 
-                                                `${item.result.iteration_summary.successful_iterations}/${item.result.iteration_summary.total_iterations} iterations, ${item.result?.data ? Array.isArray(item.result.data) ? item.result.data.length + ' total items' : '1 item' : 'No data'}` :
-                                                (item.result?.data ? Array.isArray(item.result.data) ? item.result.data.length + ' items' : '1 item' : 'No data')
-                                        })</span>
-                                        <div class="results-actions">
-                                            <button class="copy-btn" onclick="explorer.copySequenceResult('${item.id}', 'json')">
-                                                📋 Copy JSON
-                                            </button>
-                                            <button class="copy-btn" onclick="explorer.copySequenceResult('${item.id}', 'formatted')">
-                                                📄 Copy Formatted
-                                            </button>
-                                            ${item.result?.data && Array.isArray(item.result.data) ? `
-                                                <button class="copy-btn" onclick="explorer.copySequenceResult('${item.id}', 'csv')">
-                                                    📊 Copy CSV
-                                                </button>
-                                            ` : ''}
-                                            <button class="copy-btn" onclick="explorer.showItemInGrid('${item.id}')" style="background: #17a2b8;">
-                                                🏗️ Show in Grid
-                                            </button>
-                                        </div>
-                                    </div>
-                                     <div style="font-family: 'Courier New', monospace; font-size: 11px; margin-top: 5px; background: #f8f9fa; padding: 8px; border-radius: 4px; max-height: 200px; overflow-y: auto;">
-                                         ${JSON.stringify(item.result, null, 2).substring(0, 500)}${JSON.stringify(item.result).length > 500 ? '...\n\n[Truncated - use Copy buttons for full content]' : ''}
-                                     </div>`
-                                }
-                            </div>
-                        ` : ''}
-                    </div>
-                </div>
-            `;
-        }).join('');
+    applyParameterPreset(itemId, presetType) {
+        const item = this.apiSequence.find(item => item.id === itemId);
+        if (!item) return;
 
-        container.innerHTML = sequenceHTML;
+        const path = item.endpoint.path.toLowerCase();
+        
+        let presets = {
+            minimal: {
+                limit: '10',
+                opt_fields: 'gid,name'
+            },
+            detailed: {
+                limit: '20',
+                opt_fields: 'gid,name,created_at,modified_at'
+            },
+            full: {
+                limit: '50',
+                opt_fields: this.getFullFieldsForEndpoint(path)
+            }
+        };
 
-        // Add transform section after sequence items if there's a final result
-        this.renderTransformSection();
+        // Apply endpoint-specific presets
+        if (path.includes('/tasks')) {
+            presets.minimal.opt_fields = 'gid,name,completed';
+            presets.detailed.opt_fields = 'gid,name,completed,assignee.name,due_date,created_at';
+            presets.full.opt_fields = 'gid,name,completed,assignee,due_date,notes,created_at,modified_at,projects.name,tags.name';
+        } else if (path.includes('/projects')) {
+            presets.minimal.opt_fields = 'gid,name,completed';
+            presets.detailed.opt_fields = 'gid,name,completed,team.name,created_at,modified_at';
+            presets.full.opt_fields = 'gid,name,completed,notes,team,members.name,created_at,modified_at,archived,color';
+        } else if (path.includes('/workspaces')) {
+            presets.minimal.opt_fields = 'gid,name';
+            presets.detailed.opt_fields = 'gid,name,is_organization';
+            presets.full.opt_fields = 'gid,name,is_organization,email_domains';
+        }
 
-        // Update execute button status
-        this.updateExecuteButtonStatus();
+        const preset = presets[presetType];
+        if (preset) {
+            Object.entries(preset).forEach(([key, value]) => {
+                item.parameters.query[key] = value;
+                
+                // Update the input field immediately
+                const input = document.getElementById(`seq-query-${key}-${itemId}`);
+                if (input) {
+                    input.value = value;
+                }
+            });
 
-        // Restore parameter values to form fields after rendering
-        setTimeout(() => {
-            this.restoreParametersToForms();
-        }, 50);
+            // Update just the parameter summary instead of full re-render
+            this.updateParameterSummaryOnly(item);
+            this.showSequenceMessage(`✅ Applied ${presetType} parameter preset`, 'success');
+        }
     }
 
-    renderTransformSection() {
-        // Check if we have a final result that can be transformed
-        const lastExecutedItem = [...this.apiSequence].reverse().find(item => 
-            item.executed && item.result && item.result.data
-        );
+    getFullFieldsForEndpoint(path) {
+        if (path.includes('/tasks')) {
+            return 'gid,name,completed,assignee,due_date,notes,created_at,modified_at,projects.name,tags.name,subtasks.name';
+        } else if (path.includes('/projects')) {
+            return 'gid,name,completed,notes,team,members.name,created_at,modified_at,archived,color,due_date';
+        } else if (path.includes('/users')) {
+            return 'gid,name,email,photo.image_128x128,workspaces.name';
+        } else if (path.includes('/workspaces')) {
+            return 'gid,name,is_organization,email_domains';
+        }
+        return 'gid,name,created_at,modified_at';
+    }
 
-        const container = document.getElementById('sequenceItems');
+    showVariableHelper(inputId, currentIndex) {
+        const availableVariables = this.getAvailableVariables(currentIndex);
         
-        if (lastExecutedItem) {
-            const stepIndex = this.apiSequence.indexOf(lastExecutedItem);
-            const recordCount = Array.isArray(lastExecutedItem.result.data) 
-                ? lastExecutedItem.result.data.length 
-                : 1;
+        if (availableVariables.length === 0) {
+            this.showSequenceMessage('ℹ️ No variables available. Execute previous steps first.', 'info');
+            return;
+        }
 
-            // Add transform section HTML
-            const transformSectionHTML = `
-                <div id="transformTrigger" style="margin-top: 1rem; padding: 1rem; background: #f8f9fa; border: 1px solid #dee2e6; border-radius: 6px;">
-                    <div style="display: flex; justify-content: space-between; align-items: center;">
-                        <div>
-                            <h4 style="margin: 0; color: #333; font-size: 14px;">
-                                🔄 Transform Final Result
-                            </h4>
-                            <p style="margin: 0.25rem 0 0 0; font-size: 12px; color: #666;">
-                                Step ${stepIndex + 1}: ${lastExecutedItem.endpoint.method} ${lastExecutedItem.endpoint.path} 
-                                (${recordCount} record${recordCount !== 1 ? 's' : ''})
-                            </p>
-                        </div>
-                        <button class="sequence-btn sequence-btn-info" onclick="explorer.showTransformation()" style="font-size: 12px; background: #17a2b8;">
-                            🔄 Transform Data
-                        </button>
-                    </div>
-                </div>
-            `;
-            
-            container.insertAdjacentHTML('beforeend', transformSectionHTML);
-        } else {
-            // Remove transform section if no final result
-            const existingSection = document.getElementById('transformTrigger');
-            if (existingSection) {
-                existingSection.remove();
-            }
+        // Create a simple dropdown/popup with available variables
+        const input = document.getElementById(inputId);
+        if (!input) return;
+
+        const variableList = availableVariables.map(variable => 
+            `<div style="padding: 8px; cursor: pointer; border-bottom: 1px solid #eee;" 
+                  onclick="explorer.insertVariable('${inputId}', '{{${variable.path}}}')">
+                <strong>${variable.path}</strong><br>
+                <small style="color: #6c757d;">${variable.description} → ${variable.example}</small>
+            </div>`
+        ).join('');
+
+        // Remove existing helper if any
+        const existingHelper = document.getElementById('variable-helper');
+        if (existingHelper) {
+            existingHelper.remove();
         }
-    }
 
-    updateExecuteButtonStatus() {
-        const executeBtn = document.querySelector('button[onclick="explorer.executeSequence()"]');
-        if (!executeBtn) return;
+        // Create helper popup
+        const helper = document.createElement('div');
+        helper.id = 'variable-helper';
+        helper.innerHTML = `
+            <div style="position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); 
+                        background: white; border: 1px solid #dee2e6; border-radius: 8px; 
+                        box-shadow: 0 4px 20px rgba(0,0,0,0.15); z-index: 10001; max-width: 400px; max-height: 300px; overflow-y: auto;">
+                <div style="padding: 15px; border-bottom: 1px solid #eee; background: #f8f9fa; font-weight: 600;">
+                    Available Variables
+                    <button onclick="document.getElementById('variable-helper').remove()" 
+                            style="float: right; background: none; border: none; font-size: 18px; cursor: pointer;">&times;</button>
+                </div>
+                <div>
+                    ${variableList}
+                </div>
+            </div>
+            <div style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 10000;" 
+                 onclick="document.getElementById('variable-helper').remove()"></div>
+        `;
 
-        const hasVariableMappings = this.apiSequence.some(item => 
-            item.variableMappings && Object.keys(item.variableMappings).length > 0
-        );
+        document.body.appendChild(helper);
+    }
 
-        const hasToken = !!this.personalAccessToken;
-        const hasSequence = this.apiSequence.length > 0;
+    insertVariable(inputId, variableText) {
+        const input = document.getElementById(inputId);
+        if (input) {
+            input.value = variableText;
+            input.dispatchEvent(new Event('change'));
+        }
 
-        if (hasSequence && hasToken) {
-            executeBtn.disabled = false;
-            if (hasVariableMappings) {
-                executeBtn.innerHTML = '🚀 Execute All (Ready)';
-                executeBtn.className = 'sequence-btn sequence-btn-success';
-                executeBtn.style.background = '#28a745';
-                executeBtn.style.borderColor = '#28a745';
-            } else {
-                executeBtn.innerHTML = '▶ Execute All';
-                executeBtn.className = 'sequence-btn sequence-btn-success';
-                executeBtn.style.background = '';
-                executeBtn.style.borderColor = '';
-            }
-        } else {
-            executeBtn.disabled = true;
-            if (!hasToken) {
-                executeBtn.innerHTML = '🔑 Set PAT to Execute';
-                executeBtn.className = 'sequence-btn sequence-btn-warning';
-            } else {
-                executeBtn.innerHTML = '▶ Execute All';
-                executeBtn.className = 'sequence-btn sequence-btn-success';
-            }
+        // Close the helper
+        const helper = document.getElementById('variable-helper');
+        if (helper) {
+            helper.remove();
         }
     }
 
-    getAvailableVariables(currentIndex) {
-        const variables = [];
-        
-        for (let i = 0; i < currentIndex; i++) {
-            const prevItem = this.apiSequence[i];
-            if (prevItem.executed && prevItem.result) {
-                // Extract common variable paths from the result
-                const result = prevItem.result;
-                
-                if (result.data) {
-                    if (Array.isArray(result.data)) {
-                        // Add the array itself for iteration
-                        variables.push({
-                            path: `${prevItem.id}.data`,
-                            description: `Array data from step ${i + 1} (${result.data.length} items)`,
-                            example: `[${result.data.slice(0, 2).map(item => item.gid || item.name || 'item').join(', ')}${result.data.length > 2 ? ', ...' : ''}]`
-                        });
-                        
-                        // Add individual field paths for reference
-                        variables.push({
-                            path: `${prevItem.id}.data[0].gid`,
-                            description: `First item GID from step ${i + 1}`,
-                            example: result.data[0]?.gid
-                        });
-                        variables.push({
-                            path: `${prevItem.id}.data[0].name`,
-                            description: `First item name from step ${i + 1}`,
-                            example: result.data[0]?.name
-                        });
+    async copySequenceResult(itemId, format) {
+        const item = this.apiSequence.find(item => item.id === itemId);
+        if (!item || !item.executed) {
+            this.showSequenceMessage('❌ No result to copy', 'error');
+            return;
+        }
+
+        let content = '';
+        let mimeType = 'text/plain';
+
+        try {
+            switch (format) {
+                case 'json':
+                    content = JSON.stringify(item.result, null, 2);
+                    mimeType = 'application/json';
+                    break;
+
+                case 'formatted':
+                    content = this.formatResultForCopy(item);
+                    break;
+
+                case 'csv':
+                    if (item.result?.data && Array.isArray(item.result.data)) {
+                        content = this.convertToCSV(item.result.data);
+                        mimeType = 'text/csv';
                     } else {
-                        variables.push({
-                            path: `${prevItem.id}.data.gid`,
-                            description: `GID from step ${i + 1}`,
-                            example: result.data.gid
-                        });
-                        variables.push({
-                            path: `${prevItem.id}.data.name`,
-                            description: `Name from step ${i + 1}`,
-                            example: result.data.name
-                        });
+                        this.showSequenceMessage('❌ CSV format only available for array data', 'error');
+                        return;
                     }
-                }
+                    break;
+
+                case 'error':
+                    content = `API Error Details:
+Endpoint: ${item.endpoint.method} ${item.endpoint.path}
+Error: ${item.error}
+Timestamp: ${new Date().toISOString()}
+
+Full Error Response:
+${item.result ? JSON.stringify(item.result, null, 2) : 'No response data'}`;
+                    break;
+
+                default:
+                    content = JSON.stringify(item.result, null, 2);
             }
-        }
-        
-        return variables;
-    }
 
-    renderParameterSummary(item) {
-        const pathParams = Object.entries(item.parameters.path).filter(([key, value]) => value);
-        const queryParams = Object.entries(item.parameters.query).filter(([key, value]) => value && value !== '');
-        const hasBody = item.parameters.body;
+            // Use the modern Clipboard API
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                await navigator.clipboard.writeText(content);
+                this.showCopyFeedback(itemId, format);
+            } else {
+                // Fallback for older browsers
+                this.fallbackCopyToClipboard(content);
+                this.showCopyFeedback(itemId, format);
+            }
 
-        if (pathParams.length === 0 && queryParams.length === 0 && !hasBody) {
-            return '';
+        } catch (error) {
+            console.error('Copy failed:', error);
+            this.showSequenceMessage('❌ Failed to copy to clipboard', 'error');
         }
+    }
 
-        let html = '<div class="parameter-summary">';
+    formatResultForCopy(item) {
+        const timestamp = new Date().toISOString();
+        const endpoint = `${item.endpoint.method} ${item.endpoint.path}`;
         
-        if (pathParams.length > 0) {
-            html += '<div class="param-group"><span class="param-label">Path:</span> ';
-            html += pathParams.map(([key, value]) => {
-                const displayValue = this.formatParameterValue(value);
-                return `{${key}}: <span class="param-value">${displayValue}</span>`;
-            }).join(', ');
-            html += '</div>';
-        }
+        let formatted = `Asana API Result
+Endpoint: ${endpoint}
+Summary: ${item.endpoint.summary}
+Timestamp: ${timestamp}
+Status: ${item.error ? 'Error' : 'Success'}
 
-        if (queryParams.length > 0) {
-            html += '<div class="param-group"><span class="param-label">Query:</span> ';
-            html += queryParams.map(([key, value]) => {
-                const displayValue = this.formatParameterValue(value);
-                return `${key}: <span class="param-value">${displayValue}</span>`;
-            }).join(', ');
-            html += '</div>';
+`;
+
+        if (item.error) {
+            formatted += `Error: ${item.error}\n\n`;
         }
 
-        if (hasBody) {
-            const bodyPreview = item.parameters.body.length > 50 
-                ? item.parameters.body.substring(0, 50) + '...' 
-                : item.parameters.body;
-            html += `<div class="param-group"><span class="param-label">Body:</span> <span class="param-value">${bodyPreview}</span></div>`;
+        if (item.result?.data) {
+            if (Array.isArray(item.result.data)) {
+                formatted += `Results: ${item.result.data.length} items\n\n`;
+                
+                item.result.data.forEach((dataItem, index) => {
+                    formatted += `Item ${index + 1}:\n`;
+                    formatted += `  GID: ${dataItem.gid || 'N/A'}\n`;
+                    formatted += `  Name: ${dataItem.name || 'N/A'}\n`;
+                    
+                    // Add other common fields
+                    if (dataItem.completed !== undefined) {
+                        formatted += `  Completed: ${dataItem.completed}\n`;
+                    }
+                    if (dataItem.due_date) {
+                        formatted += `  Due Date: ${dataItem.due_date}\n`;
+                    }
+                    if (dataItem.assignee?.name) {
+                        formatted += `  Assignee: ${dataItem.assignee.name}\n`;
+                    }
+                    formatted += '\n';
+                });
+            } else {
+                formatted += `Result:\n`;
+                formatted += `  GID: ${item.result.data.gid || 'N/A'}\n`;
+                formatted += `  Name: ${item.result.data.name || 'N/A'}\n`;
+                
+                Object.entries(item.result.data).forEach(([key, value]) => {
+                    if (key !== 'gid' && key !== 'name' && value !== null && value !== undefined) {
+                        formatted += `  ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}\n`;
+                    }
+                });
+            }
         }
 
-        html += '</div>';
-        return html;
+        formatted += '\n--- Raw JSON ---\n';
+        formatted += JSON.stringify(item.result, null, 2);
+
+        return formatted;
     }
 
-    formatParameterValue(value) {
-        if (typeof value === 'string' && value.includes('{{') && value.includes('}}')) {
-            return `<em style="color: #007bff;">${value}</em> (variable)`;
+    convertToCSV(data) {
+        if (!data || !Array.isArray(data) || data.length === 0) {
+            return '';
         }
-        return value;
-    }
 
-    renderSequenceParameterEditor(item, index) {
-        const pathParams = this.extractPathParameters(item.endpoint.path);
+        // Get all unique keys from all objects
+        const allKeys = new Set();
+        data.forEach(item => {
+            Object.keys(item).forEach(key => {
+                allKeys.add(key);
+            });
+        });
+
+        const headers = Array.from(allKeys);
         
-        return `
-            <div id="param-editor-${item.id}" class="sequence-parameter-editor">
-                <div class="param-editor-title">Configure Parameters</div>
+        // Create CSV content
+        let csv = headers.join(',') + '\n';
+        
+        data.forEach(item => {
+            const row = headers.map(header => {
+                let value = item[header];
                 
-                ${pathParams.length > 0 ? `
-                    <div class="param-editor-section">
-                        <div class="param-editor-title">Path Parameters</div>
-                        ${pathParams.map(param => `
-                            <div style="margin-bottom: 8px;">
-                                <label style="display: block; font-weight: 600; font-size: 12px; margin-bottom: 4px;">
-                                    {${param}} <span style="color: #dc3545;">*</span>
-                                </label>
-                                <div style="display: flex; gap: 5px;">
-                                    <input type="text" 
-                                           class="param-editor-input" 
-                                           id="seq-path-${param}-${item.id}"
-                                           value="${item.parameters.path[param] || ''}"
-                                           placeholder="Enter ${param} or use {{variable}}"
-                                           style="flex: 1;"
-                                           onchange="explorer.updateSequenceParameter('${item.id}', 'path', '${param}', this.value)">
-                                    <button onclick="explorer.showVariableHelper('seq-path-${param}-${item.id}', ${index})"
-                                            style="background: #17a2b8; color: white; border: none; padding: 4px 8px; border-radius: 3px; font-size: 10px;">
-                                        📋 Vars
-                                    </button>
-                                </div>
-                                <div class="param-hint">Use {{stepId.data[0].gid}} for variables${item.iteration && item.iteration.enabled ? ` or {{${item.iteration.iterationVariable || 'item'}.gid}} for iteration` : ''}</div>
-                            </div>
-                        `).join('')}
-                    </div>
-                ` : ''}
+                // Handle complex objects
+                if (typeof value === 'object' && value !== null) {
+                    if (value.name) {
+                        value = value.name; // For nested objects like assignee.name
+                    } else if (value.gid) {
+                        value = value.gid; // For nested objects with GID
+                    } else {
+                        value = JSON.stringify(value);
+                    }
+                }
+                
+                // Escape commas and quotes
+                if (typeof value === 'string') {
+                    if (value.includes(',') || value.includes('"') || value.includes('\n')) {
+                        value = '"' + value.replace(/"/g, '""') + '"';
+                    }
+                }
+                
+                return value || '';
+            });
+            
+            csv += row.join(',') + '\n';
+        });
 
-                <div class="param-editor-section">
-                    <div class="param-editor-title">Query Parameters</div>
-                    <div style="margin-bottom: 10px;">
-                        <button onclick="explorer.applyParameterPreset('${item.id}', 'minimal')" 
-                                style="background: #6c757d; color: white; border: none; padding: 4px 8px; border-radius: 3px; font-size: 11px; margin-right: 5px;">
-                            Minimal
-                        </button>
-                        <button onclick="explorer.applyParameterPreset('${item.id}', 'detailed')" 
-                                style="background: #17a2b8; color: white; border: none; padding: 4px 8px; border-radius: 3px; font-size: 11px; margin-right: 5px;">
-                            Detailed
-                        </button>
-                        <button onclick="explorer.applyParameterPreset('${item.id}', 'full')" 
-                                style="background: #28a745; color: white; border: none; padding: 4px 8px; border-radius: 3px; font-size: 11px;">
-                            Full Fields
-                        </button>
-                    </div>
-                    <div class="param-editor-grid">
-                        <input type="text" 
-                               class="param-editor-input" 
-                               id="seq-query-limit-${item.id}"
-                               value="${item.parameters.query.limit || ''}"
-                               placeholder="limit (e.g., 10)"
-                               onchange="explorer.updateSequenceParameter('${item.id}', 'query', 'limit', this.value)">
-                        <input type="text" 
-                               class="param-editor-input" 
-                               id="seq-query-offset-${item.id}"
-                               value="${item.parameters.query.offset || ''}"
-                               placeholder="offset"
-                               onchange="explorer.updateSequenceParameter('${item.id}', 'query', 'offset', this.value)">
-                        <input type="text" 
-                               class="param-editor-input" 
-                               id="seq-query-opt_fields-${item.id}"
-                               value="${item.parameters.query.opt_fields || ''}"
-                               placeholder="opt_fields (e.g., name,gid)"
-                               onchange="explorer.updateSequenceParameter('${item.id}', 'query', 'opt_fields', this.value)">
-                        <input type="text" 
-                               class="param-editor-input" 
-                               id="seq-query-opt_expand-${item.id}"
-                               value="${item.parameters.query.opt_expand || ''}"
-                               placeholder="opt_expand"
-                               onchange="explorer.updateSequenceParameter('${item.id}', 'query', 'opt_expand', this.value)">
-                    </div>
-                    
-                        ${this.renderEndpointSpecificQueryParams(item)}
-                        
-                        ${this.renderQueryParameterVariableMappings(item, index)}
-                </div>                ${['POST', 'PUT', 'PATCH'].includes(item.endpoint.method) ? `
-                    <div class="param-editor-section">
-                        <div class="param-editor-title">Request Body (JSON)</div>
-                        <textarea class="param-editor-textarea"
-                                  id="seq-body-${item.id}"
-                                  placeholder="Enter JSON request body"
-                                  onchange="explorer.updateSequenceParameter('${item.id}', 'body', null, this.value)">${item.parameters.body || ''}</textarea>
-                        <div class="param-hint">Use {{variable}} placeholders for dynamic values</div>
-                    </div>
-                ` : ''}
-            </div>
-        `;
+        return csv;
     }
 
-    renderEndpointSpecificQueryParams(item) {
-        const path = item.endpoint.path.toLowerCase();
-        let specificParams = [];
-
-        if (path.includes('/projects')) {
-            specificParams = [
-                { name: 'workspace', placeholder: 'workspace GID or {{variable}}' },
-                { name: 'team', placeholder: 'team GID' },
-                { name: 'archived', placeholder: 'true/false' }
-            ];
-        } else if (path.includes('/tasks')) {
-            specificParams = [
-                { name: 'project', placeholder: 'project GID or {{variable}}' },
-                { name: 'assignee', placeholder: 'assignee GID' },
-                { name: 'workspace', placeholder: 'workspace GID or {{variable}}' },
-                { name: 'completed_since', placeholder: 'YYYY-MM-DD' }
-            ];
-        } else if (path.includes('/users')) {
-            specificParams = [
-                { name: 'workspace', placeholder: 'workspace GID or {{variable}}' },
-                { name: 'team', placeholder: 'team GID' }
-            ];
+    fallbackCopyToClipboard(text) {
+        // Create a temporary textarea element
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        textArea.style.position = 'fixed';
+        textArea.style.left = '-999999px';
+        textArea.style.top = '-999999px';
+        document.body.appendChild(textArea);
+        textArea.focus();
+        textArea.select();
+        
+        try {
+            document.execCommand('copy');
+        } catch (err) {
+            console.error('Fallback copy failed:', err);
         }
+        
+        document.body.removeChild(textArea);
+    }
 
-        if (specificParams.length === 0) {
-            return '';
-        }
+    showCopyFeedback(itemId, format) {
+        // Find the copy button that was clicked and show feedback
+        const buttons = document.querySelectorAll(`[onclick*="copySequenceResult('${itemId}', '${format}')"]`);
+        buttons.forEach(button => {
+            const originalText = button.textContent;
+            button.textContent = '✅ Copied!';
+            button.classList.add('copied');
+            
+            setTimeout(() => {
+                button.textContent = originalText;
+                button.classList.remove('copied');
+            }, 2000);
+        });
 
-        return `
-            <div style="margin-top: 12px;">
-                <div style="font-weight: 600; font-size: 12px; margin-bottom: 8px; color: #6c757d;">
-                    Endpoint-Specific Parameters
-                </div>
-                <div class="param-editor-grid">
-                    ${specificParams.map(param => `
-                        <input type="text" 
-                               class="param-editor-input" 
-                               id="seq-query-${param.name}-${item.id}"
-                               value="${item.parameters.query[param.name] || ''}"
-                               placeholder="${param.placeholder}"
-                               onchange="explorer.updateSequenceParameter('${item.id}', 'query', '${param.name}', this.value)">
-                    `).join('')}
-                </div>
-            </div>
-        `;
+        // Show success message
+        const formatNames = {
+            json: 'JSON',
+            formatted: 'Formatted Text',
+            csv: 'CSV',
+            error: 'Error Details'
+        };
+        
+        this.showSequenceMessage(`✅ ${formatNames[format]} copied to clipboard!`, 'success');
     }
 
-    renderQueryParameterVariableMappings(item, itemIndex) {
-        const availableVariables = this.getAvailableVariables(itemIndex);
+    convertParametersForExport(parameters, stepIndex) {
+        console.log(`Converting parameters for export at step ${stepIndex}:`, parameters);
         
-        // Find query parameters that could use variable mapping
-        const path = item.endpoint.path.toLowerCase();
-        let mappableParams = [];
+        const exportParams = {
+            path: { ...parameters.path },
+            query: { ...parameters.query },
+            body: parameters.body
+        };
 
-        if (path.includes('/projects')) {
-            mappableParams = ['workspace', 'team'];
-        } else if (path.includes('/tasks')) {
-            mappableParams = ['project', 'assignee', 'workspace'];
-        } else if (path.includes('/users')) {
-            mappableParams = ['workspace', 'team'];
+        if (parameters.header && Object.keys(parameters.header).length > 0) {
+            exportParams.header = { ...parameters.header };
+            Object.keys(exportParams.header).forEach(key => {
+                exportParams.header[key] = this.convertVariableToStepReference(exportParams.header[key], stepIndex);
+            });
         }
 
-        if (mappableParams.length === 0 && availableVariables.length === 0) {
-            return '';
+        // Convert runtime sequence IDs to stable step references
+        Object.keys(exportParams.path).forEach(key => {
+            if (exportParams.path[key]) {
+                const original = exportParams.path[key];
+                exportParams.path[key] = this.convertVariableToStepReference(exportParams.path[key], stepIndex);
+                console.log(`  Path ${key}: ${original} → ${exportParams.path[key]}`);
+            }
+        });
+
+        Object.keys(exportParams.query).forEach(key => {
+            if (exportParams.query[key]) {
+                const original = exportParams.query[key];
+                exportParams.query[key] = this.convertVariableToStepReference(exportParams.query[key], stepIndex);
+                console.log(`  Query ${key}: ${original} → ${exportParams.query[key]}`);
+            }
+        });
+
+        if (exportParams.body) {
+            const original = exportParams.body;
+            exportParams.body = this.convertVariableToStepReference(exportParams.body, stepIndex);
+            console.log(`  Body: ${original.substring(0, 100)} → ${exportParams.body.substring(0, 100)}`);
         }
 
-        // Include any existing query parameter variable mappings from imported sequences
-        const allVariableOptions = [...availableVariables];
+        console.log('Converted parameters:', exportParams);
+        return exportParams;
+    }
+
+    convertVariableMappingsForExport(variableMappings, stepIndex) {
+        console.log(`Converting variable mappings for export at step ${stepIndex}:`, variableMappings);
+        const exportMappings = { ...variableMappings };
         
-        mappableParams.forEach(param => {
-            const currentValue = item.parameters.query[param];
-            if (currentValue && currentValue.includes('{{') && currentValue.includes('}}')) {
-                const match = currentValue.match(/\{\{([^}]+)\}\}/);
-                if (match && !allVariableOptions.find(v => v.path === match[1])) {
-                    allVariableOptions.push({
-                        path: match[1],
-                        description: `Imported mapping for ${param}`,
-                        example: 'Not executed yet'
-                    });
+        Object.keys(exportMappings).forEach(key => {
+            if (exportMappings[key]) {
+                const originalValue = exportMappings[key];
+                // Variable mappings are stored as raw values like "seq_123.data[0].gid"
+                // but convertVariableToStepReference expects "{{seq_123.data[0].gid}}"
+                // So we need to wrap them in curly braces for conversion, then unwrap
+                let wrappedValue = originalValue;
+                if (!originalValue.startsWith('{{')) {
+                    wrappedValue = `{{${originalValue}}}`;
+                }
+                
+                const converted = this.convertVariableToStepReference(wrappedValue, stepIndex);
+                
+                // Remove the curly braces for storage
+                if (converted.startsWith('{{') && converted.endsWith('}}')) {
+                    exportMappings[key] = converted.slice(2, -2);
+                } else {
+                    exportMappings[key] = converted;
                 }
+                
+                console.log(`  Converted mapping ${key}: "${originalValue}" → "${exportMappings[key]}"`);
             }
         });
 
-        if (allVariableOptions.length === 0) {
-            return '';
+        console.log(`Final converted mappings:`, exportMappings);
+        return exportMappings;
+    }
+
+    convertVariableToStepReference(value, currentStepIndex) {
+        if (typeof value !== 'string') {
+            console.log(`Not a string, returning as-is:`, value);
+            return value;
         }
 
-        return `
-            <div style="margin-top: 12px;">
-                <div style="font-weight: 600; font-size: 12px; margin-bottom: 8px; color: #6c757d;">
-                    Query Parameter Variable Mappings
-                </div>
-                ${mappableParams.map(param => `
-                    <div style="margin-bottom: 8px;">
-                        <label style="display: block; font-weight: 600; font-size: 11px; margin-bottom: 4px;">
-                            ${param} variable source:
-                        </label>
-                        <select id="query-mapping-${item.id}-${param}" 
-                                onchange="explorer.updateQueryVariableMapping('${item.id}', '${param}', this.value)"
-                                style="width: 100%; padding: 4px; font-size: 11px;">
-                            <option value="">Manual input (use text field above)</option>
-                            ${allVariableOptions.map(variable => {
-                                const currentValue = item.parameters.query[param];
-                                const isSelected = currentValue && currentValue === `{{${variable.path}}}`;
-                                return `<option value="${variable.path}" ${isSelected ? 'selected' : ''}>
-                                    ${variable.description} (${variable.example})
-                                </option>`;
-                            }).join('')}
-                        </select>
-                    </div>
-                `).join('')}
-            </div>
-        `;
+        console.log(`Converting variable to step reference: "${value}" (current step: ${currentStepIndex})`);
+
+        // Convert {{seq_123456.data[0].gid}} to {{step0.data[0].gid}}
+        const variablePattern = /\{\{(seq_[a-zA-Z0-9_]+)(\..*?)\}\}/g;
+        
+        const converted = value.replace(variablePattern, (match, sequenceId, path) => {
+            console.log(`  Found variable pattern: ${match}, sequenceId: ${sequenceId}, path: ${path}`);
+            
+            // Find the step index for this sequence ID
+            const stepIndex = this.apiSequence.findIndex(item => item.id === sequenceId);
+            console.log(`  Step index for ${sequenceId}: ${stepIndex} (current step: ${currentStepIndex})`);
+            
+            if (stepIndex !== -1 && stepIndex < currentStepIndex) {
+                const result = `{{step${stepIndex}${path}}}`;
+                console.log(`  Converting runtime ID to step reference: ${match} → ${result}`);
+                return result;
+            }
+            
+            // If we can't find it, try to extract step number from existing step reference
+            const stepPattern = /step(\d+)/;
+            const stepMatch = sequenceId.match(stepPattern);
+            if (stepMatch) {
+                console.log(`  Already a step reference: ${match}`);
+                return `{{step${stepMatch[1]}${path}}}`;
+            }
+            
+            console.log(`  Cannot convert, returning original: ${match}`);
+            return match; // Return original if we can't convert
+        });
+
+        console.log(`Final converted value: "${converted}"`);
+        return converted;
     }
 
-    updateQueryVariableMapping(itemId, paramName, variablePath) {
-        const item = this.apiSequence.find(item => item.id === itemId);
-        if (!item) return;
+    debugExportConversion() {
+        console.log('=== DEBUG EXPORT CONVERSION ===');
+        console.log('Current sequence:', this.apiSequence.map(item => ({
+            id: item.id,
+            method: item.endpoint.method,
+            path: item.endpoint.path,
+            parameters: item.parameters,
+            variableMappings: item.variableMappings
+        })));
 
-        if (variablePath) {
-            // Set the query parameter to use the variable
-            item.parameters.query[paramName] = `{{${variablePath}}}`;
+        // Test the conversion on each item
+        this.apiSequence.forEach((item, index) => {
+            console.log(`\n--- Testing conversion for step ${index} (${item.id}) ---`);
+            console.log('Original parameters:', item.parameters);
+            console.log('Original variable mappings:', item.variableMappings);
             
-            // Update the corresponding text input field
-            const input = document.getElementById(`seq-query-${paramName}-${itemId}`);
-            if (input) {
-                input.value = `{{${variablePath}}}`;
+            const convertedParams = this.convertParametersForExport(item.parameters, index);
+            console.log('Converted parameters:', convertedParams);
+            
+            if (item.variableMappings) {
+                const convertedMappings = this.convertVariableMappingsForExport(item.variableMappings, index);
+                console.log('Converted variable mappings:', convertedMappings);
             }
-        } else {
-            // Clear the variable mapping, keep any manual value
-            const currentValue = item.parameters.query[paramName];
-            if (currentValue && currentValue.includes('{{') && currentValue.includes('}}')) {
-                delete item.parameters.query[paramName];
+        });
+
+        // Test a specific variable conversion
+        const testVariable = "{{seq_test123.data[0].gid}}";
+        console.log(`\nTesting specific variable: ${testVariable}`);
+        const convertedTest = this.convertVariableToStepReference(testVariable, 1);
+        console.log(`Result: ${convertedTest}`);
+
+        // Test variable mapping conversion specifically
+        const testMapping = { workspace_gid: "seq_test123.data[0].gid" };
+        console.log(`\nTesting variable mapping: ${JSON.stringify(testMapping)}`);
+        const convertedMapping = this.convertVariableMappingsForExport(testMapping, 1);
+        console.log(`Result: ${JSON.stringify(convertedMapping)}`);
+
+        console.log('=== END DEBUG ===');
+    }
+
+    convertParametersForImport(parameters, stepIndex) {
+        const importParams = {
+            path: { ...parameters.path },
+            query: { ...parameters.query },
+            header: { ...parameters.header },
+            body: parameters.body
+        };
+
+        Object.keys(importParams.header).forEach(key => {
+            importParams.header[key] = this.convertStepReferenceToVariable(importParams.header[key], stepIndex);
+        });
+
+        // Convert stable step references back to runtime sequence IDs
+        Object.keys(importParams.path).forEach(key => {
+            if (importParams.path[key]) {
+                importParams.path[key] = this.convertStepReferenceToVariable(importParams.path[key], stepIndex);
+            }
+        });
+
+        Object.keys(importParams.query).forEach(key => {
+            if (importParams.query[key]) {
+                importParams.query[key] = this.convertStepReferenceToVariable(importParams.query[key], stepIndex);
+            }
+        });
+
+        if (importParams.body) {
+            importParams.body = this.convertStepReferenceToVariable(importParams.body, stepIndex);
+        }
+
+        return importParams;
+    }
+
+    convertVariableMappingsForImport(variableMappings, stepIndex) {
+        console.log(`Converting variable mappings for import at step ${stepIndex}:`, variableMappings);
+        const importMappings = { ...variableMappings };
+        
+        Object.keys(importMappings).forEach(key => {
+            if (importMappings[key]) {
+                const originalValue = importMappings[key];
+                // Variable mappings are stored as raw values like "step0.data[0].gid"
+                // but convertStepReferenceToVariable expects "{{step0.data[0].gid}}"
+                let wrappedValue = originalValue;
+                if (!originalValue.startsWith('{{')) {
+                    wrappedValue = `{{${originalValue}}}`;
+                }
                 
-                // Clear the text input field
-                const input = document.getElementById(`seq-query-${paramName}-${itemId}`);
-                if (input) {
-                    input.value = '';
+                const converted = this.convertStepReferenceToVariable(wrappedValue, stepIndex);
+                
+                // Remove the curly braces for storage
+                if (converted.startsWith('{{') && converted.endsWith('}}')) {
+                    importMappings[key] = converted.slice(2, -2);
+                } else {
+                    importMappings[key] = converted;
                 }
+                
+                console.log(`  Converted mapping ${key}: "${originalValue}" → "${importMappings[key]}"`);
             }
-        }
+        });
 
-        console.log(`Updated query variable mapping: ${paramName} = ${variablePath || 'manual'}`);
+        console.log(`Final converted mappings:`, importMappings);
+        return importMappings;
+    }
+
+    convertStepReferenceToVariable(value, currentStepIndex) {
+        if (typeof value !== 'string') return value;
+
+        // Convert {{step0.data[0].gid}} to {{seq_123456.data[0].gid}} using actual sequence IDs
+        const stepPattern = /\{\{step(\d+)(\..*?)\}\}/g;
         
-        // Update the parameter summary
-        this.updateParameterSummaryOnly(item);
+        const converted = value.replace(stepPattern, (match, stepIndex, path) => {
+            const stepNum = parseInt(stepIndex);
+            if (stepNum < currentStepIndex && stepNum < this.apiSequence.length) {
+                const referencedItem = this.apiSequence[stepNum];
+                const result = `{{${referencedItem.id}${path}}}`;
+                console.log(`Converting step reference: ${match} → ${result}`);
+                return result;
+            }
+            return match; // Return original if we can't convert
+        });
+
+        return converted;
     }
 
-    toggleParameterEditor(itemId) {
-        const editor = document.getElementById(`param-editor-${itemId}`);
-        if (editor) {
-            editor.classList.toggle('show');
+    async copyAllResults() {
+        const executedItems = this.apiSequence.filter(item => item.executed);
+        
+        if (executedItems.length === 0) {
+            this.showSequenceMessage('❌ No executed sequence results to copy', 'error');
+            return;
         }
-    }
 
-    updateSequenceParameter(itemId, paramType, paramName, value) {
-        const item = this.apiSequence.find(item => item.id === itemId);
-        if (!item) return;
+        const timestamp = new Date().toISOString();
+        let allResults = `Asana API Sequence Results
+Generated: ${timestamp}
+Total Steps: ${this.apiSequence.length}
+Executed Steps: ${executedItems.length}
 
-        console.log(`Updating parameter: ${itemId}.${paramType}.${paramName} = ${value}`);
+===============================================
 
-        if (paramType === 'path') {
-            item.parameters.path[paramName] = value;
-        } else if (paramType === 'query') {
-            if (value && value.trim()) {
-                item.parameters.query[paramName] = value.trim();
-            } else {
-                delete item.parameters.query[paramName];
+`;
+
+        executedItems.forEach((item, index) => {
+            allResults += `Step ${this.apiSequence.indexOf(item) + 1}: ${item.endpoint.method} ${item.endpoint.path}
+Summary: ${item.endpoint.summary}
+Status: ${item.error ? 'ERROR' : 'SUCCESS'}
+
+`;
+
+            if (item.error) {
+                allResults += `Error: ${item.error}\n\n`;
+            } else if (item.result) {
+                if (item.result.data && Array.isArray(item.result.data)) {
+                    allResults += `Results: ${item.result.data.length} items\n`;
+                    
+                    // Show first few items as preview
+                    const preview = item.result.data.slice(0, 3);
+                    preview.forEach((dataItem, i) => {
+                        allResults += `  ${i + 1}. ${dataItem.name || dataItem.gid || 'Unnamed'}\n`;
+                    });
+                    
+                    if (item.result.data.length > 3) {
+                        allResults += `  ... and ${item.result.data.length - 3} more items\n`;
+                    }
+                } else if (item.result.data) {
+                    allResults += `Result: ${item.result.data.name || item.result.data.gid || 'Single item'}\n`;
+                }
+                allResults += '\n';
             }
-        } else if (paramType === 'body') {
-            item.parameters.body = value;
-        }
 
-        // Don't re-render to avoid losing focus, just update the parameter summary
-        this.updateParameterSummaryOnly(item);
-    }
+            allResults += '--- Raw JSON ---\n';
+            allResults += JSON.stringify(item.result, null, 2);
+            allResults += '\n\n===============================================\n\n';
+        });
 
-    updateParameterSummaryOnly(item) {
-        // Find and update just the parameter summary for this item
-        const summaryElement = document.querySelector(`#seq-item-${item.id} .parameter-summary`);
-        if (summaryElement) {
-            summaryElement.innerHTML = this.renderParameterSummary(item).replace('<div class="parameter-summary">', '').replace('</div>', '');
+        try {
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                await navigator.clipboard.writeText(allResults);
+            } else {
+                this.fallbackCopyToClipboard(allResults);
+            }
+            
+            this.showSequenceMessage(`✅ All results (${executedItems.length} steps) copied to clipboard!`, 'success');
+        } catch (error) {
+            console.error('Copy all results failed:', error);
+            this.showSequenceMessage('❌ Failed to copy results to clipboard', 'error');
         }
     }
 
-    applyParameterPreset(itemId, presetType) {
-        const item = this.apiSequence.find(item => item.id === itemId);
-        if (!item) return;
+    restoreParametersToForms() {
+        this.apiSequence.forEach(item => {
+            console.log(`Restoring parameters for item ${item.id}:`, item.parameters);
 
-        const path = item.endpoint.path.toLowerCase();
-        
-        let presets = {
-            minimal: {
-                limit: '10',
-                opt_fields: 'gid,name'
-            },
-            detailed: {
-                limit: '20',
-                opt_fields: 'gid,name,created_at,modified_at'
-            },
-            full: {
-                limit: '50',
-                opt_fields: this.getFullFieldsForEndpoint(path)
+            // Restore path parameters
+            if (item.parameters.path) {
+                Object.entries(item.parameters.path).forEach(([param, value]) => {
+                    const input = document.getElementById(`seq-path-${param}-${item.id}`);
+                    if (input) {
+                        input.value = value || '';
+                        console.log(`Restored path param ${param}: ${value}`);
+                    }
+                });
             }
-        };
 
-        // Apply endpoint-specific presets
-        if (path.includes('/tasks')) {
-            presets.minimal.opt_fields = 'gid,name,completed';
-            presets.detailed.opt_fields = 'gid,name,completed,assignee.name,due_date,created_at';
-            presets.full.opt_fields = 'gid,name,completed,assignee,due_date,notes,created_at,modified_at,projects.name,tags.name';
-        } else if (path.includes('/projects')) {
-            presets.minimal.opt_fields = 'gid,name,completed';
-            presets.detailed.opt_fields = 'gid,name,completed,team.name,created_at,modified_at';
-            presets.full.opt_fields = 'gid,name,completed,notes,team,members.name,created_at,modified_at,archived,color';
-        } else if (path.includes('/workspaces')) {
-            presets.minimal.opt_fields = 'gid,name';
-            presets.detailed.opt_fields = 'gid,name,is_organization';
-            presets.full.opt_fields = 'gid,name,is_organization,email_domains';
-        }
+            // Restore query parameters
+            if (item.parameters.query) {
+                Object.entries(item.parameters.query).forEach(([param, value]) => {
+                    const input = document.getElementById(`seq-query-${param}-${item.id}`);
+                    if (input) {
+                        input.value = value || '';
+                        console.log(`Restored query param ${param}: ${value}`);
+                    }
+                });
+            }
 
-        const preset = presets[presetType];
-        if (preset) {
-            Object.entries(preset).forEach(([key, value]) => {
-                item.parameters.query[key] = value;
-                
-                // Update the input field immediately
-                const input = document.getElementById(`seq-query-${key}-${itemId}`);
-                if (input) {
-                    input.value = value;
+            // Restore body parameter
+            if (item.parameters.body) {
+                const textarea = document.getElementById(`seq-body-${item.id}`);
+                if (textarea) {
+                    textarea.value = item.parameters.body;
+                    console.log(`Restored body parameter:`, item.parameters.body.substring(0, 100));
                 }
-            });
+            }
 
-            // Update just the parameter summary instead of full re-render
-            this.updateParameterSummaryOnly(item);
-            this.showSequenceMessage(`✅ Applied ${presetType} parameter preset`, 'success');
-        }
-    }
+            // Restore path parameter variable mappings
+            if (item.variableMappings) {
+                Object.entries(item.variableMappings).forEach(([param, variablePath]) => {
+                    const select = document.getElementById(`mapping-${item.id}-${param}`);
+                    if (select) {
+                        select.value = variablePath;
+                        console.log(`Restored path variable mapping ${param}: ${variablePath}`);
+                    }
+                });
+            }
 
-    getFullFieldsForEndpoint(path) {
-        if (path.includes('/tasks')) {
-            return 'gid,name,completed,assignee,due_date,notes,created_at,modified_at,projects.name,tags.name,subtasks.name';
-        } else if (path.includes('/projects')) {
-            return 'gid,name,completed,notes,team,members.name,created_at,modified_at,archived,color,due_date';
-        } else if (path.includes('/users')) {
-            return 'gid,name,email,photo.image_128x128,workspaces.name';
-        } else if (path.includes('/workspaces')) {
-            return 'gid,name,is_organization,email_domains';
-        }
-        return 'gid,name,created_at,modified_at';
-    }
+            // Restore query parameter variable mappings
+            if (item.parameters.query) {
+                Object.entries(item.parameters.query).forEach(([param, value]) => {
+                    if (typeof value === 'string' && value.includes('{{') && value.includes('}}')) {
+                        const match = value.match(/\{\{([^}]+)\}\}/);
+                        if (match) {
+                            const variablePath = match[1];
+                            const select = document.getElementById(`query-mapping-${item.id}-${param}`);
+                            if (select) {
+                                select.value = variablePath;
+                                console.log(`Restored query variable mapping ${param}: ${variablePath}`);
+                            }
+                        }
+                    }
+                });
+            }
 
-    showVariableHelper(inputId, currentIndex) {
-        const availableVariables = this.getAvailableVariables(currentIndex);
-        
-        if (availableVariables.length === 0) {
-            this.showSequenceMessage('ℹ️ No variables available. Execute previous steps first.', 'info');
-            return;
-        }
+            // Update the parameter summary to reflect restored values
+            this.updateParameterSummaryOnly(item);
+        });
 
-        // Create a simple dropdown/popup with available variables
-        const input = document.getElementById(inputId);
-        if (!input) return;
+        console.log('Parameter values restored to form fields');
+    }
 
-        const variableList = availableVariables.map(variable => 
-            `<div style="padding: 8px; cursor: pointer; border-bottom: 1px solid #eee;" 
-                  onclick="explorer.insertVariable('${inputId}', '{{${variable.path}}}')">
-                <strong>${variable.path}</strong><br>
-                <small style="color: #6c757d;">${variable.description} → ${variable.example}</small>
-            </div>`
-        ).join('');
+    renderVariableMappings(item, itemIndex, availableVariables) {
+        const pathParams = this.extractPathParameters(item.endpoint.path);
+        if (pathParams.length === 0) {
+            return '';
+        }
 
-        // Remove existing helper if any
-        const existingHelper = document.getElementById('variable-helper');
-        if (existingHelper) {
-            existingHelper.remove();
+        // For imported sequences, also include stored variable mappings that might not be in availableVariables yet
+        const allVariableOptions = [...availableVariables];
+        
+        // Add any variable mappings from the imported sequence that aren't in availableVariables
+        if (item.variableMappings) {
+            Object.entries(item.variableMappings).forEach(([param, variablePath]) => {
+                if (variablePath && !allVariableOptions.find(v => v.path === variablePath)) {
+                    allVariableOptions.push({
+                        path: variablePath,
+                        description: `Imported mapping`,
+                        example: 'Not executed yet'
+                    });
+                }
+            });
         }
 
-        // Create helper popup
-        const helper = document.createElement('div');
-        helper.id = 'variable-helper';
-        helper.innerHTML = `
-            <div style="position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); 
-                        background: white; border: 1px solid #dee2e6; border-radius: 8px; 
-                        box-shadow: 0 4px 20px rgba(0,0,0,0.15); z-index: 10001; max-width: 400px; max-height: 300px; overflow-y: auto;">
-                <div style="padding: 15px; border-bottom: 1px solid #eee; background: #f8f9fa; font-weight: 600;">
-                    Available Variables
-                    <button onclick="document.getElementById('variable-helper').remove()" 
-                            style="float: right; background: none; border: none; font-size: 18px; cursor: pointer;">&times;</button>
-                </div>
-                <div>
-                    ${variableList}
-                </div>
+        return `
+            <div class="variable-mapping">
+                <div style="font-weight: 600; margin-bottom: 8px; font-size: 13px;">Variable Mapping</div>
+                ${pathParams.map(param => `
+                    <div style="margin-bottom: 8px;">
+                        <label>Map {${param}} to:</label>
+                        <select id="mapping-${item.id}-${param}" onchange="explorer.updateVariableMapping('${item.id}', '${param}', this.value)">
+                            <option value="">Use original value: ${item.parameters.path[param] || 'Not set'}</option>
+                            ${allVariableOptions.map(variable => `
+                                <option value="${variable.path}" ${item.variableMappings[param] === variable.path ? 'selected' : ''}>
+                                    ${variable.description} (${variable.example})
+                                </option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `).join('')}
             </div>
-            <div style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 10000;" 
-                 onclick="document.getElementById('variable-helper').remove()"></div>
         `;
-
-        document.body.appendChild(helper);
     }
 
-    insertVariable(inputId, variableText) {
-        const input = document.getElementById(inputId);
-        if (input) {
-            input.value = variableText;
-            input.dispatchEvent(new Event('change'));
-        }
-
-        // Close the helper
-        const helper = document.getElementById('variable-helper');
-        if (helper) {
-            helper.remove();
+    updateVariableMapping(itemId, paramName, variablePath) {
+        const item = this.apiSequence.find(item => item.id === itemId);
+        if (item) {
+            if (variablePath) {
+                item.variableMappings[paramName] = variablePath;
+            } else {
+                delete item.variableMappings[paramName];
+            }
         }
     }
 
-    async copySequenceResult(itemId, format) {
-        const item = this.apiSequence.find(item => item.id === itemId);
-        if (!item || !item.executed) {
-            this.showSequenceMessage('❌ No result to copy', 'error');
-            return;
+    renderIterationConfig(item, itemIndex, availableVariables) {
+        // Only show iteration config if there are previous steps with array data available
+        if (itemIndex === 0) {
+            return '';
         }
 
-        let content = '';
-        let mimeType = 'text/plain';
-
-        try {
-            switch (format) {
-                case 'json':
-                    content = JSON.stringify(item.result, null, 2);
-                    mimeType = 'application/json';
-                    break;
-
-                case 'formatted':
-                    content = this.formatResultForCopy(item);
-                    break;
-
-                case 'csv':
-                    if (item.result?.data && Array.isArray(item.result.data)) {
-                        content = this.convertToCSV(item.result.data);
-                        mimeType = 'text/csv';
-                    } else {
-                        this.showSequenceMessage('❌ CSV format only available for array data', 'error');
-                        return;
-                    }
-                    break;
-
-                case 'error':
-                    content = `API Error Details:
-Endpoint: ${item.endpoint.method} ${item.endpoint.path}
-Error: ${item.error}
-Timestamp: ${new Date().toISOString()}
-
-Full Error Response:
-${item.result ? JSON.stringify(item.result, null, 2) : 'No response data'}`;
-                    break;
-
-                default:
-                    content = JSON.stringify(item.result, null, 2);
-            }
+        // Get available array variables from previous steps
+        const arrayVariables = availableVariables.filter(variable => 
+            variable.description.includes('Array data') || 
+            variable.description.includes('array') || 
+            (variable.path.includes('.data') && !variable.path.includes('[0]')) || // Include .data but not .data[0].field
+            variable.example.includes('[')
+        );
 
-            // Use the modern Clipboard API
-            if (navigator.clipboard && navigator.clipboard.writeText) {
-                await navigator.clipboard.writeText(content);
-                this.showCopyFeedback(itemId, format);
-            } else {
-                // Fallback for older browsers
-                this.fallbackCopyToClipboard(content);
-                this.showCopyFeedback(itemId, format);
-            }
+        console.log(`🔄 Iteration config for step ${item.id}:`, {
+            itemIndex,
+            totalAvailableVariables: availableVariables.length,
+            availableVariables: availableVariables.map(v => ({ path: v.path, description: v.description })),
+            filteredArrayVariables: arrayVariables.length,
+            arrayVariables: arrayVariables.map(v => ({ path: v.path, description: v.description }))
+        });
 
-        } catch (error) {
-            console.error('Copy failed:', error);
-            this.showSequenceMessage('❌ Failed to copy to clipboard', 'error');
+        // Also check for any existing iteration configuration
+        const hasIterationConfig = item.iteration && item.iteration.enabled;
+        
+        if (arrayVariables.length === 0 && !hasIterationConfig) {
+            return '';
         }
+
+        return `
+            <div class="iteration-config" style="margin: 10px 0; padding: 10px; border: 1px solid #e9ecef; border-radius: 4px; background: #f8f9fa;">
+                <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 10px;">
+                    <label style="display: flex; align-items: center; gap: 5px; font-weight: 600; font-size: 12px;">
+                        <input type="checkbox" 
+                               id="iteration-enabled-${item.id}"
+                               ${item.iteration.enabled ? 'checked' : ''} 
+                               onchange="explorer.toggleIteration('${item.id}', this.checked)">
+                        🔄 Enable Iteration
+                        ${item.iteration.enabled && !item.iteration.sourceField ? '<span style="color: #d9534f; font-size: 10px; margin-left: 5px;">(Configure source required)</span>' : ''}
+                    </label>
+                    <span style="color: #6c757d; font-size: 11px;">Execute this step for each item in array data</span>
+                </div>
+                
+                <div id="iteration-settings-${item.id}" class="iteration-settings" 
+                     style="display: ${item.iteration.enabled ? 'block' : 'none'}; margin-left: 20px;">
+                     
+                    <div style="margin-bottom: 8px;">
+                        <label style="display: block; font-weight: 600; font-size: 11px; margin-bottom: 4px; color: ${item.iteration.sourceField ? '#333' : '#d9534f'};">
+                            Iterate over array from: ${item.iteration.sourceField ? '' : '(Required)'}
+                        </label>
+                        <select id="iteration-source-${item.id}" 
+                                onchange="explorer.updateIteration('${item.id}', 'sourceField', this.value)"
+                                style="width: 100%; padding: 4px; font-size: 11px; border: 1px solid ${item.iteration.sourceField ? '#ced4da' : '#d9534f'}; border-radius: 3px;">
+                            <option value="">⚠️ Select array data source to enable iteration...</option>
+                            ${arrayVariables.concat([
+                                // Add any currently configured source that might not be in arrayVariables
+                                ...(item.iteration.sourceField && !arrayVariables.find(v => v.path === item.iteration.sourceField) 
+                                    ? [{ path: item.iteration.sourceField, description: 'Previous configuration (execute to refresh)', example: 'Not executed yet' }]
+                                    : [])
+                            ]).map(variable => {
+                                const selected = variable.path === item.iteration.sourceField ? 'selected' : '';
+                                return `<option value="${variable.path}" ${selected}>
+                                    ${variable.description} → ${variable.example}
+                                </option>`;
+                            }).join('')}
+                        </select>
+                    </div>
+                    
+                    <div style="display: flex; gap: 10px; margin-bottom: 8px;">
+                        <div style="flex: 1;">
+                            <label style="display: block; font-weight: 600; font-size: 11px; margin-bottom: 4px;">
+                                Iteration variable name:
+                            </label>
+                            <input type="text" 
+                                   id="iteration-variable-${item.id}"
+                                   value="${item.iteration.iterationVariable || 'item'}"
+                                   placeholder="item"
+                                   onchange="explorer.updateIteration('${item.id}', 'iterationVariable', this.value)"
+                                   style="width: 100%; padding: 4px; font-size: 11px; border: 1px solid #ced4da; border-radius: 3px;">
+                        </div>
+                        <div style="flex: 0 0 90px;">
+                            <label style="display: block; font-weight: 600; font-size: 11px; margin-bottom: 4px;" title="How many iteration requests may be in flight at once (1-10)">
+                                Parallel requests:
+                            </label>
+                            <input type="number" min="1" max="10"
+                                   id="iteration-concurrency-${item.id}"
+                                   value="${this.getIterationConcurrency(item)}"
+                                   onchange="explorer.updateIteration('${item.id}', 'concurrency', this.value)"
+                                   style="width: 100%; padding: 4px; font-size: 11px; border: 1px solid #ced4da; border-radius: 3px;">
+                        </div>
+                        <div style="flex: 1;">
+                            <label style="display: flex; align-items: center; gap: 5px; font-weight: 600; font-size: 11px; margin-top: 20px;">
+                                <input type="checkbox" 
+                                       id="iteration-unify-${item.id}"
+                                       ${item.iteration.unifyResults ? 'checked' : ''} 
+                                       onchange="explorer.updateIteration('${item.id}', 'unifyResults', this.checked)">
+                                Unify results into array
+                            </label>
+                        </div>
+                    </div>
+                    
+                    <div style="margin-bottom: 8px;">
+                        <label style="display: block; font-weight: 600; font-size: 11px; margin-bottom: 4px;" title="Iterate over a sub-array of every source record instead of the records themselves">
+                            For each record, iterate over its sub-array (optional):
+                        </label>
+                        <input type="text" 
+                               id="iteration-flatten-${item.id}"
+                               value="${this.escapeHTML(item.iteration.flattenPath || '')}"
+                               placeholder="members"
+                               onchange="explorer.updateIteration('${item.id}', 'flattenPath', this.value)"
+                               style="width: 100%; padding: 4px; font-size: 11px; border: 1px solid #ced4da; border-radius: 3px; font-family: monospace;">
+                    </div>
+                    
+                    <div style="display: flex; gap: 10px; margin-bottom: 8px;">
+                        <div style="flex: 1;">
+                            <label style="display: block; font-weight: 600; font-size: 11px; margin-bottom: 4px;" title="Only iterate over records for which this is true">
+                                Filter (optional):
+                            </label>
+                            <input type="text" 
+                                   id="iteration-filter-${item.id}"
+                                   value="${this.escapeHTML(item.iteration.filter || '')}"
+                                   placeholder="{{${item.iteration.iterationVariable || 'item'}.completed}} == false"
+                                   onchange="explorer.updateIteration('${item.id}', 'filter', this.value)"
+                                   style="width: 100%; padding: 4px; font-size: 11px; border: 1px solid #ced4da; border-radius: 3px; font-family: monospace;">
+                        </div>
+                        <div style="flex: 0 0 70px;">
+                            <label style="display: block; font-weight: 600; font-size: 11px; margin-bottom: 4px;" title="Iterate over at most this many records, empty for all">
+                                Limit:
+                            </label>
+                            <input type="number" min="1"
+                                   id="iteration-limit-${item.id}"
+                                   value="${item.iteration.limit || ''}"
+                                   placeholder="All"
+                                   onchange="explorer.updateIteration('${item.id}', 'limit', this.value)"
+                                   style="width: 100%; padding: 4px; font-size: 11px; border: 1px solid #ced4da; border-radius: 3px;">
+                        </div>
+                        <div style="flex: 0 0 110px;">
+                            <label style="display: flex; align-items: center; gap: 5px; font-weight: 600; font-size: 11px; margin-top: 20px;" title="Pick the limited records at random instead of the first ones">
+                                <input type="checkbox" 
+                                       id="iteration-sample-${item.id}"
+                                       ${item.iteration.sample ? 'checked' : ''} 
+                                       onchange="explorer.updateIteration('${item.id}', 'sample', this.checked)">
+                                Random sample
+                            </label>
+                        </div>
+                    </div>
+                    
+                    <div style="background: #e7f3ff; padding: 8px; border-radius: 3px; font-size: 11px; color: #0c5460;">
+                        💡 <strong>Usage:</strong> Use <code>{{${item.iteration.iterationVariable || 'item'}.fieldName}}</code> or nested paths like <code>{{${item.iteration.iterationVariable || 'item'}.assignee.gid}}</code> in parameters to reference each iteration item${item.iteration.flattenPath ? `, and <code>{{parent.fieldName}}</code> for the record it came from` : ''}.
+                        ${item.iteration.unifyResults ? 'All iteration results will be combined into a single array for the next step.' : 'Each iteration result will be kept separate.'}
+                    </div>
+                </div>
+            </div>
+        `;
     }
 
-    formatResultForCopy(item) {
-        const timestamp = new Date().toISOString();
-        const endpoint = `${item.endpoint.method} ${item.endpoint.path}`;
-        
-        let formatted = `Asana API Result
-Endpoint: ${endpoint}
-Summary: ${item.endpoint.summary}
-Timestamp: ${timestamp}
-Status: ${item.error ? 'Error' : 'Success'}
+    getIterationConcurrency(item) {
+        // 1 keeps the old one-at-a-time behaviour
+        return Math.min(10, Math.max(1, parseInt(item.iteration?.concurrency, 10) || 1));
+    }
 
-`;
+    getTemplateValueAtPath(value, path) {
+        // "assignee.gid", "[0].name", "memberships[0].project" and "members[*].gid" style paths
+        const result = this.walkTemplatePath(value, this.parseTemplatePath(path));
+        return result === undefined ? null : result;
+    }
 
-        if (item.error) {
-            formatted += `Error: ${item.error}\n\n`;
+    selectIterationItems(item, sourceData) {
+        const variableName = item.iteration.iterationVariable || 'item';
+        const index = this.apiSequence.indexOf(item);
+        const filter = item.iteration.filter ? this.convertStepReferenceToVariable(item.iteration.filter, index) : '';
+        const limit = parseInt(item.iteration.limit, 10) || 0;
+        const flattenPath = (item.iteration.flattenPath || '').trim();
+
+        // Flattening turns each source record into one entry per element of its sub-array
+        let entries = sourceData.map(record => ({ value: record, parent: null }));
+        if (flattenPath) {
+            entries = sourceData.flatMap(record => {
+                const subItems = this.getTemplateValueAtPath(record, flattenPath);
+                if (subItems === null) return [];
+                return (Array.isArray(subItems) ? subItems : [subItems]).map(value => ({ value, parent: record }));
+            });
         }
+        const candidateCount = entries.length;
 
-        if (item.result?.data) {
-            if (Array.isArray(item.result.data)) {
-                formatted += `Results: ${item.result.data.length} items\n\n`;
-                
-                item.result.data.forEach((dataItem, index) => {
-                    formatted += `Item ${index + 1}:\n`;
-                    formatted += `  GID: ${dataItem.gid || 'N/A'}\n`;
-                    formatted += `  Name: ${dataItem.name || 'N/A'}\n`;
-                    
-                    // Add other common fields
-                    if (dataItem.completed !== undefined) {
-                        formatted += `  Completed: ${dataItem.completed}\n`;
-                    }
-                    if (dataItem.due_date) {
-                        formatted += `  Due Date: ${dataItem.due_date}\n`;
-                    }
-                    if (dataItem.assignee?.name) {
-                        formatted += `  Assignee: ${dataItem.assignee.name}\n`;
-                    }
-                    formatted += '\n';
-                });
+        if (filter) {
+            try {
+                // {{item.field}} reads the record being tested, {{parent.field}} its source record, anything else a previous step
+                entries = entries.filter(entry => this.evaluateCondition(
+                    filter,
+                    this.getIterationRootResolver(variableName, entry.value, entry.parent)
+                ));
+            } catch (error) {
+                throw new Error(`Iteration filter: ${error.message}`);
+            }
+        }
+        const filteredOut = candidateCount - entries.length;
+
+        let limitedOut = 0;
+        if (limit > 0 && entries.length > limit) {
+            limitedOut = entries.length - limit;
+            if (item.iteration.sample) {
+                // Random sample, kept in source order
+                const indexes = entries.map((entry, i) => i);
+                for (let i = indexes.length - 1; i > 0; i--) {
+                    const j = Math.floor(Math.random() * (i + 1));
+                    [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+                }
+                const picked = new Set(indexes.slice(0, limit));
+                entries = entries.filter((entry, i) => picked.has(i));
             } else {
-                formatted += `Result:\n`;
-                formatted += `  GID: ${item.result.data.gid || 'N/A'}\n`;
-                formatted += `  Name: ${item.result.data.name || 'N/A'}\n`;
-                
-                Object.entries(item.result.data).forEach(([key, value]) => {
-                    if (key !== 'gid' && key !== 'name' && value !== null && value !== undefined) {
-                        formatted += `  ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}\n`;
-                    }
-                });
+                entries = entries.slice(0, limit);
             }
         }
 
-        formatted += '\n--- Raw JSON ---\n';
-        formatted += JSON.stringify(item.result, null, 2);
-
-        return formatted;
+        return {
+            items: entries.map(entry => entry.value),
+            parents: flattenPath ? entries.map(entry => entry.parent) : null,
+            sourceCount: sourceData.length,
+            flattenedCount: flattenPath ? candidateCount : null,
+            filteredOut,
+            limitedOut
+        };
     }
 
-    convertToCSV(data) {
-        if (!data || !Array.isArray(data) || data.length === 0) {
-            return '';
+    updateIterationProgress(item) {
+        const element = document.getElementById(`iteration-progress-${item.id}`);
+        if (!element) return;
+
+        const progress = item.iterationProgress;
+        if (!progress) {
+            element.style.display = 'none';
+            return;
         }
 
-        // Get all unique keys from all objects
-        const allKeys = new Set();
-        data.forEach(item => {
-            Object.keys(item).forEach(key => {
-                allKeys.add(key);
-            });
-        });
+        const done = progress.completed + progress.failed;
+        element.style.display = 'block';
+        element.innerHTML = `
+            <div class="iteration-progress-bar"><div style="width: ${progress.total ? Math.round(done / progress.total * 100) : 100}%;"></div></div>
+            🔄 ${done}/${progress.total} done ·
+            <span style="color: #17a2b8;">${progress.inFlight} in flight</span> ·
+            <span style="color: #28a745;">${progress.completed} completed</span> ·
+            <span style="color: #dc3545;">${progress.failed} failed</span>
+        `;
+    }
 
-        const headers = Array.from(allKeys);
-        
-        // Create CSV content
-        let csv = headers.join(',') + '\n';
-        
-        data.forEach(item => {
-            const row = headers.map(header => {
-                let value = item[header];
-                
-                // Handle complex objects
-                if (typeof value === 'object' && value !== null) {
-                    if (value.name) {
-                        value = value.name; // For nested objects like assignee.name
-                    } else if (value.gid) {
-                        value = value.gid; // For nested objects with GID
-                    } else {
-                        value = JSON.stringify(value);
-                    }
-                }
-                
-                // Escape commas and quotes
-                if (typeof value === 'string') {
-                    if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-                        value = '"' + value.replace(/"/g, '""') + '"';
-                    }
-                }
-                
-                return value || '';
-            });
-            
-            csv += row.join(',') + '\n';
-        });
+    renderInterruptedNotice(item) {
+        if (!item.interrupted) return '';
 
-        return csv;
+        const summary = item.result?.iteration_summary;
+        const done = summary ? summary.successful_iterations + summary.failed_iterations : 0;
+        const detail = summary
+            ? ` after ${done}/${summary.total_iterations} iterations, completed ones are kept`
+            : ', the request was aborted';
+
+        return `
+            <div class="sequence-interrupted">
+                ${item.interrupted === 'paused'
+                    ? `⏸ Paused${detail}. Resume continues from here.`
+                    : `⏹ Stopped${detail}.`}
+            </div>
+        `;
     }
 
-    fallbackCopyToClipboard(text) {
-        // Create a temporary textarea element
-        const textArea = document.createElement('textarea');
-        textArea.value = text;
-        textArea.style.position = 'fixed';
-        textArea.style.left = '-999999px';
-        textArea.style.top = '-999999px';
-        document.body.appendChild(textArea);
-        textArea.focus();
-        textArea.select();
+    toggleIteration(itemId, enabled) {
+        const item = this.apiSequence.find(item => item.id === itemId);
+        if (!item) return;
+
+        item.iteration.enabled = enabled;
         
-        try {
-            document.execCommand('copy');
-        } catch (err) {
-            console.error('Fallback copy failed:', err);
+        // Show/hide iteration settings
+        const settings = document.getElementById(`iteration-settings-${itemId}`);
+        if (settings) {
+            settings.style.display = enabled ? 'block' : 'none';
         }
-        
-        document.body.removeChild(textArea);
-    }
 
-    showCopyFeedback(itemId, format) {
-        // Find the copy button that was clicked and show feedback
-        const buttons = document.querySelectorAll(`[onclick*="copySequenceResult('${itemId}', '${format}')"]`);
-        buttons.forEach(button => {
-            const originalText = button.textContent;
-            button.textContent = '✅ Copied!';
-            button.classList.add('copied');
-            
-            setTimeout(() => {
-                button.textContent = originalText;
-                button.classList.remove('copied');
-            }, 2000);
-        });
+        // Re-render the sequence to update visual indicators
+        this.renderSequence();
 
-        // Show success message
-        const formatNames = {
-            json: 'JSON',
-            formatted: 'Formatted Text',
-            csv: 'CSV',
-            error: 'Error Details'
-        };
-        
-        this.showSequenceMessage(`✅ ${formatNames[format]} copied to clipboard!`, 'success');
+        console.log(`Iteration ${enabled ? 'enabled' : 'disabled'} for step ${itemId}`);
     }
 
-    convertParametersForExport(parameters, stepIndex) {
-        console.log(`Converting parameters for export at step ${stepIndex}:`, parameters);
-        
-        const exportParams = {
-            path: { ...parameters.path },
-            query: { ...parameters.query },
-            body: parameters.body
-        };
+    updateIteration(itemId, field, value) {
+        const item = this.apiSequence.find(item => item.id === itemId);
+        if (!item) return;
 
-        // Convert runtime sequence IDs to stable step references
-        Object.keys(exportParams.path).forEach(key => {
-            if (exportParams.path[key]) {
-                const original = exportParams.path[key];
-                exportParams.path[key] = this.convertVariableToStepReference(exportParams.path[key], stepIndex);
-                console.log(`  Path ${key}: ${original} → ${exportParams.path[key]}`);
+        if (field === 'concurrency') {
+            item.iteration.concurrency = this.getIterationConcurrency({ iteration: { concurrency: value } });
+        } else if (field === 'limit') {
+            item.iteration.limit = Math.max(0, parseInt(value, 10) || 0) || null;
+        } else if (field === 'flattenPath') {
+            item.iteration.flattenPath = value.trim();
+        } else if (field === 'filter') {
+            item.iteration.filter = this.convertStepReferenceToVariable(value.trim(), this.apiSequence.indexOf(item));
+            try {
+                if (item.iteration.filter) this.parseStepCondition(item.iteration.filter);
+            } catch (error) {
+                this.showSequenceMessage(`⚠️ Iteration filter: ${error.message}`, 'warning');
             }
-        });
-
-        Object.keys(exportParams.query).forEach(key => {
-            if (exportParams.query[key]) {
-                const original = exportParams.query[key];
-                exportParams.query[key] = this.convertVariableToStepReference(exportParams.query[key], stepIndex);
-                console.log(`  Query ${key}: ${original} → ${exportParams.query[key]}`);
+        } else {
+            item.iteration[field] = value;
+        }
+        
+        // Re-render the sequence to update iteration source display if that changed
+        if (field === 'sourceField') {
+            this.renderSequence();
+        }
+        
+        // Update the usage hint when iteration variable name changes
+        if (field === 'iterationVariable') {
+            const hintElement = document.querySelector(`#iteration-settings-${itemId} .usage-hint`);
+            if (hintElement) {
+                const variableName = value || 'item';
+                hintElement.innerHTML = `💡 <strong>Usage:</strong> Use <code>{{${variableName}.fieldName}}</code> or nested paths like <code>{{${variableName}.assignee.gid}}</code> in parameters to reference each iteration item.`;
             }
-        });
-
-        if (exportParams.body) {
-            const original = exportParams.body;
-            exportParams.body = this.convertVariableToStepReference(exportParams.body, stepIndex);
-            console.log(`  Body: ${original.substring(0, 100)} → ${exportParams.body.substring(0, 100)}`);
         }
 
-        console.log('Converted parameters:', exportParams);
-        return exportParams;
+        console.log(`Updated iteration ${field} for step ${itemId}:`, value);
     }
 
-    convertVariableMappingsForExport(variableMappings, stepIndex) {
-        console.log(`Converting variable mappings for export at step ${stepIndex}:`, variableMappings);
-        const exportMappings = { ...variableMappings };
-        
-        Object.keys(exportMappings).forEach(key => {
-            if (exportMappings[key]) {
-                const originalValue = exportMappings[key];
-                // Variable mappings are stored as raw values like "seq_123.data[0].gid"
-                // but convertVariableToStepReference expects "{{seq_123.data[0].gid}}"
-                // So we need to wrap them in curly braces for conversion, then unwrap
-                let wrappedValue = originalValue;
-                if (!originalValue.startsWith('{{')) {
-                    wrappedValue = `{{${originalValue}}}`;
-                }
-                
-                const converted = this.convertVariableToStepReference(wrappedValue, stepIndex);
-                
-                // Remove the curly braces for storage
-                if (converted.startsWith('{{') && converted.endsWith('}}')) {
-                    exportMappings[key] = converted.slice(2, -2);
-                } else {
-                    exportMappings[key] = converted;
-                }
-                
-                console.log(`  Converted mapping ${key}: "${originalValue}" → "${exportMappings[key]}"`);
-            }
-        });
+    getPaginationSettings(item) {
+        return item.pagination || { enabled: false, maxPages: 10, maxRecords: 1000 };
+    }
 
-        console.log(`Final converted mappings:`, exportMappings);
-        return exportMappings;
+    renderPaginationConfig(item) {
+        // Only list reads return next_page
+        if (item.endpoint.method !== 'GET') {
+            return '';
+        }
+
+        const pagination = this.getPaginationSettings(item);
+
+        return `
+            <div class="iteration-config" style="margin: 10px 0; padding: 10px; border: 1px solid #e9ecef; border-radius: 4px; background: #f8f9fa;">
+                <div style="display: flex; align-items: center; gap: 10px; flex-wrap: wrap;">
+                    <label style="display: flex; align-items: center; gap: 5px; font-weight: 600; font-size: 12px;">
+                        <input type="checkbox" 
+                               ${pagination.enabled ? 'checked' : ''} 
+                               onchange="explorer.updatePagination('${item.id}', 'enabled', this.checked)">
+                        📄 Fetch all pages
+                    </label>
+                    <span style="color: #6c757d; font-size: 11px;">Follow next_page.offset and combine the data arrays</span>
+                </div>
+                ${pagination.enabled ? `
+                    <div style="display: flex; gap: 10px; margin: 8px 0 0 20px; font-size: 11px;">
+                        <label>Max pages:
+                            <input type="number" min="1" value="${pagination.maxPages}" 
+                                   onchange="explorer.updatePagination('${item.id}', 'maxPages', this.value)"
+                                   style="width: 70px; padding: 3px; font-size: 11px; border: 1px solid #ced4da; border-radius: 3px;">
+                        </label>
+                        <label>Max records:
+                            <input type="number" min="1" value="${pagination.maxRecords}" 
+                                   onchange="explorer.updatePagination('${item.id}', 'maxRecords', this.value)"
+                                   style="width: 80px; padding: 3px; font-size: 11px; border: 1px solid #ced4da; border-radius: 3px;">
+                        </label>
+                    </div>
+                ` : ''}
+            </div>
+        `;
     }
 
-    convertVariableToStepReference(value, currentStepIndex) {
-        if (typeof value !== 'string') {
-            console.log(`Not a string, returning as-is:`, value);
-            return value;
-        }
+    updatePagination(itemId, field, value) {
+        const item = this.apiSequence.find(item => item.id === itemId);
+        if (!item) return;
 
-        console.log(`Converting variable to step reference: "${value}" (current step: ${currentStepIndex})`);
+        item.pagination = { ...this.getPaginationSettings(item) };
+        item.pagination[field] = field === 'enabled' ? value : Math.max(1, parseInt(value, 10) || 1);
 
-        // Convert {{seq_123456.data[0].gid}} to {{step0.data[0].gid}}
-        const variablePattern = /\{\{(seq_[a-zA-Z0-9_]+)(\..*?)\}\}/g;
-        
-        const converted = value.replace(variablePattern, (match, sequenceId, path) => {
-            console.log(`  Found variable pattern: ${match}, sequenceId: ${sequenceId}, path: ${path}`);
-            
-            // Find the step index for this sequence ID
-            const stepIndex = this.apiSequence.findIndex(item => item.id === sequenceId);
-            console.log(`  Step index for ${sequenceId}: ${stepIndex} (current step: ${currentStepIndex})`);
-            
-            if (stepIndex !== -1 && stepIndex < currentStepIndex) {
-                const result = `{{step${stepIndex}${path}}}`;
-                console.log(`  Converting runtime ID to step reference: ${match} → ${result}`);
-                return result;
-            }
-            
-            // If we can't find it, try to extract step number from existing step reference
-            const stepPattern = /step(\d+)/;
-            const stepMatch = sequenceId.match(stepPattern);
-            if (stepMatch) {
-                console.log(`  Already a step reference: ${match}`);
-                return `{{step${stepMatch[1]}${path}}}`;
-            }
-            
-            console.log(`  Cannot convert, returning original: ${match}`);
-            return match; // Return original if we can't convert
-        });
+        if (field === 'enabled') {
+            this.renderSequence();
+        }
+        console.log(`Updated pagination ${field} for step ${itemId}:`, item.pagination[field]);
+    }
 
-        console.log(`Final converted value: "${converted}"`);
-        return converted;
+    getErrorPolicy(item) {
+        // 'stop' and a 100% threshold keep the old behaviour
+        return {
+            onError: 'stop', // stop | skip | retry | empty | default
+            retries: 2,
+            defaultValue: '',
+            maxFailurePercent: 100,
+            ...(item.errorPolicy || {})
+        };
     }
 
-    debugExportConversion() {
-        console.log('=== DEBUG EXPORT CONVERSION ===');
-        console.log('Current sequence:', this.apiSequence.map(item => ({
-            id: item.id,
-            method: item.endpoint.method,
-            path: item.endpoint.path,
-            parameters: item.parameters,
-            variableMappings: item.variableMappings
-        })));
+    renderErrorPolicyConfig(item) {
+        const policy = this.getErrorPolicy(item);
+        const isIterating = item.iteration && item.iteration.enabled;
+        const options = [
+            ['stop', 'Stop the sequence'],
+            ['skip', 'Skip and continue'],
+            ['retry', 'Retry, then stop'],
+            ['empty', 'Use an empty array'],
+            ['default', 'Use a default value']
+        ];
 
-        // Test the conversion on each item
-        this.apiSequence.forEach((item, index) => {
-            console.log(`\n--- Testing conversion for step ${index} (${item.id}) ---`);
-            console.log('Original parameters:', item.parameters);
-            console.log('Original variable mappings:', item.variableMappings);
-            
-            const convertedParams = this.convertParametersForExport(item.parameters, index);
-            console.log('Converted parameters:', convertedParams);
-            
-            if (item.variableMappings) {
-                const convertedMappings = this.convertVariableMappingsForExport(item.variableMappings, index);
-                console.log('Converted variable mappings:', convertedMappings);
-            }
-        });
+        return `
+            <div class="iteration-config" style="margin: 10px 0; padding: 10px; border: 1px solid #e9ecef; border-radius: 4px; background: #f8f9fa;">
+                <div style="display: flex; align-items: center; gap: 10px; flex-wrap: wrap; font-size: 12px;">
+                    <label style="font-weight: 600;">⚠️ On error:
+                        <select onchange="explorer.updateErrorPolicy('${item.id}', 'onError', this.value)"
+                                style="padding: 3px; font-size: 11px; border: 1px solid #ced4da; border-radius: 3px;">
+                            ${options.map(([value, label]) => `
+                                <option value="${value}" ${policy.onError === value ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    ${policy.onError === 'retry' ? `
+                        <label style="font-size: 11px;">Retries:
+                            <input type="number" min="1" max="10" value="${policy.retries}" 
+                                   onchange="explorer.updateErrorPolicy('${item.id}', 'retries', this.value)"
+                                   style="width: 50px; padding: 3px; font-size: 11px; border: 1px solid #ced4da; border-radius: 3px;">
+                        </label>
+                    ` : ''}
+                    ${policy.onError === 'default' ? `
+                        <label style="font-size: 11px;">Value (JSON or text):
+                            <input type="text" value="${this.escapeHTML(policy.defaultValue)}" placeholder='{"gid": "0"}'
+                                   onchange="explorer.updateErrorPolicy('${item.id}', 'defaultValue', this.value)"
+                                   style="width: 160px; padding: 3px; font-size: 11px; border: 1px solid #ced4da; border-radius: 3px; font-family: monospace;">
+                        </label>
+                    ` : ''}
+                </div>
+                ${isIterating ? `
+                    <div style="margin: 8px 0 0 20px; font-size: 11px;">
+                        <label>Fail the step if more than
+                            <input type="number" min="0" max="100" value="${policy.maxFailurePercent}" 
+                                   onchange="explorer.updateErrorPolicy('${item.id}', 'maxFailurePercent', this.value)"
+                                   style="width: 55px; padding: 3px; font-size: 11px; border: 1px solid #ced4da; border-radius: 3px;">
+                            % of iterations fail
+                        </label>
+                        <span style="color: #6c757d;">(100 only fails when every iteration fails)</span>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
 
-        // Test a specific variable conversion
-        const testVariable = "{{seq_test123.data[0].gid}}";
-        console.log(`\nTesting specific variable: ${testVariable}`);
-        const convertedTest = this.convertVariableToStepReference(testVariable, 1);
-        console.log(`Result: ${convertedTest}`);
+    updateErrorPolicy(itemId, field, value) {
+        const item = this.apiSequence.find(item => item.id === itemId);
+        if (!item) return;
 
-        // Test variable mapping conversion specifically
-        const testMapping = { workspace_gid: "seq_test123.data[0].gid" };
-        console.log(`\nTesting variable mapping: ${JSON.stringify(testMapping)}`);
-        const convertedMapping = this.convertVariableMappingsForExport(testMapping, 1);
-        console.log(`Result: ${JSON.stringify(convertedMapping)}`);
+        item.errorPolicy = { ...this.getErrorPolicy(item) };
+        if (field === 'retries') {
+            item.errorPolicy.retries = Math.min(10, Math.max(1, parseInt(value, 10) || 1));
+        } else if (field === 'maxFailurePercent') {
+            item.errorPolicy.maxFailurePercent = Math.min(100, Math.max(0, parseFloat(value) || 0));
+        } else {
+            item.errorPolicy[field] = value;
+        }
 
-        console.log('=== END DEBUG ===');
+        if (field === 'onError') {
+            this.renderSequence();
+        }
+        console.log(`Updated error policy ${field} for step ${itemId}:`, item.errorPolicy[field]);
     }
 
-    convertParametersForImport(parameters, stepIndex) {
-        const importParams = {
-            path: { ...parameters.path },
-            query: { ...parameters.query },
-            body: parameters.body
-        };
+    applyErrorPolicy(item) {
+        const policy = this.getErrorPolicy(item);
 
-        // Convert stable step references back to runtime sequence IDs
-        Object.keys(importParams.path).forEach(key => {
-            if (importParams.path[key]) {
-                importParams.path[key] = this.convertStepReferenceToVariable(importParams.path[key], stepIndex);
+        if (policy.onError === 'skip') {
+            // Partial iteration results included, later steps see no result at all
+            this.sequenceResults.delete(item.id);
+            item.errorHandled = 'skipped';
+        } else if (policy.onError === 'empty' || policy.onError === 'default') {
+            let data = [];
+            if (policy.onError === 'default') {
+                try {
+                    data = JSON.parse(policy.defaultValue);
+                } catch (error) {
+                    data = policy.defaultValue;
+                }
             }
-        });
+            // Later steps read the fallback exactly like a real response
+            item.result = { data, fallback: true };
+            this.sequenceResults.set(item.id, item.result);
+            item.errorHandled = 'fallback';
+        }
 
-        Object.keys(importParams.query).forEach(key => {
-            if (importParams.query[key]) {
-                importParams.query[key] = this.convertStepReferenceToVariable(importParams.query[key], stepIndex);
-            }
-        });
+        if (item.errorHandled) {
+            console.warn(`↪ Step ${item.id} failed, continuing (${item.errorHandled}):`, item.error);
+        }
+    }
 
-        if (importParams.body) {
-            importParams.body = this.convertStepReferenceToVariable(importParams.body, stepIndex);
+    renderErrorPolicyOutcome(item) {
+        if (item.errorHandled === 'skipped') {
+            return '<div class="error-policy-outcome">↪ Skipped, the sequence continued without this result</div>';
+        }
+        if (item.errorHandled === 'fallback') {
+            return `<div class="error-policy-outcome">↪ Continued with fallback data: <code>${this.escapeHTML(JSON.stringify(item.result?.data))}</code></div>`;
         }
+        return item.retryAttempts ? `<div class="error-policy-outcome">Failed after ${item.retryAttempts} retr${item.retryAttempts === 1 ? 'y' : 'ies'}</div>` : '';
+    }
 
-        return importParams;
+    validateStepName(name, item) {
+        if (!/^[A-Za-z_][\w-]*$/.test(name)) {
+            return 'Step names start with a letter or _ and contain only letters, digits, _ and -';
+        }
+        if (['input', 'now', 'today', 'item', 'parent'].includes(name) || /^step\d+$/.test(name) || name.startsWith('seq_')) {
+            return `"${name}" is reserved`;
+        }
+        if (this.apiSequence.some(other => other !== item && other.name === name)) {
+            return `Another step is already named "${name}"`;
+        }
+        // Inside an iterating step the iteration variable shadows a step of the same name
+        const shadowing = this.apiSequence.findIndex(other => other.iteration?.iterationVariable === name);
+        if (shadowing !== -1) {
+            return `"${name}" is the iteration variable of step ${shadowing + 1}`;
+        }
+        return null;
     }
 
-    convertVariableMappingsForImport(variableMappings, stepIndex) {
-        console.log(`Converting variable mappings for import at step ${stepIndex}:`, variableMappings);
-        const importMappings = { ...variableMappings };
-        
-        Object.keys(importMappings).forEach(key => {
-            if (importMappings[key]) {
-                const originalValue = importMappings[key];
-                // Variable mappings are stored as raw values like "step0.data[0].gid"
-                // but convertStepReferenceToVariable expects "{{step0.data[0].gid}}"
-                let wrappedValue = originalValue;
-                if (!originalValue.startsWith('{{')) {
-                    wrappedValue = `{{${originalValue}}}`;
-                }
-                
-                const converted = this.convertStepReferenceToVariable(wrappedValue, stepIndex);
-                
-                // Remove the curly braces for storage
-                if (converted.startsWith('{{') && converted.endsWith('}}')) {
-                    importMappings[key] = converted.slice(2, -2);
-                } else {
-                    importMappings[key] = converted;
-                }
-                
-                console.log(`  Converted mapping ${key}: "${originalValue}" → "${importMappings[key]}"`);
-            }
-        });
+    setStepName(itemId, value) {
+        const item = this.apiSequence.find(item => item.id === itemId);
+        if (!item) return;
 
-        console.log(`Final converted mappings:`, importMappings);
-        return importMappings;
+        const name = value.trim();
+        const error = name ? this.validateStepName(name, item) : null;
+        if (error) {
+            this.showSequenceMessage(`❌ ${error}`, 'error');
+            this.renderSequence();
+            return;
+        }
+
+        // References by ID or by the old name follow the step to its new name
+        const oldName = item.name;
+        const newRoot = name || item.id;
+        item.name = name || undefined;
+        this.apiSequence.forEach(other => this.mapStepReferences(other, root =>
+            root === item.id || (oldName && root === oldName) ? newRoot : root
+        ));
+
+        console.log(`🏷 Step ${itemId} named "${name}"`);
+        this.renderSequence();
     }
 
-    convertStepReferenceToVariable(value, currentStepIndex) {
-        if (typeof value !== 'string') return value;
+    applyImportedStepName(item, name) {
+        if (!name) return;
 
-        // Convert {{step0.data[0].gid}} to {{seq_123456.data[0].gid}} using actual sequence IDs
-        const stepPattern = /\{\{step(\d+)(\..*?)\}\}/g;
-        
-        const converted = value.replace(stepPattern, (match, stepIndex, path) => {
-            const stepNum = parseInt(stepIndex);
-            if (stepNum < currentStepIndex && stepNum < this.apiSequence.length) {
-                const referencedItem = this.apiSequence[stepNum];
-                const result = `{{${referencedItem.id}${path}}}`;
-                console.log(`Converting step reference: ${match} → ${result}`);
-                return result;
-            }
-            return match; // Return original if we can't convert
+        const error = this.validateStepName(name, item);
+        if (error) {
+            console.warn(`⚠️ Ignoring imported step name "${name}": ${error}`);
+            return;
+        }
+        item.name = name;
+    }
+
+    mapStepReferences(item, replaceRoot) {
+        // Rewrites the first segment of every reference the step holds, in templates and bare paths.
+        // The iteration variable and parent in per-iteration values refer to the iteration, never to a step.
+        const iterationRoots = item.iteration?.enabled ? [item.iteration.iterationVariable || 'item', 'parent'] : [];
+        const rewriteTemplate = (text, skipRoots = []) => typeof text === 'string'
+            ? text.replace(/\{\{(\s*)([A-Za-z_$][\w$-]*)/g, (match, space, root) =>
+                `{{${space}${skipRoots.includes(root) ? root : replaceRoot(root)}`)
+            : text;
+        const rewritePath = path => typeof path === 'string'
+            ? path.replace(/^([A-Za-z_$][\w$-]*)/, root => replaceRoot(root))
+            : path;
+
+        ['path', 'query', 'header'].forEach(location => {
+            const values = item.parameters?.[location];
+            Object.keys(values || {}).forEach(key => {
+                values[key] = rewriteTemplate(values[key], iterationRoots);
+            });
+        });
+        if (item.parameters) {
+            item.parameters.body = rewriteTemplate(item.parameters.body, iterationRoots);
+        }
+        Object.keys(item.variableMappings || {}).forEach(key => {
+            item.variableMappings[key] = item.variableMappings[key].startsWith('{{')
+                ? rewriteTemplate(item.variableMappings[key])
+                : rewritePath(item.variableMappings[key]);
         });
+        if (item.condition) {
+            item.condition = rewriteTemplate(item.condition);
+        }
+        if (item.iteration) {
+            item.iteration.sourceField = rewritePath(item.iteration.sourceField);
+            item.iteration.filter = rewriteTemplate(item.iteration.filter, iterationRoots);
+        }
+    }
 
-        return converted;
+    renderSequenceInputs() {
+        const container = document.getElementById('sequenceInputs');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="sequence-inputs-header">
+                <strong>🔣 Inputs</strong>
+                <small>Prompted before execution, use as <code>{{input.name}}</code></small>
+                <button class="copy-btn" onclick="explorer.addSequenceInput()">+ Add Input</button>
+            </div>
+            ${this.sequenceInputs.map((input, index) => `
+                <div class="sequence-input-row">
+                    <code>input.${this.escapeHTML(input.name)}</code>
+                    <input type="text" value="${this.escapeHTML(input.description || '')}" placeholder="Description"
+                           onchange="explorer.updateSequenceInput(${index}, 'description', this.value)">
+                    <input type="text" value="${this.escapeHTML(input.defaultValue || '')}" placeholder="Default value"
+                           onchange="explorer.updateSequenceInput(${index}, 'defaultValue', this.value)">
+                    <span class="sequence-input-value" title="Value used by the last run">
+                        ${this.sequenceInputValues[input.name] !== undefined ? `= ${this.escapeHTML(this.sequenceInputValues[input.name])}` : '<em>not set</em>'}
+                    </span>
+                    <button onclick="explorer.removeSequenceInput(${index})" title="Remove input"
+                            style="background: none; border: none; color: #dc3545; cursor: pointer;">✕</button>
+                </div>
+            `).join('')}
+        `;
     }
 
-    async copyAllResults() {
-        const executedItems = this.apiSequence.filter(item => item.executed);
-        
-        if (executedItems.length === 0) {
-            this.showSequenceMessage('❌ No executed sequence results to copy', 'error');
+    addSequenceInput() {
+        const name = prompt('Input name (letters, digits and _), e.g. workspace_gid:');
+        if (name === null) return;
+
+        const trimmed = name.trim();
+        if (!/^[A-Za-z_]\w*$/.test(trimmed)) {
+            alert('Input names start with a letter or _ and contain only letters, digits and _.');
+            return;
+        }
+        if (this.sequenceInputs.some(input => input.name === trimmed)) {
+            alert(`There is already an input named "${trimmed}".`);
             return;
         }
 
-        const timestamp = new Date().toISOString();
-        let allResults = `Asana API Sequence Results
-Generated: ${timestamp}
-Total Steps: ${this.apiSequence.length}
-Executed Steps: ${executedItems.length}
+        this.sequenceInputs.push({ name: trimmed, description: '', defaultValue: '' });
+        this.renderSequenceInputs();
+    }
 
-===============================================
+    updateSequenceInput(index, field, value) {
+        const input = this.sequenceInputs[index];
+        if (!input) return;
 
-`;
+        input[field] = value;
+        console.log(`Updated sequence input ${input.name} ${field}:`, value);
+    }
 
-        executedItems.forEach((item, index) => {
-            allResults += `Step ${this.apiSequence.indexOf(item) + 1}: ${item.endpoint.method} ${item.endpoint.path}
-Summary: ${item.endpoint.summary}
-Status: ${item.error ? 'ERROR' : 'SUCCESS'}
+    removeSequenceInput(index) {
+        const [input] = this.sequenceInputs.splice(index, 1);
+        if (input) {
+            delete this.sequenceInputValues[input.name];
+        }
+        this.renderSequenceInputs();
+    }
 
-`;
+    getReferencedInputNames(item) {
+        const text = JSON.stringify([item.parameters, item.variableMappings, item.condition, item.iteration]);
+        const names = [...text.matchAll(/\{\{\s*input\.(\w+)/g)].map(match => match[1]);
+        if (item.iteration?.sourceField?.startsWith('input.')) {
+            names.push(item.iteration.sourceField.split('.')[1]);
+        }
+        return [...new Set(names)];
+    }
 
-            if (item.error) {
-                allResults += `Error: ${item.error}\n\n`;
-            } else if (item.result) {
-                if (item.result.data && Array.isArray(item.result.data)) {
-                    allResults += `Results: ${item.result.data.length} items\n`;
-                    
-                    // Show first few items as preview
-                    const preview = item.result.data.slice(0, 3);
-                    preview.forEach((dataItem, i) => {
-                        allResults += `  ${i + 1}. ${dataItem.name || dataItem.gid || 'Unnamed'}\n`;
-                    });
-                    
-                    if (item.result.data.length > 3) {
-                        allResults += `  ... and ${item.result.data.length - 3} more items\n`;
-                    }
-                } else if (item.result.data) {
-                    allResults += `Result: ${item.result.data.name || item.result.data.gid || 'Single item'}\n`;
-                }
-                allResults += '\n';
+    promptSequenceInputs(names) {
+        // Returns false when the user cancels, so the run doesn't start
+        for (const name of names) {
+            const input = this.sequenceInputs.find(input => input.name === name);
+            const current = this.sequenceInputValues[name] ?? input?.defaultValue ?? '';
+            const value = prompt(`Value for {{input.${name}}}${input?.description ? ` (${input.description})` : ''}:`, current);
+            if (value === null) {
+                console.log('⏹ Execution cancelled at input prompt');
+                return false;
             }
+            this.sequenceInputValues[name] = value;
+        }
+
+        this.renderSequenceInputs();
+        return true;
+    }
+
+    renderConditionConfig(item, index) {
+        const inputId = `condition-${item.id}`;
+
+        return `
+            <div class="iteration-config" style="margin: 10px 0; padding: 10px; border: 1px solid #e9ecef; border-radius: 4px; background: #f8f9fa;">
+                <div style="display: flex; align-items: center; gap: 8px; font-size: 12px;">
+                    <label for="${inputId}" style="font-weight: 600; white-space: nowrap;">🔀 Run only if:</label>
+                    <input type="text" id="${inputId}" value="${this.escapeHTML(item.condition || '')}" 
+                           placeholder="{{step0.data.length}} > 0"
+                           onchange="explorer.updateStepCondition('${item.id}', this.value)"
+                           style="flex: 1; padding: 4px 6px; font-size: 11px; border: 1px solid #ced4da; border-radius: 3px; font-family: monospace;">
+                    ${index > 0 ? `
+                        <button class="copy-btn" onclick="explorer.showVariableHelper('${inputId}', ${index})" title="Insert a variable from a previous step">📋</button>
+                    ` : ''}
+                </div>
+                <div style="color: #6c757d; font-size: 11px; margin-top: 4px;">
+                    Leave empty to always run. Compare with == != &gt; &gt;= &lt; &lt;= contains startsWith endsWith, combine with &amp;&amp; || ! and parentheses.
+                </div>
+            </div>
+        `;
+    }
 
-            allResults += '--- Raw JSON ---\n';
-            allResults += JSON.stringify(item.result, null, 2);
-            allResults += '\n\n===============================================\n\n';
-        });
+    updateStepCondition(itemId, value) {
+        const item = this.apiSequence.find(item => item.id === itemId);
+        if (!item) return;
+
+        const index = this.apiSequence.indexOf(item);
+        // Step references typed by hand are stored as sequence IDs, like imported parameters
+        item.condition = this.convertStepReferenceToVariable(value.trim(), index);
 
         try {
-            if (navigator.clipboard && navigator.clipboard.writeText) {
-                await navigator.clipboard.writeText(allResults);
-            } else {
-                this.fallbackCopyToClipboard(allResults);
-            }
-            
-            this.showSequenceMessage(`✅ All results (${executedItems.length} steps) copied to clipboard!`, 'success');
+            this.parseStepCondition(item.condition);
         } catch (error) {
-            console.error('Copy all results failed:', error);
-            this.showSequenceMessage('❌ Failed to copy results to clipboard', 'error');
+            this.showSequenceMessage(`⚠️ Step ${index + 1} condition: ${error.message}`, 'warning');
         }
+        console.log(`Updated condition for step ${itemId}:`, item.condition);
     }
 
-    restoreParametersToForms() {
-        this.apiSequence.forEach(item => {
-            console.log(`Restoring parameters for item ${item.id}:`, item.parameters);
-
-            // Restore path parameters
-            if (item.parameters.path) {
-                Object.entries(item.parameters.path).forEach(([param, value]) => {
-                    const input = document.getElementById(`seq-path-${param}-${item.id}`);
-                    if (input) {
-                        input.value = value || '';
-                        console.log(`Restored path param ${param}: ${value}`);
-                    }
-                });
+    parseStepCondition(condition) {
+        const tokenPattern = /\s*(\{\{[^}]+\}\}|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|-?\d+(?:\.\d+)?|==|!=|>=|<=|&&|\|\||[><!()]|[A-Za-z_][\w.-]*)/y;
+        const tokens = [];
+        let position = 0;
+        while (position < condition.length) {
+            tokenPattern.lastIndex = position;
+            const match = tokenPattern.exec(condition);
+            if (!match) {
+                if (!condition.slice(position).trim()) break;
+                throw new Error(`Unexpected "${condition.slice(position).trim()}"`);
             }
-
-            // Restore query parameters
-            if (item.parameters.query) {
-                Object.entries(item.parameters.query).forEach(([param, value]) => {
-                    const input = document.getElementById(`seq-query-${param}-${item.id}`);
-                    if (input) {
-                        input.value = value || '';
-                        console.log(`Restored query param ${param}: ${value}`);
-                    }
-                });
+            tokens.push(match[1]);
+            position = tokenPattern.lastIndex;
+        }
+
+        // Recursive descent: or -> and -> not -> comparison -> operand
+        let index = 0;
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+
+        const parseOperand = () => {
+            const token = next();
+            if (token === undefined) throw new Error('Condition ends too early');
+            if (token === '(') {
+                const inner = parseOr();
+                if (next() !== ')') throw new Error('Missing closing parenthesis');
+                return inner;
             }
-
-            // Restore body parameter
-            if (item.parameters.body) {
-                const textarea = document.getElementById(`seq-body-${item.id}`);
-                if (textarea) {
-                    textarea.value = item.parameters.body;
-                    console.log(`Restored body parameter:`, item.parameters.body.substring(0, 100));
-                }
+            if (token.startsWith('{{')) return { type: 'variable', path: token.slice(2, -2).trim() };
+            if (/^["']/.test(token)) return { type: 'literal', value: token.slice(1, -1).replace(/\\(.)/g, '$1') };
+            if (/^-?\d/.test(token)) return { type: 'literal', value: Number(token) };
+            if (['true', 'false', 'null'].includes(token)) return { type: 'literal', value: JSON.parse(token) };
+            if (/^[A-Za-z_]/.test(token)) return { type: 'literal', value: token };
+            throw new Error(`Unexpected "${token}"`);
+        };
+        const parseComparison = () => {
+            const left = parseOperand();
+            if (['==', '!=', '>', '>=', '<', '<=', 'contains', 'startsWith', 'endsWith'].includes(peek())) {
+                return { type: 'compare', operator: next(), left, right: parseOperand() };
             }
-
-            // Restore path parameter variable mappings
-            if (item.variableMappings) {
-                Object.entries(item.variableMappings).forEach(([param, variablePath]) => {
-                    const select = document.getElementById(`mapping-${item.id}-${param}`);
-                    if (select) {
-                        select.value = variablePath;
-                        console.log(`Restored path variable mapping ${param}: ${variablePath}`);
-                    }
-                });
+            return left;
+        };
+        const parseNot = () => {
+            if (peek() === '!') {
+                next();
+                return { type: 'not', operand: parseNot() };
+            }
+            return parseComparison();
+        };
+        const parseAnd = () => {
+            let node = parseNot();
+            while (peek() === '&&') {
+                next();
+                node = { type: 'and', left: node, right: parseNot() };
+            }
+            return node;
+        };
+        const parseOr = () => {
+            let node = parseAnd();
+            while (peek() === '||') {
+                next();
+                node = { type: 'or', left: node, right: parseAnd() };
             }
+            return node;
+        };
 
-            // Restore query parameter variable mappings
-            if (item.parameters.query) {
-                Object.entries(item.parameters.query).forEach(([param, value]) => {
-                    if (typeof value === 'string' && value.includes('{{') && value.includes('}}')) {
-                        const match = value.match(/\{\{([^}]+)\}\}/);
-                        if (match) {
-                            const variablePath = match[1];
-                            const select = document.getElementById(`query-mapping-${item.id}-${param}`);
-                            if (select) {
-                                select.value = variablePath;
-                                console.log(`Restored query variable mapping ${param}: ${variablePath}`);
-                            }
+        if (tokens.length === 0) throw new Error('Condition is empty');
+        const tree = parseOr();
+        if (index < tokens.length) throw new Error(`Unexpected "${tokens[index]}"`);
+        return tree;
+    }
+
+    evaluateStepCondition(item) {
+        const index = this.apiSequence.indexOf(item);
+        const condition = this.convertStepReferenceToVariable(item.condition, index);
+        return this.evaluateCondition(condition);
+    }
+
+    evaluateCondition(condition, resolveRoot = name => this.getTemplateRoot(name)) {
+        const tree = this.parseStepCondition(condition);
+
+        // Empty arrays and objects count as false so "{{step0.data}}" reads as "has records"
+        const isTruthy = value => Array.isArray(value) ? value.length > 0
+            : (value && typeof value === 'object') ? Object.keys(value).length > 0
+            : Boolean(value);
+        const isNumeric = value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)));
+
+        const evaluate = node => {
+            switch (node.type) {
+                case 'literal':
+                    return node.value;
+                case 'variable': {
+                    const value = this.evaluateTemplateExpression(node.path, resolveRoot);
+                    return value === undefined ? null : value;
+                }
+                case 'not':
+                    return !isTruthy(evaluate(node.operand));
+                case 'and':
+                    return isTruthy(evaluate(node.left)) && isTruthy(evaluate(node.right));
+                case 'or':
+                    return isTruthy(evaluate(node.left)) || isTruthy(evaluate(node.right));
+                case 'compare': {
+                    let left = evaluate(node.left);
+                    let right = evaluate(node.right);
+                    if (['contains', 'startsWith', 'endsWith'].includes(node.operator)) {
+                        if (left === null || right === null) return false;
+                        // Arrays contain elements, everything else is matched as case-insensitive text
+                        if (node.operator === 'contains' && Array.isArray(left)) {
+                            return left.some(entry => String(entry) === String(right));
                         }
+                        const text = String(left).toLowerCase();
+                        const search = String(right).toLowerCase();
+                        return node.operator === 'contains' ? text.includes(search)
+                            : node.operator === 'startsWith' ? text.startsWith(search)
+                            : text.endsWith(search);
                     }
-                });
+                    if (isNumeric(left) && isNumeric(right)) {
+                        left = Number(left);
+                        right = Number(right);
+                    } else if (left !== null && right !== null) {
+                        left = typeof left === 'object' ? JSON.stringify(left) : String(left);
+                        right = typeof right === 'object' ? JSON.stringify(right) : String(right);
+                    }
+                    switch (node.operator) {
+                        case '==': return left === right;
+                        case '!=': return left !== right;
+                        case '>': return left !== null && right !== null && left > right;
+                        case '>=': return left !== null && right !== null && left >= right;
+                        case '<': return left !== null && right !== null && left < right;
+                        case '<=': return left !== null && right !== null && left <= right;
+                    }
+                }
             }
+            return false;
+        };
 
-            // Update the parameter summary to reflect restored values
-            this.updateParameterSummaryOnly(item);
-        });
-
-        console.log('Parameter values restored to form fields');
+        return isTruthy(evaluate(tree));
     }
 
-    renderVariableMappings(item, itemIndex, availableVariables) {
-        const pathParams = this.extractPathParameters(item.endpoint.path);
-        if (pathParams.length === 0) {
-            return '';
-        }
-
-        // For imported sequences, also include stored variable mappings that might not be in availableVariables yet
-        const allVariableOptions = [...availableVariables];
-        
-        // Add any variable mappings from the imported sequence that aren't in availableVariables
-        if (item.variableMappings) {
-            Object.entries(item.variableMappings).forEach(([param, variablePath]) => {
-                if (variablePath && !allVariableOptions.find(v => v.path === variablePath)) {
-                    allVariableOptions.push({
-                        path: variablePath,
-                        description: `Imported mapping`,
-                        example: 'Not executed yet'
-                    });
-                }
-            });
-        }
+    renderSkippedNotice(item, index) {
+        if (!item.skipped) return '';
 
         return `
-            <div class="variable-mapping">
-                <div style="font-weight: 600; margin-bottom: 8px; font-size: 13px;">Variable Mapping</div>
-                ${pathParams.map(param => `
-                    <div style="margin-bottom: 8px;">
-                        <label>Map {${param}} to:</label>
-                        <select id="mapping-${item.id}-${param}" onchange="explorer.updateVariableMapping('${item.id}', '${param}', this.value)">
-                            <option value="">Use original value: ${item.parameters.path[param] || 'Not set'}</option>
-                            ${allVariableOptions.map(variable => `
-                                <option value="${variable.path}" ${item.variableMappings[param] === variable.path ? 'selected' : ''}>
-                                    ${variable.description} (${variable.example})
-                                </option>
-                            `).join('')}
-                        </select>
-                    </div>
-                `).join('')}
+            <div class="sequence-skipped">
+                ⏭ Skipped: <code>${this.escapeHTML(this.convertVariableToStepReference(item.condition, index))}</code> was false
             </div>
         `;
     }
 
-    updateVariableMapping(itemId, paramName, variablePath) {
-        const item = this.apiSequence.find(item => item.id === itemId);
-        if (item) {
-            if (variablePath) {
-                item.variableMappings[paramName] = variablePath;
-            } else {
-                delete item.variableMappings[paramName];
-            }
+    renderPaginationSummary(item) {
+        const result = item.result;
+        if (!result) return '';
+
+        const summary = result.pagination_summary || (result.iteration_summary?.pages_fetched !== undefined ? result.iteration_summary : null);
+        if (summary) {
+            const truncated = summary.truncated || summary.truncated_iterations > 0;
+            return `
+                <div class="validation-summary ${truncated ? 'invalid' : 'valid'}">
+                    📄 ${summary.pages_fetched} page${summary.pages_fetched !== 1 ? 's' : ''} fetched
+                    ${truncated ? '- stopped at the max pages/records limit, more data is available' : ''}
+                </div>
+            `;
+        }
+
+        const unfetched = result.next_page?.offset || result.iteration_summary?.unfetched_pages > 0;
+        if (unfetched && !this.getPaginationSettings(item).enabled) {
+            return `<div class="validation-summary invalid">⚠️ Only the first page was fetched. Enable "Fetch all pages" to get every record.</div>`;
         }
+        return '';
     }
 
-    renderIterationConfig(item, itemIndex, availableVariables) {
-        // Only show iteration config if there are previous steps with array data available
-        if (itemIndex === 0) {
-            return '';
+    async fetchSequenceResponse(item, url, fetchOptions, authProfile) {
+        // Returns the (combined) response data plus every raw page for schema validation
+        const response = await this.authorizedFetch(url, fetchOptions, authProfile);
+        const responseData = await response.json();
+        const pagination = this.getPaginationSettings(item);
+
+        if (!pagination.enabled || !response.ok || !Array.isArray(responseData.data)) {
+            return { response, responseData, pages: [responseData] };
         }
 
-        // Get available array variables from previous steps
-        const arrayVariables = availableVariables.filter(variable => 
-            variable.description.includes('Array data') || 
-            variable.description.includes('array') || 
-            (variable.path.includes('.data') && !variable.path.includes('[0]')) || // Include .data but not .data[0].field
-            variable.example.includes('[')
-        );
+        const pages = [responseData];
+        let data = responseData.data;
+        let nextPage = responseData.next_page;
 
-        console.log(`🔄 Iteration config for step ${item.id}:`, {
-            itemIndex,
-            totalAvailableVariables: availableVariables.length,
-            availableVariables: availableVariables.map(v => ({ path: v.path, description: v.description })),
-            filteredArrayVariables: arrayVariables.length,
-            arrayVariables: arrayVariables.map(v => ({ path: v.path, description: v.description }))
-        });
+        while (nextPage?.offset && pages.length < pagination.maxPages && data.length < pagination.maxRecords) {
+            const pageUrl = new URL(url, window.location.href); // Base URLs may be relative, e.g. a spec server of /api/1.0
+            pageUrl.searchParams.set('offset', nextPage.offset);
+            console.log(`📄 Fetching page ${pages.length + 1}: ${pageUrl.toString()}`);
 
-        // Also check for any existing iteration configuration
-        const hasIterationConfig = item.iteration && item.iteration.enabled;
-        
-        if (arrayVariables.length === 0 && !hasIterationConfig) {
-            return '';
+            const pageResponse = await this.authorizedFetch(pageUrl.toString(), fetchOptions, authProfile);
+            const pageData = await pageResponse.json();
+            if (!pageResponse.ok) {
+                // A failed page fails the step, like a failed single request
+                return { response: pageResponse, responseData: pageData, pages };
+            }
+
+            pages.push(pageData);
+            data = data.concat(pageData.data || []);
+            nextPage = pageData.next_page;
         }
 
-        return `
-            <div class="iteration-config" style="margin: 10px 0; padding: 10px; border: 1px solid #e9ecef; border-radius: 4px; background: #f8f9fa;">
-                <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 10px;">
-                    <label style="display: flex; align-items: center; gap: 5px; font-weight: 600; font-size: 12px;">
-                        <input type="checkbox" 
-                               id="iteration-enabled-${item.id}"
-                               ${item.iteration.enabled ? 'checked' : ''} 
-                               onchange="explorer.toggleIteration('${item.id}', this.checked)">
-                        🔄 Enable Iteration
-                        ${item.iteration.enabled && !item.iteration.sourceField ? '<span style="color: #d9534f; font-size: 10px; margin-left: 5px;">(Configure source required)</span>' : ''}
-                    </label>
-                    <span style="color: #6c757d; font-size: 11px;">Execute this step for each item in array data</span>
-                </div>
-                
-                <div id="iteration-settings-${item.id}" class="iteration-settings" 
-                     style="display: ${item.iteration.enabled ? 'block' : 'none'}; margin-left: 20px;">
-                     
-                    <div style="margin-bottom: 8px;">
-                        <label style="display: block; font-weight: 600; font-size: 11px; margin-bottom: 4px; color: ${item.iteration.sourceField ? '#333' : '#d9534f'};">
-                            Iterate over array from: ${item.iteration.sourceField ? '' : '(Required)'}
-                        </label>
-                        <select id="iteration-source-${item.id}" 
-                                onchange="explorer.updateIteration('${item.id}', 'sourceField', this.value)"
-                                style="width: 100%; padding: 4px; font-size: 11px; border: 1px solid ${item.iteration.sourceField ? '#ced4da' : '#d9534f'}; border-radius: 3px;">
-                            <option value="">⚠️ Select array data source to enable iteration...</option>
-                            ${arrayVariables.concat([
-                                // Add any currently configured source that might not be in arrayVariables
-                                ...(item.iteration.sourceField && !arrayVariables.find(v => v.path === item.iteration.sourceField) 
-                                    ? [{ path: item.iteration.sourceField, description: 'Previous configuration (execute to refresh)', example: 'Not executed yet' }]
-                                    : [])
-                            ]).map(variable => {
-                                const selected = variable.path === item.iteration.sourceField ? 'selected' : '';
-                                return `<option value="${variable.path}" ${selected}>
-                                    ${variable.description} → ${variable.example}
-                                </option>`;
-                            }).join('')}
-                        </select>
-                    </div>
-                    
-                    <div style="display: flex; gap: 10px; margin-bottom: 8px;">
-                        <div style="flex: 1;">
-                            <label style="display: block; font-weight: 600; font-size: 11px; margin-bottom: 4px;">
-                                Iteration variable name:
-                            </label>
-                            <input type="text" 
-                                   id="iteration-variable-${item.id}"
-                                   value="${item.iteration.iterationVariable || 'item'}"
-                                   placeholder="item"
-                                   onchange="explorer.updateIteration('${item.id}', 'iterationVariable', this.value)"
-                                   style="width: 100%; padding: 4px; font-size: 11px; border: 1px solid #ced4da; border-radius: 3px;">
-                        </div>
-                        <div style="flex: 1;">
-                            <label style="display: flex; align-items: center; gap: 5px; font-weight: 600; font-size: 11px; margin-top: 20px;">
-                                <input type="checkbox" 
-                                       id="iteration-unify-${item.id}"
-                                       ${item.iteration.unifyResults ? 'checked' : ''} 
-                                       onchange="explorer.updateIteration('${item.id}', 'unifyResults', this.checked)">
-                                Unify results into array
-                            </label>
-                        </div>
-                    </div>
-                    
-                    <div style="background: #e7f3ff; padding: 8px; border-radius: 3px; font-size: 11px; color: #0c5460;">
-                        💡 <strong>Usage:</strong> Use <code>{{${item.iteration.iterationVariable || 'item'}.fieldName}}</code> in parameters to reference each iteration item.
-                        ${item.iteration.unifyResults ? 'All iteration results will be combined into a single array for the next step.' : 'Each iteration result will be kept separate.'}
-                    </div>
-                </div>
-            </div>
-        `;
+        const truncated = data.length > pagination.maxRecords || !!nextPage?.offset;
+        const combined = {
+            ...responseData,
+            data: data.slice(0, pagination.maxRecords),
+            next_page: data.length > pagination.maxRecords ? null : (nextPage || null),
+            pagination_summary: {
+                pages_fetched: pages.length,
+                records: Math.min(data.length, pagination.maxRecords),
+                truncated: truncated
+            }
+        };
+
+        console.log(`📄 Fetched ${pages.length} pages, ${combined.data.length} records${truncated ? ' (capped)' : ''}`);
+        return { response, responseData: combined, pages };
+    }
+
+    async executeSequence() {
+        if (this.apiSequence.length === 0) {
+            alert('No endpoints in sequence to execute.');
+            return;
+        }
+
+        const missingCredentials = this.apiSequence.findIndex(item => !this.hasStepCredentials(item));
+        if (missingCredentials !== -1) {
+            const profile = this.getStepAuthProfile(this.apiSequence[missingCredentials]);
+            alert(`Step ${missingCredentials + 1} has no credentials${profile ? ` (auth profile "${profile.name}")` : ''}. Set the PAT or auth profile before executing the sequence.`);
+            return;
+        }
+
+        // Declared inputs plus any referenced by a step without being declared
+        const inputNames = [...new Set([
+            ...this.sequenceInputs.map(input => input.name),
+            ...this.apiSequence.flatMap(item => this.getReferencedInputNames(item))
+        ])];
+        if (!this.promptSequenceInputs(inputNames)) {
+            return;
+        }
+
+        console.log('🚀 Starting full sequence execution...');
+
+        // A fresh run forgets anything left over from a paused or stopped one
+        this.apiSequence.forEach(item => {
+            item.iterationState = null;
+            item.interrupted = null;
+            item.skipped = false;
+        });
+        this.sequenceRun = { abortController: new AbortController(), status: 'running', nextStepIndex: 0, finished: new Set() };
+        this.sequenceTimeline = { startedAt: Date.now(), entries: [] };
+
+        await this.runSequenceFrom(0);
     }
 
-    toggleIteration(itemId, enabled) {
-        const item = this.apiSequence.find(item => item.id === itemId);
-        if (!item) return;
+    async resumeSequence() {
+        const run = this.sequenceRun;
+        if (!run || run.status !== 'paused') return;
 
-        item.iteration.enabled = enabled;
-        
-        // Show/hide iteration settings
-        const settings = document.getElementById(`iteration-settings-${itemId}`);
-        if (settings) {
-            settings.style.display = enabled ? 'block' : 'none';
-        }
+        console.log(`▶ Resuming sequence at step ${run.nextStepIndex + 1}`);
+        run.abortController = new AbortController();
+        run.status = 'running';
 
-        // Re-render the sequence to update visual indicators
-        this.renderSequence();
+        await this.runSequenceFrom(run.nextStepIndex);
+    }
 
-        console.log(`Iteration ${enabled ? 'enabled' : 'disabled'} for step ${itemId}`);
+    pauseSequence() {
+        const run = this.sequenceRun;
+        if (!run || run.status !== 'running') return;
+
+        console.log('⏸ Pausing sequence, aborting in-flight reads and letting sent writes finish');
+        run.status = 'paused';
+        run.abortController.abort();
+        this.renderSequenceRunControls();
     }
 
-    updateIteration(itemId, field, value) {
-        const item = this.apiSequence.find(item => item.id === itemId);
-        if (!item) return;
+    stopSequence() {
+        const run = this.sequenceRun;
+        if (!run) return;
 
-        item.iteration[field] = value;
-        
-        // Re-render the sequence to update iteration source display if that changed
-        if (field === 'sourceField') {
-            this.renderSequence();
+        console.log('⏹ Stopping sequence');
+        const wasRunning = run.status === 'running';
+        run.status = 'stopped';
+        run.abortController.abort();
+
+        // A stopped run can't be resumed, so partial iteration progress is only kept as the step result
+        if (!wasRunning) {
+            this.finishSequenceRun();
         }
-        
-        // Update the usage hint when iteration variable name changes
-        if (field === 'iterationVariable') {
-            const hintElement = document.querySelector(`#iteration-settings-${itemId} .usage-hint`);
-            if (hintElement) {
-                const variableName = value || 'item';
-                hintElement.innerHTML = `💡 <strong>Usage:</strong> Use <code>{{${variableName}.fieldName}}</code> in parameters to reference each iteration item.`;
-            }
+    }
+
+    applySequenceSignal(item, fetchOptions, signal) {
+        // Pausing or stopping aborts reads. A write that was already sent may be applied by the server anyway,
+        // so it is left to finish; only writes still waiting in the request queue are dropped.
+        if (this.isWriteStep(item)) {
+            fetchOptions.queueSignal = signal;
+        } else {
+            fetchOptions.signal = signal;
         }
+    }
 
-        console.log(`Updated iteration ${field} for step ${itemId}:`, value);
+    getSequenceSignal() {
+        return this.sequenceRun?.status === 'running' ? this.sequenceRun.abortController.signal : undefined;
     }
 
-    async executeSequence() {
-        if (this.apiSequence.length === 0) {
-            alert('No endpoints in sequence to execute.');
-            return;
+    finishSequenceRun() {
+        if (this.sequenceRun?.status !== 'paused') {
+            this.apiSequence.forEach(item => {
+                item.iterationState = null;
+            });
+            this.sequenceRun = null;
         }
+        this.renderSequenceRunControls();
+        this.renderSequence();
+    }
 
-        if (!this.personalAccessToken) {
-            alert('Personal Access Token is required to execute the sequence.');
+    renderSequenceRunControls() {
+        const container = document.getElementById('sequenceRunControls');
+        if (!container) return;
+
+        const run = this.sequenceRun;
+        if (!run) {
+            container.innerHTML = '';
             return;
         }
 
-        console.log('🚀 Starting full sequence execution...');
-        
+        container.innerHTML = run.status === 'running' ? `
+            <button class="sequence-btn sequence-btn-secondary" onclick="explorer.pauseSequence()" title="Abort in-flight reads, let sent writes finish and keep completed results">
+                ⏸ Pause
+            </button>
+            <button class="sequence-btn sequence-btn-danger" onclick="explorer.stopSequence()">
+                ⏹ Stop
+            </button>
+        ` : `
+            <button class="sequence-btn sequence-btn-success" onclick="explorer.resumeSequence()" title="Continue from step ${run.nextStepIndex + 1}">
+                ▶ Resume from step ${run.nextStepIndex + 1}
+            </button>
+            <button class="sequence-btn sequence-btn-danger" onclick="explorer.stopSequence()">
+                ⏹ Stop
+            </button>
+        `;
+    }
+
+    async runSequenceFrom(startIndex) {
+        const run = this.sequenceRun;
+
         // Show progress indication
         const executeBtn = document.querySelector('button[onclick="explorer.executeSequence()"]');
         const originalText = executeBtn.innerHTML;
+        this.renderSequenceRunControls();
         
-        for (let i = 0; i < this.apiSequence.length; i++) {
-            const item = this.apiSequence[i];
-            
+        // Steps start as soon as every earlier step they reference has finished, up to the parallel limit.
+        // A limit of 1 runs them strictly in order. Writes never overlap anything: a later read may depend on
+        // them without referencing them (create a task, then list tasks).
+        const order = [...this.apiSequence];
+        const pending = order.filter((item, index) => index >= startIndex && !run.finished.has(item.id));
+        const unfinished = new Set(pending.map(item => item.id));
+        const dependencies = new Map(order.map((item, index) => [
+            item.id,
+            this.getStepDependencies(item, order).filter(dependency => order.indexOf(dependency) < index)
+        ]));
+        const running = new Map(); // item id -> promise of { item, index, outcome }
+        let failure = null;
+
+        while (true) {
+            if (run.status === 'running' && !failure) {
+                for (const item of [...pending]) {
+                    if (running.size >= this.sequenceParallelSteps) break;
+                    if (order.some(step => running.has(step.id) && this.isWriteStep(step))) break;
+                    if (this.isWriteStep(item)) {
+                        // Only once every earlier step is done, and nothing after it starts meanwhile
+                        if (running.size > 0 || pending[0] !== item) break;
+                    } else if (dependencies.get(item.id).some(dependency => unfinished.has(dependency.id))) {
+                        continue;
+                    }
+
+                    const index = order.indexOf(item);
+                    pending.splice(pending.indexOf(item), 1);
+                    running.set(item.id, this.runScheduledSequenceStep(item, index).then(outcome => ({ item, index, outcome })));
+                    if (this.isWriteStep(item)) break;
+                }
+            }
+
             // Update button to show progress
-            executeBtn.innerHTML = `⏳ Executing ${i + 1}/${this.apiSequence.length}`;
+            executeBtn.innerHTML = `⏳ Executing ${run.finished.size}/${order.length}${running.size > 1 ? ` (${running.size} at once)` : ''}`;
             executeBtn.disabled = true;
-            
-            console.log(`📡 Executing step ${i + 1}: ${item.endpoint.method} ${item.endpoint.path}`);
-            
-            try {
-                await this.executeSequenceItem(item.id);
-                
-                if (item.error) {
-                    console.error(`❌ Sequence stopped at step ${i + 1} due to error:`, item.error);
-                    alert(`Sequence execution stopped at step ${i + 1} due to an error. Check the console for details.`);
-                    break;
-                }
-                
-                console.log(`✅ Step ${i + 1} completed successfully`);
-                
-                // Add a small delay between calls to be respectful to the API
-                if (i < this.apiSequence.length - 1) {
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                }
-                
-            } catch (error) {
-                console.error(`❌ Sequence stopped at step ${i + 1}:`, error);
-                alert(`Sequence execution failed at step ${i + 1}: ${error.message}`);
-                break;
+
+            if (running.size === 0) break;
+
+            const { item, index, outcome } = await Promise.race(running.values());
+            running.delete(item.id);
+
+            if (outcome.failure) {
+                failure = failure || { index, message: outcome.failure };
+                continue;
+            }
+            if (outcome.interrupted) {
+                console.log(`${run.status === 'paused' ? '⏸ Sequence paused' : '⏹ Sequence stopped'} at step ${index + 1}`);
+                continue;
+            }
+
+            run.finished.add(item.id);
+            unfinished.delete(item.id);
+            if (outcome.skipped) continue;
+
+            if (item.error && item.errorHandled) {
+                console.warn(`↪ Step ${index + 1} failed but its error policy continues the sequence`);
+            } else {
+                console.log(`✅ Step ${index + 1} completed successfully`);
             }
         }
+
+        const nextStep = order.findIndex(item => !run.finished.has(item.id));
+        run.nextStepIndex = nextStep === -1 ? order.length : nextStep;
+
+        if (failure && run.status === 'running') {
+            alert(`Sequence execution stopped at step ${failure.index + 1}: ${failure.message}`);
+        }
         
         // Restore button
         executeBtn.innerHTML = originalText;
         executeBtn.disabled = false;
+
+        this.finishSequenceRun();
+        if (run.status === 'paused') {
+            this.showSequenceMessage(`⏸ Sequence paused. Resume continues from step ${run.nextStepIndex + 1}.`, 'warning');
+            return;
+        }
+        if (run.status === 'stopped') {
+            this.showSequenceMessage('⏹ Sequence stopped. Results of completed steps were kept.', 'warning');
+            return;
+        }
         
         console.log('🏁 Sequence execution completed');
         
@@ -3696,52 +7157,461 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
         }
     }
 
-    async executeSequenceItem(itemId) {
+    isWriteStep(item) {
+        return !['GET', 'HEAD', 'OPTIONS'].includes(item.endpoint.method);
+    }
+
+    async runScheduledSequenceStep(item, index) {
+        // Runs one step for the scheduler: { skipped }, { interrupted }, { failure: message } or {} when it finished
+        const run = this.sequenceRun;
+        const entry = { itemId: item.id, start: Date.now(), end: null, outcome: 'running' };
+        this.sequenceTimeline.entries.push(entry);
+        this.renderSequenceTimeline();
+
+        const finish = (outcome, result = {}) => {
+            entry.end = Date.now();
+            entry.outcome = outcome;
+            this.renderSequenceTimeline();
+            return result;
+        };
+
+        if (item.condition) {
+            let shouldRun;
+            try {
+                shouldRun = this.evaluateStepCondition(item);
+            } catch (error) {
+                item.error = `Condition Error: ${error.message}`;
+                item.executed = true;
+                item.skipped = false;
+                this.renderSequence();
+                return finish('error', { failure: `its run condition is invalid (${error.message}).` });
+            }
+
+            if (!shouldRun) {
+                console.log(`⏭ Skipping step ${index + 1}, condition is false: ${item.condition}`);
+                item.executed = false;
+                item.result = null;
+                item.error = null;
+                item.validation = null;
+                item.interrupted = null;
+                item.skipped = true;
+                this.sequenceResults.delete(item.id);
+                this.renderSequence();
+                return finish('skipped', { skipped: true });
+            }
+        }
+
+        console.log(`📡 Executing step ${index + 1}: ${item.endpoint.method} ${item.endpoint.path}`);
+
+        try {
+            await this.executeSequenceItem(item.id, { resume: true });
+        } catch (error) {
+            console.error(`❌ Sequence stopped at step ${index + 1}:`, error);
+            return finish('error', { failure: error.message });
+        }
+
+        // A write that finished after the pause counts as done, resuming must not send it again
+        if (item.interrupted || (run.status !== 'running' && !item.executed)) {
+            return finish('interrupted', { interrupted: true });
+        }
+        if (item.error && !item.errorHandled) {
+            console.error(`❌ Sequence stopped at step ${index + 1} due to error:`, item.error);
+            return finish('error', { failure: 'the step failed. Check the console for details.' });
+        }
+        return finish(item.error ? 'handled' : 'executed');
+    }
+
+    loadParallelStepsSetting() {
+        try {
+            const saved = localStorage.getItem(this.parallelStepsStorageKey);
+            if (saved) {
+                this.sequenceParallelSteps = Math.max(1, parseInt(saved, 10) || this.sequenceParallelSteps);
+            }
+        } catch (error) {
+            console.warn('Failed to load parallel steps setting from localStorage:', error);
+        }
+    }
+
+    setParallelSteps(value) {
+        this.sequenceParallelSteps = Math.max(1, parseInt(value, 10) || this.sequenceParallelSteps);
+        try {
+            localStorage.setItem(this.parallelStepsStorageKey, String(this.sequenceParallelSteps));
+        } catch (error) {
+            console.warn('Failed to save parallel steps setting to localStorage:', error);
+        }
+    }
+
+    renderParallelStepsSetting() {
+        // Rendered once, outside the timeline, so its refreshes don't reset what is being typed
+        const container = document.getElementById('parallelStepsSetting');
+        if (!container) return;
+
+        container.innerHTML = `
+            <span>Run up to
+                <input type="number" min="1" value="${this.sequenceParallelSteps}" title="1 runs every step in order"
+                       onchange="explorer.setParallelSteps(this.value)"> independent steps at once</span>
+        `;
+    }
+
+    renderSequenceTimeline() {
+        const container = document.getElementById('sequenceTimeline');
+        if (!container) return;
+
+        const timeline = this.sequenceTimeline;
+        const entries = (timeline?.entries || []).filter(entry => this.apiSequence.some(item => item.id === entry.itemId));
+        if (entries.length === 0) {
+            container.innerHTML = '';
+            this.updateSequenceTimelineTimer(false);
+            return;
+        }
+
+        const now = Date.now();
+        const endOf = entry => entry.end ?? now;
+        const total = Math.max(1, ...entries.map(entry => endOf(entry) - timeline.startedAt));
+        const formatDuration = ms => ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+
+        // Peak number of steps in flight together, and which steps shared it
+        let peak = 1;
+        entries.forEach(entry => {
+            peak = Math.max(peak, entries.filter(other => other.start <= entry.start && endOf(other) > entry.start).length);
+        });
+        const stepTime = entries.reduce((sum, entry) => sum + (endOf(entry) - entry.start), 0);
+
+        const rows = this.apiSequence.map((item, index) => {
+            const bars = entries.filter(entry => entry.itemId === item.id).map(entry => {
+                const left = ((entry.start - timeline.startedAt) / total) * 100;
+                const width = Math.max(0.5, ((endOf(entry) - entry.start) / total) * 100);
+                return `
+                    <div class="sequence-timeline-bar ${entry.outcome}" style="left: ${left}%; width: ${width}%;"
+                         title="${this.escapeHTML(`${entry.outcome}: ${formatDuration(endOf(entry) - entry.start)}, started at +${formatDuration(entry.start - timeline.startedAt)}`)}"></div>
+                `;
+            }).join('');
+            if (!bars) return '';
+
+            return `
+                <div class="sequence-timeline-row">
+                    <span class="sequence-timeline-label" title="${this.escapeHTML(`${item.endpoint.method} ${item.endpoint.path}`)}">${index + 1}. ${this.escapeHTML(item.name || item.endpoint.path)}</span>
+                    <div class="sequence-timeline-track">${bars}</div>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            ${rows}
+            <div class="sequence-timeline-summary">
+                ⏱ ${formatDuration(total)} elapsed for ${formatDuration(stepTime)} of step time,
+                ${peak > 1 ? `up to ${peak} steps overlapped` : 'no steps overlapped'}
+            </div>
+        `;
+
+        this.updateSequenceTimelineTimer(entries.some(entry => entry.end === null));
+    }
+
+    updateSequenceTimelineTimer(active) {
+        // Keep running bars growing while a step is in flight
+        if (active && !this.sequenceTimelineTimer) {
+            this.sequenceTimelineTimer = setInterval(() => this.renderSequenceTimeline(), 500);
+        } else if (!active && this.sequenceTimelineTimer) {
+            clearInterval(this.sequenceTimelineTimer);
+            this.sequenceTimelineTimer = null;
+        }
+    }
+
+    dryRunSequence() {
+        if (this.apiSequence.length === 0) {
+            alert('No endpoints in sequence to dry-run.');
+            return;
+        }
+
+        this.sequencePlan = this.buildSequencePlan();
+        console.log('🧪 Sequence dry run plan:', this.sequencePlan);
+        document.getElementById('dryRunDialog').style.display = 'flex';
+        this.renderSequencePlan(this.sequencePlan);
+    }
+
+    closeDryRunDialog() {
+        document.getElementById('dryRunDialog').style.display = 'none';
+    }
+
+    buildSequencePlan() {
+        // Later steps resolve against real results where they exist and stubs otherwise.
+        // The stubs go into a copy of sequenceResults so the real results are untouched.
+        const realResults = this.sequenceResults;
+        this.sequenceResults = new Map(realResults);
+        const stubbedStepIds = [];
+
+        const plan = {
+            generatedAt: new Date().toISOString(),
+            steps: [],
+            totalRequests: 0,
+            totalIssues: 0
+        };
+
+        try {
+            this.apiSequence.forEach((item, index) => {
+                const profile = this.getStepAuthProfile(item);
+                const step = {
+                    step: index + 1,
+                    method: item.endpoint.method,
+                    path: item.endpoint.path,
+                    api: item.endpoint.apiId || this.defaultApiId,
+                    authProfile: profile ? profile.name : null,
+                    mode: item.iteration?.enabled && item.iteration.sourceField ? 'iteration' : 'single',
+                    // Only the first page of each request is planned, later pages follow next_page.offset
+                    pagination: item.pagination?.enabled ? { maxPages: item.pagination.maxPages, maxRecords: item.pagination.maxRecords } : null,
+                    condition: item.condition ? this.convertVariableToStepReference(item.condition, index) : null,
+                    usesStubbedData: this.getStepDependencies(item).some(dependency => stubbedStepIds.includes(dependency.id)),
+                    requests: [],
+                    issues: []
+                };
+
+                if (!profile || !this.hasStepCredentials(item)) {
+                    step.issues.push(`No credentials${profile ? ` in auth profile "${profile.name}"` : ''}`);
+                }
+
+                if (item.condition) {
+                    try {
+                        step.conditionResult = this.evaluateStepCondition(item);
+                    } catch (error) {
+                        step.issues.push(`Invalid run condition: ${error.message}`);
+                    }
+                }
+
+                // A bad template in a mapping or the iteration source is reported like any other issue
+                try {
+                    if (step.mode === 'iteration') {
+                        let iterationData = this.resolveVariable(item.iteration.sourceField);
+                        let parents = null;
+                        if (Array.isArray(iterationData)) {
+                            try {
+                                const selection = this.selectIterationItems(item, iterationData);
+                                iterationData = selection.items;
+                                parents = selection.parents;
+                                step.filteredOut = selection.filteredOut;
+                                step.limitedOut = selection.limitedOut;
+                            } catch (error) {
+                                step.issues.push(error.message);
+                            }
+                        }
+                        if (!Array.isArray(iterationData)) {
+                            step.issues.push(`Iteration source ${this.convertVariableToStepReference(`{{${item.iteration.sourceField}}}`, index)} is not an array`);
+                        } else {
+                            const originalParameters = JSON.parse(JSON.stringify(item.parameters));
+                            const variableName = item.iteration.iterationVariable || 'item';
+                            iterationData.forEach((iterationItem, i) => {
+                                step.requests.push(this.describePlannedRequest(
+                                    this.buildIterationRequest(item, originalParameters, variableName, iterationItem, [], parents ? parents[i] : null)
+                                ));
+                            });
+                        }
+                    } else {
+                        step.requests.push(this.describePlannedRequest(this.buildSequenceRequest(item)));
+                    }
+                } catch (error) {
+                    step.issues.push(`Invalid template: ${error.message}`);
+                }
+
+                if (!realResults.has(item.id)) {
+                    this.sequenceResults.set(item.id, this.buildStubResult(item));
+                    stubbedStepIds.push(item.id);
+                }
+
+                plan.totalRequests += step.requests.length;
+                plan.totalIssues += step.issues.length + step.requests.reduce((sum, request) => sum + request.issues.length, 0);
+                plan.steps.push(step);
+            });
+        } finally {
+            this.sequenceResults = realResults;
+        }
+
+        return plan;
+    }
+
+    describePlannedRequest(request) {
+        // Credentials are never part of the plan, only the profile name on the step
+        let body = request.fetchOptions.body || null;
+        if (body) {
+            try {
+                body = JSON.parse(body);
+            } catch (error) {
+                request.issues.push('Body is not valid JSON');
+            }
+        }
+
+        return {
+            method: request.fetchOptions.method,
+            url: request.url,
+            headers: request.fetchOptions.headers,
+            body: body,
+            issues: request.issues
+        };
+    }
+
+    buildStubResult(item) {
+        const schema = this.getSuccessResponseSchema(item.endpoint);
+        const stub = (schema && this.buildStubFromSchema(schema)) ||
+            { data: [{ gid: 'sample-gid', name: 'sample-name', resource_type: 'sample' }] };
+
+        if (item.iteration?.enabled && item.iteration.sourceField) {
+            // Same shape as executeIterativeSequenceItem produces
+            const data = item.iteration.unifyResults ? [].concat(stub.data ?? stub) : [stub];
+            return { data, iteration_summary: { stubbed: true } };
+        }
+        return stub;
+    }
+
+    buildStubFromSchema(schema, depth = 0, name = 'value') {
+        // Unlike buildSampleFromSchema this fills every field and gives arrays one element,
+        // so later steps have something to reference and iterate over
+        if (!schema || depth > 6 || schema['x-circular-ref']) {
+            return null;
+        }
+
+        if (schema.example !== undefined) return schema.example;
+        if (Array.isArray(schema.enum)) return schema.enum[0];
+
+        const alternatives = schema.oneOf || schema.anyOf;
+        if (alternatives) {
+            return this.buildStubFromSchema(alternatives[0], depth + 1, name);
+        }
+
+        switch (schema.type || (schema.properties ? 'object' : null)) {
+            case 'object':
+                return Object.fromEntries(
+                    Object.entries(schema.properties || {}).map(([propertyName, propertySchema]) => [
+                        propertyName, this.buildStubFromSchema(propertySchema, depth + 1, propertyName)
+                    ])
+                );
+            case 'array':
+                return [this.buildStubFromSchema(schema.items, depth + 1, name)];
+            case 'integer':
+            case 'number':
+                return 1;
+            case 'boolean':
+                return true;
+            case 'string':
+                if (schema.format === 'date') return '2024-01-01';
+                if (schema.format === 'date-time') return '2024-01-01T00:00:00.000Z';
+                return `sample-${name}`;
+            default:
+                return null;
+        }
+    }
+
+    renderSequencePlan(plan) {
+        const container = document.getElementById('dryRunResults');
+        if (!container) return;
+
+        const maxRequestsShown = 20;
+        const renderIssues = issues => issues.length > 0 ? `
+            <ul class="dry-run-issues">
+                ${issues.map(issue => `<li>⚠️ ${this.escapeHTML(issue)}</li>`).join('')}
+            </ul>
+        ` : '';
+
+        container.innerHTML = `
+            <div class="dry-run-summary">
+                <strong>${plan.steps.length}</strong> steps,
+                <strong>${plan.totalRequests}</strong> requests,
+                <strong style="color: ${plan.totalIssues > 0 ? '#dc3545' : '#28a745'};">${plan.totalIssues}</strong> issue${plan.totalIssues !== 1 ? 's' : ''}
+            </div>
+            ${plan.steps.map(step => `
+                <div class="dry-run-step">
+                    <div class="dry-run-step-header">
+                        Step ${step.step}: <span class="endpoint-method method-${step.method.toLowerCase()}">${step.method}</span>
+                        <code>${this.escapeHTML(step.path)}</code>
+                        ${step.mode === 'iteration' ? `<span class="api-badge"${step.filteredOut || step.limitedOut ? ` title="${step.filteredOut || 0} filtered out, ${step.limitedOut || 0} over the limit"` : ''}>🔄 ${step.requests.length} iterations</span>` : ''}
+                        ${step.pagination ? `<span class="api-badge" title="Requests below are first pages; up to ${step.pagination.maxPages} pages / ${step.pagination.maxRecords} records each">📄 all pages</span>` : ''}
+                        ${step.condition ? `<span class="api-badge" title="Runs only if ${this.escapeHTML(step.condition)}">🔀 ${step.conditionResult === false ? 'would be skipped' : 'conditional'}</span>` : ''}
+                        ${step.usesStubbedData ? '<span class="api-badge" title="Depends on a step that has not run yet, values come from stubbed sample data">stubbed input</span>' : ''}
+                        ${step.authProfile ? `<small>🔑 ${this.escapeHTML(step.authProfile)}</small>` : ''}
+                    </div>
+                    ${renderIssues(step.issues)}
+                    ${step.requests.slice(0, maxRequestsShown).map(request => `
+                        <div class="dry-run-request">
+                            <pre>${request.method} ${this.escapeHTML(request.url)}${request.body !== null ? `\n${this.escapeHTML(typeof request.body === 'string' ? request.body : JSON.stringify(request.body, null, 2))}` : ''}</pre>
+                            ${renderIssues(request.issues)}
+                        </div>
+                    `).join('')}
+                    ${step.requests.length > maxRequestsShown ? `<small>... and ${step.requests.length - maxRequestsShown} more requests (included in the exported plan)</small>` : ''}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    exportSequencePlan() {
+        if (!this.sequencePlan) return;
+
+        const blob = new Blob([JSON.stringify(this.sequencePlan, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `asana-api-sequence-plan-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        this.showSequenceMessage('✅ Request plan exported', 'success');
+    }
+
+    async executeSequenceItem(itemId, options = {}) {
         const item = this.apiSequence.find(item => item.id === itemId);
         if (!item) return;
 
-        try {
-            // Reset previous state
-            item.executed = false;
-            item.result = null;
-            item.error = null;
+        // Only a resumed run picks up the iterations a paused one already finished
+        if (!options.resume) {
+            item.iterationState = null;
 
-            // Check if this step should iterate
-            console.log(`🔄 Checking iteration conditions for ${item.id}:`);
-            console.log(`🔄 item.iteration:`, item.iteration);
-            console.log(`🔄 item.iteration.enabled:`, item.iteration?.enabled);
-            console.log(`🔄 item.iteration.sourceField:`, item.iteration?.sourceField);
-            
-            if (item.iteration && item.iteration.enabled && item.iteration.sourceField) {
-                console.log(`🔄 Executing in ITERATION mode`);
-                await this.executeIterativeSequenceItem(item);
-            } else {
-                if (item.iteration?.enabled && !item.iteration?.sourceField) {
-                    console.warn(`⚠️ Iteration is enabled but no source field selected - executing in single mode`);
-                    // Show user-friendly message
-                    this.showSequenceMessage('⚠️ Iteration enabled but no source field selected. Please configure the iteration source in step settings.', 'warning');
-                } else {
-                    console.log(`🔄 Executing in SINGLE mode (iteration not properly configured)`);
+            const missingInputs = this.getReferencedInputNames(item).filter(name => this.sequenceInputValues[name] === undefined);
+            if (!this.promptSequenceInputs(missingInputs)) {
+                return;
+            }
+        }
+
+        const policy = this.getErrorPolicy(item);
+        const attempts = policy.onError === 'retry' ? policy.retries + 1 : 1;
+
+        item.iterationRetryState = null;
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            if (attempt > 0) {
+                console.warn(`🔁 Retrying step ${item.id} (${attempt}/${policy.retries}) after error:`, item.error);
+                // Successful iterations aren't sent again, a write would create duplicates
+                if (item.iterationRetryState) {
+                    item.iterationState = item.iterationRetryState;
                 }
-                await this.executeSingleSequenceItem(item);
             }
+            await this.runSequenceItemAttempt(item);
+            item.retryAttempts = attempt;
 
-        } catch (error) {
-            item.error = `Execution Error: ${error.message}`;
-            item.executed = true;
-            console.error('Sequence item execution failed:', error);
+            if (!item.error || item.interrupted || (this.sequenceRun && this.sequenceRun.status !== 'running')) break;
+        }
+        item.iterationRetryState = null;
+
+        item.errorHandled = null;
+        if (item.error && !item.interrupted) {
+            this.applyErrorPolicy(item);
         }
 
         this.renderSequence();
     }
 
-    async executeSingleSequenceItem(item) {
-        // Set current sequence item context for parameter building
-        this.currentSequenceItem = item;
+    buildSequenceRequest(item, issues = []) {
+        // Shared by executeSingleSequenceItem and the dry run, so a plan shows exactly what would be sent
+        const previousItem = this.currentSequenceItem;
+        this.currentSequenceItem = item; // Parameter building reads the current sequence item
+
+        const resolveTracked = (location) => (value) => {
+            const resolvedValue = this.resolveVariablePlaceholder(value);
+            if (resolvedValue === null || resolvedValue === undefined) {
+                issues.push(`${location}: ${value} could not be resolved`);
+            }
+            return resolvedValue;
+        };
 
         try {
             // Build URL with variable substitution
-            let url = `${this.baseUrl}${item.endpoint.path}`;
+            let url = `${this.getBaseUrlForEndpoint(item.endpoint)}${item.endpoint.path}`;
             
             // Apply variable mappings to path parameters
             const pathParams = this.extractPathParameters(item.endpoint.path);
@@ -3755,16 +7625,18 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
                 
                 // Check if value contains variable placeholder
                 if (typeof value === 'string' && value && value.includes('{{') && value.includes('}}')) {
-                    value = this.resolveVariablePlaceholder(value);
+                    value = resolveTracked(`Path parameter {${param}}`)(value);
                 }
                 
                 if (value) {
                     url = url.replace(`{${param}}`, encodeURIComponent(value));
+                } else {
+                    issues.push(`Missing path parameter {${param}}`);
                 }
             });
 
             // Build query parameters with variable substitution
-            const queryParams = this.buildQueryParameters(-1); // Use -1 to indicate sequence execution
+            const queryParams = this.buildQueryParameters(-1, issues); // Use -1 to indicate sequence execution
             
             if (queryParams.toString()) {
                 url += `?${queryParams.toString()}`;
@@ -3774,23 +7646,126 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
             const fetchOptions = {
                 method: item.endpoint.method,
                 headers: {
-                    'Authorization': `Bearer ${this.personalAccessToken}`,
+                    ...this.resolveHeaderParameters(item.parameters.header, resolveTracked('Header')),
                     'Accept': 'application/json'
                 }
             };
 
+            let bodyError = null;
             if (item.parameters.body && ['POST', 'PUT', 'PATCH'].includes(item.endpoint.method)) {
                 fetchOptions.headers['Content-Type'] = 'application/json';
-                fetchOptions.body = item.parameters.body;
+                const resolvedBody = this.resolveTemplateBody(item.parameters.body);
+                if (resolvedBody === null) {
+                    bodyError = 'a body placeholder could not be resolved';
+                    issues.push('Body: a placeholder could not be resolved, the step fails instead of sending the request');
+                } else {
+                    fetchOptions.body = resolvedBody;
+                }
+            }
+
+            const request = { url, fetchOptions, issues, bodyError };
+            this.findUnresolvedPlaceholders(request);
+            return request;
+        } finally {
+            this.currentSequenceItem = previousItem;
+        }
+    }
+
+    findUnresolvedPlaceholders(request) {
+        // Anything still looking like {{...}} would be sent literally
+        let decodedUrl = request.url;
+        try {
+            decodedUrl = decodeURIComponent(request.url);
+        } catch (error) {
+            // Keep the encoded URL if it has stray % characters
+        }
+
+        const locations = {
+            URL: decodedUrl,
+            headers: Object.values(request.fetchOptions.headers).join(' '),
+            body: request.fetchOptions.body || ''
+        };
+
+        Object.entries(locations).forEach(([location, text]) => {
+            const placeholders = [...new Set(text.match(/\{\{[^}]+\}\}/g) || [])];
+            placeholders.forEach(placeholder => {
+                request.issues.push(`Unresolved placeholder ${placeholder} in ${location}`);
+            });
+        });
+
+        return request.issues;
+    }
+
+    async runSequenceItemAttempt(item) {
+        try {
+            // Reset previous state; later steps must not read the result of an earlier run
+            item.executed = false;
+            item.result = null;
+            item.error = null;
+            item.validation = null;
+            item.interrupted = null;
+            item.skipped = false;
+            this.sequenceResults.delete(item.id);
+
+            // Check if this step should iterate
+            console.log(`🔄 Checking iteration conditions for ${item.id}:`);
+            console.log(`🔄 item.iteration:`, item.iteration);
+            console.log(`🔄 item.iteration.enabled:`, item.iteration?.enabled);
+            console.log(`🔄 item.iteration.sourceField:`, item.iteration?.sourceField);
+            
+            if (item.iteration && item.iteration.enabled && item.iteration.sourceField) {
+                console.log(`🔄 Executing in ITERATION mode`);
+                await this.executeIterativeSequenceItem(item);
+            } else {
+                if (item.iteration?.enabled && !item.iteration?.sourceField) {
+                    console.warn(`⚠️ Iteration is enabled but no source field selected - executing in single mode`);
+                    // Show user-friendly message
+                    this.showSequenceMessage('⚠️ Iteration enabled but no source field selected. Please configure the iteration source in step settings.', 'warning');
+                } else {
+                    console.log(`🔄 Executing in SINGLE mode (iteration not properly configured)`);
+                }
+                await this.executeSingleSequenceItem(item);
+            }
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // Not a failure: the step is unfinished, partial iteration results stay on the item
+                item.interrupted = this.sequenceRun?.status === 'stopped' ? 'stopped' : 'paused';
+                item.iterationProgress = null;
+                console.log(`⏸ Step ${item.id} interrupted`);
+            } else {
+                item.error = `Execution Error: ${error.message}`;
+                item.executed = true;
+                console.error('Sequence item execution failed:', error);
+            }
+        }
+    }
+
+    async executeSingleSequenceItem(item) {
+        // Set current sequence item context for parameter building
+        this.currentSequenceItem = item;
+
+        try {
+            const { url, fetchOptions, issues, bodyError } = this.buildSequenceRequest(item);
+            if (issues.length > 0) {
+                console.warn(`⚠️ Request for ${item.endpoint.method} ${item.endpoint.path} has issues:`, issues);
+            }
+            if (bodyError) {
+                // A write without its body would do something other than what the step describes
+                item.error = `Body Error: ${bodyError}`;
+                item.executed = true;
+                return;
             }
+            Object.assign(fetchOptions.headers, this.getStepAuthHeaders(item));
+            this.applySequenceSignal(item, fetchOptions, this.getSequenceSignal());
 
             // Execute request
-            const response = await fetch(url, fetchOptions);
-            const responseData = await response.json();
+            const { response, responseData, pages } = await this.fetchSequenceResponse(item, url, fetchOptions, this.getStepAuthProfile(item));
 
             if (response.ok) {
                 item.result = responseData;
                 item.executed = true;
+                item.validation = this.validateResponse(item.endpoint, pages);
                 this.sequenceResults.set(item.id, responseData);
             } else {
                 item.error = `${response.status}: ${responseData.errors?.[0]?.message || 'API call failed'}`;
@@ -3807,21 +7782,28 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
         console.log(`🔄 Starting iteration for step ${item.id} with configuration:`, item.iteration);
         
         // Get the array data to iterate over
-        const iterationData = this.resolveVariable(item.iteration.sourceField);
+        const sourceData = this.resolveVariable(item.iteration.sourceField);
         
-        if (!Array.isArray(iterationData)) {
-            throw new Error(`Iteration source ${item.iteration.sourceField} is not an array or does not exist. Got: ${typeof iterationData}`);
+        if (!Array.isArray(sourceData)) {
+            throw new Error(`Iteration source ${item.iteration.sourceField} is not an array or does not exist. Got: ${typeof sourceData}`);
         }
 
-        console.log(`🔄 Iterating over ${iterationData.length} items from ${item.iteration.sourceField}`);
+        // A resumed step keeps the selection of its paused run, random samples included
+        const selection = item.iterationState?.selection || this.selectIterationItems(item, sourceData);
+        const iterationData = selection.items;
+
+        console.log(`🔄 Iterating over ${iterationData.length} items from ${item.iteration.sourceField}` +
+            (iterationData.length < sourceData.length ? ` (${selection.filteredOut} filtered out, ${selection.limitedOut} over the limit)` : ''));
         
         const iterationResults = [];
+        const iterationPages = []; // Raw pages of every iteration, for schema validation
         const iterationErrors = [];
         const variableName = item.iteration.iterationVariable || 'item';
+        const authProfile = this.getStepAuthProfile(item);
         
         // Validate that parameters contain proper iteration placeholders
         const allParams = JSON.stringify(item.parameters);
-        const properPlaceholderPattern = new RegExp(`\\{\\{${variableName}\\.(\\w+)\\}\\}`, 'g');
+        const properPlaceholderPattern = new RegExp(`\\{\\{${variableName}(?:\\.[\\w-]+|\\[\\d+\\])*\\}\\}`, 'g');
         const singleBracePlaceholders = allParams.match(/\{(\w+)\}/g);
         const doubleBracePlaceholders = allParams.match(properPlaceholderPattern);
         
@@ -3838,158 +7820,117 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
         // Store original parameters as template
         const originalParameters = JSON.parse(JSON.stringify(item.parameters));
 
+        // Outcomes are stored by index so results keep the source order whatever order requests finish in.
+        // A resumed step starts from the outcomes its paused run already collected.
+        const signal = this.getSequenceSignal();
+        const previousState = item.iterationState;
+        const outcomes = previousState && previousState.total === iterationData.length
+            ? previousState.outcomes.slice()
+            : new Array(iterationData.length);
+        const pending = [];
         for (let i = 0; i < iterationData.length; i++) {
+            if (!outcomes[i]) pending.push(i);
+        }
+        const concurrency = this.getIterationConcurrency(item);
+        const progress = {
+            total: iterationData.length,
+            inFlight: 0,
+            completed: outcomes.filter(outcome => outcome && !outcome.error).length,
+            failed: outcomes.filter(outcome => outcome && outcome.error).length
+        };
+        if (pending.length < iterationData.length) {
+            console.log(`▶ Resuming iteration with ${pending.length}/${iterationData.length} items left`);
+        }
+        item.iterationProgress = progress;
+        this.updateIterationProgress(item);
+
+        const runIteration = async (i) => {
             const iterationItem = iterationData[i];
             console.log(`🔄 Iteration ${i + 1}/${iterationData.length}:`, iterationItem);
 
             try {
-                // Set current iteration context
-                this.currentIterationContext = {
-                    [variableName]: iterationItem
-                };
-
-                // Build URL for this iteration
-                let url = `${this.baseUrl}${item.endpoint.path}`;
-                
-                // Apply path parameters with iteration context
-                const pathParams = this.extractPathParameters(item.endpoint.path);
-                console.log(`🔄 Path parameters needed:`, pathParams);
-                console.log(`🔄 Original path parameters:`, originalParameters.path);
-                
-                pathParams.forEach(param => {
-                    let value = originalParameters.path[param];
-                    console.log(`🔄 Processing path param ${param}: original value = "${value}"`);
-                    
-                    // Check if there's a variable mapping
-                    if (item.variableMappings[param]) {
-                        value = this.resolveVariable(item.variableMappings[param]);
-                        console.log(`🔄 Resolved via variable mapping to: ${value}`);
-                    }
-                    
-                    // Check if value contains iteration variable placeholder
-                    if (typeof value === 'string' && value && value.includes('{{') && value.includes('}}')) {
-                        console.log(`🔄 Found iteration placeholder in path param ${param}: ${value}`);
-                        console.log(`🔄 Iteration item structure:`, iterationItem);
-                        console.log(`🔄 Available fields in iteration item:`, Object.keys(iterationItem || {}));
-                        value = this.resolveIterationPlaceholder(value, variableName, iterationItem);
-                        console.log(`🔄 Resolved to: ${value}`);
-                        
-                        // Double-check if resolution failed
-                        if (value === `{{${variableName}.gid}}` || value.includes('{{')) {
-                            console.error(`❌ Iteration placeholder resolution failed!`);
-                            console.error(`❌ Original: {{${variableName}.gid}}`);
-                            console.error(`❌ Variable name: ${variableName}`);
-                            console.error(`❌ Looking for field: gid`);
-                            console.error(`❌ In item:`, iterationItem);
-                            
-                            // Try direct field access as fallback
-                            if (iterationItem && iterationItem.gid) {
-                                console.log(`🔄 Using direct field access fallback`);
-                                value = iterationItem.gid;
-                            }
-                        }
-                    }
-                    
-                    if (value) {
-                        console.log(`🔄 Replacing {${param}} in URL with: ${value}`);
-                        url = url.replace(`{${param}}`, encodeURIComponent(value));
-                    } else {
-                        console.warn(`⚠️ No value found for required path parameter: ${param}`);
-                    }
-                });
-                
-                console.log(`🔄 Final URL: ${url}`);
-
-                // Build query parameters with iteration context
-                const queryParams = new URLSearchParams();
-                console.log(`🔄 Building query parameters for iteration ${i + 1}:`);
-                console.log(`🔄 Original query parameters:`, originalParameters.query);
-                
-                Object.entries(originalParameters.query || {}).forEach(([key, value]) => {
-                    if (value) {
-                        let resolvedValue = value;
-                        console.log(`🔄 Processing query param: ${key} = "${value}"`);
-                        
-                        // Resolve iteration placeholders in query parameters
-                        if (typeof resolvedValue === 'string' && resolvedValue.includes('{{') && resolvedValue.includes('}}')) {
-                            console.log(`🔄 Found iteration placeholder in ${key}: ${resolvedValue}`);
-                            resolvedValue = this.resolveIterationPlaceholder(resolvedValue, variableName, iterationItem);
-                            console.log(`🔄 Resolved to: ${resolvedValue}`);
-                        }
-                        
-                        if (resolvedValue) {
-                            queryParams.append(key, resolvedValue);
-                            console.log(`🔄 Added final query param: ${key} = ${resolvedValue}`);
-                        }
-                    }
-                });
-                
-                console.log(`🔄 Final query string: ${queryParams.toString()}`);
-
-                if (queryParams.toString()) {
-                    url += `?${queryParams.toString()}`;
+                const parentItem = selection.parents ? selection.parents[i] : null;
+                const { url, fetchOptions, issues, bodyError } = this.buildIterationRequest(item, originalParameters, variableName, iterationItem, [], parentItem);
+                if (issues.length > 0) {
+                    console.warn(`⚠️ Iteration ${i + 1} request has issues:`, issues);
                 }
-
-                // Prepare request with iteration context
-                const fetchOptions = {
-                    method: item.endpoint.method,
-                    headers: {
-                        'Authorization': `Bearer ${this.personalAccessToken}`,
-                        'Accept': 'application/json'
-                    }
-                };
-
-                if (originalParameters.body && ['POST', 'PUT', 'PATCH'].includes(item.endpoint.method)) {
-                    fetchOptions.headers['Content-Type'] = 'application/json';
-                    let resolvedBody = originalParameters.body;
-                    
-                    console.log(`🔄 Original body:`, resolvedBody);
-                    
-                    // Resolve iteration placeholders in body
-                    if (resolvedBody.includes('{{') && resolvedBody.includes('}}')) {
-                        resolvedBody = this.resolveIterationPlaceholder(resolvedBody, variableName, iterationItem);
-                        console.log(`🔄 Resolved body:`, resolvedBody);
-                    }
-                    
-                    fetchOptions.body = resolvedBody;
+                if (bodyError) {
+                    throw new Error(bodyError);
                 }
+                // Read per request, an OAuth refresh during the loop replaces the token
+                Object.assign(fetchOptions.headers, this.getStepAuthHeaders(item));
+                this.applySequenceSignal(item, fetchOptions, signal);
 
                 console.log(`🔄 Executing iteration ${i + 1}: ${item.endpoint.method} ${url}`);
                 console.log(`🔄 Request options:`, fetchOptions);
 
                 // Execute request for this iteration
-                const response = await fetch(url, fetchOptions);
-                const responseData = await response.json();
+                const { response, responseData, pages } = await this.fetchSequenceResponse(item, url, fetchOptions, authProfile);
 
                 console.log(`🔄 Response status:`, response.status);
                 console.log(`🔄 Response data:`, responseData);
 
                 if (response.ok) {
-                    iterationResults.push(responseData);
+                    outcomes[i] = { responseData, pages };
                     console.log(`✅ Iteration ${i + 1} successful`);
                 } else {
                     const errorMsg = `Iteration ${i + 1}: ${response.status}: ${responseData.errors?.[0]?.message || responseData.error || 'API call failed'}`;
-                    iterationErrors.push(errorMsg);
+                    outcomes[i] = { error: errorMsg };
                     console.error(`❌ ${errorMsg}`);
                     console.error(`❌ Full error response:`, responseData);
                     console.error(`❌ Request URL was:`, url);
                     console.error(`❌ Request options were:`, fetchOptions);
                 }
 
-                // Add delay between iterations to be respectful
-                if (i < iterationData.length - 1) {
-                    await new Promise(resolve => setTimeout(resolve, 200));
-                }
-
             } catch (iterationError) {
+                // Aborted iterations stay unfinished so a resume runs them again
+                if (iterationError.name === 'AbortError') {
+                    return;
+                }
                 const errorMsg = `Iteration ${i + 1}: ${iterationError.message}`;
-                iterationErrors.push(errorMsg);
+                outcomes[i] = { error: errorMsg };
                 console.error(`❌ ${errorMsg}`);
-            } finally {
-                // Clear iteration context
-                this.currentIterationContext = null;
             }
-        }
+        };
+
+        // A fixed pool of workers pulls the next index; the request scheduler still enforces the rate budget
+        let nextIndex = 0;
+        const worker = async () => {
+            while (nextIndex < pending.length && !signal?.aborted) {
+                const i = pending[nextIndex++];
+                progress.inFlight++;
+                this.updateIterationProgress(item);
+
+                await runIteration(i);
+
+                progress.inFlight--;
+                if (outcomes[i]) {
+                    progress[outcomes[i].error ? 'failed' : 'completed']++;
+                }
+                this.updateIterationProgress(item);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+
+        const unfinished = outcomes.filter(outcome => outcome).length < iterationData.length;
+        item.iterationState = unfinished ? { total: iterationData.length, outcomes, selection } : null;
+        // Kept for the retry error policy, which only re-sends the iterations that failed
+        item.iterationRetryState = unfinished ? null : {
+            total: iterationData.length,
+            outcomes: outcomes.map(outcome => outcome.error ? undefined : outcome),
+            selection
+        };
+
+        outcomes.forEach(outcome => {
+            if (!outcome) return;
+            if (outcome.error) {
+                iterationErrors.push(outcome.error);
+            } else {
+                iterationResults.push(outcome.responseData);
+                iterationPages.push(...outcome.pages);
+            }
+        });
+        item.iterationProgress = null;
 
         // Process results based on unifyResults setting
         if (item.iteration.unifyResults) {
@@ -4024,50 +7965,344 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
             };
         }
 
-        // Handle errors
-        if (iterationErrors.length > 0) {
-            if (iterationErrors.length === iterationData.length) {
-                // All iterations failed
-                item.error = `All ${iterationErrors.length} iterations failed: ${iterationErrors[0]}`;
-            } else {
-                // Some iterations failed
-                console.warn(`⚠️ ${iterationErrors.length}/${iterationData.length} iterations failed:`, iterationErrors);
-                // Store errors in result for reference but don't fail the step
-                item.result.iteration_errors = iterationErrors;
-            }
+        if (item.iteration.filter || item.iteration.limit || selection.parents) {
+            Object.assign(item.result.iteration_summary, {
+                source_items: selection.sourceCount,
+                filtered_out: selection.filteredOut,
+                limited_out: selection.limitedOut
+            });
+        }
+        if (selection.parents) {
+            item.result.iteration_summary.flattened_path = item.iteration.flattenPath.trim();
+            item.result.iteration_summary.flattened_items = selection.flattenedCount;
+        }
+
+        // Handle errors
+        const maxFailurePercent = this.getErrorPolicy(item).maxFailurePercent;
+        const failedPercent = iterationData.length ? iterationErrors.length / iterationData.length * 100 : 0;
+        if (iterationErrors.length > 0) {
+            if (iterationErrors.length === iterationData.length) {
+                // All iterations failed
+                item.error = `All ${iterationErrors.length} iterations failed: ${iterationErrors[0]}`;
+            } else if (failedPercent > maxFailurePercent) {
+                item.error = `${iterationErrors.length}/${iterationData.length} iterations failed (${Math.round(failedPercent)}%, threshold ${maxFailurePercent}%): ${iterationErrors[0]}`;
+                item.result.iteration_errors = iterationErrors;
+            } else {
+                // Some iterations failed
+                console.warn(`⚠️ ${iterationErrors.length}/${iterationData.length} iterations failed:`, iterationErrors);
+                // Store errors in result for reference but don't fail the step
+                item.result.iteration_errors = iterationErrors;
+            }
+        }
+
+        // Pagination totals across iterations
+        const pagination = this.getPaginationSettings(item);
+        if (pagination.enabled) {
+            item.result.iteration_summary.pages_fetched = iterationResults
+                .reduce((sum, result) => sum + (result.pagination_summary?.pages_fetched || 1), 0);
+            item.result.iteration_summary.truncated_iterations = iterationResults
+                .filter(result => result.pagination_summary?.truncated).length;
+        } else {
+            item.result.iteration_summary.unfetched_pages = iterationResults
+                .filter(result => result.next_page?.offset).length;
+        }
+
+        // Validate each raw iteration response, the unified result is our own shape
+        item.validation = this.validateResponse(item.endpoint, iterationPages);
+
+        item.executed = true;
+        this.sequenceResults.set(item.id, item.result);
+
+        // Completed iterations are kept as a partial result; the caller marks the step interrupted
+        if (unfinished) {
+            item.result.iteration_summary.unfinished_iterations = iterationData.length - iterationResults.length - iterationErrors.length;
+            throw new DOMException(`Iteration interrupted after ${iterationResults.length + iterationErrors.length}/${iterationData.length} items`, 'AbortError');
+        }
+
+        console.log(`🏁 Iteration completed: ${iterationResults.length}/${iterationData.length} successful iterations`);
+    }
+
+    buildIterationRequest(item, originalParameters, variableName, iterationItem, issues = [], parentItem = null) {
+        // Shared by executeIterativeSequenceItem and the dry run.
+        // parentItem is the source record a flattened sub-array item came from.
+        let url = `${this.getBaseUrlForEndpoint(item.endpoint)}${item.endpoint.path}`;
+        
+        // Apply path parameters with iteration context
+        const pathParams = this.extractPathParameters(item.endpoint.path);
+        
+        pathParams.forEach(param => {
+            let value = originalParameters.path[param];
+            
+            // Check if there's a variable mapping
+            if (item.variableMappings[param]) {
+                value = this.resolveVariable(item.variableMappings[param]);
+            }
+            
+            // Check if value contains iteration variable placeholder
+            if (typeof value === 'string' && value && value.includes('{{') && value.includes('}}')) {
+                value = this.resolveIterationPlaceholder(value, variableName, iterationItem, parentItem);
+                
+                // Double-check if resolution failed
+                if (value === null || value.includes('{{')) {
+                    // Try direct field access as fallback
+                    if (iterationItem && iterationItem.gid) {
+                        value = iterationItem.gid;
+                    }
+                }
+            }
+            
+            if (value) {
+                url = url.replace(`{${param}}`, encodeURIComponent(value));
+            } else {
+                issues.push(`Missing path parameter {${param}}`);
+            }
+        });
+
+        // Build query parameters with iteration context
+        const queryParams = new URLSearchParams();
+        
+        Object.entries(originalParameters.query || {}).forEach(([key, value]) => {
+            if (value) {
+                let resolvedValue = value;
+                
+                // Resolve iteration placeholders in query parameters
+                if (typeof resolvedValue === 'string' && resolvedValue.includes('{{') && resolvedValue.includes('}}')) {
+                    resolvedValue = this.resolveIterationPlaceholder(resolvedValue, variableName, iterationItem, parentItem);
+                }
+                
+                if (resolvedValue) {
+                    queryParams.append(key, resolvedValue);
+                } else {
+                    issues.push(`Query parameter "${key}": ${value} could not be resolved, the parameter is dropped`);
+                }
+            }
+        });
+
+        if (queryParams.toString()) {
+            url += `?${queryParams.toString()}`;
+        }
+
+        // Prepare request with iteration context
+        const fetchOptions = {
+            method: item.endpoint.method,
+            headers: {
+                ...this.resolveHeaderParameters(originalParameters.header, value => {
+                    const resolvedValue = this.resolveIterationPlaceholder(value, variableName, iterationItem, parentItem);
+                    if (resolvedValue === null || resolvedValue === undefined) {
+                        issues.push(`Header: ${value} could not be resolved`);
+                    }
+                    return resolvedValue;
+                }),
+                'Accept': 'application/json'
+            }
+        };
+
+        let bodyError = null;
+        if (originalParameters.body && ['POST', 'PUT', 'PATCH'].includes(item.endpoint.method)) {
+            fetchOptions.headers['Content-Type'] = 'application/json';
+            const resolvedBody = this.resolveTemplateBody(
+                originalParameters.body,
+                this.getIterationRootResolver(variableName, iterationItem, parentItem)
+            );
+            if (resolvedBody === null) {
+                bodyError = 'a body placeholder could not be resolved';
+                issues.push('Body: a placeholder could not be resolved, the iteration fails instead of sending the request');
+            } else {
+                fetchOptions.body = resolvedBody;
+            }
+        }
+
+        const request = { url, fetchOptions, issues, bodyError };
+        this.findUnresolvedPlaceholders(request);
+        return request;
+    }
+
+    getSuccessResponseSchema(endpoint) {
+        if (!endpoint.responses) {
+            return null;
+        }
+
+        const successStatus = Object.keys(endpoint.responses)
+            .filter(status => /^2\d\d$/.test(status))
+            .sort()[0];
+
+        return successStatus ? endpoint.responses[successStatus].schema : null;
+    }
+
+    validateResponse(endpoint, responses) {
+        const schema = this.getSuccessResponseSchema(endpoint);
+        if (!schema) {
+            return null;
+        }
+
+        // Issues are grouped by normalized path (data[*].name) so a 500 item array reports each problem once
+        const issues = new Map();
+        responses.forEach(responseData => {
+            this.validateAgainstSchema(responseData, schema, '', issues, 0);
+        });
+
+        const issueList = Array.from(issues.values());
+        if (issueList.length > 0) {
+            console.warn(`⚠️ ${endpoint.method} ${endpoint.path} response does not match its schema:`, issueList);
+        }
+
+        return {
+            valid: issueList.length === 0,
+            issues: issueList,
+            checkedResponses: responses.length
+        };
+    }
+
+    validateAgainstSchema(value, schema, path, issues, depth) {
+        if (!schema || depth > 12 || schema['x-circular-ref'] || schema['x-unresolved-ref']) {
+            return;
+        }
+
+        const addIssue = (kind, message, issuePath = path) => {
+            const key = `${kind}:${issuePath}`;
+            const existing = issues.get(key);
+            if (existing) {
+                existing.count++;
+            } else {
+                issues.set(key, { kind, path: issuePath || '(root)', message, count: 1 });
+            }
+        };
+
+        if (value === null) {
+            if (!schema.nullable && schema.type) {
+                addIssue('type', `Expected ${schema.type}, got null`);
+            }
+            return;
+        }
+
+        // oneOf/anyOf pass when any alternative validates cleanly
+        const alternatives = schema.oneOf || schema.anyOf;
+        if (alternatives) {
+            const matches = alternatives.some(alternative => {
+                const alternativeIssues = new Map();
+                this.validateAgainstSchema(value, alternative, path, alternativeIssues, depth + 1);
+                return alternativeIssues.size === 0;
+            });
+            if (!matches) {
+                addIssue('type', `Value does not match any of the ${alternatives.length} documented alternatives`);
+            }
+            return;
+        }
+
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+        const expectedType = schema.type || (schema.properties ? 'object' : null);
+
+        if (expectedType) {
+            const typeMatches = expectedType === 'integer'
+                ? Number.isInteger(value)
+                : expectedType === actualType;
+
+            if (!typeMatches) {
+                addIssue('type', `Expected ${expectedType}, got ${actualType}`);
+                return;
+            }
+        }
+
+        if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+            addIssue('type', `Value ${JSON.stringify(value)} is not one of the documented values`);
+        }
+
+        if (actualType === 'array' && schema.items) {
+            value.forEach(element => {
+                this.validateAgainstSchema(element, schema.items, `${path}[*]`, issues, depth + 1);
+            });
+            return;
+        }
+
+        if (actualType === 'object') {
+            const properties = schema.properties || {};
+            const childPath = name => path ? `${path}.${name}` : name;
+
+            (schema.required || []).forEach(name => {
+                if (value[name] === undefined) {
+                    addIssue('missing', 'Required field is missing', childPath(name));
+                }
+            });
+
+            const allowsAdditional = schema.additionalProperties !== undefined && schema.additionalProperties !== false;
+            Object.entries(value).forEach(([name, propertyValue]) => {
+                if (properties[name]) {
+                    this.validateAgainstSchema(propertyValue, properties[name], childPath(name), issues, depth + 1);
+                } else if (allowsAdditional && typeof schema.additionalProperties === 'object') {
+                    this.validateAgainstSchema(propertyValue, schema.additionalProperties, childPath(name), issues, depth + 1);
+                } else if (schema.properties && !allowsAdditional) {
+                    addIssue('unexpected', 'Property is not documented in the response schema', childPath(name));
+                }
+            });
+        }
+    }
+
+    renderValidationSummary(item) {
+        if (!item.validation) {
+            return '';
+        }
+
+        if (item.validation.valid) {
+            return `<div class="validation-summary valid">✔ Response matches the documented schema</div>`;
         }
 
-        item.executed = true;
-        this.sequenceResults.set(item.id, item.result);
+        const kindLabels = {
+            missing: 'Missing required field',
+            type: 'Type mismatch',
+            unexpected: 'Unexpected property'
+        };
 
-        console.log(`🏁 Iteration completed: ${iterationResults.length}/${iterationData.length} successful iterations`);
+        return `
+            <details class="validation-summary invalid">
+                <summary>⚠️ ${item.validation.issues.length} schema issue${item.validation.issues.length !== 1 ? 's' : ''} in response</summary>
+                <ul>
+                    ${item.validation.issues.slice(0, 50).map(issue => `
+                        <li>
+                            <strong>${kindLabels[issue.kind]}</strong>
+                            <code>${this.escapeHTML(issue.path)}</code>: ${this.escapeHTML(issue.message)}
+                            ${issue.count > 1 ? `<small>(×${issue.count})</small>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+                ${item.validation.issues.length > 50 ? `<small>... and ${item.validation.issues.length - 50} more (see console)</small>` : ''}
+            </details>
+        `;
     }
 
-    resolveIterationPlaceholder(value, variableName, iterationItem) {
-        if (typeof value !== 'string') return value;
+    resolveHeaderParameters(headerParams, resolvePlaceholder) {
+        const headers = {};
 
-        console.log(`🔄 resolveIterationPlaceholder input:`, {
-            value: value,
-            variableName: variableName,
-            iterationItem: iterationItem
+        Object.entries(headerParams || {}).forEach(([name, value]) => {
+            let resolvedValue = value;
+            if (typeof resolvedValue === 'string' && resolvedValue.includes('{{') && resolvedValue.includes('}}')) {
+                resolvedValue = resolvePlaceholder(resolvedValue);
+            }
+            if (resolvedValue !== null && resolvedValue !== undefined && resolvedValue !== '') {
+                headers[name] = String(resolvedValue);
+            }
         });
 
-        // Replace iteration variable placeholders like {{item.gid}} or {{item.name}}
-        const iterationPattern = new RegExp(`\\{\\{${variableName}\\.(\\w+)\\}\\}`, 'g');
-        console.log(`🔄 Using pattern: ${iterationPattern.source}`);
-        
-        let resolvedValue = value.replace(iterationPattern, (match, fieldName) => {
-            const fieldValue = iterationItem[fieldName];
-            console.log(`🔄 Resolving iteration placeholder ${match} → field: ${fieldName} → value: ${fieldValue}`);
-            if (fieldValue === undefined) {
-                console.warn(`⚠️ Field ${fieldName} not found in iteration item. Available fields:`, Object.keys(iterationItem || {}));
+        return headers;
+    }
+
+    resolveIterationPlaceholder(value, variableName, iterationItem, parentItem = null) {
+        if (typeof value !== 'string') return value;
+
+        // Template placeholders: {{item.gid}}, {{item.assignee.gid}}, {{item.tags[*].name|join(",")}} and step results.
+        // {{parent.field}} reads the source record of a flattened sub-array item.
+        if (value.includes('{{')) {
+            const resolvedValue = this.resolveTemplate(value, this.getIterationRootResolver(variableName, iterationItem, parentItem));
+            if (resolvedValue === null || resolvedValue === undefined) {
+                return null;
             }
-            return fieldValue !== undefined ? fieldValue : match; // Return original if field not found
-        });
+            // Iteration values always go into URLs, headers and bodies as text
+            return this.stringifyTemplateValue(resolvedValue);
+        }
+
+        let resolvedValue = value;
 
         // Also handle single brace placeholders like {task_gid} (common mistake)
-        if (resolvedValue.includes('{') && resolvedValue.includes('}') && !resolvedValue.includes('{{')) {
-            console.log(`🔄 Found single brace placeholders, attempting to resolve...`);
+        if (resolvedValue.includes('{') && resolvedValue.includes('}')) {
             const singleBracePattern = /\{(\w+)\}/g;
             resolvedValue = resolvedValue.replace(singleBracePattern, (match, fieldName) => {
                 // Try to match field names to iteration item properties
@@ -4087,70 +8322,758 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
                     );
                     if (similarField) {
                         fieldValue = iterationItem[similarField];
-                        console.log(`🔄 Found similar field ${similarField} for ${fieldName}`);
                     }
                 }
                 
-                console.log(`🔄 Resolving single brace placeholder ${match} → ${fieldValue}`);
                 return fieldValue !== undefined ? fieldValue : match;
             });
         }
 
-        // Also handle regular variable placeholders
-        if (resolvedValue.includes('{{') && resolvedValue.includes('}}')) {
-            resolvedValue = this.resolveVariablePlaceholder(resolvedValue);
-        }
-
-        console.log(`🔄 Final resolved value: ${resolvedValue}`);
         return resolvedValue;
     }
 
+    getIterationRootResolver(variableName, iterationItem, parentItem = null) {
+        return name => {
+            if (name === variableName) return iterationItem;
+            if (name === 'parent' && parentItem) return parentItem;
+            return this.getTemplateRoot(name);
+        };
+    }
+
     resolveVariable(variablePath) {
-        const [itemId, ...pathParts] = variablePath.split('.');
-        const result = this.sequenceResults.get(itemId);
-        
-        console.log(`Resolving variable path: ${variablePath}`);
-        console.log(`ItemId: ${itemId}, Available results:`, Array.from(this.sequenceResults.keys()));
-        
-        if (!result) {
-            console.log(`No result found for itemId: ${itemId}`);
-            return null;
+        const value = this.evaluateTemplateExpression(variablePath);
+        console.log(`Resolving variable path: ${variablePath} →`, value);
+        return value === undefined ? null : value;
+    }
+
+    getTemplateRoot(name) {
+        // Step results by sequence ID or step name, sequence inputs, plus the current time for date filters
+        if (name === 'input') return this.sequenceInputValues;
+        if (name === 'now') return new Date().toISOString();
+        if (name === 'today') return this.formatTemplateDate(new Date(), 'YYYY-MM-DD');
+        if (this.sequenceResults.has(name)) return this.sequenceResults.get(name);
+
+        const namedItem = this.apiSequence.find(item => item.name === name);
+        return namedItem ? this.sequenceResults.get(namedItem.id) : undefined;
+    }
+
+    resolveTemplate(value, resolveRoot = name => this.getTemplateRoot(name)) {
+        if (typeof value !== 'string' || !value.includes('{{')) return value;
+
+        // A value that is exactly one placeholder keeps the resolved type (arrays, numbers, objects)
+        const single = value.match(/^\{\{([^{}]+)\}\}$/);
+        if (single) {
+            const resolved = this.tryTemplateExpression(single[1], resolveRoot);
+            return resolved === undefined ? null : resolved;
         }
-        
-        let value = result;
-        console.log(`Starting with result:`, result);
-        
-        for (const part of pathParts) {
-            if (part.includes('[') && part.includes(']')) {
-                // Handle array access like data[0]
-                const [arrayName, indexStr] = part.split('[');
-                const index = parseInt(indexStr.replace(']', ''));
-                value = value[arrayName]?.[index];
-                console.log(`Accessing ${arrayName}[${index}]:`, value);
+
+        let unresolved = false;
+        const text = value.replace(/\{\{([^{}]+)\}\}/g, (match, expression) => {
+            const resolved = this.tryTemplateExpression(expression, resolveRoot);
+            if (resolved === undefined || resolved === null) {
+                unresolved = true;
+                return match;
+            }
+            return this.stringifyTemplateValue(resolved);
+        });
+
+        // Half-resolved strings would be sent with literal {{...}} in them
+        return unresolved ? null : text;
+    }
+
+    resolveTemplateBody(body, resolveRoot = name => this.getTemplateRoot(name)) {
+        // Returns the JSON text to send, or null when a placeholder can't be resolved.
+        // Values are substituted as JSON, never spliced into the text unescaped.
+        if (typeof body !== 'string' || !body.includes('{{')) return body;
+
+        let unresolved = false;
+        let parsed;
+        try {
+            parsed = JSON.parse(body);
+        } catch (error) {
+            // Only valid once resolved, e.g. {"ids": {{step0.data[*].gid}}}
+            const text = body.replace(/\{\{([^{}]+)\}\}/g, (match, expression, offset) => {
+                const resolved = this.tryTemplateExpression(expression, resolveRoot);
+                if (resolved === undefined || resolved === null) {
+                    unresolved = true;
+                    return match;
+                }
+                return this.isInsideJsonString(body, offset)
+                    ? JSON.stringify(this.stringifyTemplateValue(resolved)).slice(1, -1)
+                    : JSON.stringify(resolved);
+            });
+            return unresolved ? null : text;
+        }
+
+        const substitute = value => {
+            if (typeof value === 'string') {
+                if (!value.includes('{{')) return value;
+                const resolved = this.resolveTemplate(value, resolveRoot);
+                if (resolved === null || resolved === undefined) unresolved = true;
+                return resolved;
+            }
+            if (Array.isArray(value)) return value.map(substitute);
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, substitute(entry)]));
+            }
+            return value;
+        };
+        const resolved = substitute(parsed);
+        return unresolved ? null : JSON.stringify(resolved);
+    }
+
+    isInsideJsonString(text, offset) {
+        let inString = false;
+        for (let i = 0; i < offset; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === '"') {
+                inString = !inString;
+            }
+        }
+        return inString;
+    }
+
+    tryTemplateExpression(expression, resolveRoot) {
+        try {
+            return this.evaluateTemplateExpression(expression, resolveRoot);
+        } catch (error) {
+            console.warn(`⚠️ Could not evaluate {{${expression}}}: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    stringifyTemplateValue(value) {
+        if (Array.isArray(value)) {
+            return value.every(entry => entry === null || typeof entry !== 'object')
+                ? value.join(',')
+                : JSON.stringify(value);
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    evaluateTemplateExpression(expression, resolveRoot = name => this.getTemplateRoot(name)) {
+        // path | filter | filter("arg", 2) ...
+        const [path, ...filters] = this.splitTemplatePipes(expression);
+        const segments = this.parseTemplatePath(path.trim());
+        const root = segments.shift();
+        if (!root || root.type !== 'property') {
+            throw new Error(`"${path.trim()}" must start with a name`);
+        }
+
+        let value = this.walkTemplatePath(resolveRoot(root.key), segments);
+        filters.forEach(filter => {
+            const match = filter.trim().match(/^(\w+)\s*(?:\(([\s\S]*)\))?$/);
+            if (!match) throw new Error(`Invalid filter "${filter.trim()}"`);
+            value = this.applyTemplateFilter(value, match[1], this.parseTemplateArguments(match[2] || ''));
+        });
+        return value;
+    }
+
+    splitTemplatePipes(expression) {
+        const parts = [''];
+        let quote = null;
+        for (const char of expression) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '|') {
+                parts.push('');
+                continue;
+            }
+            parts[parts.length - 1] += char;
+        }
+        return parts;
+    }
+
+    parseTemplatePath(path) {
+        // name, .name, [0], [*] and ["quoted key"] segments
+        const segmentPattern = /\.?([A-Za-z_$][\w$-]*)|\[(\d+|\*|"[^"]*"|'[^']*')\]/y;
+        const segments = [];
+        let position = 0;
+        while (position < path.length) {
+            segmentPattern.lastIndex = position;
+            const match = segmentPattern.exec(path);
+            if (!match) throw new Error(`Invalid path "${path}" at "${path.slice(position)}"`);
+            if (match[1] !== undefined) {
+                segments.push({ type: 'property', key: match[1] });
+            } else if (match[2] === '*') {
+                segments.push({ type: 'wildcard' });
+            } else if (/^\d+$/.test(match[2])) {
+                segments.push({ type: 'index', key: Number(match[2]) });
             } else {
-                value = value[part];
-                console.log(`Accessing ${part}:`, value);
+                segments.push({ type: 'property', key: match[2].slice(1, -1) });
             }
-            
-            if (value === undefined || value === null) {
-                console.log(`Value became null/undefined at part: ${part}`);
-                return null;
+            position = segmentPattern.lastIndex;
+        }
+        return segments;
+    }
+
+    walkTemplatePath(value, segments) {
+        // After a [*] every later segment applies to each element, nested wildcards flatten
+        let spread = false;
+        for (const segment of segments) {
+            if (value === undefined || value === null) return undefined;
+
+            if (segment.type === 'wildcard') {
+                const items = spread ? value : [value];
+                value = items.flatMap(entry => Array.isArray(entry) ? entry : []);
+                spread = true;
+            } else if (spread) {
+                value = value
+                    .map(entry => entry === null || entry === undefined ? undefined : entry[segment.key])
+                    .filter(entry => entry !== undefined && entry !== null);
+            } else {
+                value = value[segment.key];
             }
         }
-        
-        console.log(`Final resolved value:`, value);
         return value;
     }
 
+    parseTemplateArguments(text) {
+        const argumentPattern = /\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|-?\d+(?:\.\d+)?|true|false|null)\s*(?:,|$)/y;
+        const args = [];
+        let position = 0;
+        while (position < text.length && text.slice(position).trim()) {
+            argumentPattern.lastIndex = position;
+            const match = argumentPattern.exec(text);
+            if (!match) throw new Error(`Invalid filter argument "${text.slice(position).trim()}"`);
+            const token = match[1];
+            args.push(/^["']/.test(token) ? token.slice(1, -1).replace(/\\(.)/g, '$1') : JSON.parse(token));
+            position = argumentPattern.lastIndex;
+        }
+        return args;
+    }
+
+    applyTemplateFilter(value, name, args) {
+        const isMissing = value === undefined || value === null || value === '';
+        const asText = () => isMissing ? '' : this.stringifyTemplateValue(value);
+
+        switch (name) {
+            case 'default':
+                return isMissing ? args[0] : value;
+            case 'join':
+                return Array.isArray(value) ? value.map(entry => this.stringifyTemplateValue(entry)).join(args[0] ?? ',') : value;
+            case 'first':
+                return Array.isArray(value) ? value[0] : value;
+            case 'last':
+                return Array.isArray(value) ? value[value.length - 1] : value;
+            case 'length':
+                return isMissing ? 0 : (Array.isArray(value) || typeof value === 'string' ? value.length : Object.keys(value).length);
+            case 'unique':
+                return Array.isArray(value) ? [...new Set(value)] : value;
+            case 'json':
+                return JSON.stringify(value ?? null);
+            case 'number':
+                return isMissing ? value : Number(value);
+            case 'upper':
+                return isMissing ? value : asText().toUpperCase();
+            case 'lower':
+                return isMissing ? value : asText().toLowerCase();
+            case 'trim':
+                return isMissing ? value : asText().trim();
+            case 'truncate':
+                return isMissing ? value : asText().slice(0, args[0] ?? 50);
+            case 'replace':
+                return isMissing ? value : asText().split(String(args[0] ?? '')).join(String(args[1] ?? ''));
+            case 'split':
+                return isMissing ? value : asText().split(args[0] ?? ',');
+            case 'date': {
+                if (isMissing) return value;
+                const date = this.parseTemplateDate(value);
+                return this.formatTemplateDate(date, args[0] || 'YYYY-MM-DD');
+            }
+            case 'addDays': {
+                if (isMissing) return value;
+                const date = this.parseTemplateDate(value);
+                date.setDate(date.getDate() + Number(args[0] || 0));
+                // Date-only input stays date-only, like Asana's due_on
+                return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? this.formatTemplateDate(date, 'YYYY-MM-DD') : date.toISOString();
+            }
+            default:
+                throw new Error(`Unknown filter "${name}"`);
+        }
+    }
+
+    parseTemplateDate(value) {
+        // Date-only strings are local dates, not UTC midnight
+        const dateOnly = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = dateOnly
+            ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+            : new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`"${value}" is not a date`);
+        }
+        return date;
+    }
+
+    formatTemplateDate(date, format) {
+        const pad = number => String(number).padStart(2, '0');
+        const tokens = {
+            YYYY: date.getFullYear(),
+            MM: pad(date.getMonth() + 1),
+            DD: pad(date.getDate()),
+            HH: pad(date.getHours()),
+            mm: pad(date.getMinutes()),
+            ss: pad(date.getSeconds())
+        };
+        return format === 'iso' ? date.toISOString() : format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+    }
+
     removeFromSequence(itemId) {
-        this.apiSequence = this.apiSequence.filter(item => item.id !== itemId);
+        const index = this.apiSequence.findIndex(item => item.id === itemId);
+        if (index === -1) return;
+
+        const removed = this.apiSequence[index];
+        const readers = this.apiSequence.filter(item => item !== removed && this.getStepDependencies(item).includes(removed));
+        if (readers.length > 0) {
+            const describe = reader => `step ${this.apiSequence.indexOf(reader) + 1} (${reader.endpoint.method} ${reader.endpoint.path})`;
+            if (!confirm(`Step ${index + 1} is read by:\n\n${readers.map(describe).join('\n')}\n\nRemove it anyway? Iteration sources reading it are cleared, other references to it will no longer resolve.`)) {
+                return;
+            }
+        }
+
+        // Like updateDependentIterations: an iteration source on a deleted step can't run at all
+        const sourceReaders = readers.filter(reader => {
+            const source = this.collectStepReferences(reader).find(reference => reference.location === 'iteration source');
+            return source && this.resolveReferenceTarget(source.root) === removed;
+        });
+
+        if (!this.applySequenceOrder(this.apiSequence.filter(item => item !== removed))) return;
         this.sequenceResults.delete(itemId);
+
+        if (sourceReaders.length > 0) {
+            sourceReaders.forEach(reader => {
+                reader.iteration.sourceField = '';
+                console.log(`Cleared iteration source reference for item ${reader.id} (referenced deleted step)`);
+            });
+            this.renderSequence();
+        }
+    }
+
+    collectStepReferences(item) {
+        // Every reference the step holds as { root, path, location }, from the same fields mapStepReferences rewrites
+        const references = [];
+        const addPath = (path, location) => {
+            const root = (path.match(/^[A-Za-z_$][\w$-]*/) || [])[0];
+            if (root) {
+                references.push({ root, path: path.slice(root.length).replace(/^\./, ''), location });
+            }
+        };
+        const addTemplate = (text, location) => {
+            if (typeof text !== 'string') return;
+            for (const match of text.matchAll(/\{\{\s*([^{}]+?)\s*\}\}/g)) {
+                addPath(match[1].split('|')[0].trim(), location);
+            }
+        };
+
+        ['path', 'query', 'header'].forEach(location => {
+            Object.entries(item.parameters?.[location] || {}).forEach(([name, value]) => addTemplate(value, `${location} ${name}`));
+        });
+        addTemplate(item.parameters?.body, 'body');
+        Object.entries(item.variableMappings || {}).forEach(([name, value]) => {
+            if (!value) return;
+            if (value.startsWith('{{')) {
+                addTemplate(value, `mapping ${name}`);
+            } else {
+                addPath(value, `mapping ${name}`);
+            }
+        });
+        addTemplate(item.condition, 'condition');
+        if (item.iteration?.sourceField) {
+            addPath(item.iteration.sourceField, 'iteration source');
+        }
+        addTemplate(item.iteration?.filter, 'iteration filter');
+
+        return references;
+    }
+
+    resolveReferenceTarget(root, order = this.apiSequence) {
+        const positional = root.match(/^step(\d+)$/);
+        return positional
+            ? order[Number(positional[1])] || null
+            : order.find(other => other.id === root || (other.name && other.name === root)) || null;
+    }
+
+    getStepDependencies(item, order = this.apiSequence) {
+        // Steps this one reads, whether referenced by ID, by name or positionally as stepN
+        const dependencies = new Set();
+        this.collectStepReferences(item).forEach(reference => {
+            const dependency = this.resolveReferenceTarget(reference.root, order);
+            if (dependency) dependencies.add(dependency);
+        });
+        return [...dependencies];
+    }
+
+    findForwardReferences(order = this.apiSequence) {
+        const forwardReferences = [];
+        order.forEach((item, index) => {
+            this.getStepDependencies(item, order).forEach(dependency => {
+                const dependencyIndex = order.indexOf(dependency);
+                if (dependencyIndex >= index) {
+                    forwardReferences.push({ item, index, dependency, dependencyIndex });
+                }
+            });
+        });
+        return forwardReferences;
+    }
+
+    applySequenceOrder(newOrder) {
+        if (this.sequenceRun) {
+            alert('Stop the sequence run before changing its steps.');
+            return false;
+        }
+
+        const oldOrder = this.apiSequence;
+        const describe = reference => `step ${reference.index + 1} (${reference.item.endpoint.method} ${reference.item.endpoint.path}) would read step ${reference.dependencyIndex + 1}, which runs ${reference.dependencyIndex === reference.index ? 'as the same step' : 'later'}`;
+
+        // Only warn about forward references this change creates, not ones that already existed.
+        // Positional stepN references are resolved against the old order, they move with their step below.
+        const existing = new Set(this.findForwardReferences(oldOrder).map(reference => `${reference.item.id}>${reference.dependency.id}`));
+        const created = newOrder.flatMap((item, index) => this.getStepDependencies(item, oldOrder)
+            .map(dependency => ({ item, index, dependency, dependencyIndex: newOrder.indexOf(dependency) }))
+            .filter(reference => reference.dependencyIndex >= index && !existing.has(`${item.id}>${reference.dependency.id}`)));
+
+        if (created.length > 0 && !confirm(`This change breaks the data flow:\n\n${created.map(describe).join('\n')}\n\nApply it anyway?`)) {
+            this.renderSequence();
+            return false;
+        }
+
+        newOrder.forEach(item => this.mapStepReferences(item, root => {
+            const positional = root.match(/^step(\d+)$/);
+            if (!positional) return root;
+            const target = oldOrder[Number(positional[1])];
+            const newIndex = newOrder.indexOf(target);
+            // A removed step is referenced by its ID, so the number doesn't silently point at its successor
+            if (newIndex === -1) return target ? target.id : root;
+            return `step${newIndex}`;
+        }));
+
+        this.apiSequence = newOrder;
+        this.renderSequence();
+        return true;
+    }
+
+    moveSequenceStep(fromIndex, toIndex) {
+        if (fromIndex === toIndex || !this.apiSequence[fromIndex]) return;
+
+        const newOrder = [...this.apiSequence];
+        const [moved] = newOrder.splice(fromIndex, 1);
+        newOrder.splice(toIndex, 0, moved);
+
+        if (this.applySequenceOrder(newOrder)) {
+            console.log(`↕️ Moved step ${fromIndex + 1} to position ${toIndex + 1}`);
+        }
+    }
+
+    duplicateSequenceStep(itemId) {
+        const index = this.apiSequence.findIndex(item => item.id === itemId);
+        if (index === -1) return;
+
+        const item = this.apiSequence[index];
+        // Configuration is copied, results are not; the endpoint object is shared like in addToSequence
+        const copy = {
+            ...JSON.parse(JSON.stringify({
+                parameters: item.parameters,
+                variableMappings: item.variableMappings,
+                iteration: item.iteration,
+                pagination: item.pagination,
+                errorPolicy: item.errorPolicy,
+                condition: item.condition
+            })),
+            id: `seq_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            endpoint: item.endpoint,
+            endpointIndex: item.endpointIndex,
+            authProfileId: item.authProfileId,
+            isImported: item.isImported,
+            executed: false,
+            result: null,
+            error: null
+        };
+        if (item.name) {
+            let suffix = 1;
+            while (this.validateStepName(`${item.name}_copy${suffix > 1 ? suffix : ''}`, copy)) suffix++;
+            copy.name = `${item.name}_copy${suffix > 1 ? suffix : ''}`;
+        }
+
+        const newOrder = [...this.apiSequence];
+        newOrder.splice(index + 1, 0, copy);
+        if (this.applySequenceOrder(newOrder)) {
+            this.showSequenceMessage(`✅ Duplicated step ${index + 1}`, 'success');
+        }
+    }
+
+    setSequenceInsertIndex(index) {
+        this.sequenceInsertIndex = index;
         this.renderSequence();
+        if (index !== null) {
+            this.showSequenceMessage(`➕ Click "Add to Sequence" on any endpoint to insert it before step ${index + 1}`, 'success');
+        }
+    }
+
+    handleStepDragStart(event, index) {
+        this.draggedStepIndex = index;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', String(index));
+        event.target.closest('.sequence-item')?.classList.add('dragging');
+    }
+
+    handleStepDragOver(event) {
+        if (this.draggedStepIndex === null) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        event.currentTarget.classList.add('drag-over');
+    }
+
+    handleStepDragLeave(event) {
+        event.currentTarget.classList.remove('drag-over');
+    }
+
+    handleStepDrop(event, index) {
+        event.preventDefault();
+        const fromIndex = this.draggedStepIndex;
+        this.handleStepDragEnd();
+        if (fromIndex !== null) {
+            this.moveSequenceStep(fromIndex, index);
+        }
+    }
+
+    handleStepDragEnd() {
+        this.draggedStepIndex = null;
+        document.querySelectorAll('.sequence-item.dragging, .sequence-item.drag-over').forEach(element => {
+            element.classList.remove('dragging', 'drag-over');
+        });
+    }
+
+    showSequenceGraph() {
+        if (this.apiSequence.length === 0) {
+            alert('No endpoints in sequence to graph.');
+            return;
+        }
+
+        document.getElementById('graphDialog').style.display = 'flex';
+        this.renderSequenceGraph();
+    }
+
+    closeSequenceGraph() {
+        document.getElementById('graphDialog').style.display = 'none';
+    }
+
+    focusSequenceStep(itemId) {
+        this.closeSequenceGraph();
+        document.getElementById(`seq-item-${itemId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    getStepStatus(item) {
+        if (item.skipped) return 'skipped';
+        if (item.interrupted) return 'interrupted';
+        if (item.executed) return item.error ? (item.errorHandled ? 'handled' : 'error') : 'executed';
+        return 'pending';
+    }
+
+    buildSequenceGraph() {
+        const nodes = this.apiSequence.map((item, index) => ({
+            id: item.id,
+            index,
+            title: `${index + 1}. ${item.name || item.endpoint.method}`,
+            subtitle: item.name ? `${item.endpoint.method} ${item.endpoint.path}` : item.endpoint.path,
+            status: this.getStepStatus(item),
+            virtual: false
+        }));
+        const edges = new Map(); // "from>to" -> edge
+        const ignoredRoots = ['now', 'today'];
+
+        const addEdge = (from, to, reference, problem) => {
+            const key = `${from}>${to}`;
+            if (!edges.has(key)) {
+                edges.set(key, { from, to, references: [], problems: [] });
+            }
+            const edge = edges.get(key);
+            edge.references.push(reference);
+            if (problem && !edge.problems.includes(problem)) edge.problems.push(problem);
+        };
+        const addVirtualNode = (id, title, subtitle, status) => {
+            if (!nodes.some(node => node.id === id)) {
+                nodes.push({ id, index: -1, title, subtitle, status, virtual: true });
+            }
+        };
+
+        this.apiSequence.forEach((item, index) => {
+            const iterationRoots = item.iteration?.enabled ? [item.iteration.iterationVariable || 'item', 'parent'] : [];
+
+            this.collectStepReferences(item).forEach(reference => {
+                if (ignoredRoots.includes(reference.root)) return;
+                if (iterationRoots.includes(reference.root) && reference.location !== 'iteration source') return;
+
+                if (reference.root === 'input') {
+                    addVirtualNode('__inputs', '🔣 Inputs', 'prompted before execution', 'input');
+                    const declared = this.sequenceInputs.some(input => input.name === reference.path.split(/[.[]/)[0]);
+                    addEdge('__inputs', item.id, reference, declared ? null : `input "${reference.path}" is not declared`);
+                    return;
+                }
+
+                const target = this.resolveReferenceTarget(reference.root);
+                if (!target) {
+                    const missingId = `__missing_${reference.root}`;
+                    addVirtualNode(missingId, `⚠️ ${reference.root}`, 'no such step', 'missing');
+                    addEdge(missingId, item.id, reference, `"${reference.root}" is not a step in this sequence`);
+                    return;
+                }
+
+                const targetIndex = this.apiSequence.indexOf(target);
+                let problem = null;
+                if (targetIndex >= index) {
+                    problem = `step ${targetIndex + 1} does not run before step ${index + 1}`;
+                } else if (target.executed && !target.error && reference.path) {
+                    // Only checked against real results, a step that hasn't run yet can't be judged
+                    let value;
+                    try {
+                        value = this.getTemplateValueAtPath(this.sequenceResults.get(target.id), reference.path);
+                    } catch (error) {
+                        value = null;
+                    }
+                    if (value === null) problem = `${reference.path} is not in step ${targetIndex + 1}'s result`;
+                }
+                addEdge(target.id, item.id, reference, problem);
+            });
+        });
+
+        // Columns follow the data flow: a step sits one column right of the furthest step it reads
+        const layers = new Map(nodes.filter(node => node.virtual).map(node => [node.id, 0]));
+        const hasVirtualSources = layers.size > 0;
+        nodes.filter(node => !node.virtual).forEach(node => {
+            let layer = hasVirtualSources ? 1 : 0;
+            edges.forEach(edge => {
+                if (edge.to !== node.id || edge.problems.some(problem => problem.includes('does not run before'))) return;
+                if (layers.has(edge.from)) layer = Math.max(layer, layers.get(edge.from) + 1);
+            });
+            // Steps with no inputs at all stay in the first column
+            const hasIncoming = [...edges.values()].some(edge => edge.to === node.id);
+            layers.set(node.id, hasIncoming ? layer : 0);
+        });
+        nodes.forEach(node => {
+            node.layer = layers.get(node.id);
+        });
+
+        return { nodes, edges: [...edges.values()] };
+    }
+
+    renderSequenceGraph() {
+        const container = document.getElementById('sequenceGraph');
+        if (!container) return;
+
+        const graph = this.buildSequenceGraph();
+        const nodeWidth = 190;
+        const nodeHeight = 46;
+        const columnGap = 140;
+        const rowGap = 26;
+        const padding = 20;
+
+        // Rows within a column keep sequence order, virtual nodes first
+        const columns = new Map();
+        graph.nodes.forEach(node => {
+            if (!columns.has(node.layer)) columns.set(node.layer, []);
+            columns.get(node.layer).push(node);
+        });
+        columns.forEach(column => {
+            column.sort((a, b) => a.index - b.index);
+            column.forEach((node, row) => {
+                node.x = padding + node.layer * (nodeWidth + columnGap);
+                node.y = padding + row * (nodeHeight + rowGap);
+            });
+        });
+
+        const width = padding * 2 + (Math.max(...columns.keys()) + 1) * (nodeWidth + columnGap) - columnGap;
+        const height = padding * 2 + Math.max(...[...columns.values()].map(column => column.length)) * (nodeHeight + rowGap) - rowGap;
+        const nodeById = new Map(graph.nodes.map(node => [node.id, node]));
+        const truncate = (text, length) => text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+        const edgesSvg = graph.edges.map(edge => {
+            const from = nodeById.get(edge.from);
+            const to = nodeById.get(edge.to);
+            const broken = edge.problems.length > 0;
+            const startX = from.x + nodeWidth;
+            const startY = from.y + nodeHeight / 2;
+            const endX = to.x;
+            const endY = to.y + nodeHeight / 2;
+            // Backward edges (forward references) loop around below the nodes
+            const bend = endX > startX ? (endX - startX) / 2 : 80;
+            const path = `M ${startX} ${startY} C ${startX + bend} ${startY}, ${endX - bend} ${endY}, ${endX} ${endY}`;
+            const label = [...new Set(edge.references.map(reference => reference.path || '(whole result)'))].join(', ');
+            const tooltip = edge.references.map(reference => `${reference.location}: ${reference.root}${reference.path ? `.${reference.path}` : ''}`)
+                .concat(edge.problems.map(problem => `⚠️ ${problem}`)).join('\n');
+
+            return `
+                <g class="graph-edge ${broken ? 'broken' : ''}">
+                    <title>${this.escapeHTML(tooltip)}</title>
+                    <path d="${path}" marker-end="url(#graph-arrow${broken ? '-broken' : ''})"></path>
+                    <text x="${(startX + endX) / 2}" y="${(startY + endY) / 2 - 6}" text-anchor="middle">${this.escapeHTML(truncate(label, 32))}</text>
+                </g>
+            `;
+        }).join('');
+
+        const nodesSvg = graph.nodes.map(node => `
+            <g class="graph-node status-${node.status}" transform="translate(${node.x}, ${node.y})"
+               ${node.virtual ? '' : `onclick="explorer.focusSequenceStep('${node.id}')"`}>
+                <title>${this.escapeHTML(`${node.title}\n${node.subtitle}\nStatus: ${node.status}`)}</title>
+                <rect width="${nodeWidth}" height="${nodeHeight}" rx="6"></rect>
+                <text x="10" y="19" class="graph-node-title">${this.escapeHTML(truncate(node.title, 26))}</text>
+                <text x="10" y="35" class="graph-node-subtitle">${this.escapeHTML(truncate(node.subtitle, 30))}</text>
+            </g>
+        `).join('');
+
+        const problems = graph.edges.flatMap(edge => edge.problems.map(problem => ({ edge, problem })));
+
+        container.innerHTML = `
+            <div class="graph-legend">
+                ${['pending', 'executed', 'error', 'handled', 'skipped', 'interrupted'].map(status => `
+                    <span><i class="graph-swatch status-${status}"></i>${status}</span>
+                `).join('')}
+                <span><i class="graph-swatch broken"></i>broken reference</span>
+            </div>
+            <div class="graph-canvas">
+                <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+                    <defs>
+                        <marker id="graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                            <path d="M 0 0 L 10 5 L 0 10 z" fill="#6c757d"></path>
+                        </marker>
+                        <marker id="graph-arrow-broken" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                            <path d="M 0 0 L 10 5 L 0 10 z" fill="#dc3545"></path>
+                        </marker>
+                    </defs>
+                    ${edgesSvg}
+                    ${nodesSvg}
+                </svg>
+            </div>
+            ${graph.edges.length === 0 ? '<p class="graph-note">No step references another step yet.</p>' : ''}
+            ${problems.length > 0 ? `
+                <ul class="dry-run-issues">
+                    ${problems.map(({ edge, problem }) => `<li>⚠️ ${this.escapeHTML(nodeById.get(edge.to).title)}: ${this.escapeHTML(problem)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    renderForwardReferenceWarning(item, forwardReferences) {
+        const references = forwardReferences.filter(reference => reference.item === item);
+        if (references.length === 0) return '';
+
+        return `
+            <div class="forward-reference-warning">
+                ⚠️ Reads ${references.map(reference => `step ${reference.dependencyIndex + 1}`).join(', ')}, which ${references.length === 1 ? 'does' : 'do'} not run before this step
+            </div>
+        `;
     }
 
     clearSequence() {
+        this.stopSequence();
         this.apiSequence = [];
         this.sequenceResults.clear();
+        this.sequenceInputs = [];
+        this.sequenceInputValues = {};
+        this.sequenceTimeline = null;
+        this.renderSequenceTimeline();
         
         // Hide transformation panel since there's no more data to transform
         const transformSection = document.getElementById('dataTransformation');
@@ -4174,9 +9097,13 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
 
         const exportData = {
             version: "1.0",
-            name: `Asana API Sequence - ${new Date().toLocaleDateString()}`,
+            name: `${this.apis.size > 1 ? 'API' : 'Asana API'} Sequence - ${new Date().toLocaleDateString()}`,
             description: `API sequence with ${this.apiSequence.length} endpoints`,
+            inputs: this.sequenceInputs.length > 0 ? this.sequenceInputs.map(input => ({ ...input })) : undefined,
             sequence: this.apiSequence.map((item, index) => ({
+                name: item.name || undefined,
+                api: item.endpoint.apiId || this.defaultApiId,
+                authProfile: this.getAuthProfileReference(item),
                 method: item.endpoint.method,
                 path: item.endpoint.path,
                 summary: item.endpoint.summary,
@@ -4188,15 +9115,29 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
                     enabled: item.iteration.enabled,
                     sourceField: this.convertVariableToStepReference(`{{${item.iteration.sourceField}}}`, index).slice(2, -2),
                     iterationVariable: item.iteration.iterationVariable,
-                    unifyResults: item.iteration.unifyResults
-                } : undefined
+                    unifyResults: item.iteration.unifyResults,
+                    concurrency: this.getIterationConcurrency(item),
+                    flattenPath: item.iteration.flattenPath || undefined,
+                    filter: item.iteration.filter ? this.convertVariableToStepReference(item.iteration.filter, index) : undefined,
+                    limit: item.iteration.limit || undefined,
+                    sample: item.iteration.limit ? Boolean(item.iteration.sample) : undefined
+                } : undefined,
+                pagination: item.pagination?.enabled ? { ...item.pagination } : undefined,
+                condition: item.condition ? this.convertVariableToStepReference(item.condition, index) : undefined,
+                errorPolicy: item.errorPolicy ? this.getErrorPolicy(item) : undefined
             })),
             dataTransformations: {
                 fieldMappings: [...this.dataTransformations.fieldMappings],
                 unifiedColumns: [...this.dataTransformations.unifiedColumns]
             },
             timestamp: new Date().toISOString(),
-            baseUrl: this.baseUrl
+            baseUrl: this.baseUrl,
+            apis: Object.fromEntries(
+                [...new Set(this.apiSequence.map(item => item.endpoint.apiId || this.defaultApiId))].map(apiId => [apiId, {
+                    name: this.getApi(apiId)?.name || apiId,
+                    baseUrl: this.getBaseUrlForEndpoint({ apiId })
+                }])
+            )
         };
 
         const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
@@ -4260,14 +9201,26 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
             // Clear current state
             this.clearSequence();
 
+            this.sequenceInputs = (Array.isArray(importData.inputs) ? importData.inputs : [])
+                .filter(input => input && /^[A-Za-z_]\w*$/.test(input.name || ''))
+                .map(input => ({ name: input.name, description: input.description || '', defaultValue: input.defaultValue || '' }));
+
             // Convert imported data to internal format
             let loadedCount = 0;
             let skippedCount = 0;
+            const createdProfiles = [];
 
             importData.sequence.forEach((importItem, index) => {
                 try {
                     // Find matching endpoint in current endpoints
+                    // Steps exported before multi-API support have no api field and target Asana
+                    const importApiId = importItem.api || this.defaultApiId;
+                    const importedAuth = this.resolveImportedAuthProfile(importItem.authProfile, importApiId);
+                    if (importedAuth.created) {
+                        createdProfiles.push(importItem.authProfile.name || importedAuth.profileId);
+                    }
                     const matchingEndpoint = this.endpoints.find(ep => 
+                        (ep.apiId || this.defaultApiId) === importApiId &&
                         ep.method === importItem.method && ep.path === importItem.path
                     );
 
@@ -4282,6 +9235,7 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
                                 query: {},
                                 body: null
                             },
+                            authProfileId: importedAuth.profileId,
                             variableMappings: {},
                             iteration: {
                                 enabled: false,
@@ -4296,6 +9250,7 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
 
                         // Add to sequence first so we have the correct order
                         this.apiSequence.push(sequenceItem);
+                        this.applyImportedStepName(sequenceItem, importItem.name);
 
                         // Now convert the imported parameters using the current sequence context
                         sequenceItem.parameters = this.convertParametersForImport(
@@ -4314,10 +9269,28 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
                                 sourceField: importItem.iteration.sourceField ? 
                                     this.convertStepReferenceToVariable(`{{${importItem.iteration.sourceField}}}`, this.apiSequence.length - 1).slice(2, -2) : '',
                                 iterationVariable: importItem.iteration.iterationVariable || 'item',
-                                unifyResults: importItem.iteration.unifyResults !== false // Default to true
+                                unifyResults: importItem.iteration.unifyResults !== false, // Default to true
+                                concurrency: this.getIterationConcurrency(importItem),
+                                flattenPath: importItem.iteration.flattenPath || '',
+                                filter: importItem.iteration.filter ? 
+                                    this.convertStepReferenceToVariable(importItem.iteration.filter, this.apiSequence.length - 1) : '',
+                                limit: parseInt(importItem.iteration.limit, 10) || null,
+                                sample: Boolean(importItem.iteration.sample)
                             };
                         }
 
+                        if (importItem.pagination) {
+                            sequenceItem.pagination = { ...this.getPaginationSettings({}), ...importItem.pagination };
+                        }
+
+                        if (importItem.errorPolicy) {
+                            sequenceItem.errorPolicy = this.getErrorPolicy(importItem);
+                        }
+
+                        if (importItem.condition) {
+                            sequenceItem.condition = this.convertStepReferenceToVariable(importItem.condition, this.apiSequence.length - 1);
+                        }
+
                         loadedCount++;
                     } else {
                         // Create a placeholder endpoint if not found
@@ -4328,7 +9301,8 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
                             description: importItem.description || 'This endpoint was imported but not found in current API spec',
                             tags: importItem.tags || ['imported'],
                             operationId: `imported_${index}`,
-                            security: ['oauth2']
+                            security: ['oauth2'],
+                            apiId: importApiId
                         };
 
                         const sequenceItem = {
@@ -4336,18 +9310,27 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
                             endpoint: placeholderEndpoint,
                             endpointIndex: -1,
                             parameters: importItem.parameters || { path: {}, query: {}, body: null },
+                            authProfileId: importedAuth.profileId,
                             variableMappings: importItem.variableMappings || {},
                             iteration: importItem.iteration ? {
                                 enabled: importItem.iteration.enabled || false,
                                 sourceField: importItem.iteration.sourceField || '',
                                 iterationVariable: importItem.iteration.iterationVariable || 'item',
-                                unifyResults: importItem.iteration.unifyResults !== false
+                                unifyResults: importItem.iteration.unifyResults !== false,
+                                concurrency: this.getIterationConcurrency(importItem),
+                                flattenPath: importItem.iteration.flattenPath || '',
+                                filter: importItem.iteration.filter || '',
+                                limit: parseInt(importItem.iteration.limit, 10) || null,
+                                sample: Boolean(importItem.iteration.sample)
                             } : {
                                 enabled: false,
                                 sourceField: '',
                                 iterationVariable: 'item',
                                 unifyResults: true
                             },
+                            pagination: importItem.pagination ? { ...this.getPaginationSettings({}), ...importItem.pagination } : undefined,
+                            errorPolicy: importItem.errorPolicy ? this.getErrorPolicy(importItem) : undefined,
+                            condition: importItem.condition ? this.convertStepReferenceToVariable(importItem.condition, this.apiSequence.length) : '',
                             executed: false,
                             result: null,
                             error: null,
@@ -4355,6 +9338,7 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
                         };
 
                         this.apiSequence.push(sequenceItem);
+                        this.applyImportedStepName(sequenceItem, importItem.name);
                         loadedCount++;
                     }
                 } catch (itemError) {
@@ -4381,6 +9365,11 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
                                               (importData.dataTransformations.unifiedColumns?.length || 0);
                     message += ` and ${transformationCount} transformation setting${transformationCount !== 1 ? 's' : ''}`;
                 }
+
+                if (createdProfiles.length > 0) {
+                    this.renderAuthProfiles();
+                    message += `. Enter credentials for auth profile${createdProfiles.length !== 1 ? 's' : ''}: ${createdProfiles.join(', ')}`;
+                }
                 
                 this.showSequenceMessage(message, 'success');
 
@@ -4394,15 +9383,16 @@ Status: ${item.error ? 'ERROR' : 'SUCCESS'}
                     item.variableMappings && Object.keys(item.variableMappings).length > 0
                 );
                 
-                if (hasVariableMappings && this.personalAccessToken) {
+                const hasCredentials = this.apiSequence.every(item => this.hasStepCredentials(item));
+                if (hasVariableMappings && hasCredentials) {
                     setTimeout(() => {
                         if (confirm('This sequence has variable mappings configured. Would you like to execute the full sequence now?')) {
                             this.executeSequence();
                         }
                     }, 1000);
-                } else if (hasVariableMappings && !this.personalAccessToken) {
+                } else if (hasVariableMappings && !hasCredentials) {
                     setTimeout(() => {
-                        alert('This sequence has variable mappings configured. Set your Personal Access Token to execute the full sequence.');
+                        alert('This sequence has variable mappings configured. Set your Personal Access Token and auth profile credentials to execute the full sequence.');
                     }, 1000);
                 }
 